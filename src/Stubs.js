@@ -109,6 +109,20 @@ function PlotPortfolioValueByPrice() {
   runner_(SpreadFinder.PlotPortfolioValueByPrice);
 }
 
+/**
+ * Rebuilds the PortfolioRisk sheet with Greeks per leg, group, strategy and symbol.
+ */
+function updatePortfolioRisk() {
+  runner_(SpreadFinder.updatePortfolioRisk);
+}
+
+/**
+ * Rebuilds the ValueHistory sheet from the archived option prices.
+ */
+function updateValueHistory() {
+  runner_(SpreadFinder.updateValueHistory);
+}
+
 /**
  * Shows the Call Spread Finder dialog.
  */
@@ -116,6 +130,27 @@ function showCallSpreadFinderDialog() {
   runner_(SpreadFinder.showCallSpreadFinderDialog);
 }
 
+/**
+ * Shows the Put Spread Finder dialog.
+ */
+function showPutSpreadFinderDialog() {
+  runner_(SpreadFinder.showPutSpreadFinderDialog);
+}
+
+/**
+ * Shows the Iron Condor Finder dialog.
+ */
+function showIronCondorFinderDialog() {
+  runner_(SpreadFinder.showIronCondorFinderDialog);
+}
+
+/**
+ * Shows the Calendar/Diagonal Finder dialog.
+ */
+function showCalendarSpreadFinderDialog() {
+  runner_(SpreadFinder.showCalendarSpreadFinderDialog);
+}
+
 /**
  * Shows the SpreadFinder results in interactive charts.
  */
@@ -123,6 +158,13 @@ function showSpreadFinderGraphs() {
   runner_(SpreadFinder.showSpreadFinderGraphs);
 }
 
+/**
+ * Shows the IV smile and term-structure charts.
+ */
+function showVolatilityDialog() {
+  runner_(SpreadFinder.showVolatilityDialog);
+}
+
 /**
  * Shows the file upload dialog for option prices.
  */
@@ -165,6 +207,33 @@ function getSpreadFinderGraphData() {
   return runner_(SpreadFinder.getSpreadFinderGraphData);
 }
 
+/**
+ * Gets IV history for the SpreadFinder graphs.
+ * @returns {Object|null} IV series for the IV History chart.
+ */
+function getIvHistoryGraphData() {
+  return runner_(SpreadFinder.getIvHistoryGraphData);
+}
+
+/**
+ * Gets the symbols and upload dates for the Volatility dialog.
+ * @returns {Object} Symbols with their dataDates.
+ */
+function getVolatilityDialogData() {
+  return runner_(SpreadFinder.getVolatilityDialogData);
+}
+
+/**
+ * Gets IV smile and term-structure data for the Volatility dialog.
+ * @param {string} symbol - Ticker symbol.
+ * @param {string} dataDate - Upload date (YYYY-MM-DD).
+ * @param {string} compareDate - Optional second upload date (YYYY-MM-DD).
+ * @returns {Object} Chart data per date.
+ */
+function getVolatilityChartData(symbol, dataDate, compareDate) {
+  return runner_(SpreadFinder.getVolatilityChartData, [symbol, dataDate, compareDate]);
+}
+
 /**
  * Gets data for Call Spread Finder dialog.
  * @returns {Object} Symbols, expirations per symbol, and saved configs.
@@ -182,12 +251,64 @@ function runCallSpreadFinder(symbol, config) {
   return runner_(SpreadFinder.runCallSpreadFinder, [symbol, config]);
 }
 
+/**
+ * Gets data for Put Spread Finder dialog.
+ * @returns {Object} Symbols, expirations per symbol, and saved configs.
+ */
+function getPutSpreadFinderDialogData() {
+  return runner_(SpreadFinder.getPutSpreadFinderDialogData);
+}
+
+/**
+ * Runs Put Spread Finder for a single symbol.
+ * @param {string} symbol - Stock symbol.
+ * @param {Object} config - Config from dialog.
+ */
+function runPutSpreadFinder(symbol, config) {
+  return runner_(SpreadFinder.runPutSpreadFinder, [symbol, config]);
+}
+
+/**
+ * Gets data for Iron Condor Finder dialog.
+ * @returns {Object} Symbols, expirations per symbol, and saved configs.
+ */
+function getIronCondorFinderDialogData() {
+  return runner_(SpreadFinder.getIronCondorFinderDialogData);
+}
+
+/**
+ * Runs Iron Condor Finder for a single symbol.
+ * @param {string} symbol - Stock symbol.
+ * @param {Object} config - Config from dialog.
+ */
+function runIronCondorFinder(symbol, config) {
+  return runner_(SpreadFinder.runIronCondorFinder, [symbol, config]);
+}
+
+/**
+ * Gets data for Calendar/Diagonal Finder dialog.
+ * @returns {Object} Symbols, expirations per symbol, and saved configs.
+ */
+function getCalendarSpreadFinderDialogData() {
+  return runner_(SpreadFinder.getCalendarSpreadFinderDialogData);
+}
+
+/**
+ * Runs Calendar/Diagonal Finder for a single symbol.
+ * @param {string} symbol - Stock symbol.
+ * @param {Object} config - Config from dialog.
+ */
+function runCalendarSpreadFinder(symbol, config) {
+  return runner_(SpreadFinder.runCalendarSpreadFinder, [symbol, config]);
+}
+
 /**
  * Gets data for portfolio performance graphs.
+ * @param {number} daysForward - Value date offset in days for "Current" values (0 = today).
  * @returns {Object} Graph data for rendering portfolio charts.
  */
-function getPortfolioGraphData() {
-  return runner_(SpreadFinder.getPortfolioGraphData);
+function getPortfolioGraphData(daysForward) {
+  return runner_(SpreadFinder.getPortfolioGraphData, [daysForward]);
 }
 
 /**
@@ -222,10 +343,29 @@ function hasExistingPortfolio() {
  * @param {{name: string, content: string}} portfolio - Portfolio CSV file.
  * @param {Array<{name: string, content: string}>} transactions - Transaction CSV files.
  * @param {string} importMode - "addTransactions" or "rebuild".
+ * @param {string} [broker] - Broker chosen in the dialog, empty to auto-detect.
  * @returns {string} Status message including missing prices warning.
  */
-function uploadAndRebuildPortfolio(portfolio, transactions, importMode) {
-  return runner_(SpreadFinder.uploadAndRebuildPortfolio, [portfolio, transactions, importMode]);
+function uploadAndRebuildPortfolio(portfolio, transactions, importMode, broker) {
+  return runner_(SpreadFinder.uploadAndRebuildPortfolio, [portfolio, transactions, importMode, broker]);
+}
+
+/**
+ * Detects the brokerage and kind of a portfolio or transaction file.
+ * @param {string} head - The first few KB of the file.
+ * @param {string} [broker] - Broker chosen in the dialog, empty to auto-detect.
+ * @returns {Object|null} Detected format, or null if unknown.
+ */
+function detectPortfolioFileFormat(head, broker) {
+  return runner_(SpreadFinder.detectPortfolioFileFormat, [head, broker]);
+}
+
+/**
+ * Lists the registered brokerage importers.
+ * @returns {string[]} Broker names.
+ */
+function getBrokerageImporterNames() {
+  return runner_(SpreadFinder.getBrokerageImporterNames, []);
 }
 
 /**
@@ -471,6 +611,49 @@ function getOptionLiquidity(symbol, expiration, strike, type) {
   return customFn_(SpreadFinder.getOptionLiquidity, [symbol, expiration, strike, type]);
 }
 
+/**
+ * Returns Black-Scholes price, Greeks and IV for an uploaded option.
+ * Columns: Price, Delta, Gamma, Theta/day, Vega/pt, Rho/pt, IV.
+ * @param {string} symbol - Ticker symbol.
+ * @param {Date|string} expiration - Expiration date.
+ * @param {number} strike - Strike price.
+ * @param {string} type - Option type ("Call" or "Put").
+ * @param {number} [underlyingPrice] - Optional stock price override.
+ * @returns {Array} One row of price, Greeks and IV.
+ * @customfunction
+ */
+function OPTION_GREEKS(symbol, expiration, strike, type, underlyingPrice) {
+  return customFn_(SpreadFinder.OPTION_GREEKS, [symbol, expiration, strike, type, underlyingPrice]);
+}
+
+/**
+ * Returns Black-Scholes price, Greeks and IV from explicit inputs.
+ * Columns: Price, Delta, Gamma, Theta/day, Vega/pt, Rho/pt, IV.
+ * @param {number} stockPrice - Underlying price.
+ * @param {number} strike - Strike price.
+ * @param {number} years - Years to expiration.
+ * @param {number} iv - Implied volatility (decimal).
+ * @param {string} type - Option type ("Call" or "Put").
+ * @param {number} [rate] - Risk-free rate (default from PricingConfig).
+ * @param {number} [dividendYield] - Dividend yield (default from PricingConfig).
+ * @returns {Array} One row of price, Greeks and IV.
+ * @customfunction
+ */
+function BLACK_SCHOLES(stockPrice, strike, years, iv, type, rate, dividendYield) {
+  return customFn_(SpreadFinder.BLACK_SCHOLES, [stockPrice, strike, years, iv, type, rate, dividendYield]);
+}
+
+/**
+ * Returns the current stock price: Prices sheet override, last option upload,
+ * put-call parity or GOOGLEFINANCE (in that order).
+ * @param {string} symbol - Ticker symbol.
+ * @returns {number} Stock price.
+ * @customfunction
+ */
+function UNDERLYING_PRICE(symbol) {
+  return customFn_(SpreadFinder.UNDERLYING_PRICE, [symbol]);
+}
+
 /**
  * Returns first non-empty value from a range.
  * @param {Range} range - Range to search for non-empty value.
@@ -0,0 +1,269 @@
+/**
+ * ImpliedParity.js
+ * Infers the forward, spot and rate implied by each uploaded expiration.
+ *
+ * Put-call parity: C - P = D x (F - K), where D = e^(-rT) is the discount factor
+ * and F the forward. Across strikes this is a straight line in K:
+ *   slope = -D, intercept = D x F
+ * so a least-squares fit over near-ATM call/put pairs gives D and F.
+ *
+ *   Rate    r = -ln(D) / T
+ *   Forward F = intercept / D
+ *   Spot    S = F x e^(-(r - q)T), with q from PricingConfig
+ *
+ * Results go to the ImpliedParity sheet, one row per symbol/expiration, with the
+ * upload's dataDate. getPricingParams_ uses the implied rate in place of the DEFAULT
+ * rate, and getUnderlyingPrice_ uses the implied spot for its Parity source.
+ *
+ * Barchart options are American. Early exercise premium on deep ITM puts can skew
+ * the fit, so only strikes near the money are used. Rates from expirations under
+ * a month are too noisy and are left blank.
+ */
+
+const IMPLIED_PARITY_SHEET = "ImpliedParity";
+
+/** Column order on the ImpliedParity sheet */
+const IMPLIED_PARITY_HEADERS = ["symbol", "expiration", "dataDate", "years", "forward", "spot", "rate", "pairs", "fitError"];
+
+/** Fit settings */
+const IMPLIED_PARITY_DEFAULTS = {
+  maxPairs: 12,          // Near-ATM strikes used in the fit
+  maxDistance: 0.15,     // Strikes within 15% of the rough forward
+  minRateYears: 30 / 365 // Shorter expirations give no rate
+};
+
+/* =========================================================
+   Fit
+   ========================================================= */
+
+/**
+ * Fits put-call parity to one expiration's uploaded rows.
+ *
+ * @param {Array<Array>} rows - Upload rows [symbol, expiration, strike, type, bid, mid, ask, ...]
+ * @param {number} years - Time to expiration from the data date
+ * @param {number} [dividendYield=0] - Used only to turn the forward into a spot
+ * @param {number} [fallbackRate] - Rate used for the spot when the expiration is too short to imply one
+ * @returns {{forward, spot, rate, pairs, fitError}|null} null when fewer than 2 strikes pair up
+ */
+function inferParityFromRows_(rows, years, dividendYield = 0, fallbackRate = OPTION_PRICING_DEFAULTS.riskFreeRate) {
+  if (!(years > 0)) return null;
+
+  // Call/put mids by strike; both sides need a bid to be trusted
+  const legMid = (r) => {
+    const bid = r[4], mid = r[5], ask = r[6];
+    if (!(bid > 0)) return null;
+    if (mid > 0) return mid;
+    return ask > 0 ? (bid + ask) / 2 : null;
+  };
+  const calls = {};
+  const puts = {};
+  for (const r of rows) {
+    const m = legMid(r);
+    if (m === null) continue;
+    if (r[3] === "Call") calls[r[2]] = m;
+    else if (r[3] === "Put") puts[r[2]] = m;
+  }
+
+  let pairs = Object.keys(calls)
+    .filter(k => puts[k] !== undefined)
+    .map(k => ({ strike: +k, diff: calls[k] - puts[k] }));
+  if (pairs.length < 2) return null;
+
+  // Rough forward from the pair nearest the money, then keep strikes around it
+  const atm = pairs.reduce((best, p) => Math.abs(p.diff) < Math.abs(best.diff) ? p : best);
+  const roughForward = atm.strike + atm.diff;
+  pairs = pairs
+    .filter(p => Math.abs(p.strike - roughForward) <= IMPLIED_PARITY_DEFAULTS.maxDistance * roughForward)
+    .sort((a, b) => Math.abs(a.strike - roughForward) - Math.abs(b.strike - roughForward))
+    .slice(0, IMPLIED_PARITY_DEFAULTS.maxPairs);
+  if (pairs.length < 2) return null;
+
+  // Least squares: diff = intercept + slope x K
+  const n = pairs.length;
+  const meanK = pairs.reduce((s, p) => s + p.strike, 0) / n;
+  const meanY = pairs.reduce((s, p) => s + p.diff, 0) / n;
+  let sxx = 0, sxy = 0;
+  for (const p of pairs) {
+    sxx += (p.strike - meanK) ** 2;
+    sxy += (p.strike - meanK) * (p.diff - meanY);
+  }
+  if (!(sxx > 0)) return null;
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanK;
+
+  const discount = -slope;
+  if (!(discount > 0.5 && discount < 1.1)) return null;
+
+  const forward = intercept / discount;
+  if (!(forward > 0)) return null;
+
+  const impliedRate = -Math.log(discount) / years;
+  const rate = years >= IMPLIED_PARITY_DEFAULTS.minRateYears ? impliedRate : null;
+  const spot = forward * Math.exp(-((rate ?? fallbackRate) - dividendYield) * years);
+
+  let sse = 0;
+  for (const p of pairs) sse += (p.diff - (intercept + slope * p.strike)) ** 2;
+
+  return {
+    forward: roundTo_(forward, 2),
+    spot: roundTo_(spot, 2),
+    rate: rate === null ? null : roundTo_(rate, 5),
+    pairs: n,
+    fitError: roundTo_(Math.sqrt(sse / n), 4)
+  };
+}
+
+/* =========================================================
+   Sheet
+   ========================================================= */
+
+/**
+ * Fits every uploaded file and writes the results to the ImpliedParity sheet.
+ * Rows for the uploaded symbol/expirations are replaced; replaceAll clears the sheet first.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Array<{symbol, expDate, dataDate, rows}>} parsedFiles - From parseOptionPriceFile_
+ * @param {boolean} replaceAll
+ * @returns {Array<Object>} Fits written, one per file that paired up
+ */
+function recordImpliedParity_(ss, parsedFiles, replaceAll) {
+  const fits = [];
+  for (const pf of parsedFiles) {
+    const years = (pf.expDate.getTime() - pf.dataDate.getTime()) / (1000 * 60 * 60 * 24 * 365);
+    const pricing = getPricingParams_(ss, pf.symbol);
+    const fit = inferParityFromRows_(pf.rows, years, pricing.dividendYield, pricing.riskFreeRate);
+    if (!fit) continue;
+    fits.push({ symbol: pf.symbol, expiration: pf.expDate, dataDate: pf.dataDate, years: roundTo_(years, 4), ...fit });
+  }
+
+  let sheet = ss.getSheetByName(IMPLIED_PARITY_SHEET);
+  if (!sheet) {
+    if (fits.length === 0) return fits;
+    sheet = ss.insertSheet(IMPLIED_PARITY_SHEET);
+  }
+
+  // Keep rows for other symbol/expirations, then add the new fits
+  const dayKey = (sym, d) => `${sym}|${formatDateMDYYYY_(parseDateAtMidnight_(d))}`;
+  const replaced = new Set(parsedFiles.map(pf => dayKey(pf.symbol, pf.expDate)));
+  let kept = [];
+  if (!replaceAll && sheet.getLastRow() >= 2) {
+    kept = sheet.getRange(2, 1, sheet.getLastRow() - 1, IMPLIED_PARITY_HEADERS.length).getValues()
+      .filter(r => r[0] && !replaced.has(dayKey(String(r[0]).toUpperCase(), r[1])));
+  }
+  const out = kept.concat(fits.map(f => IMPLIED_PARITY_HEADERS.map(h => f[h] ?? "")));
+  out.sort((a, b) => String(a[0]).localeCompare(String(b[0])) || parseDateAtMidnight_(a[1]) - parseDateAtMidnight_(b[1]));
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, IMPLIED_PARITY_HEADERS.length).setValues([IMPLIED_PARITY_HEADERS])
+    .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+  if (out.length > 0) {
+    sheet.getRange(2, 1, out.length, IMPLIED_PARITY_HEADERS.length).setValues(out);
+    sheet.getRange(2, 2, out.length, 2).setNumberFormat("m/d/yyyy");
+    sheet.getRange(2, 5, out.length, 2).setNumberFormat("$#,##0.00");
+    sheet.getRange(2, 7, out.length, 1).setNumberFormat("0.00%");
+  }
+  sheet.setFrozenRows(1);
+
+  getImpliedParity_.cache = null;
+  return fits;
+}
+
+/**
+ * Reads the ImpliedParity sheet once per execution.
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @returns {Array<{expiration: Date, dataDate: Date, years, forward, spot, rate, pairs}>} Sorted by expiration
+ */
+function getImpliedParity_(ss, symbol) {
+  if (!getImpliedParity_.cache) {
+    const bySymbol = {};
+    const sheet = ss && ss.getSheetByName(IMPLIED_PARITY_SHEET);
+    if (sheet && sheet.getLastRow() >= 2) {
+      const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, IMPLIED_PARITY_HEADERS.length).getValues();
+      const num = (v) => v === "" || v == null ? null : parseFloat(v);
+      for (const r of data) {
+        const sym = (r[0] || "").toString().trim().toUpperCase();
+        const expiration = parseDateAtMidnight_(r[1]);
+        if (!sym || !expiration) continue;
+        (bySymbol[sym] = bySymbol[sym] || []).push({
+          expiration,
+          dataDate: parseDateAtMidnight_(r[2]),
+          years: num(r[3]),
+          forward: num(r[4]),
+          spot: num(r[5]),
+          rate: num(r[6]),
+          pairs: num(r[7])
+        });
+      }
+      for (const sym of Object.keys(bySymbol)) bySymbol[sym].sort((a, b) => a.expiration - b.expiration);
+    }
+    getImpliedParity_.cache = bySymbol;
+  }
+  return getImpliedParity_.cache[(symbol || "").toString().trim().toUpperCase()] || [];
+}
+
+/**
+ * Implied spot from the newest upload's nearest expiration, where carry matters least.
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @returns {{spot: number, dataDate: Date}|null}
+ */
+function getImpliedSpot_(ss, symbol) {
+  const fits = getImpliedParity_(ss, symbol).filter(f => f.spot > 0);
+  if (fits.length === 0) return null;
+  const newest = Math.max(...fits.map(f => f.dataDate ? f.dataDate.getTime() : 0));
+  const fit = fits.find(f => (f.dataDate ? f.dataDate.getTime() : 0) === newest);
+  return { spot: fit.spot, dataDate: fit.dataDate };
+}
+
+/**
+ * Implied rate for a symbol: the expiration's own rate, else the nearest expiration
+ * with one. Without an expiration, the median across expirations.
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @param {Date|string} [expiration]
+ * @returns {number|null}
+ */
+function getImpliedRate_(ss, symbol, expiration) {
+  const fits = getImpliedParity_(ss, symbol).filter(f => Number.isFinite(f.rate));
+  if (fits.length === 0) return null;
+
+  const expDate = expiration ? parseDateAtMidnight_(expiration) : null;
+  if (!expDate) {
+    const rates = fits.map(f => f.rate).sort((a, b) => a - b);
+    const mid = Math.floor(rates.length / 2);
+    return rates.length % 2 ? rates[mid] : (rates[mid - 1] + rates[mid]) / 2;
+  }
+  return fits.reduce((best, f) =>
+    Math.abs(f.expiration - expDate) < Math.abs(best.expiration - expDate) ? f : best).rate;
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test parity fit against prices generated with a known rate and spot.
+ */
+function test_inferParityFromRows() {
+  const S = 400, r = 0.045, q = 0.01, T = 1.5, sigma = 0.5;
+  const rows = [];
+  for (let K = 300; K <= 550; K += 5) {
+    const c = bsPrice_(S, K, T, r, sigma, "Call", q);
+    const p = bsPrice_(S, K, T, r, sigma, "Put", q);
+    rows.push(["TSLA", null, K, "Call", c - 0.5, c, c + 0.5]);
+    rows.push(["TSLA", null, K, "Put", p - 0.5, p, p + 0.5]);
+  }
+  const fit = inferParityFromRows_(rows, T, q);
+  assertEqual(fit.rate, r, "implied rate", 1e-4);
+  assertEqual(fit.forward, S * Math.exp((r - q) * T), "implied forward", 0.01);
+  assertEqual(fit.spot, S, "implied spot", 0.01);
+  assertEqual(fit.pairs, 12, "near-ATM pairs only");
+
+  // Short expirations give a spot but no rate
+  const short = inferParityFromRows_(rows.map(x => x.slice()), 10 / 365, q);
+  assertEqual(short.rate, null, "no rate under a month");
+
+  // Unpaired strikes cannot be fit
+  assertEqual(inferParityFromRows_(rows.filter(x => x[3] === "Call"), T, q), null, "calls only");
+}
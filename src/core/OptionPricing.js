@@ -0,0 +1,463 @@
+/**
+ * OptionPricing.js
+ * Shared Black-Scholes pricing, Greeks and implied volatility for calls and puts.
+ *
+ * Every pricing model in the project uses these helpers: the portfolio charts,
+ * SpreadFinder probabilities, Monte Carlo and the calendar finder.
+ *
+ * Rates are continuous and annual. Time is in years.
+ * A dividend yield q uses the Merton form: the stock is discounted by e^(-qt).
+ *
+ * Rate and dividend yield are read from the PricingConfig sheet. A "DEFAULT" row
+ * applies to every symbol, and a row for a symbol overrides it. Between the two,
+ * the rate implied by put-call parity on the uploaded chain (ImpliedParity.js) is
+ * used when there is one.
+ *
+ * Greeks units:
+ *   delta - per $1 move in the stock
+ *   gamma - change in delta per $1 move
+ *   theta - per calendar day
+ *   vega  - per 1 point of volatility (0.01)
+ *   rho   - per 1 point of rate (0.01)
+ */
+
+const PRICING_CONFIG_SHEET = "PricingConfig";
+
+/** Pricing assumptions used when the PricingConfig sheet has no value */
+const OPTION_PRICING_DEFAULTS = {
+  riskFreeRate: 0.04,
+  dividendYield: 0
+};
+
+/** Column order returned by OPTION_GREEKS and BLACK_SCHOLES */
+const OPTION_GREEKS_HEADERS = ["Price", "Delta", "Gamma", "Theta", "Vega", "Rho", "IV"];
+
+/* =========================================================
+   Normal distribution
+   ========================================================= */
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 5-term approximation).
+ * @param {number} x
+ * @returns {number} P(Z <= x)
+ */
+function normCdf_(x) {
+  const neg = (x < 0);
+  const z = Math.abs(x);
+  const k = 1.0 / (1.0 + 0.2316419 * z);
+  const pdf = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
+  const v = 1.0 - pdf * (0.319381530 * k - 0.356563782 * Math.pow(k, 2) + 1.781477937 * Math.pow(k, 3) - 1.821255978 * Math.pow(k, 4) + 1.330274429 * Math.pow(k, 5));
+  return neg ? 1.0 - v : v;
+}
+
+/**
+ * Standard normal density.
+ * @param {number} x
+ * @returns {number}
+ */
+function normPdf_(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/* =========================================================
+   Black-Scholes
+   ========================================================= */
+
+/**
+ * Black-Scholes price of a European call or put.
+ * @param {number} S - Stock price
+ * @param {number} K - Strike
+ * @param {number} t - Years to expiration
+ * @param {number} r - Risk-free rate
+ * @param {number} sigma - Volatility (decimal)
+ * @param {string} type - "Call" or "Put"
+ * @param {number} [q] - Dividend yield (default 0)
+ * @returns {number} Option price per share
+ */
+function bsPrice_(S, K, t, r, sigma, type, q) {
+  q = q || 0;
+  const isCall = type !== "Put";
+  if (t <= 0 || S <= 0) return isCall ? Math.max(0, S - K) : Math.max(0, K - S);
+
+  const stockPv = S * Math.exp(-q * t);
+  const strikePv = K * Math.exp(-r * t);
+  if (sigma <= 0.0001) {
+    return isCall ? Math.max(0, stockPv - strikePv) : Math.max(0, strikePv - stockPv);
+  }
+
+  const sd = sigma * Math.sqrt(t);
+  const d1 = (Math.log(S / K) + (r - q + (sigma * sigma) / 2) * t) / sd;
+  const d2 = d1 - sd;
+  return isCall
+    ? stockPv * normCdf_(d1) - strikePv * normCdf_(d2)
+    : strikePv * normCdf_(-d2) - stockPv * normCdf_(-d1);
+}
+
+/**
+ * Black-Scholes price and Greeks of a European call or put.
+ * At expiration (or zero volatility) only price and delta are non-zero.
+ *
+ * @param {number} S - Stock price
+ * @param {number} K - Strike
+ * @param {number} t - Years to expiration
+ * @param {number} r - Risk-free rate
+ * @param {number} sigma - Volatility (decimal)
+ * @param {string} type - "Call" or "Put"
+ * @param {number} [q] - Dividend yield (default 0)
+ * @returns {{price: number, delta: number, gamma: number, theta: number, vega: number, rho: number}}
+ */
+function bsGreeks_(S, K, t, r, sigma, type, q) {
+  q = q || 0;
+  const isCall = type !== "Put";
+  const price = bsPrice_(S, K, t, r, sigma, type, q);
+
+  if (t <= 0 || S <= 0 || sigma <= 0.0001) {
+    const forward = t > 0 ? S * Math.exp((r - q) * t) : S;
+    const itm = isCall ? forward > K : forward < K;
+    const delta = itm ? (isCall ? 1 : -1) * Math.exp(-q * Math.max(t, 0)) : 0;
+    return { price, delta, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+
+  const sqrtT = Math.sqrt(t);
+  const sd = sigma * sqrtT;
+  const d1 = (Math.log(S / K) + (r - q + (sigma * sigma) / 2) * t) / sd;
+  const d2 = d1 - sd;
+  const divDisc = Math.exp(-q * t);
+  const rateDisc = Math.exp(-r * t);
+  const pdf1 = normPdf_(d1);
+
+  const gamma = divDisc * pdf1 / (S * sd);
+  const vega = S * divDisc * pdf1 * sqrtT;
+  const decay = -S * divDisc * pdf1 * sigma / (2 * sqrtT);
+
+  let delta, theta, rho;
+  if (isCall) {
+    delta = divDisc * normCdf_(d1);
+    theta = decay - r * K * rateDisc * normCdf_(d2) + q * S * divDisc * normCdf_(d1);
+    rho = K * t * rateDisc * normCdf_(d2);
+  } else {
+    delta = -divDisc * normCdf_(-d1);
+    theta = decay + r * K * rateDisc * normCdf_(-d2) - q * S * divDisc * normCdf_(-d1);
+    rho = -K * t * rateDisc * normCdf_(-d2);
+  }
+
+  return {
+    price,
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: vega / 100,
+    rho: rho / 100
+  };
+}
+
+/**
+ * Solves for the volatility that makes a pricing function match a target price.
+ * Newton's method with a finite-difference vega, so it works for single options
+ * and for multi-leg positions priced with one shared volatility.
+ *
+ * A vertical spread's value peaks at some volatility and falls on either side, so
+ * Newton can run off the peak. If it does not converge, a grid scan picks the root
+ * nearest the 0.5 starting guess (or the closest fit when the price is out of reach).
+ *
+ * @param {function(number): number} priceAtSigma - Price as a function of volatility
+ * @param {number} targetPrice - Market price to match
+ * @param {number} [maxSigma] - Upper cap on volatility (default uncapped; scan stops at 5)
+ * @returns {number} Volatility (decimal)
+ */
+function solveImpliedVol_(priceAtSigma, targetPrice, maxSigma) {
+  let sigma = 0.5;
+  for (let i = 0; i < 40; i++) {
+    const p = priceAtSigma(sigma);
+    const diff = p - targetPrice;
+    if (Math.abs(diff) < 0.00001) return sigma;
+
+    const vega = (priceAtSigma(sigma + 0.01) - p) / 0.01;
+    sigma -= diff / (vega || 0.01);
+    if (sigma <= 0) sigma = 0.001;
+    if (maxSigma && sigma > maxSigma) sigma = maxSigma;
+  }
+  return scanImpliedVol_(priceAtSigma, targetPrice, maxSigma || 5) ?? sigma;
+}
+
+/**
+ * Grid-scan fallback for solveImpliedVol_. Brackets every sign change of
+ * price - target on a 0.02 grid and refines it by bisection.
+ * @returns {number|null} Root nearest 0.5, else best-fitting grid volatility, else null
+ */
+function scanImpliedVol_(priceAtSigma, targetPrice, maxSigma) {
+  const step = 0.02;
+  let best = null;
+  let closest = null;
+  let closestDiff = Infinity;
+  let prevSigma = 0.001;
+  let prevDiff = priceAtSigma(prevSigma) - targetPrice;
+
+  for (let s = step; s <= maxSigma + 1e-9; s += step) {
+    const diff = priceAtSigma(s) - targetPrice;
+    if (!Number.isFinite(diff)) continue;
+    if (Math.abs(diff) < closestDiff) {
+      closestDiff = Math.abs(diff);
+      closest = s;
+    }
+    if ((diff < 0) !== (prevDiff < 0)) {
+      let lo = prevSigma, hi = s, loDiff = prevDiff;
+      for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        const midDiff = priceAtSigma(mid) - targetPrice;
+        if ((midDiff < 0) === (loDiff < 0)) {
+          lo = mid;
+          loDiff = midDiff;
+        } else {
+          hi = mid;
+        }
+      }
+      const root = (lo + hi) / 2;
+      if (best === null || Math.abs(root - 0.5) < Math.abs(best - 0.5)) best = root;
+    }
+    prevSigma = s;
+    prevDiff = diff;
+  }
+  return best ?? closest;
+}
+
+/**
+ * Implied volatility of a European call or put from its price.
+ * @param {number} price - Option price per share
+ * @param {number} S - Stock price
+ * @param {number} K - Strike
+ * @param {number} t - Years to expiration
+ * @param {number} r - Risk-free rate
+ * @param {string} type - "Call" or "Put"
+ * @param {number} [q] - Dividend yield (default 0)
+ * @returns {number} Volatility (decimal, capped at 5), or NaN if the price is below intrinsic
+ */
+function bsImpliedVol_(price, S, K, t, r, type, q) {
+  if (!(price > 0) || !(S > 0) || !(K > 0) || !(t > 0)) return NaN;
+  if (price < bsPrice_(S, K, t, r, 0, type, q) - 0.00001) return NaN;
+  return solveImpliedVol_(sigma => bsPrice_(S, K, t, r, sigma, type, q), price, 5);
+}
+
+/* =========================================================
+   Pricing config
+   ========================================================= */
+
+/**
+ * Ensures the PricingConfig sheet exists with a DEFAULT row.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @returns {Sheet} The PricingConfig sheet
+ */
+function ensurePricingConfigSheet_(ss) {
+  let sheet = ss.getSheetByName(PRICING_CONFIG_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PRICING_CONFIG_SHEET);
+
+  const headers = ["Symbol", "RiskFreeRate", "DividendYield"];
+  const headerNotes = [
+    "Stock ticker symbol, or DEFAULT for all symbols",
+    "Annual risk-free rate, continuous (e.g., 0.04 = 4%). Blank = DEFAULT row",
+    "Annual dividend yield, continuous (e.g., 0.015 = 1.5%). Blank = DEFAULT row"
+  ];
+
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setNotes([headerNotes]);
+  headerRange.setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+
+  sheet.getRange(2, 1, 1, headers.length).setValues([
+    ["DEFAULT", OPTION_PRICING_DEFAULTS.riskFreeRate, OPTION_PRICING_DEFAULTS.dividendYield]
+  ]);
+
+  sheet.setColumnWidth(1, 80);   // Symbol
+  sheet.setColumnWidth(2, 100);  // RiskFreeRate
+  sheet.setColumnWidth(3, 100);  // DividendYield
+  sheet.getRange(2, 2, 100, 2).setNumberFormat("0.00%");
+
+  return sheet;
+}
+
+/**
+ * Returns the rate and dividend yield for a symbol.
+ * Reads PricingConfig once per execution; missing values fall back to DEFAULT,
+ * then to OPTION_PRICING_DEFAULTS. Read-only, so it is safe in custom functions.
+ *
+ * The rate order is: the symbol's PricingConfig row, then the rate implied by
+ * put-call parity on the uploaded chain (ImpliedParity sheet), then DEFAULT.
+ *
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} [symbol] - Stock symbol
+ * @param {Date|string} [expiration] - Picks that expiration's implied rate (median across expirations if omitted)
+ * @returns {{riskFreeRate: number, dividendYield: number}}
+ */
+function getPricingParams_(ss, symbol, expiration) {
+  if (!getPricingParams_.cache) {
+    const rows = {};
+    const sheet = ss && ss.getSheetByName(PRICING_CONFIG_SHEET);
+    if (sheet && sheet.getLastRow() >= 2) {
+      const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+      for (const row of data) {
+        const sym = (row[0] || "").toString().trim().toUpperCase();
+        if (!sym) continue;
+        rows[sym] = {
+          riskFreeRate: row[1] === "" || row[1] == null ? null : parseFloat(row[1]),
+          dividendYield: row[2] === "" || row[2] == null ? null : parseFloat(row[2])
+        };
+      }
+    }
+    getPricingParams_.cache = rows;
+  }
+
+  const rows = getPricingParams_.cache;
+  const defaults = rows.DEFAULT || {};
+  const own = rows[(symbol || "").toString().trim().toUpperCase()] || {};
+  const pick = (key, implied) => {
+    if (Number.isFinite(own[key])) return own[key];
+    if (Number.isFinite(implied)) return implied;
+    if (Number.isFinite(defaults[key])) return defaults[key];
+    return OPTION_PRICING_DEFAULTS[key];
+  };
+
+  return {
+    riskFreeRate: pick("riskFreeRate", symbol ? getImpliedRate_(ss, symbol, expiration) : null),
+    dividendYield: pick("dividendYield")
+  };
+}
+
+/* =========================================================
+   Custom functions
+   ========================================================= */
+
+/**
+ * Black-Scholes price, Greeks and IV from explicit inputs.
+ *
+ * @param {number} stockPrice - Underlying price
+ * @param {number} strike - Strike price
+ * @param {number} years - Years to expiration (e.g. DTE/365)
+ * @param {number} iv - Implied volatility (decimal, e.g. 0.55)
+ * @param {string} type - "Call" or "Put"
+ * @param {number} [rate] - Risk-free rate (default from PricingConfig)
+ * @param {number} [dividendYield] - Dividend yield (default from PricingConfig)
+ * @return {Array} One row: Price, Delta, Gamma, Theta/day, Vega/pt, Rho/pt, IV
+ * @customfunction
+ */
+function BLACK_SCHOLES(stockPrice, strike, years, iv, type, rate, dividendYield) {
+  const S = +stockPrice;
+  const K = +strike;
+  const t = +years;
+  const sigma = +iv;
+  const optType = parseOptionType_(type);
+  if (!(S > 0) || !(K > 0) || !Number.isFinite(t) || !Number.isFinite(sigma) || !optType) {
+    return "#Invalid inputs";
+  }
+
+  const params = getPricingParams_(SpreadsheetApp.getActiveSpreadsheet());
+  const r = rate === "" || rate == null ? params.riskFreeRate : +rate;
+  const q = dividendYield === "" || dividendYield == null ? params.dividendYield : +dividendYield;
+
+  const g = bsGreeks_(S, K, t, r, sigma, optType, q);
+  return [[g.price, g.delta, g.gamma, g.theta, g.vega, g.rho, sigma]];
+}
+
+/**
+ * Price, Greeks and IV for an option in OptionPricesUploaded.
+ * Uses the uploaded IV, or backs IV out of the mid price when the upload has none.
+ * The underlying price defaults to getUnderlyingPrice_ (Prices sheet, upload, parity, GOOGLEFINANCE).
+ * As a custom function it only reads the Prices sheet; a symbol without a GOOGLEFINANCE row is not added.
+ *
+ * @param {string} symbol - Ticker (e.g. "TSLA")
+ * @param {Date|string} expiration - Expiration date
+ * @param {number} strike - Strike price
+ * @param {string} type - "Call" or "Put"
+ * @param {number} [underlyingPrice] - Optional stock price override
+ * @return {Array} One row: Price, Delta, Gamma, Theta/day, Vega/pt, Rho/pt, IV
+ * @customfunction
+ */
+function OPTION_GREEKS(symbol, expiration, strike, type, underlyingPrice) {
+  const sym = (symbol || "").toString().trim().toUpperCase();
+  const expDate = parseDateAtMidnight_(expiration);
+  const K = +strike;
+  const optType = parseOptionType_(type);
+  if (!sym || !expDate || !(K > 0) || !optType) return "#Could not parse inputs";
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const chain = getUploadedOptionChain_(ss, sym);
+  const expKey = formatDateMDYYYY_(expDate);
+  const opt = chain.find(o => o.expiration === expKey && o.strike === K && o.type === optType);
+  if (!opt) return "#No Data for " + sym + " " + expKey + " " + K + " " + optType;
+
+  const S = +underlyingPrice > 0 ? +underlyingPrice : getUnderlyingPrice_(ss, sym, { chain, readOnly: true }).price;
+  if (!(S > 0)) return "#No underlying price for " + sym;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const t = Math.max(0, (expDate - today) / (1000 * 60 * 60 * 24 * 365));
+
+  const { riskFreeRate: r, dividendYield: q } = getPricingParams_(ss, sym, expDate);
+  const sigma = opt.iv > 0 ? opt.iv : bsImpliedVol_(opt.mid, S, K, t, r, optType, q);
+  if (!Number.isFinite(sigma)) return "#Could not solve IV";
+
+  const g = bsGreeks_(S, K, t, r, sigma, optType, q);
+  return [[g.price, g.delta, g.gamma, g.theta, g.vega, g.rho, sigma]];
+}
+
+/**
+ * Loads the uploaded options for a symbol once per execution.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol (uppercased)
+ * @returns {Array} Options from loadOptionData_
+ */
+function getUploadedOptionChain_(ss, symbol) {
+  getUploadedOptionChain_.cache = getUploadedOptionChain_.cache || {};
+  if (!getUploadedOptionChain_.cache[symbol]) {
+    getUploadedOptionChain_.cache[symbol] = loadOptionData_(ss, [symbol], null);
+  }
+  return getUploadedOptionChain_.cache[symbol];
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test pricing, Greeks and IV against textbook values.
+ */
+function test_optionPricing() {
+  // Hull example: S=42, K=40, r=10%, sigma=20%, t=0.5 -> call 4.76, put 0.81
+  assertEqual(bsPrice_(42, 40, 0.5, 0.1, 0.2, "Call"), 4.7594, "Hull call", 0.001);
+  assertEqual(bsPrice_(42, 40, 0.5, 0.1, 0.2, "Put"), 0.8086, "Hull put", 0.001);
+
+  // Put-call parity with dividends: C - P = S e^(-qt) - K e^(-rt)
+  const c = bsPrice_(100, 110, 2, 0.04, 0.5, "Call", 0.02);
+  const p = bsPrice_(100, 110, 2, 0.04, 0.5, "Put", 0.02);
+  assertEqual(c - p, 100 * Math.exp(-0.04) - 110 * Math.exp(-0.08), "parity with dividend yield", 1e-6);
+
+  // Greeks match finite differences
+  const g = bsGreeks_(100, 110, 1, 0.04, 0.5, "Call", 0.01);
+  const h = 0.01;
+  const up = bsPrice_(100 + h, 110, 1, 0.04, 0.5, "Call", 0.01);
+  const down = bsPrice_(100 - h, 110, 1, 0.04, 0.5, "Call", 0.01);
+  assertEqual(g.delta, (up - down) / (2 * h), "delta", 1e-4);
+  assertEqual(g.gamma, (up - 2 * g.price + down) / (h * h), "gamma", 1e-3);
+  assertEqual(g.vega, bsPrice_(100, 110, 1, 0.04, 0.51, "Call", 0.01) - g.price, "vega per point", 0.005);
+  assertEqual(g.theta, bsPrice_(100, 110, 1 - 1 / 365, 0.04, 0.5, "Call", 0.01) - g.price, "theta per day", 0.001);
+  assertEqual(g.rho, bsPrice_(100, 110, 1, 0.05, 0.5, "Call", 0.01) - g.price, "rho per point", 0.01);
+
+  const gp = bsGreeks_(100, 110, 1, 0.04, 0.5, "Put", 0.01);
+  assertEqual(g.delta - gp.delta, Math.exp(-0.01), "call delta - put delta = e^(-qt)", 1e-6);
+  assertEqual(gp.gamma, g.gamma, "put gamma = call gamma");
+
+  // IV round trip
+  assertEqual(bsImpliedVol_(c, 100, 110, 2, 0.04, "Call", 0.02), 0.5, "IV round trip", 1e-4);
+  assertEqual(Number.isNaN(bsImpliedVol_(1, 150, 100, 1, 0.04, "Call")), true, "price below intrinsic");
+
+  // OTM call spread: value peaks near sigma 0.5, so Newton alone runs off; the scan still fits
+  const spreadAt = s => bsPrice_(420, 500, 1.66, 0.04, s, "Call") - bsPrice_(420, 600, 1.66, 0.04, s, "Call");
+  assertEqual(spreadAt(solveImpliedVol_(spreadAt, 17)), 17, "non-monotonic spread IV fits", 1e-4);
+
+  // Expired options are worth intrinsic with no time Greeks
+  const expired = bsGreeks_(120, 100, 0, 0.04, 0.5, "Call");
+  assertEqual(expired.price, 20, "expired call intrinsic");
+  assertEqual(expired.delta, 1, "expired ITM delta");
+  assertEqual(expired.theta, 0, "expired theta");
+}
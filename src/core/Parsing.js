@@ -338,6 +338,30 @@ function findColumn_(headers, aliases) {
   return -1;
 }
 
+/**
+ * Scores a CSV against known header rows: for each format, the largest fraction of its
+ * columns found together on one of the first 30 lines.
+ *
+ * @param {string} csvContent - Raw CSV content (the first lines are enough)
+ * @param {Array<{kinds: string[], label: string, columns: string[]}>} formats - Header rows to look for
+ * @returns {{score: number, kinds: string[], label: string}|null} Best-scoring format, or null if no column matched
+ */
+function scoreCsvHeaderFormats_(csvContent, formats) {
+  const lines = String(csvContent || "").split(/\r?\n/).slice(0, 30);
+  let best = null;
+  for (const line of lines) {
+    const fields = new Set(parseCsvLineIntoFields_(line).map(normKey_));
+    for (const format of formats) {
+      const found = format.columns.filter(c => fields.has(normKey_(c))).length;
+      const score = found / format.columns.length;
+      if (found > 0 && (!best || score > best.score)) {
+        best = { score, kinds: format.kinds, label: format.label };
+      }
+    }
+  }
+  return best;
+}
+
 // ---- Strike Parsing ----
 
 /**
@@ -400,9 +424,10 @@ function detectStrategy(strikeRange, typeRange, qtyRange, _labels) {
 
 /**
  * Detects position type from an array of leg objects.
- * Each leg: { strike, type, qty }
+ * Each leg: { strike, type, qty, expiration? }
  * Returns: "stock", "bull-call-spread", "bull-put-spread", "iron-condor", "custom", or null.
- * Multi-leg positions with imbalanced quantities return "custom".
+ * Multi-leg positions with imbalanced quantities, or with legs on different
+ * expirations (calendars, diagonals, PMCC), return "custom".
  */
 function detectPositionType_(legs) {
   if (!legs || legs.length === 0) return null;
@@ -417,6 +442,13 @@ function detectPositionType_(legs) {
     return null;
   }
 
+  // Legs on different expirations never form a vertical, condor or straddle
+  const expTimes = new Set(legs
+    .map(l => l.expiration ? parseDateAtMidnight_(l.expiration) : null)
+    .filter(d => d)
+    .map(d => d.getTime()));
+  if (expTimes.size > 1) return "custom";
+
   // Multi-leg positions: check for known patterns with balanced quantities
   if (legs.length === 2) {
     const [a, b] = legs;
@@ -494,7 +526,9 @@ function detectPositionType_(legs) {
  *
  * @param {Array[]} rows - 2D array with header row first
  * @param {string} symbol - Uppercase ticker to filter by
- * @returns {{ shares: Array<{qty, basis}>, bullCallSpreads: Array, bullPutSpreads: Array, bearCallSpreads: Array }}
+ * Every position carries groupName and strategy (detectPositionType_ result).
+ * Bear spreads keep the lower (short) strike in kLong and the higher (long) strike in kShort.
+ * @returns {{ shares: Array<{qty, basis}>, bullCallSpreads: Array, bullPutSpreads: Array, bearCallSpreads: Array, bearPutSpreads: Array }}
  */
 function parsePositionsForSymbol_(rows, symbol) {
   const result = {
@@ -502,6 +536,7 @@ function parsePositionsForSymbol_(rows, symbol) {
     bullCallSpreads: [],
     bullPutSpreads: [],
     bearCallSpreads: [],
+    bearPutSpreads: [],
     longCalls: [],
     shortCalls: [],
     longPuts: [],
@@ -610,7 +645,7 @@ function parsePositionsForSymbol_(rows, symbol) {
 
     if (posType === "stock") {
       const leg = legs[0];
-      result.shares.push({ qty: leg.qty, basis: leg.price });
+      result.shares.push({ qty: leg.qty, basis: leg.price, groupName: group.groupName, strategy: posType });
     } else if (posType === "cash") {
       // Cash: just add the amount (qty * price or just price if qty=1)
       const leg = legs[0];
@@ -639,6 +674,8 @@ function parsePositionsForSymbol_(rows, symbol) {
         label,
         expiration: longLeg.expiration,
         symbol: lastSym,
+        groupName: group.groupName,
+        strategy: posType,
       });
     } else if (posType === "bull-put-spread") {
       const longLeg = legs.find(l => l.qty > 0);
@@ -663,6 +700,37 @@ function parsePositionsForSymbol_(rows, symbol) {
         label,
         expiration: longLeg.expiration,
         symbol: lastSym,
+        groupName: group.groupName,
+        strategy: posType,
+      });
+    } else if (posType === "bear-call-spread" || posType === "bear-put-spread") {
+      // Bear spreads: short lower strike, long higher strike.
+      // As with iron condor bear calls, kLong/priceLong hold the lower (short) leg so width = kShort - kLong.
+      const longLeg = legs.find(l => l.qty > 0);
+      const shortLeg = legs.find(l => l.qty < 0);
+      if (!longLeg || !shortLeg) continue;
+
+      const isCall = posType === "bear-call-spread";
+      const debit = longLeg.price - shortLeg.price;
+      let label = `-${shortLeg.strike}/${longLeg.strike} ${isCall ? "Bear Call" : "Bear Put"}`;
+      if (shortLeg.expiration) {
+        const expLabel = formatExpirationLabel_(shortLeg.expiration);
+        if (expLabel) label = `${expLabel} ${label}`;
+      }
+
+      (isCall ? result.bearCallSpreads : result.bearPutSpreads).push({
+        qty: Math.abs(shortLeg.qty),
+        kLong: shortLeg.strike,
+        kShort: longLeg.strike,
+        priceLong: shortLeg.price,
+        priceShort: longLeg.price,
+        debit,
+        flavor: isCall ? "BEAR_CALL" : "BEAR_PUT",
+        label,
+        expiration: shortLeg.expiration,
+        symbol: lastSym,
+        groupName: group.groupName,
+        strategy: posType,
       });
     } else if (posType === "iron-condor") {
       const puts = legs.filter(l => l.type === "Put").sort((a, b) => a.strike - b.strike);
@@ -693,6 +761,8 @@ function parsePositionsForSymbol_(rows, symbol) {
           label: label + " (put)",
           expiration: longPut.expiration,
           symbol: lastSym,
+          groupName: group.groupName,
+          strategy: posType,
         });
       }
 
@@ -714,6 +784,8 @@ function parsePositionsForSymbol_(rows, symbol) {
           label: label + " (call)",
           expiration: shortCall.expiration,
           symbol: lastSym,
+          groupName: group.groupName,
+          strategy: posType,
         });
       }
     } else if (posType === "long-call" || posType === "short-call" ||
@@ -739,6 +811,8 @@ function parsePositionsForSymbol_(rows, symbol) {
         expiration: leg.expiration,
         symbol: lastSym,
         isLong: leg.qty > 0,
+        groupName: group.groupName,
+        strategy: posType,
       };
 
       if (posType === "long-call") {
@@ -789,6 +863,7 @@ function parsePositionsForSymbol_(rows, symbol) {
           symbol: lastSym,
           expiration: expLeg?.expiration,
           groupName: group.groupName,
+          strategy: posType,
         });
       }
     }
@@ -822,6 +897,43 @@ function getSymbolsFromLegsTable_(rows) {
   return Array.from(symbols).filter(s => !skip.has(s)).sort();
 }
 
+/**
+ * Sums the cash rows of a Legs table across all symbols (account-level cash).
+ * A row is cash when its symbol is CASH or its Strategy/Type column says Cash.
+ * @param {Array[]} rows - 2D array with header row first
+ * @returns {number} Cash amount (Qty x Price per row)
+ */
+function parseAccountCash_(rows) {
+  if (!rows || rows.length < 2) return 0;
+
+  const headers = rows[0];
+  const idxSym = findColumn_(headers, ["symbol", "ticker"]);
+  const idxType = findColumn_(headers, ["type", "optiontype", "callput", "cp", "putcall", "legtype"]);
+  let idxStrat = findColumn_(headers, ["strategy", "strat", "type"]);
+  if (idxStrat >= 0 && idxStrat === idxType) idxStrat = findColumn_(headers, ["strategy", "strat"]);
+  const idxQty = findColumn_(headers, ["qty", "quantity", "contracts", "contract", "count", "shares"]);
+  const idxPrice = findColumn_(headers, ["price", "cost", "entry", "premium", "basis", "costbasis", "avgprice", "pricepaid"]);
+  if (idxQty < 0 || idxPrice < 0) return 0;
+
+  let cash = 0;
+  let lastSym = "";
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    const rawSym = idxSym >= 0 ? String(row[idxSym] ?? "").trim().toUpperCase() : "";
+    if (rawSym) lastSym = rawSym;
+
+    const typeStr = idxType >= 0 ? String(row[idxType] ?? "").trim().toLowerCase() : "";
+    const strat = idxStrat >= 0 ? parseSpreadStrategy_(row[idxStrat]) : null;
+    const isCash = lastSym === "CASH" || strat === "cash" || typeStr === "cash" || typeStr === "$" || typeStr === "usd";
+    if (!isCash) continue;
+
+    const qty = parseNumber_(row[idxQty]);
+    const price = parseNumber_(row[idxPrice]);
+    if (Number.isFinite(qty) && Number.isFinite(price)) cash += qty * price;
+  }
+  return cash;
+}
+
 // ---- Tests ----
 
 function test_parseSpreadStrategy() {
@@ -1115,6 +1227,34 @@ function test_detectPositionType_ironButterfly() {
   log.info("test", "All detectPositionType iron butterfly tests passed");
 }
 
+function test_detectPositionType_multiExpiration() {
+  assertEqual(
+    detectPositionType_([
+      { strike: 300, type: "Call", qty: 1, expiration: "6/16/2028" },
+      { strike: 450, type: "Call", qty: -1, expiration: "1/15/2027" },
+    ]),
+    "custom",
+    "diagonal (PMCC) = custom"
+  );
+  assertEqual(
+    detectPositionType_([
+      { strike: 400, type: "Call", qty: 1, expiration: "6/16/2028" },
+      { strike: 400, type: "Call", qty: -1, expiration: new Date(2027, 0, 15) },
+    ]),
+    "custom",
+    "calendar = custom"
+  );
+  assertEqual(
+    detectPositionType_([
+      { strike: 300, type: "Call", qty: 1, expiration: "6/16/2028" },
+      { strike: 450, type: "Call", qty: -1, expiration: new Date(2028, 5, 16) },
+    ]),
+    "bull-call-spread",
+    "same expiration in different formats = vertical"
+  );
+  log.info("test", "All detectPositionType multi-expiration tests passed");
+}
+
 function test_parsePositionsForSymbol_stock() {
   const rows = [
     ["Symbol", "Group", "Strategy", "Strike", "Type", "Expiration", "Qty", "Price"],
@@ -1161,3 +1301,42 @@ function test_parsePositionsForSymbol_ironCondor() {
   assertEqual(result.bearCallSpreads[0].kShort, 450, "bear call short (long) strike");
   log.info("test", "All parsePositionsForSymbol iron condor tests passed");
 }
+
+function test_parsePositionsForSymbol_bearSpreads() {
+  const rows = [
+    ["Symbol", "Group", "Strategy", "Strike", "Type", "Expiration",  "Qty", "Price"],
+    ["TSLA",   "6",     "",         "400",    "Call", "12/15/2028",  "-2",  "20.00"],
+    ["",       "",      "",         "450",    "Call", "12/15/2028",  "2",   "12.00"],
+    ["TSLA",   "7",     "",         "300",    "Put",  "12/15/2028",  "-4",  "18.00"],
+    ["",       "",      "",         "350",    "Put",  "12/15/2028",  "4",   "30.00"],
+  ];
+  const result = parsePositionsForSymbol_(rows, "TSLA");
+  assertEqual(result.bearCallSpreads.length, 1, "one bear call");
+  const bear = result.bearCallSpreads[0];
+  assertEqual(bear.kLong, 400, "bear call lower (short) strike");
+  assertEqual(bear.kShort, 450, "bear call higher (long) strike");
+  assertEqual(bear.debit, -8, "bear call credit = 12 - 20");
+  assertEqual(bear.flavor, "BEAR_CALL", "bear call flavor");
+  assertEqual(result.bearPutSpreads.length, 1, "one bear put");
+  const bps = result.bearPutSpreads[0];
+  assertEqual(bps.qty, 4, "bear put qty");
+  assertEqual(bps.kLong, 300, "bear put lower (short) strike");
+  assertEqual(bps.kShort, 350, "bear put higher (long) strike");
+  assertEqual(bps.debit, 12, "bear put debit = 30 - 18");
+  assertEqual(bps.flavor, "BEAR_PUT", "bear put flavor");
+  log.info("test", "All parsePositionsForSymbol bear spread tests passed");
+}
+
+function test_parseAccountCash() {
+  const rows = [
+    ["Symbol", "Group", "Strategy", "Strike", "Type",  "Expiration", "Qty", "Price"],
+    ["TSLA",   "1",     "",         "",       "Stock", "",           "100", "333"],
+    ["CASH",   "2",     "Cash",     "",       "Cash",  "",           "1",   "5000"],
+    ["SPY",    "3",     "",         "",       "Stock", "",           "10",  "500"],
+    ["",       "4",     "",         "",       "Cash",  "",           "1",   "-1200"],
+  ];
+  const cash = parseAccountCash_(rows);
+  assertEqual(cash, 3800, "cash rows summed across symbols");
+  assertEqual(parseAccountCash_([["Symbol", "Qty"]]), 0, "no price column");
+  log.info("test", "All parseAccountCash tests passed");
+}
@@ -0,0 +1,157 @@
+/**
+ * Probability.js
+ * Lognormal price probabilities used to score spreads.
+ *
+ * Prices follow geometric Brownian motion with the option's implied volatility,
+ * so probabilities account for both time to expiration and IV.
+ *
+ * - probFinishAbove_ / probFinishBelow_: probability of finishing past a strike (N(d2))
+ * - probTouch_: probability of touching a price at any time before expiration
+ *   (reflection principle for a drifted Brownian motion)
+ */
+
+/** Probability models selectable in the call spread config */
+const PROBABILITY_MODELS = ["touch", "itm", "delta"];
+
+/**
+ * Probability that the stock finishes above K at expiration (lognormal, N(d2)).
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike or target price
+ * @param {number} t - Years to expiration
+ * @param {number} sigma - Implied volatility (decimal)
+ * @param {number} [r] - Risk-free rate (default OPTION_PRICING_DEFAULTS.riskFreeRate)
+ * @returns {number} Probability 0-1
+ */
+function probFinishAbove_(S, K, t, sigma, r) {
+  if (!(S > 0) || !(K > 0)) return NaN;
+  if (!(t > 0) || !(sigma > 0)) return S > K ? 1 : 0;
+  r = r ?? OPTION_PRICING_DEFAULTS.riskFreeRate;
+
+  const d2 = (Math.log(S / K) + (r - sigma * sigma / 2) * t) / (sigma * Math.sqrt(t));
+  return normCdf_(d2);
+}
+
+/**
+ * Probability that the stock finishes below K at expiration (lognormal).
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike or target price
+ * @param {number} t - Years to expiration
+ * @param {number} sigma - Implied volatility (decimal)
+ * @param {number} [r] - Risk-free rate
+ * @returns {number} Probability 0-1
+ */
+function probFinishBelow_(S, K, t, sigma, r) {
+  const p = probFinishAbove_(S, K, t, sigma, r);
+  return Number.isFinite(p) ? 1 - p : NaN;
+}
+
+/**
+ * Probability that the stock touches barrier B at any time before expiration.
+ * Uses the reflection principle for log-price with drift mu = r - sigma^2/2:
+ *   up barrier (B > S), b = ln(B/S):
+ *     P = N((-b + mu t) / (sigma sqrt t)) + e^(2 mu b / sigma^2) N((-b - mu t) / (sigma sqrt t))
+ *   down barrier mirrors it.
+ * @param {number} S - Current stock price
+ * @param {number} B - Barrier price
+ * @param {number} t - Years to expiration
+ * @param {number} sigma - Implied volatility (decimal)
+ * @param {number} [r] - Risk-free rate
+ * @returns {number} Probability 0-1
+ */
+function probTouch_(S, B, t, sigma, r) {
+  if (!(S > 0) || !(B > 0)) return NaN;
+  if (S === B) return 1;
+  if (!(t > 0) || !(sigma > 0)) return 0;
+  r = r ?? OPTION_PRICING_DEFAULTS.riskFreeRate;
+
+  const mu = r - sigma * sigma / 2;
+  const b = Math.log(B / S);
+  const sd = sigma * Math.sqrt(t);
+  const reflect = Math.exp(2 * mu * b / (sigma * sigma));
+
+  const p = b > 0
+    ? normCdf_((-b + mu * t) / sd) + reflect * normCdf_((-b - mu * t) / sd)
+    : normCdf_((b - mu * t) / sd) + reflect * normCdf_((b + mu * t) / sd);
+
+  return Math.max(0, Math.min(1, p));
+}
+
+/**
+ * Black-Scholes delta from IV, used when the upload has no Delta column.
+ * @param {number} S - Current stock price
+ * @param {number} K - Strike
+ * @param {number} t - Years to expiration
+ * @param {number} sigma - Implied volatility (decimal)
+ * @param {string} type - "Call" or "Put"
+ * @param {number} [r] - Risk-free rate
+ * @returns {number} Delta (calls 0..1, puts -1..0)
+ */
+function deltaFromIV_(S, K, t, sigma, type, r) {
+  if (!(S > 0) || !(K > 0)) return 0;
+  r = r ?? OPTION_PRICING_DEFAULTS.riskFreeRate;
+  return bsGreeks_(S, K, t, r, sigma, type).delta;
+}
+
+/**
+ * Probability that a bull call spread reaches its profit target (short strike),
+ * using the selected model.
+ *
+ * - "touch": stock touches the short strike before expiration (allows early exit)
+ * - "itm":   stock finishes above the short strike at expiration
+ * - "delta": legacy rule of touch, 1.6 x short delta capped at 95%
+ *
+ * "touch" and "itm" need the short leg's IV; without it they fall back to "delta".
+ * "delta" derives delta from IV when the upload has no Delta column.
+ *
+ * @param {string} model - "touch", "itm", or "delta"
+ * @param {Object} shortLeg - Short option {strike, iv, delta}
+ * @param {number} S - Current stock price
+ * @param {number} t - Years to expiration
+ * @param {number} [r] - Risk-free rate
+ * @returns {number} Probability 0-1
+ */
+function calcTargetProbability_(model, shortLeg, S, t, r) {
+  const iv = shortLeg.iv || 0;
+  const hasModelInputs = iv > 0 && S > 0 && t > 0;
+
+  if (model === "touch" && hasModelInputs) return probTouch_(S, shortLeg.strike, t, iv, r);
+  if (model === "itm" && hasModelInputs) return probFinishAbove_(S, shortLeg.strike, t, iv, r);
+
+  let delta = Math.abs(shortLeg.delta || 0);
+  if (delta === 0 && hasModelInputs) {
+    delta = Math.abs(deltaFromIV_(S, shortLeg.strike, t, iv, "Call", r));
+  }
+  return Math.min(delta * 1.6, 0.95);
+}
+
+/**
+ * Test probability helpers against known values.
+ */
+function test_probabilityModels() {
+  // At the money: finishing above is slightly under 50% (drift r - sigma^2/2 < 0 here)
+  assertEqual(roundTo_(probFinishAbove_(100, 100, 1, 0.5, 0.04), 3), 0.433, "ATM prob finish above");
+  assertEqual(roundTo_(probFinishBelow_(100, 100, 1, 0.5, 0.04), 3), 0.567, "ATM prob finish below");
+
+  // Touch is always at least as likely as finishing beyond the barrier
+  const up = probTouch_(100, 130, 1, 0.5, 0.04);
+  const upFinish = probFinishAbove_(100, 130, 1, 0.5, 0.04);
+  assertEqual(up > upFinish, true, "touch >= finish above for up barrier");
+
+  const down = probTouch_(100, 70, 1, 0.5, 0.04);
+  const downFinish = probFinishBelow_(100, 70, 1, 0.5, 0.04);
+  assertEqual(down > downFinish, true, "touch >= finish below for down barrier");
+
+  // Zero drift: touch is exactly 2x finish beyond (reflection principle)
+  const sigma = Math.sqrt(2 * 0.04);
+  assertEqual(roundTo_(probTouch_(100, 130, 1, sigma, 0.04), 4),
+    roundTo_(2 * probFinishAbove_(100, 130, 1, sigma, 0.04), 4), "zero-drift reflection");
+
+  // Longer time and higher IV make touching more likely
+  assertEqual(probTouch_(100, 130, 2, 0.5) > probTouch_(100, 130, 1, 0.5), true, "more time -> more likely");
+  assertEqual(probTouch_(100, 130, 1, 0.8) > probTouch_(100, 130, 1, 0.5), true, "more IV -> more likely");
+
+  // Missing delta falls back to IV-derived delta instead of 0
+  const leg = { strike: 130, iv: 0.5, delta: 0 };
+  assertEqual(calcTargetProbability_("delta", leg, 100, 1) > 0, true, "delta model without Delta column");
+  assertEqual(calcTargetProbability_("touch", { strike: 130, iv: 0, delta: 0.3 }, 100, 1), 0.48, "touch falls back to delta rule without IV");
+}
@@ -0,0 +1,382 @@
+/**
+ * UnderlyingPrice.js
+ * One place to get a stock's current price, with a fixed fallback order:
+ *
+ *   1. Override      - manual price on the Prices sheet
+ *   2. Upload        - stock price captured from the last option price upload
+ *   3. Parity        - spot implied by put-call parity (ImpliedParity sheet, else S ≈ K + C - P)
+ *   4. GOOGLEFINANCE - live formula kept on the Prices sheet
+ *   5. ATM delta     - strike with |delta| closest to 0.5 (last resort)
+ *
+ * Every result says which source it came from, so callers can report it.
+ *
+ * Prices sheet columns:
+ *   Symbol | Override | UploadPrice | UploadDate | GoogleFinance
+ * Rows are added when option prices are uploaded, or the first time a symbol is looked up.
+ */
+
+const PRICES_SHEET = "Prices";
+
+/** Column order on the Prices sheet */
+const PRICES_HEADERS = ["Symbol", "Override", "UploadPrice", "UploadDate", "GoogleFinance"];
+
+/* =========================================================
+   Public service
+   ========================================================= */
+
+/**
+ * Returns the current price for a symbol and the source it came from.
+ * Results are cached per execution.
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @param {Object} [opts]
+ * @param {Array} [opts.chain] - Uploaded options for the symbol (loaded when omitted)
+ * @param {boolean} [opts.readOnly] - Never write to the Prices sheet (custom functions cannot write)
+ * @returns {{price: number|null, source: string, asOf: Date|null}} source is "None" when nothing worked
+ */
+function getUnderlyingPrice_(ss, symbol, opts = {}) {
+  const sym = (symbol || "").toString().trim().toUpperCase();
+  const cacheKey = opts.readOnly ? sym + "|readOnly" : sym;
+  getUnderlyingPrice_.cache = getUnderlyingPrice_.cache || {};
+  if (getUnderlyingPrice_.cache[cacheKey]) return getUnderlyingPrice_.cache[cacheKey];
+
+  const row = readPricesSheet_(ss)[sym] || {};
+  let chain = opts.chain;
+  const loadChain = () => {
+    if (!chain) {
+      try {
+        chain = getUploadedOptionChain_(ss, sym);
+      } catch (e) {
+        chain = [];
+      }
+    }
+    return chain;
+  };
+
+  let result = null;
+  if (row.override > 0) {
+    result = { price: row.override, source: "Override", asOf: null };
+  } else if (row.uploadPrice > 0) {
+    result = { price: row.uploadPrice, source: "Upload", asOf: row.uploadDate || null };
+  } else {
+    const implied = getImpliedSpot_(ss, sym);
+    const parity = implied ? implied.spot : estimateParityPrice_(loadChain());
+    if (parity > 0) {
+      result = { price: parity, source: "Parity", asOf: implied ? implied.dataDate : null };
+    } else {
+      const live = opts.readOnly ? (row.googleFinance > 0 ? row.googleFinance : null)
+        : readGoogleFinancePrice_(ss, sym, row);
+      if (live > 0) {
+        result = { price: live, source: "GOOGLEFINANCE", asOf: null };
+      } else {
+        const atm = estimateAtmDeltaStrike_(loadChain());
+        if (atm > 0) result = { price: atm, source: "ATM delta", asOf: null };
+      }
+    }
+  }
+
+  result = result || { price: null, source: "None", asOf: null };
+  log.debug("price", `${sym} underlying price: ${result.price} (${result.source})`);
+  getUnderlyingPrice_.cache[cacheKey] = result;
+  return result;
+}
+
+/**
+ * Formats a price result for summaries, e.g. "$420.12 (Upload 1/15/2026)".
+ * @param {{price, source, asOf}} result - From getUnderlyingPrice_
+ * @returns {string}
+ */
+function describeUnderlyingPrice_(result) {
+  if (!result || !(result.price > 0)) return "unknown";
+  const asOf = result.asOf ? " " + formatDateMDYYYY_(result.asOf) : "";
+  return `$${result.price.toFixed(2)} (${result.source}${asOf})`;
+}
+
+/**
+ * Current stock price for a cell formula, from getUnderlyingPrice_.
+ * As a custom function it only reads the Prices sheet; a symbol without a GOOGLEFINANCE row is not added.
+ *
+ * @param {string} symbol - Ticker (e.g. "TSLA")
+ * @return {number|string} Price, or an error string
+ * @customfunction
+ */
+function UNDERLYING_PRICE(symbol) {
+  const sym = (symbol || "").toString().trim().toUpperCase();
+  if (!sym) return "#No symbol";
+  const result = getUnderlyingPrice_(SpreadsheetApp.getActiveSpreadsheet(), sym, { readOnly: true });
+  return result.price > 0 ? result.price : "#No underlying price for " + sym;
+}
+
+/* =========================================================
+   Estimates from the uploaded chain
+   ========================================================= */
+
+/**
+ * Estimates the stock price by put-call parity (S ≈ K + C - P), using the
+ * call/put pair whose prices are closest (the strike nearest the money).
+ * @param {Array} options - Option objects with expiration, strike, type, mid
+ * @returns {number} Price, or 0 if no call/put pair has prices
+ */
+function estimateParityPrice_(options) {
+  const calls = {};
+  for (const o of options || []) {
+    if (o.type === "Call" && o.mid > 0) calls[`${o.expiration}|${o.strike}`] = o.mid;
+  }
+  let bestGap = Infinity;
+  let bestPrice = 0;
+  for (const o of options || []) {
+    if (o.type !== "Put" || !(o.mid > 0)) continue;
+    const callMid = calls[`${o.expiration}|${o.strike}`];
+    if (callMid === undefined) continue;
+    const gap = Math.abs(callMid - o.mid);
+    if (gap < bestGap) {
+      bestGap = gap;
+      bestPrice = o.strike + callMid - o.mid;
+    }
+  }
+  return roundTo_(bestPrice, 2) || 0;
+}
+
+/**
+ * Returns the strike with |delta| closest to 0.5.
+ * @param {Array} options - Option objects with strike and delta
+ * @returns {number} Strike, or 0 if no option has a delta
+ */
+function estimateAtmDeltaStrike_(options) {
+  let bestDist = Infinity;
+  let bestStrike = 0;
+  for (const o of options || []) {
+    if (!o.delta) continue;
+    const dist = Math.abs(Math.abs(o.delta) - 0.5);
+    if (dist < bestDist) {
+      bestDist = dist;
+      bestStrike = o.strike;
+    }
+  }
+  return bestStrike;
+}
+
+/**
+ * Recovers the stock price from Barchart's Moneyness column.
+ * For calls, Moneyness = (S - K) / S, so S = K / (1 - Moneyness).
+ * Uses the call nearest the money, where rounding of the percentage matters least.
+ *
+ * @param {Array<Array>} rows - Upload rows [symbol, expiration, strike, type, bid, mid, ask, iv, delta, volume, openint, moneyness, ...]
+ * @returns {number|null} Price, or null if no call has a moneyness
+ */
+function stockPriceFromMoneyness_(rows) {
+  let best = null;
+  for (const r of rows) {
+    const strike = r[2];
+    const moneyness = r[11];
+    if (r[3] !== "Call" || !Number.isFinite(moneyness) || !(strike > 0) || moneyness >= 1) continue;
+    if (!best || Math.abs(moneyness) < Math.abs(best.moneyness)) best = { strike, moneyness };
+  }
+  return best ? roundTo_(best.strike / (1 - best.moneyness), 2) : null;
+}
+
+/* =========================================================
+   Prices sheet
+   ========================================================= */
+
+/**
+ * Creates the Prices sheet if it does not exist.
+ * @param {Spreadsheet} ss
+ * @returns {Sheet}
+ */
+function ensurePricesSheet_(ss) {
+  let sheet = ss.getSheetByName(PRICES_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(PRICES_SHEET);
+
+  const headerNotes = [
+    "Stock ticker symbol",
+    "Manual price. When set, it is used everywhere instead of the other sources",
+    "Stock price captured from the last option price upload (Moneyness column)",
+    "Data date of the upload that captured UploadPrice",
+    "Live GOOGLEFINANCE price, used when no upload price or parity estimate is available"
+  ];
+
+  const headerRange = sheet.getRange(1, 1, 1, PRICES_HEADERS.length);
+  headerRange.setValues([PRICES_HEADERS]);
+  headerRange.setNotes([headerNotes]);
+  headerRange.setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+
+  sheet.setColumnWidth(1, 80);   // Symbol
+  sheet.setColumnWidth(2, 90);   // Override
+  sheet.setColumnWidth(3, 100);  // UploadPrice
+  sheet.setColumnWidth(4, 100);  // UploadDate
+  sheet.setColumnWidth(5, 110);  // GoogleFinance
+  sheet.setFrozenRows(1);
+
+  return sheet;
+}
+
+/**
+ * Reads the Prices sheet once per execution.
+ * @param {Spreadsheet} ss
+ * @returns {Object} { SYMBOL: {row, override, uploadPrice, uploadDate, googleFinance} }
+ */
+function readPricesSheet_(ss) {
+  if (readPricesSheet_.cache) return readPricesSheet_.cache;
+
+  const rows = {};
+  const sheet = ss && ss.getSheetByName(PRICES_SHEET);
+  if (sheet && sheet.getLastRow() >= 2) {
+    const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, PRICES_HEADERS.length).getValues();
+    const num = (v) => typeof v === "number" && isFinite(v) ? v : (parseFloat(v) || null);
+    data.forEach((r, i) => {
+      const sym = (r[0] || "").toString().trim().toUpperCase();
+      if (!sym) return;
+      rows[sym] = {
+        row: i + 2,
+        override: num(r[1]),
+        uploadPrice: num(r[2]),
+        uploadDate: r[3] ? parseDateAtMidnight_(r[3]) : null,
+        googleFinance: num(r[4])
+      };
+    });
+  }
+  readPricesSheet_.cache = rows;
+  return rows;
+}
+
+/**
+ * Records stock prices captured during an option upload.
+ * A price only replaces one from the same or an older data date.
+ * @param {Spreadsheet} ss
+ * @param {Array<{symbol: string, price: number, dataDate: Date}>} captured
+ */
+function recordUploadPrices_(ss, captured) {
+  if (captured.length === 0) return;
+  const sheet = ensurePricesSheet_(ss);
+  readPricesSheet_.cache = null;
+  const existing = readPricesSheet_(ss);
+
+  for (const c of captured) {
+    const row = existing[c.symbol];
+    if (row) {
+      if (row.uploadDate && c.dataDate < row.uploadDate) continue;
+      sheet.getRange(row.row, 3, 1, 2).setValues([[c.price, c.dataDate]]);
+    } else {
+      appendPricesRow_(sheet, c.symbol, [c.price, c.dataDate]);
+    }
+  }
+  sheet.getRange(2, 3, Math.max(1, sheet.getLastRow() - 1), 1).setNumberFormat("$#,##0.00");
+  sheet.getRange(2, 4, Math.max(1, sheet.getLastRow() - 1), 1).setNumberFormat("m/d/yyyy");
+
+  readPricesSheet_.cache = null;
+  getUnderlyingPrice_.cache = null;
+}
+
+/**
+ * Appends a symbol row with its GOOGLEFINANCE formula.
+ * @param {Sheet} sheet - Prices sheet
+ * @param {string} symbol
+ * @param {Array} upload - [UploadPrice, UploadDate], blank for lookups
+ * @returns {number} Row number
+ */
+function appendPricesRow_(sheet, symbol, upload) {
+  const row = sheet.getLastRow() + 1;
+  sheet.getRange(row, 1, 1, 4).setValues([[symbol, "", upload[0], upload[1]]]);
+  sheet.getRange(row, 5).setFormula(`=GOOGLEFINANCE(A${row})`);
+  return row;
+}
+
+/**
+ * Reads the live GOOGLEFINANCE price from the Prices sheet, adding the symbol's
+ * row first if needed. Writes to the sheet, so custom functions skip it (opts.readOnly).
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @param {Object} row - Entry from readPricesSheet_, or {}
+ * @returns {number|null}
+ */
+function readGoogleFinancePrice_(ss, symbol, row) {
+  if (row.googleFinance > 0) return row.googleFinance;
+  try {
+    const sheet = ensurePricesSheet_(ss);
+    const rowNum = row.row || appendPricesRow_(sheet, symbol, ["", ""]);
+    readPricesSheet_.cache = null;
+
+    // A new formula can take a moment to load
+    for (let attempt = 0; attempt < 3; attempt++) {
+      SpreadsheetApp.flush();
+      const val = sheet.getRange(rowNum, 5).getValue();
+      if (typeof val === "number" && isFinite(val) && val > 0) return val;
+      Utilities.sleep(500 + attempt * 500);
+    }
+  } catch (e) {
+    log.warn("price", `Could not read GOOGLEFINANCE price for ${symbol}: ${e}`);
+  }
+  return null;
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test chain-based price estimates and the fallback order.
+ */
+function test_underlyingPrice() {
+  const chain = [
+    { expiration: "6/16/2028", strike: 400, type: "Call", mid: 130, delta: 0.62 },
+    { expiration: "6/16/2028", strike: 400, type: "Put", mid: 95, delta: -0.38 },
+    { expiration: "6/16/2028", strike: 450, type: "Call", mid: 110, delta: 0.55 },
+    { expiration: "6/16/2028", strike: 450, type: "Put", mid: 120, delta: -0.45 }
+  ];
+  // Closest call/put pair is 450: 450 + 110 - 120 = 440
+  assertEqual(estimateParityPrice_(chain), 440, "parity price");
+  assertEqual(estimateAtmDeltaStrike_(chain), 450, "ATM delta strike");
+  assertEqual(estimateParityPrice_(chain.filter(o => o.type === "Call")), 0, "no pairs, no parity");
+
+  // Barchart moneyness (S - K) / S with S = 238.2
+  const rows = [
+    ["AMZN", null, 115, "Call", 0, 0, 0, null, null, null, null, 0.5172],
+    ["AMZN", null, 240, "Call", 0, 0, 0, null, null, null, null, -0.0076],
+    ["AMZN", null, 240, "Put", 0, 0, 0, null, null, null, null, 0.0076]
+  ];
+  assertEqual(stockPriceFromMoneyness_(rows), 238.19, "price from moneyness", 0.01);
+  assertEqual(stockPriceFromMoneyness_(rows.slice(2)), null, "puts are ignored");
+
+  // Fallback order with a fake Prices sheet
+  const fakeSs = (values) => ({
+    getSheetByName: (name) => name !== PRICES_SHEET ? null : ({
+      getLastRow: () => 2,
+      getRange: () => ({ getValues: () => [values] })
+    })
+  });
+  const price = (values, opts) => {
+    getUnderlyingPrice_.cache = null;
+    readPricesSheet_.cache = null;
+    getImpliedParity_.cache = null;
+    return getUnderlyingPrice_(fakeSs(values), "TSLA", opts);
+  };
+  assertEqual(price(["TSLA", 425, 420, "1/15/2026", 430], { chain }).source, "Override", "override first");
+  assertEqual(price(["TSLA", "", 420, "1/15/2026", 430], { chain }).source, "Upload", "upload second");
+  assertEqual(price(["TSLA", "", "", "", 430], { chain }).source, "Parity", "parity third");
+  assertEqual(price(["TSLA", "", "", "", 430], { chain: [] }).price, 430, "GOOGLEFINANCE fourth");
+  assertEqual(price(["TSLA", "", "", "", 430], { chain: [], readOnly: true }).price, 430, "read-only still reads GOOGLEFINANCE");
+
+  // Read-only lookups never add a GOOGLEFINANCE row for a new symbol
+  let writes = 0;
+  const writableSs = {
+    getSheetByName: (name) => name !== PRICES_SHEET ? null : ({
+      getLastRow: () => 2,
+      getRange: () => ({ getValues: () => [["AMZN", "", "", "", ""]], setValues: () => writes++, setFormula: () => writes++ })
+    })
+  };
+  getUnderlyingPrice_.cache = null;
+  readPricesSheet_.cache = null;
+  assertEqual(getUnderlyingPrice_(writableSs, "TSLA", { chain: [], readOnly: true }).source, "None", "read-only, no price");
+  assertEqual(writes, 0, "read-only does not write");
+  getUnderlyingPrice_.cache = null;
+  readPricesSheet_.cache = null;
+  getUnderlyingPrice_(writableSs, "TSLA", { chain: [] });
+  assertEqual(writes > 0, true, "default lookup adds the formula row");
+  getUnderlyingPrice_.cache = null;
+  readPricesSheet_.cache = null;
+  getImpliedParity_.cache = null;
+}
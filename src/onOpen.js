@@ -9,12 +9,18 @@ function setupSpreadFinderMenu() {
     .addItem('Upload Option Prices...', 'showUploadOptionPricesDialog')
     .addSeparator()
     .addItem('Run Call Spread Finder', 'showCallSpreadFinderDialog')
-    .addItem('View Call Spread Graphs', 'showSpreadFinderGraphs');
+    .addItem('Run Put Spread Finder', 'showPutSpreadFinderDialog')
+    .addItem('Run Iron Condor Finder', 'showIronCondorFinderDialog')
+    .addItem('Run Calendar/Diagonal Finder', 'showCalendarSpreadFinderDialog')
+    .addItem('View Call Spread Graphs', 'showSpreadFinderGraphs')
+    .addItem('View Volatility', 'showVolatilityDialog');
 
   const portfolioMenu = ui.createMenu('Portfolio')
     .addItem('Upload Portfolio/Transactions...', 'showUploadRebuildDialog')
     .addSeparator()
-    .addItem('View Performance Graphs', 'PlotPortfolioValueByPrice');
+    .addItem('View Performance Graphs', 'PlotPortfolioValueByPrice')
+    .addItem('Update Portfolio Risk (Greeks)', 'updatePortfolioRisk')
+    .addItem('Update Value History', 'updateValueHistory');
 
   ui.createMenu('OptionTools')
     .addItem('Initialize / Clear Project', 'initializeProject')
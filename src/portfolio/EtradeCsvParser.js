@@ -6,6 +6,24 @@
  * into normalized transaction objects that can be processed by PositionBuilder.
  */
 
+/** Importer registry entry, see getBrokerageImporters_ in ImportPortfolio.js */
+const ETRADE_IMPORTER = {
+  broker: "E*Trade",
+  detect: (content) => scoreCsvHeaderFormats_(content, [
+    { kinds: ["transactions"], label: "E*Trade transaction history",
+      columns: ["TransactionDate", "TransactionType", "SecurityType", "Symbol", "Quantity", "Amount", "Price", "Commission", "Description"] },
+    { kinds: ["transactions"], label: "E*Trade transaction history",
+      columns: ["Activity/Trade Date", "Transaction Date", "Settlement Date", "Activity Type", "Description", "Symbol", "Cusip", "Quantity #", "Price $", "Amount $", "Commission"] },
+    { kinds: ["portfolio"], label: "E*Trade portfolio download",
+      columns: ["Symbol", "Last Price $", "Change $", "Change %", "Quantity", "Price Paid $", "Day's Gain $", "Total Gain $", "Total Gain %", "Value $"] },
+  ]),
+  parseTransactions: parseEtradeTransactionsFromCsv_,
+  parsePositions: (content, stockTxns) => ({
+    ...parseEtradePortfolioStocksAndCash_(content, stockTxns),
+    options: parseEtradePortfolioOptionsWithPrices_(content),
+  }),
+};
+
 /**
  * Parses E*Trade transaction CSV content.
  * Supports both old format (TransactionDate header) and new format (Activity/Trade Date header).
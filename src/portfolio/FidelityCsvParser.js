@@ -0,0 +1,368 @@
+/**
+ * FidelityCsvParser.js
+ * Fidelity-specific CSV parsing functions.
+ *
+ * Parses the Fidelity "Accounts History" and "Portfolio Positions" CSV exports into
+ * the same normalized transaction and position objects as EtradeCsvParser.js, so
+ * PositionBuilder can process them unchanged.
+ *
+ * Fidelity quirks handled here:
+ *   - Option symbols look like "-TSLA280616C500" (leading dash, YYMMDD, strike in dollars)
+ *   - The side and open/close are only in the Action text, e.g.
+ *     "YOU SOLD OPENING TRANSACTION CALL (TSLA) TESLA INC JUN 16 28 $600 (100 SHS) (Margin)"
+ *   - Idle cash is swept into a money market fund (SPAXX**, FDRXX**, ...), which shows up
+ *     as purchases/redemptions in the history and as a position in the positions export
+ *   - Both exports end with disclaimer lines
+ */
+
+/** Money market funds Fidelity uses as the core (cash sweep) position */
+const FIDELITY_CASH_SWEEP_SYMBOLS = ["SPAXX", "FDRXX", "FZFXX", "SPRXX", "FCASH", "CORE"];
+
+/** Importer registry entry, see getBrokerageImporters_ in ImportPortfolio.js */
+const FIDELITY_IMPORTER = {
+  broker: "Fidelity",
+  detect: (content) => scoreCsvHeaderFormats_(content, [
+    { kinds: ["transactions"], label: "Fidelity accounts history",
+      columns: ["Run Date", "Action", "Symbol", "Description", "Type", "Quantity", "Price ($)", "Commission ($)", "Fees ($)", "Amount ($)", "Settlement Date"] },
+    { kinds: ["portfolio"], label: "Fidelity portfolio positions",
+      columns: ["Account Number", "Account Name", "Symbol", "Description", "Quantity", "Last Price", "Current Value", "Cost Basis Total", "Average Cost Basis", "Type"] },
+  ]),
+  parseTransactions: parseFidelityTransactionsFromCsv_,
+  parsePositions: (content, stockTxns) => ({
+    ...parseFidelityPortfolioStocksAndCash_(content, stockTxns),
+    options: parseFidelityPortfolioOptionsWithPrices_(content),
+  }),
+};
+
+/**
+ * Parses Fidelity Accounts History CSV content.
+ *
+ * @param {string} csvContent - Raw CSV content
+ * @returns {{ transactions: Object[], stockTxns: Object[] }}
+ */
+function parseFidelityTransactionsFromCsv_(csvContent) {
+  const lines = csvContent.split(/\r?\n/);
+  const transactions = [];
+  const stockTxns = [];
+
+  // Find header row (the export starts with blank lines)
+  let headerIdx = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim().startsWith("Run Date,")) {
+      headerIdx = i;
+      break;
+    }
+  }
+  if (headerIdx < 0) {
+    throw new Error(
+      "Fidelity Accounts History CSV: Could not find header row.\n" +
+      "Expected row starting with 'Run Date,'\n" +
+      "Tip: Make sure you're uploading the Accounts History CSV from Fidelity."
+    );
+  }
+
+  const headers = parseCsvLineIntoFields_(lines[headerIdx]);
+  const required = validateRequiredColumns_(headers, [
+    { name: "Date", aliases: ["run date"] },
+    { name: "Action", aliases: ["action"] },
+    { name: "Symbol", aliases: ["symbol"] },
+    { name: "Quantity", aliases: ["quantity"] },
+    { name: "Price", aliases: ["price ($)", "price"] },
+  ], "Fidelity Accounts History CSV");
+  const optional = findOptionalColumns_(headers, [
+    { name: "Description", aliases: ["description"] },
+    { name: "Amount", aliases: ["amount ($)", "amount"] },
+  ]);
+
+  // Option action text → flags and the sign of the quantity. "EXPIRED" needs no row:
+  // past expirations without a close are priced at 0.
+  const optionActions = [
+    { pattern: /YOU BOUGHT OPENING TRANSACTION/, isOpen: true, sign: 1 },
+    { pattern: /YOU SOLD OPENING TRANSACTION/, isOpen: true, sign: -1 },
+    { pattern: /YOU BOUGHT CLOSING TRANSACTION/, isClosed: true, sign: 1 },
+    { pattern: /YOU SOLD CLOSING TRANSACTION/, isClosed: true, sign: -1 },
+    { pattern: /^ASSIGNED/, isAssigned: true, sign: 1 },
+    { pattern: /EXERCISED/, isExercised: true, sign: -1 },
+  ];
+
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const cols = parseCsvLineIntoFields_(line);
+    // Disclaimer and "Date downloaded" lines have no date in the first column
+    const dateStr = (cols[required.Date] || "").trim();
+    if (!/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(dateStr)) continue;
+
+    const action = (cols[required.Action] || "").toUpperCase();
+    const symbol = (cols[required.Symbol] || "").trim();
+    const desc = optional.Description >= 0 ? cols[optional.Description] || "" : "";
+    const qty = Math.abs(parseNumber_(cols[required.Quantity])) || 0;
+    const price = parseNumber_(cols[required.Price]) || 0;
+    const amount = optional.Amount >= 0 ? (parseNumber_(cols[optional.Amount]) || 0) : 0;
+
+    const parsed = parseFidelityOptionSymbol_(symbol);
+
+    if (!parsed) {
+      // Sweeps into and out of the money market fund are cash, not trades
+      if (!symbol || isFidelityCashSweep_(symbol, desc)) continue;
+
+      const txnType = /^YOU BOUGHT/.test(action) ? "Bought" : /^YOU SOLD/.test(action) ? "Sold" : null;
+      if (txnType) {
+        stockTxns.push({
+          date: dateStr,
+          txnType,
+          ticker: symbol.toUpperCase(),
+          qty,
+          price,
+        });
+      }
+      continue;
+    }
+
+    const flags = optionActions.find(a => a.pattern.test(action));
+    if (!flags) continue;
+
+    transactions.push({
+      date: dateStr,
+      txnType: action.match(flags.pattern)[0],
+      ticker: parsed.ticker,
+      expiration: parsed.expiration,
+      strike: parsed.strike,
+      optionType: parsed.type,
+      qty: flags.sign * qty,
+      price,
+      amount,
+      isOpen: !!flags.isOpen,
+      isClosed: !!flags.isClosed,
+      isExercised: !!flags.isExercised,
+      isAssigned: !!flags.isAssigned,
+    });
+  }
+
+  return { transactions, stockTxns };
+}
+
+/**
+ * Parses a Fidelity option symbol like "-TSLA280616C500" or "-SPY260320P562.5".
+ * @param {string} symbol
+ * @returns {{ ticker, expiration, strike, type }|null} Expiration as "M/D/YYYY"; null for non-options
+ */
+function parseFidelityOptionSymbol_(symbol) {
+  const match = String(symbol || "").trim().match(/^-([A-Z.]+)(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/i);
+  if (!match) return null;
+
+  const [, ticker, yy, mm, dd, typeChar, strike] = match;
+  return {
+    ticker: ticker.toUpperCase(),
+    expiration: `${parseInt(mm, 10)}/${parseInt(dd, 10)}/${2000 + parseInt(yy, 10)}`,
+    strike: parseFloat(strike),
+    type: typeChar.toUpperCase() === "C" ? "Call" : "Put",
+  };
+}
+
+/**
+ * True for Fidelity's core money market (cash sweep) position, e.g. "SPAXX**".
+ * @param {string} symbol
+ * @param {string} [description]
+ * @returns {boolean}
+ */
+function isFidelityCashSweep_(symbol, description) {
+  const sym = String(symbol || "").trim().toUpperCase();
+  if (sym.endsWith("**")) return true;
+  if (FIDELITY_CASH_SWEEP_SYMBOLS.includes(sym)) return true;
+  return /MONEY MARKET|CORE ACCOUNT/i.test(description || "");
+}
+
+/**
+ * Reads the position rows of a Fidelity Portfolio Positions CSV.
+ *
+ * @param {string} csvContent - Raw CSV content
+ * @returns {Array<{symbol, description, qty, costBasis, avgCost, currentValue}>}
+ */
+function readFidelityPositionRows_(csvContent) {
+  const lines = csvContent.split(/\r?\n/);
+
+  let headerIdx = -1;
+  for (let i = 0; i < lines.length; i++) {
+    if (lines[i].trim().startsWith("Account Number,")) {
+      headerIdx = i;
+      break;
+    }
+  }
+  if (headerIdx < 0) {
+    throw new Error(
+      "Fidelity Portfolio Positions CSV: Could not find header row.\n" +
+      "Expected row starting with 'Account Number,'\n" +
+      "Tip: Make sure you're uploading the Portfolio Positions CSV from Fidelity."
+    );
+  }
+
+  const headers = parseCsvLineIntoFields_(lines[headerIdx]);
+  const required = validateRequiredColumns_(headers, [
+    { name: "Symbol", aliases: ["symbol"] },
+    { name: "Quantity", aliases: ["quantity"] },
+  ], "Fidelity Portfolio Positions CSV");
+  const optional = findOptionalColumns_(headers, [
+    { name: "Description", aliases: ["description"] },
+    { name: "CurrentValue", aliases: ["current value"] },
+    { name: "CostBasis", aliases: ["cost basis total", "cost basis"] },
+    { name: "AvgCost", aliases: ["average cost basis"] },
+  ]);
+  const num = (cols, idx) => idx >= 0 ? (parseNumber_(cols[idx]) || 0) : 0;
+
+  const rows = [];
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const cols = parseCsvLineIntoFields_(line);
+    // Disclaimer lines have a single field
+    if (cols.length <= required.Symbol) continue;
+    const symbol = (cols[required.Symbol] || "").trim();
+    if (!symbol) continue;
+
+    rows.push({
+      symbol,
+      description: optional.Description >= 0 ? cols[optional.Description] || "" : "",
+      qty: num(cols, required.Quantity),
+      costBasis: num(cols, optional.CostBasis),
+      avgCost: num(cols, optional.AvgCost),
+      currentValue: num(cols, optional.CurrentValue),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Parses stock positions and cash from Fidelity Portfolio Positions CSV content.
+ * Cash is the core money market position; "Pending Activity" is not counted.
+ * @param {string} csvContent - The CSV content as a string
+ * @param {Object[]} stockTxns - Stock transactions for date lookup
+ * @returns {{ stocks: Object[], cash: number }}
+ */
+function parseFidelityPortfolioStocksAndCash_(csvContent, stockTxns) {
+  const latestDateByTicker = buildLatestStockDates_(stockTxns);
+  const stocks = [];
+  let cash = 0;
+
+  for (const row of readFidelityPositionRows_(csvContent)) {
+    if (isFidelityCashSweep_(row.symbol, row.description)) {
+      cash += row.currentValue;
+      log.debug("import", `Found cash sweep in Fidelity positions: ${row.symbol} $${row.currentValue}`);
+      continue;
+    }
+    if (row.symbol === "Pending Activity") continue;
+    if (parseFidelityOptionSymbol_(row.symbol)) continue; // Options
+    if (row.qty === 0) continue;
+
+    const ticker = row.symbol.toUpperCase();
+    const price = row.costBasis ? Math.abs(row.costBasis / row.qty) : row.avgCost;
+    stocks.push({
+      type: "stock",
+      ticker,
+      qty: row.qty,
+      price: roundTo_(price, 2),
+      date: latestDateByTicker.get(ticker) || new Date(),
+      expiration: null,
+      lowerStrike: null,
+      upperStrike: null,
+      optionType: "Stock",
+    });
+  }
+
+  return { stocks, cash };
+}
+
+/**
+ * Parses option positions from Fidelity Portfolio Positions CSV content.
+ * @param {string} csvContent - The CSV content as a string
+ * @returns {{ quantities: Map<string, number>, prices: Map<string, {pricePaid: number}> }}
+ */
+function parseFidelityPortfolioOptionsWithPrices_(csvContent) {
+  const quantities = new Map();
+  const costs = new Map(); // key -> {cost, contracts}, summed across accounts
+
+  for (const row of readFidelityPositionRows_(csvContent)) {
+    const parsed = parseFidelityOptionSymbol_(row.symbol);
+    if (!parsed || row.qty === 0) continue;
+
+    const key = `${parsed.ticker}|${parsed.expiration}|${parsed.strike}|${parsed.type}`;
+    quantities.set(key, (quantities.get(key) || 0) + row.qty);
+    // Cost basis is the total for the position, else average cost per share; 100 shares per contract
+    const c = costs.get(key) || { cost: 0, contracts: 0 };
+    c.cost += row.costBasis ? Math.abs(row.costBasis) : Math.abs(row.avgCost) * Math.abs(row.qty) * 100;
+    c.contracts += Math.abs(row.qty);
+    costs.set(key, c);
+  }
+
+  const prices = new Map();
+  for (const [key, c] of costs) {
+    prices.set(key, { pricePaid: roundTo_(c.cost / (c.contracts * 100), 2) });
+  }
+
+  return { quantities, prices };
+}
+
+/**
+ * Test Fidelity parsing through spread pairing and quantity validation.
+ */
+function test_parseFidelityCsv() {
+  const txnCsv = [
+    "",
+    "Run Date,Action,Symbol,Description,Type,Quantity,Price ($),Commission ($),Fees ($),Accrued Interest ($),Amount ($),Settlement Date",
+    '02/12/2026,"YOU BOUGHT OPENING TRANSACTION CALL (TSLA) TESLA INC JUN 16 28 $500 (100 SHS) (Margin)", -TSLA280616C500,"CALL (TSLA) TESLA INC JUN 16 28 $500 (100 SHS)",Margin,2,77.99,1.30,0.08,,-15599.38,02/13/2026',
+    '02/12/2026,"YOU SOLD OPENING TRANSACTION CALL (TSLA) TESLA INC JUN 16 28 $600 (100 SHS) (Margin)", -TSLA280616C600,"CALL (TSLA) TESLA INC JUN 16 28 $600 (100 SHS)",Margin,-2,55.11,1.30,0.08,,11020.62,02/13/2026',
+    '03/02/2026,"YOU BOUGHT CLOSING TRANSACTION CALL (TSLA) TESLA INC JUN 16 28 $600 (100 SHS) (Margin)", -TSLA280616C600,"CALL (TSLA) TESLA INC JUN 16 28 $600 (100 SHS)",Margin,1,60.00,0.65,0.04,,-6000.69,03/03/2026',
+    '02/01/2026,"YOU BOUGHT TESLA INC (TSLA) (Cash)",TSLA,"TESLA INC",Cash,100,300,,,,-30000.00,02/02/2026',
+    '02/13/2026,"PURCHASE INTO CORE ACCOUNT FIDELITY GOVERNMENT MONEY MARKET (SPAXX) MORNING TRADE (Cash)",SPAXX,"FIDELITY GOVERNMENT MONEY MARKET",Cash,4578.76,1,,,,-4578.76,',
+    "",
+    '"The data and information in this spreadsheet is provided to you solely for your use."',
+    '"Date downloaded 03/05/2026 4:10 pm"'
+  ].join("\n");
+
+  const { transactions, stockTxns } = parseFidelityTransactionsFromCsv_(txnCsv);
+  assertEqual(transactions.length, 3, "option transactions");
+  assertEqual(transactions[0].expiration, "6/16/2028", "expiration from symbol");
+  assertEqual(transactions[1].qty, -2, "sold opening is short");
+  assertEqual(transactions[2].isClosed, true, "bought closing");
+  assertEqual(stockTxns.length, 1, "cash sweep is not a stock trade");
+
+  const spreads = pairTransactionsIntoSpreads_(transactions);
+  assertEqual(spreads.length, 1, "one bull call spread");
+  assertEqual(spreads[0].lowerStrike, 500, "long strike");
+  assertEqual(spreads[0].upperStrike, 600, "short strike");
+
+  const posCsv = [
+    "Account Number,Account Name,Symbol,Description,Quantity,Last Price,Last Price Change,Current Value,Today's Gain/Loss Dollar,Today's Gain/Loss Percent,Total Gain/Loss Dollar,Total Gain/Loss Percent,Percent Of Account,Cost Basis Total,Average Cost Basis,Type",
+    "Z12345678,Individual,SPAXX**,HELD IN MONEY MARKET,,,,$4578.76,,,,,10.00%,,,Cash,",
+    "Z12345678,Individual,TSLA,TESLA INC,100,$398.64,-$7.37,$39864.00,-$737.00,-1.82%,+$9864.00,+32.88%,60.00%,$30000.00,$300.00,Margin,",
+    "Z12345678,Individual, -TSLA280616C500,TSLA JUN 16 2028 $500 CALL,2,$77.99,,$15598.00,,,,,20.00%,$15598.00,$77.99,Margin,",
+    "Z12345678,Individual, -TSLA280616C600,TSLA JUN 16 2028 $600 CALL,-1,$55.11,,-$5511.00,,,,,-8.00%,-$5511.00,$55.11,Margin,",
+    "Z12345678,Individual,Pending Activity,,,,,-$120.00,,,,,,,,,",
+    "",
+    '"Date downloaded Mar-05-2026 4:10 p.m ET"'
+  ].join("\n");
+
+  const { stocks, cash } = parseFidelityPortfolioStocksAndCash_(posCsv, stockTxns);
+  assertEqual(stocks.length, 1, "one stock position");
+  assertEqual(stocks[0].price, 300, "price from cost basis");
+  assertEqual(cash, 4578.76, "cash from the sweep fund", 0.001);
+
+  const { quantities, prices } = parseFidelityPortfolioOptionsWithPrices_(posCsv);
+  assertEqual(quantities.get("TSLA|6/16/2028|600|Call"), -1, "short option quantity");
+  assertEqual(prices.get("TSLA|6/16/2028|500|Call").pricePaid, 77.99, "per-share price from cost basis");
+
+  const validation = validateOptionQuantities_(spreads, quantities, transactions);
+  assertEqual(validation.mismatches.length, 0, "positions match transactions");
+  assertEqual(validation.extra.length, 0, "no orphaned options");
+
+  // Same option in a second account without a cost basis: weighted by quantity at its average cost
+  const twoAccounts = posCsv.replace(
+    "Z12345678,Individual,Pending Activity",
+    "Z87654321,Roth IRA, -TSLA280616C500,TSLA JUN 16 2028 $500 CALL,1,$77.99,,$7799.00,,,,,20.00%,,$80.00,Cash,\n" +
+    "Z12345678,Individual,Pending Activity");
+  const merged = parseFidelityPortfolioOptionsWithPrices_(twoAccounts);
+  assertEqual(merged.quantities.get("TSLA|6/16/2028|500|Call"), 3, "quantities summed across accounts");
+  assertEqual(merged.prices.get("TSLA|6/16/2028|500|Call").pricePaid, 78.66, "(15598 + 8000) / 300");
+}
@@ -0,0 +1,449 @@
+/**
+ * IbkrFlexParser.js
+ * Interactive Brokers Flex Query parsing functions.
+ *
+ * Parses the Trades, Open Positions and Cash Report sections of a Flex Query, delivered
+ * as CSV or XML, into the same normalized transaction and position objects as
+ * EtradeCsvParser.js, so PositionBuilder can process them unchanged.
+ *
+ * IBKR quirks handled here:
+ *   - One Flex Query can hold several sections; a CSV has one header row per section
+ *     (optionally wrapped in HEADER/DATA records), the XML one element per row
+ *   - CSV headers use the field labels ("AssetClass", "Open/CloseIndicator", "Notes/Codes"),
+ *     XML the attribute names ("assetCategory", "openCloseIndicator", "notes")
+ *   - Option symbols are OCC style with padding, e.g. "TSLA  280616C00500000"
+ *   - Quantities are in contracts and signed; prices are per share, so the multiplier
+ *     converts money totals (proceeds, cost basis) back to per-share prices
+ *   - Assignments and exercises (codes A / Ex) are option trades at price 0, with a
+ *     matching stock trade at the strike. The stock trade's ClosePrice (the market close
+ *     that day) is carried over to the option as underlyingPrice, so buildClosingPricesMap_
+ *     can value the leg at intrinsic.
+ */
+
+/**
+ * Importer registry entry, see getBrokerageImporters_ in ImportPortfolio.js.
+ * Flex Query columns are chosen by the user, so the CSV is matched on the few fields
+ * the Trades or Open Positions section cannot do without.
+ */
+const IBKR_IMPORTER = {
+  broker: "IBKR",
+  detect: (content) => /<FlexQueryResponse\b/.test(String(content || ""))
+    ? { score: 1, kinds: ["transactions", "portfolio"], label: "IBKR Flex Query (XML)" }
+    : scoreCsvHeaderFormats_(content, [
+      { kinds: ["transactions", "portfolio"], label: "IBKR Flex Query (CSV)",
+        columns: ["AssetClass", "Symbol", "TradeDate", "Quantity", "TradePrice"] },
+      { kinds: ["transactions", "portfolio"], label: "IBKR Flex Query (CSV)",
+        columns: ["AssetClass", "Symbol", "Position"] },
+    ]),
+  parseTransactions: parseIbkrFlexTransactions_,
+  parsePositions: (content, stockTxns) => ({
+    ...parseIbkrFlexPortfolioStocksAndCash_(content, stockTxns),
+    options: parseIbkrFlexPortfolioOptionsWithPrices_(content),
+  }),
+};
+
+/**
+ * Reads the Trades, Open Positions and Cash Report rows of a Flex Query.
+ * Each row is an object keyed by normKey_ of its CSV column or XML attribute name.
+ *
+ * @param {string} content - Raw CSV or XML content
+ * @returns {{ trades: Object[], positions: Object[], cash: Object[] }}
+ */
+function readIbkrFlexRecords_(content) {
+  const text = String(content || "");
+  const result = { trades: [], positions: [], cash: [] };
+
+  if (/<FlexQueryResponse\b/.test(text)) {
+    // Flex XML rows are flat elements with attributes only, no need for a DOM
+    const sections = { Trade: "trades", OpenPosition: "positions", CashReportCurrency: "cash" };
+    const decode = (s) => s.replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+      .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+    const elementRe = /<(Trade|OpenPosition|CashReportCurrency)\s([^>]*?)\/?>/g;
+    let m;
+    while ((m = elementRe.exec(text)) !== null) {
+      const rec = {};
+      const attrRe = /([\w:]+)="([^"]*)"/g;
+      let a;
+      while ((a = attrRe.exec(m[2])) !== null) rec[normKey_(a[1])] = decode(a[2]).trim();
+      result[sections[m[1]]].push(rec);
+    }
+  } else {
+    let headers = null;
+    let section = null;
+    for (const line of text.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      let cols = parseCsvLineIntoFields_(line);
+
+      // "Include header and trailer records" wraps rows as HEADER/DATA,<section code>,...
+      const recordType = cols[0].toUpperCase();
+      if (["BOF", "EOF", "BOA", "EOA", "BOS", "EOS"].includes(recordType)) continue;
+      if (recordType === "HEADER" || recordType === "DATA") cols = cols.slice(2);
+
+      const keys = cols.map(normKey_);
+      if (keys.includes("assetclass") || keys.includes("endingcash")) {
+        headers = keys;
+        section = keys.includes("tradeprice") || keys.includes("opencloseindicator") ? "trades"
+          : keys.includes("position") ? "positions"
+          : keys.includes("endingcash") ? "cash"
+          : null;
+        continue;
+      }
+      if (!headers || !section) continue;
+
+      const rec = {};
+      headers.forEach((key, i) => { rec[key] = cols[i] || ""; });
+      result[section].push(rec);
+    }
+  }
+
+  // Keep one row per execution / position, not the order or lot breakdowns
+  const level = (rec) => (rec.levelofdetail || "").toUpperCase();
+  result.trades = result.trades.filter(r => !level(r) || level(r) === "EXECUTION");
+  result.positions = result.positions.filter(r => !level(r) || level(r) === "SUMMARY");
+  return result;
+}
+
+/**
+ * First non-empty field of a Flex row among the given names.
+ * @param {Object} rec - Row from readIbkrFlexRecords_
+ * @param {...string} names - Field names, any spelling (normalized with normKey_)
+ * @returns {string}
+ */
+function ibkrField_(rec, ...names) {
+  for (const name of names) {
+    const v = rec[normKey_(name)];
+    if (v != null && v !== "") return v;
+  }
+  return "";
+}
+
+/**
+ * Converts a Flex date ("20260212", "2026-02-12", "02/12/2026", optionally followed
+ * by a time) to "M/D/YYYY".
+ * @param {string} s
+ * @returns {string} Empty if unparseable
+ */
+function ibkrDate_(s) {
+  const str = String(s || "").trim().split(/[;,\s]/)[0];
+  const compact = str.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (compact) return `${parseInt(compact[2], 10)}/${parseInt(compact[3], 10)}/${compact[1]}`;
+  return formatDateMDYYYY_(parseDateAtMidnight_(str));
+}
+
+/**
+ * Option contract of a Flex row, from its OCC symbol or else from the
+ * UnderlyingSymbol / Expiry / Strike / Put/Call fields.
+ * @param {Object} rec - Row from readIbkrFlexRecords_
+ * @returns {{ ticker, expiration, strike, type }|null} Expiration as "M/D/YYYY"
+ */
+function parseIbkrOptionContract_(rec) {
+  const occ = parseOccOptionSymbol_(ibkrField_(rec, "symbol"));
+  if (occ) return occ;
+
+  const ticker = ibkrField_(rec, "underlyingSymbol").toUpperCase();
+  const expiration = ibkrDate_(ibkrField_(rec, "expiry"));
+  const strike = parseNumber_(ibkrField_(rec, "strike"));
+  const putCall = ibkrField_(rec, "putCall").toUpperCase();
+  if (!ticker || !expiration || !Number.isFinite(strike) || !/^[CP]/.test(putCall)) return null;
+  return { ticker, expiration, strike, type: putCall[0] === "C" ? "Call" : "Put" };
+}
+
+/**
+ * Asset category of a Flex row: "OPT", "STK", or another IBKR code.
+ * @param {Object} rec
+ * @returns {string}
+ */
+function ibkrAssetCategory_(rec) {
+  return ibkrField_(rec, "assetCategory", "assetClass").toUpperCase();
+}
+
+/**
+ * Contract multiplier of a Flex row (100 when missing).
+ * @param {Object} rec
+ * @returns {number}
+ */
+function ibkrMultiplier_(rec) {
+  return parseNumber_(ibkrField_(rec, "multiplier")) || 100;
+}
+
+/**
+ * Parses the Trades section of a Flex Query (CSV or XML).
+ *
+ * @param {string} content - Raw CSV or XML content
+ * @returns {{ transactions: Object[], stockTxns: Object[] }}
+ */
+function parseIbkrFlexTransactions_(content) {
+  const { trades } = readIbkrFlexRecords_(content);
+  if (trades.length === 0) {
+    throw new Error(
+      "IBKR Flex Query: No trades found.\n" +
+      "Expected a Trades section with AssetClass, Symbol, TradeDate, Quantity, TradePrice and Open/CloseIndicator.\n" +
+      "Tip: Add the Trades section (Executions) to your Flex Query."
+    );
+  }
+
+  const transactions = [];
+  const stockTxns = [];
+  const deliveries = []; // Stock trades resulting from assignment/exercise
+
+  for (const rec of trades) {
+    const category = ibkrAssetCategory_(rec);
+    const date = ibkrDate_(ibkrField_(rec, "tradeDate", "dateTime"));
+    const qty = parseNumber_(ibkrField_(rec, "quantity")) || 0;
+    if (!date || qty === 0) continue;
+
+    const codes = ibkrField_(rec, "notes", "notesCodes").split(/[;,\s]+/);
+    const code = codes.includes("A") ? "A" : codes.includes("Ex") ? "Ex" : null;
+    const multiplier = ibkrMultiplier_(rec);
+    const proceeds = parseNumber_(ibkrField_(rec, "proceeds")) || 0;
+    let price = Math.abs(parseNumber_(ibkrField_(rec, "tradePrice")) || 0);
+
+    if (category === "STK") {
+      const ticker = ibkrField_(rec, "symbol").toUpperCase();
+      stockTxns.push({ date, txnType: qty > 0 ? "Bought" : "Sold", ticker, qty: Math.abs(qty), price });
+      if (code) {
+        deliveries.push({
+          date, ticker, code,
+          shares: Math.abs(qty),
+          marketPrice: parseNumber_(ibkrField_(rec, "closePrice")) || null,
+          used: false,
+        });
+      }
+      continue;
+    }
+    if (category !== "OPT") continue;
+
+    const parsed = parseIbkrOptionContract_(rec);
+    if (!parsed) {
+      log.warn("import", `IBKR: skipping option with unrecognized contract: ${ibkrField_(rec, "symbol")}`);
+      continue;
+    }
+
+    // Expired legs (code Ep) need no row: past expirations without a close are priced at 0
+    if (codes.includes("Ep")) continue;
+
+    const indicator = ibkrField_(rec, "openCloseIndicator").toUpperCase();
+    const isOpen = !code && indicator.includes("O") && !indicator.includes("C");
+    const isClosed = !code && indicator.includes("C");
+    if (!code && !isOpen && !isClosed) continue;
+
+    if (price === 0 && proceeds !== 0) price = Math.abs(proceeds) / (Math.abs(qty) * multiplier);
+
+    transactions.push({
+      date,
+      txnType: code === "A" ? "Assigned" : code === "Ex" ? "Exercised"
+        : `${qty > 0 ? "Bought" : "Sold"} To ${isOpen ? "Open" : "Close"}`,
+      ticker: parsed.ticker,
+      expiration: parsed.expiration,
+      strike: parsed.strike,
+      optionType: parsed.type,
+      qty,
+      price: roundTo_(price, 4),
+      amount: proceeds,
+      isOpen,
+      isClosed,
+      isExercised: code === "Ex",
+      isAssigned: code === "A",
+      multiplier,
+    });
+  }
+
+  linkIbkrDeliveries_(transactions, deliveries);
+  return { transactions, stockTxns };
+}
+
+/**
+ * Links assigned/exercised option trades to the stock trades they produced
+ * (same date, underlying, code, and contracts × multiplier shares), and copies
+ * the market close of that stock trade to the option as underlyingPrice.
+ *
+ * @param {Object[]} transactions - Option transactions (modified in place)
+ * @param {Array<{date, ticker, code, shares, marketPrice, used}>} deliveries
+ */
+function linkIbkrDeliveries_(transactions, deliveries) {
+  for (const txn of transactions) {
+    if (!txn.isAssigned && !txn.isExercised) continue;
+    const code = txn.isAssigned ? "A" : "Ex";
+    const shares = Math.abs(txn.qty) * txn.multiplier;
+    const candidates = deliveries.filter(d => !d.used && d.date === txn.date && d.ticker === txn.ticker && d.code === code);
+    const delivery = candidates.find(d => d.shares === shares) || candidates[0];
+    if (!delivery) {
+      log.warn("import", `IBKR: no stock trade found for ${txn.txnType} ${txn.ticker} ${txn.expiration} ${txn.strike} ${txn.optionType} on ${txn.date}`);
+      continue;
+    }
+    delivery.used = true;
+    if (delivery.marketPrice) txn.underlyingPrice = delivery.marketPrice;
+  }
+}
+
+/**
+ * Parses stock positions and cash from the Open Positions and Cash Report sections.
+ * Cash is the BASE_SUMMARY ending cash when present, otherwise the sum over currencies.
+ * @param {string} content - Raw CSV or XML content
+ * @param {Object[]} stockTxns - Stock transactions for date lookup
+ * @returns {{ stocks: Object[], cash: number }}
+ */
+function parseIbkrFlexPortfolioStocksAndCash_(content, stockTxns) {
+  const { positions, cash: cashRows } = readIbkrFlexRecords_(content);
+  if (positions.length === 0) {
+    throw new Error(
+      "IBKR Flex Query: No open positions found.\n" +
+      "Tip: Add the Open Positions section (Summary) to your Flex Query."
+    );
+  }
+
+  const latestDateByTicker = buildLatestStockDates_(stockTxns);
+  const stocks = [];
+  for (const rec of positions) {
+    if (ibkrAssetCategory_(rec) !== "STK") continue;
+    const qty = parseNumber_(ibkrField_(rec, "position", "quantity")) || 0;
+    if (qty === 0) continue;
+
+    const ticker = ibkrField_(rec, "symbol").toUpperCase();
+    const costBasis = parseNumber_(ibkrField_(rec, "costBasisMoney"));
+    const price = Number.isFinite(costBasis) && costBasis !== 0
+      ? Math.abs(costBasis / qty)
+      : Math.abs(parseNumber_(ibkrField_(rec, "costBasisPrice")) || 0);
+    stocks.push({
+      type: "stock",
+      ticker,
+      qty,
+      price: roundTo_(price, 2),
+      date: latestDateByTicker.get(ticker) || new Date(),
+      expiration: null,
+      lowerStrike: null,
+      upperStrike: null,
+      optionType: "Stock",
+    });
+  }
+
+  const endingCash = (rec) => parseNumber_(ibkrField_(rec, "endingCash")) || 0;
+  const summary = cashRows.find(r => ibkrField_(r, "currency", "currencyPrimary").toUpperCase() === "BASE_SUMMARY");
+  const cash = summary ? endingCash(summary) : cashRows.reduce((sum, r) => sum + endingCash(r), 0);
+  if (cash) log.debug("import", `Found cash in IBKR Cash Report: $${cash}`);
+
+  return { stocks, cash };
+}
+
+/**
+ * Parses option positions from the Open Positions section.
+ * @param {string} content - Raw CSV or XML content
+ * @returns {{ quantities: Map<string, number>, prices: Map<string, {pricePaid: number}> }}
+ */
+function parseIbkrFlexPortfolioOptionsWithPrices_(content) {
+  const quantities = new Map();
+  const costs = new Map(); // key -> {cost, shares}, summed across accounts
+
+  for (const rec of readIbkrFlexRecords_(content).positions) {
+    if (ibkrAssetCategory_(rec) !== "OPT") continue;
+    const parsed = parseIbkrOptionContract_(rec);
+    const qty = parseNumber_(ibkrField_(rec, "position", "quantity")) || 0;
+    if (!parsed || qty === 0) continue;
+
+    const key = `${parsed.ticker}|${parsed.expiration}|${parsed.strike}|${parsed.type}`;
+    quantities.set(key, (quantities.get(key) || 0) + qty);
+    // CostBasisMoney is the position total, else CostBasisPrice per share; the multiplier gives shares per contract
+    const shares = Math.abs(qty) * ibkrMultiplier_(rec);
+    const costBasis = parseNumber_(ibkrField_(rec, "costBasisMoney"));
+    const c = costs.get(key) || { cost: 0, shares: 0 };
+    c.cost += Number.isFinite(costBasis) && costBasis !== 0
+      ? Math.abs(costBasis)
+      : Math.abs(parseNumber_(ibkrField_(rec, "costBasisPrice")) || 0) * shares;
+    c.shares += shares;
+    costs.set(key, c);
+  }
+
+  const prices = new Map();
+  for (const [key, c] of costs) {
+    prices.set(key, { pricePaid: roundTo_(c.cost / c.shares, 2) });
+  }
+
+  return { quantities, prices };
+}
+
+/**
+ * Test IBKR Flex parsing (CSV and XML) through spread pairing, assignment
+ * pricing and quantity validation.
+ */
+function test_parseIbkrFlex() {
+  const csv = [
+    '"ClientAccountID","AssetClass","Symbol","UnderlyingSymbol","Multiplier","Strike","Expiry","Put/Call","TradeDate","Quantity","TradePrice","Proceeds","ClosePrice","Open/CloseIndicator","Notes/Codes","LevelOfDetail"',
+    '"U1234567","OPT","TSLA  280616C00500000","TSLA","100","500","20280616","C","20260212","2","77.99","-15598","78.5","O","","EXECUTION"',
+    '"U1234567","OPT","TSLA  280616C00600000","TSLA","100","600","20280616","C","20260212","-2","55.11","11022","55","O","P","EXECUTION"',
+    '"U1234567","OPT","TSLA  280616C00600000","TSLA","100","600","20280616","C","20260212","-2","55.11","11022","55","O","","ORDER"',
+    '"U1234567","OPT","TSLA  260320P00400000","TSLA","100","400","20260320","P","20260101","-1","12.50","1250","12","O","","EXECUTION"',
+    '"U1234567","OPT","TSLA  260320P00400000","TSLA","100","400","20260320","P","20260320","1","0","0","0","C","A","EXECUTION"',
+    '"U1234567","STK","TSLA","","1","","","","20260320","100","400","-40000","385.25","O","A","EXECUTION"',
+    '"U1234567","OPT","SPY   260116C00700000","SPY","100","700","20260116","C","20260116","1","0","0","0","C","Ep","EXECUTION"',
+    '"ClientAccountID","AssetClass","Symbol","UnderlyingSymbol","Multiplier","Strike","Expiry","Put/Call","Position","MarkPrice","CostBasisPrice","CostBasisMoney","LevelOfDetail"',
+    '"U1234567","STK","TSLA","","1","","","","100","398.64","400","40000","SUMMARY"',
+    '"U1234567","OPT","TSLA  280616C00500000","TSLA","100","500","20280616","C","2","80","77.99","15598","SUMMARY"',
+    '"U1234567","OPT","TSLA  280616C00600000","TSLA","100","600","20280616","C","-2","57","55.11","-11022","SUMMARY"',
+    '"ClientAccountID","CurrencyPrimary","EndingCash"',
+    '"U1234567","BASE_SUMMARY","4578.76"',
+    '"U1234567","USD","4578.76"',
+  ].join("\n");
+
+  const { transactions, stockTxns } = parseIbkrFlexTransactions_(csv);
+  assertEqual(transactions.length, 4, "option trades; order rows and expirations skipped");
+  assertEqual(transactions[0].expiration, "6/16/2028", "expiration from OCC symbol");
+  assertEqual(transactions[1].qty, -2, "sold to open is short");
+  assertEqual(transactions[3].isAssigned, true, "code A is an assignment");
+  assertEqual(transactions[3].underlyingPrice, 385.25, "market close from the delivered stock trade");
+  assertEqual(stockTxns.length, 1, "delivered stock trade");
+  assertEqual(stockTxns[0].price, 400, "shares delivered at the strike");
+
+  const closing = buildClosingPricesMap_(transactions, stockTxns);
+  assertEqual(closing.get("TSLA|3/20/2026|400|Put"), 14.75, "assigned put valued at intrinsic", 0.001);
+
+  const spreads = pairTransactionsIntoSpreads_(transactions.slice(0, 2));
+  assertEqual(spreads.length, 1, "one bull call spread");
+  assertEqual(spreads[0].lowerStrike, 500, "long strike");
+
+  const { stocks, cash } = parseIbkrFlexPortfolioStocksAndCash_(csv, stockTxns);
+  assertEqual(stocks.length, 1, "one stock position");
+  assertEqual(stocks[0].price, 400, "price from cost basis");
+  assertEqual(cash, 4578.76, "BASE_SUMMARY ending cash", 0.001);
+
+  const { quantities, prices } = parseIbkrFlexPortfolioOptionsWithPrices_(csv);
+  assertEqual(quantities.get("TSLA|6/16/2028|600|Call"), -2, "short option quantity");
+  assertEqual(prices.get("TSLA|6/16/2028|500|Call").pricePaid, 77.99, "per-share price from cost basis and multiplier");
+
+  const validation = validateOptionQuantities_(spreads, quantities, transactions.slice(0, 2));
+  assertEqual(validation.mismatches.length, 0, "positions match transactions");
+
+  // Same option in two accounts at different costs: cost-weighted average, not the last account
+  const twoAccounts = parseIbkrFlexPortfolioOptionsWithPrices_([
+    '"ClientAccountID","AssetClass","Symbol","UnderlyingSymbol","Multiplier","Strike","Expiry","Put/Call","Position","MarkPrice","CostBasisPrice","CostBasisMoney","LevelOfDetail"',
+    '"U1234567","OPT","TSLA  280616C00500000","TSLA","100","500","20280616","C","2","80","77.99","15598","SUMMARY"',
+    '"U7654321","OPT","TSLA  280616C00500000","TSLA","100","500","20280616","C","1","80","80","","SUMMARY"',
+  ].join("\n"));
+  assertEqual(twoAccounts.quantities.get("TSLA|6/16/2028|500|Call"), 3, "quantities summed across accounts");
+  assertEqual(twoAccounts.prices.get("TSLA|6/16/2028|500|Call").pricePaid, 78.66, "(15598 + 8000) / 300");
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<FlexQueryResponse queryName="Portfolio" type="AF">',
+    '<FlexStatements count="1"><FlexStatement accountId="U1234567" fromDate="20260101" toDate="20260320">',
+    '<Trades>',
+    '<Trade assetCategory="OPT" symbol="TSLA  260320C00350000" underlyingSymbol="TSLA" multiplier="100" strike="350" expiry="20260320" putCall="C" tradeDate="20260320" quantity="-1" tradePrice="0" proceeds="0" openCloseIndicator="C" notes="Ex" levelOfDetail="EXECUTION" />',
+    '<Trade assetCategory="STK" symbol="TSLA" multiplier="1" tradeDate="20260320" quantity="100" tradePrice="350" closePrice="385.25" openCloseIndicator="O" notes="Ex" levelOfDetail="EXECUTION" />',
+    '</Trades>',
+    '<OpenPositions>',
+    '<OpenPosition assetCategory="OPT" symbol="BRK B 270115P00450000" underlyingSymbol="BRK B" multiplier="100" strike="450" expiry="20270115" putCall="P" position="-3" costBasisMoney="-6000" levelOfDetail="SUMMARY" />',
+    '</OpenPositions>',
+    '<CashReport><CashReportCurrency currency="BASE_SUMMARY" endingCash="1000.5" /></CashReport>',
+    '</FlexStatement></FlexStatements>',
+    '</FlexQueryResponse>',
+  ].join("\n");
+
+  const fromXml = parseIbkrFlexTransactions_(xml);
+  assertEqual(fromXml.transactions.length, 1, "XML option trade");
+  assertEqual(fromXml.transactions[0].isExercised, true, "code Ex is an exercise");
+  assertEqual(fromXml.transactions[0].underlyingPrice, 385.25, "XML exercise linked to stock trade");
+
+  const xmlOptions = parseIbkrFlexPortfolioOptionsWithPrices_(xml);
+  assertEqual(xmlOptions.quantities.get("BRK B|1/15/2027|450|Put"), -3, "contract from fields when the symbol is not OCC");
+  assertEqual(xmlOptions.prices.get("BRK B|1/15/2027|450|Put").pricePaid, 20, "XML price paid");
+  assertEqual(parseIbkrFlexPortfolioStocksAndCash_(xml, []).cash, 1000.5, "XML cash report");
+}
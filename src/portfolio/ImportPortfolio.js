@@ -3,7 +3,7 @@
  * Orchestrates portfolio import via file upload (no Drive storage).
  *
  * Parsing, spread building, and sheet output are delegated to:
- *   - EtradeCsvParser.js - CSV parsing
+ *   - EtradeCsvParser.js, SchwabCsvParser.js, FidelityCsvParser.js, IbkrFlexParser.js - parsing (format detected from content)
  *   - PositionBuilder.js - spread pairing/aggregation
  *   - PortfolioWriter.js - sheet output
  */
@@ -29,15 +29,131 @@ function hasExistingPortfolio() {
 function showUploadRebuildDialog() {
   const html = HtmlService.createHtmlOutputFromFile("ui/FileUpload")
     .setWidth(500)
-    .setHeight(450);
+    .setHeight(540);
   const content = html.getContent().replace(
     "if (mode) init(mode);",
     "init('rebuildPortfolio');"
   );
   const output = HtmlService.createHtmlOutput(content)
     .setWidth(500)
-    .setHeight(450);
-  SpreadsheetApp.getUi().showModalDialog(output, "Upload E*Trade Files");
+    .setHeight(540);
+  SpreadsheetApp.getUi().showModalDialog(output, "Upload Brokerage Files");
+}
+
+/* =========================================================
+   Brokerage Importers
+   ========================================================= */
+
+/** Smallest detect score that counts as a match (fraction of a header row's columns found) */
+const BROKERAGE_MIN_DETECT_SCORE = 0.6;
+
+/**
+ * Registered brokerage importers, in order of preference when scores tie.
+ * Each brokerage module declares one entry:
+ *   - broker: display name, also used to pick an importer by hand
+ *   - detect(content): {score, kinds, label} or null; score is 0-1, kinds lists the
+ *     file choosers ("transactions", "portfolio") the file can be used with
+ *   - parseTransactions(content): { transactions, stockTxns }
+ *   - parsePositions(content, stockTxns): { stocks, cash, options: { quantities, prices } }
+ * Adding a brokerage means adding its module and listing its entry here.
+ * @returns {Object[]}
+ */
+function getBrokerageImporters_() {
+  return [ETRADE_IMPORTER, SCHWAB_IMPORTER, FIDELITY_IMPORTER, IBKR_IMPORTER];
+}
+
+/**
+ * Finds a registered importer by broker name.
+ * @param {string} broker
+ * @returns {Object|null}
+ */
+function findBrokerageImporter_(broker) {
+  return getBrokerageImporters_().find(i => i.broker === broker) || null;
+}
+
+/**
+ * Detects the brokerage and file kind of a portfolio or transaction file: the importer
+ * whose detect() scores highest, or only the given importer when the user picked one.
+ * @param {string} content - Raw file content (the first lines are enough)
+ * @param {string} [broker] - Broker chosen by the user; empty to auto-detect
+ * @returns {{importer: Object, broker: string, kinds: string[], label: string, score: number}|null}
+ *   null if no importer scores at least BROKERAGE_MIN_DETECT_SCORE
+ */
+function detectBrokerageFormat_(content, broker) {
+  const importers = broker ? [findBrokerageImporter_(broker)].filter(Boolean) : getBrokerageImporters_();
+  let best = null;
+  for (const importer of importers) {
+    const match = importer.detect(content);
+    if (!match || match.score < BROKERAGE_MIN_DETECT_SCORE) continue;
+    if (!best || match.score > best.score) best = { importer, broker: importer.broker, ...match };
+  }
+  return best;
+}
+
+/**
+ * Lists the registered brokerages for the upload dialog's override menu.
+ * Called by FileUpload.html via google.script.run.
+ * @returns {string[]}
+ */
+function getBrokerageImporterNames() {
+  return getBrokerageImporters_().map(i => i.broker);
+}
+
+/**
+ * Describes the format of a chosen file for the upload dialog.
+ * Called by FileUpload.html via google.script.run.
+ * @param {string} head - The first few KB of the file
+ * @param {string} [broker] - Broker chosen by the user; empty to auto-detect
+ * @returns {{broker: string, kinds: string[], label: string, score: number}|null}
+ */
+function detectPortfolioFileFormat(head, broker) {
+  const format = detectBrokerageFormat_(head, broker);
+  return format ? { broker: format.broker, kinds: format.kinds, label: format.label, score: format.score } : null;
+}
+
+/**
+ * Picks the importer for an uploaded file and checks it went in the right file chooser.
+ * Unrecognized files go to the chosen importer, or else to E*Trade, whose errors explain
+ * what was expected.
+ * @param {{name: string, content: string}} file
+ * @param {string} kind - "transactions" or "portfolio"
+ * @param {string} [broker] - Broker chosen by the user; empty to auto-detect
+ * @returns {Object} Importer entry
+ */
+function resolveBrokerageImporter_(file, kind, broker) {
+  const format = detectBrokerageFormat_(file.content, broker);
+  if (format && !format.kinds.includes(kind)) {
+    throw new Error(kind === "transactions"
+      ? `"${file.name}" appears to be a Portfolio CSV (${format.label}), not a Transaction CSV.\n` +
+        "Use the Portfolio file chooser for portfolio downloads."
+      : `"${file.name}" appears to be a Transaction CSV (${format.label}), not a Portfolio CSV.\n` +
+        "Use the Transaction file chooser for transaction history.");
+  }
+  log.debug("import", `${file.name}: ${format ? `${format.label} (score ${roundTo_(format.score, 2)})` : "unknown format"}` +
+    (broker ? `, importing as ${broker}` : ""));
+  if (format) return format.importer;
+  return (broker && findBrokerageImporter_(broker)) || ETRADE_IMPORTER;
+}
+
+/**
+ * Parses a transaction history file with the importer for its brokerage.
+ * @param {{name: string, content: string}} file
+ * @param {string} [broker] - Broker chosen by the user; empty to auto-detect
+ * @returns {{ transactions: Object[], stockTxns: Object[] }}
+ */
+function parseTransactionsCsv_(file, broker) {
+  return resolveBrokerageImporter_(file, "transactions", broker).parseTransactions(file.content);
+}
+
+/**
+ * Parses a portfolio/positions file with the importer for its brokerage.
+ * @param {{name: string, content: string}} file
+ * @param {Object[]} stockTxns - Stock transactions for date lookup
+ * @param {string} [broker] - Broker chosen by the user; empty to auto-detect
+ * @returns {{ stocks: Object[], cash: number, options: { quantities: Map, prices: Map } }}
+ */
+function parsePortfolioCsv_(file, stockTxns, broker) {
+  return resolveBrokerageImporter_(file, "portfolio", broker).parsePositions(file.content, stockTxns);
 }
 
 /**
@@ -56,9 +172,10 @@ function stripBrowserDisambiguator_(fileName) {
  * @param {{name: string, content: string}} portfolio - Portfolio CSV file (optional)
  * @param {Array<{name: string, content: string}>} transactions - Transaction CSV files
  * @param {string} importMode - "addTransactions" or "rebuild"
+ * @param {string} [broker] - Broker chosen in the dialog; empty to detect each file's brokerage
  * @returns {string} Status message including any missing option prices warning
  */
-function uploadAndRebuildPortfolio(portfolio, transactions, importMode) {
+function uploadAndRebuildPortfolio(portfolio, transactions, importMode, broker) {
   importMode = importMode || "rebuild";
 
   if (importMode === "addTransactions") {
@@ -107,20 +224,7 @@ function uploadAndRebuildPortfolio(portfolio, transactions, importMode) {
 
   if (transactions && transactions.length > 0) {
     for (const txnFile of transactions) {
-      let result;
-      try {
-        // TODO: support other brokerages
-        result = parseEtradeTransactionsFromCsv_(txnFile.content);
-      } catch (e) {
-        // Check if this looks like a portfolio file uploaded in wrong slot
-        if (txnFile.content.includes("Symbol,Last Price")) {
-          throw new Error(
-            `"${txnFile.name}" appears to be a Portfolio CSV, not a Transaction CSV.\n` +
-            "Use the Portfolio file chooser for portfolio downloads."
-          );
-        }
-        throw e;
-      }
+      const result = parseTransactionsCsv_(txnFile, broker);
       let txnAdded = 0;
       for (const txn of result.transactions) {
         const key = `${txn.date}|${txn.txnType}|${txn.ticker}|${txn.expiration}|${txn.strike}|${txn.optionType}|${txn.qty}|${txn.price}|${txn.amount}`;
@@ -150,22 +254,10 @@ function uploadAndRebuildPortfolio(portfolio, transactions, importMode) {
   let portfolioOptionData = null;
 
   if (portfolio && importMode !== "addTransactions") {
-    let portfolioResult;
-    try {
-      portfolioResult = parseEtradePortfolioStocksAndCash_(portfolio.content, stockTxns);
-    } catch (e) {
-      // Check if this looks like a transaction file uploaded in wrong slot
-      if (portfolio.content.includes("TransactionDate,") || portfolio.content.includes("Activity/Trade Date,")) {
-        throw new Error(
-          `"${portfolio.name}" appears to be a Transaction CSV, not a Portfolio CSV.\n` +
-          "Use the Transaction file chooser for transaction history."
-        );
-      }
-      throw e;
-    }
+    const portfolioResult = parsePortfolioCsv_(portfolio, stockTxns, broker);
     stockPositions = portfolioResult.stocks;
     portfolioCash = portfolioResult.cash || 0;
-    portfolioOptionData = parseEtradePortfolioOptionsWithPrices_(portfolio.content);
+    portfolioOptionData = portfolioResult.options;
     uploadedParts.push("portfolio");
     log.info("import", `Found ${stockPositions.length} stock positions and $${portfolioCash} cash from portfolio CSV`);
   } else if (importMode === "addTransactions") {
@@ -467,3 +559,29 @@ function findMissingOptionPrices_(ss) {
 
   return missing;
 }
+
+/**
+ * Test importer detection scores, the brokerage override and the wrong-chooser check.
+ */
+function test_detectBrokerageFormat() {
+  const schwabTxns = '"Date","Action","Symbol","Description","Quantity","Price","Fees & Comm","Amount"';
+  const fidelityTxns = "\nRun Date,Action,Symbol,Description,Type,Quantity,Price ($),Commission ($),Fees ($),Accrued Interest ($),Amount ($),Settlement Date";
+  const etradePortfolio = "Symbol,Last Price $,Change $,Change %,Quantity,Price Paid $,Day's Gain $,Total Gain $,Total Gain %,Value $";
+
+  assertEqual(detectBrokerageFormat_(schwabTxns).broker, "Schwab", "Schwab history");
+  assertEqual(detectBrokerageFormat_(fidelityTxns).broker, "Fidelity", "Fidelity history outscores Schwab's similar header");
+  assertEqual(detectBrokerageFormat_(etradePortfolio).kinds[0], "portfolio", "E*Trade portfolio kind");
+  assertEqual(detectBrokerageFormat_('<FlexQueryResponse queryName="q" type="AF">').broker, "IBKR", "IBKR XML");
+  assertEqual(detectBrokerageFormat_('"ClientAccountID","AssetClass","Symbol","TradeDate","Quantity","TradePrice"').broker, "IBKR", "IBKR CSV");
+  assertEqual(detectBrokerageFormat_("Strike,Moneyness,Bid,Ask"), null, "option prices are no brokerage file");
+  assertEqual(detectBrokerageFormat_(fidelityTxns, "Schwab").broker, "Schwab", "override scores only the chosen importer");
+  assertEqual(detectBrokerageFormat_(fidelityTxns, "IBKR"), null, "override that does not match");
+
+  let message = "";
+  try {
+    parseTransactionsCsv_({ name: "positions.csv", content: etradePortfolio });
+  } catch (e) {
+    message = e.message;
+  }
+  assertEqual(message.indexOf("appears to be a Portfolio CSV (E*Trade portfolio download)") >= 0, true, "wrong chooser");
+}
@@ -0,0 +1,340 @@
+/**
+ * Margin.js
+ * Reg-T style margin requirement and excess liquidity for the portfolio charts.
+ *
+ * Rules, per position:
+ *   Long stock         - maintenance % x stock value
+ *   Short stock        - short maintenance % x stock value
+ *   Debit spreads      - none (paid in full)
+ *   Credit spreads     - width minus credit received (the defined risk)
+ *   Iron condors       - credit spreads on one expiration: only the larger of the put
+ *                        and call sides, since both cannot lose at once
+ *   Long options       - none (paid in full)
+ *   Covered short      - short call against 100 long shares, short put against 100
+ *                        short shares: none beyond the stock requirement
+ *   Paired short       - short leg against a long leg of the same type expiring no
+ *                        earlier (custom verticals, diagonals, calendars, PMCC): the
+ *                        strike difference when the long strike is worse, else none
+ *   Naked short call   - option value + max(20% x S - OTM amount, 10% x S)
+ *   Naked short put    - option value + max(20% x S - OTM amount, 10% x strike)
+ *
+ * Short legs are covered by shares first, then by the long leg with the smallest
+ * requirement; whatever is left over is naked.
+ *
+ * Percentages are read from the MarginConfig sheet. A "DEFAULT" row applies to
+ * every symbol, and a row for a symbol overrides it (brokers often raise the
+ * maintenance requirement on volatile stocks).
+ */
+
+const MARGIN_CONFIG_SHEET = "MarginConfig";
+
+/** Reg-T percentages used when the MarginConfig sheet has no value */
+const MARGIN_DEFAULTS = {
+  stockMaintenance: 0.25,
+  shortStockMaintenance: 0.30,
+  nakedPercent: 0.20,
+  nakedMinPercent: 0.10
+};
+
+/* =========================================================
+   Config sheet
+   ========================================================= */
+
+/**
+ * Creates the MarginConfig sheet with a DEFAULT row if it does not exist.
+ * @param {Spreadsheet} ss
+ * @returns {Sheet}
+ */
+function ensureMarginConfigSheet_(ss) {
+  let sheet = ss.getSheetByName(MARGIN_CONFIG_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(MARGIN_CONFIG_SHEET);
+
+  const headers = ["Symbol", "StockMaintenance", "NakedPercent", "NakedMinPercent", "ShortStockMaintenance"];
+  const headerNotes = [
+    "Stock ticker symbol, or DEFAULT for all symbols",
+    "Maintenance requirement on long stock value (e.g., 0.25 = 25%). Blank = DEFAULT row",
+    "Naked option requirement as a share of stock value, less the OTM amount (Reg-T 20%). Blank = DEFAULT row",
+    "Minimum naked option requirement: share of stock value for calls, of strike for puts (Reg-T 10%). Blank = DEFAULT row",
+    "Maintenance requirement on short stock value (e.g., 0.30 = 30%). Blank = DEFAULT row"
+  ];
+
+  const headerRange = sheet.getRange(1, 1, 1, headers.length);
+  headerRange.setValues([headers]);
+  headerRange.setNotes([headerNotes]);
+  headerRange.setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+
+  sheet.getRange(2, 1, 1, headers.length).setValues([
+    ["DEFAULT", MARGIN_DEFAULTS.stockMaintenance, MARGIN_DEFAULTS.nakedPercent, MARGIN_DEFAULTS.nakedMinPercent, MARGIN_DEFAULTS.shortStockMaintenance]
+  ]);
+
+  sheet.setColumnWidth(1, 80);   // Symbol
+  sheet.setColumnWidth(2, 120);  // StockMaintenance
+  sheet.setColumnWidth(3, 100);  // NakedPercent
+  sheet.setColumnWidth(4, 120);  // NakedMinPercent
+  sheet.setColumnWidth(5, 150);  // ShortStockMaintenance
+  sheet.getRange(2, 2, 100, 4).setNumberFormat("0.00%");
+
+  return sheet;
+}
+
+/**
+ * Reads margin percentages for a symbol.
+ * A symbol row overrides the DEFAULT row, which overrides MARGIN_DEFAULTS.
+ * The sheet is read once per execution.
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @returns {{stockMaintenance: number, shortStockMaintenance: number, nakedPercent: number, nakedMinPercent: number}}
+ */
+function getMarginParams_(ss, symbol) {
+  if (!getMarginParams_.cache) {
+    const rows = {};
+    const sheet = ss && ss.getSheetByName(MARGIN_CONFIG_SHEET);
+    if (sheet && sheet.getLastRow() >= 2) {
+      const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 5).getValues();
+      const num = (v) => v === "" || v == null ? null : parseFloat(v);
+      for (const row of data) {
+        const sym = (row[0] || "").toString().trim().toUpperCase();
+        if (!sym) continue;
+        rows[sym] = {
+          stockMaintenance: num(row[1]),
+          nakedPercent: num(row[2]),
+          nakedMinPercent: num(row[3]),
+          shortStockMaintenance: num(row[4])
+        };
+      }
+    }
+    getMarginParams_.cache = rows;
+  }
+
+  const rows = getMarginParams_.cache;
+  const defaults = rows.DEFAULT || {};
+  const own = rows[(symbol || "").toString().trim().toUpperCase()] || {};
+  const pick = (key) => {
+    if (Number.isFinite(own[key])) return own[key];
+    if (Number.isFinite(defaults[key])) return defaults[key];
+    return MARGIN_DEFAULTS[key];
+  };
+
+  return {
+    stockMaintenance: pick("stockMaintenance"),
+    shortStockMaintenance: pick("shortStockMaintenance"),
+    nakedPercent: pick("nakedPercent"),
+    nakedMinPercent: pick("nakedMinPercent")
+  };
+}
+
+/* =========================================================
+   Rules engine
+   ========================================================= */
+
+/**
+ * Requirement per share for one naked short option.
+ * @param {string} type - "Call" or "Put"
+ * @param {number} strike
+ * @param {number} S - Stock price
+ * @param {number} optionValue - Option value per share at S
+ * @param {Object} params - From getMarginParams_
+ * @returns {number}
+ */
+function nakedOptionRequirement_(type, strike, S, optionValue, params) {
+  const isCall = type === "Call";
+  const otm = isCall ? Math.max(0, strike - S) : Math.max(0, S - strike);
+  const base = params.nakedPercent * S - otm;
+  const minimum = params.nakedMinPercent * (isCall ? S : strike);
+  return Math.max(0, optionValue) + Math.max(base, minimum);
+}
+
+/**
+ * Credit spread requirement on one expiration, offsetting iron condor sides.
+ * Put-side and call-side contracts are paired largest with largest and each pair
+ * is charged its larger side; unpaired contracts are charged in full.
+ * @param {Array<{req, qty}>} puts - Bull put spreads, requirement per contract
+ * @param {Array<{req, qty}>} calls - Bear call spreads, requirement per contract
+ * @returns {number} Dollars
+ */
+function condorRequirement_(puts, calls) {
+  const byReq = (a, b) => b.req - a.req;
+  const p = puts.map(x => ({ ...x })).sort(byReq);
+  const c = calls.map(x => ({ ...x })).sort(byReq);
+  let total = 0;
+  let i = 0;
+  let j = 0;
+  while (i < p.length && j < c.length) {
+    const qty = Math.min(p[i].qty, c[j].qty);
+    total += Math.max(p[i].req, c[j].req) * qty;
+    p[i].qty -= qty;
+    c[j].qty -= qty;
+    if (p[i].qty <= 0) i++;
+    if (c[j].qty <= 0) j++;
+  }
+  for (; i < p.length; i++) total += p[i].req * p[i].qty;
+  for (; j < c.length; j++) total += c[j].req * c[j].qty;
+  return total;
+}
+
+/**
+ * Margin requirement for one symbol's positions at stock price S.
+ *
+ * @param {Object} book
+ * @param {Array<{qty}>} book.shares - Stock lots (negative qty = short)
+ * @param {Array<{flavor, kLong, kShort, debit, qty, expiration}>} book.spreads - Vertical spreads
+ * @param {Array<{type, strike, qty, value, dte}>} book.shortOptions - Short legs outside spreads, value per share at S
+ * @param {Array<{type, strike, qty, dte}>} [book.longOptions] - Long legs outside spreads, available to cover short legs
+ * @param {number} S - Stock price
+ * @param {Object} params - From getMarginParams_
+ * @returns {{stock: number, spreads: number, covered: number, naked: number, total: number}} Dollars
+ */
+function computeMarginRequirement_(book, S, params) {
+  let stock = 0;
+  let longShares = 0;
+  let shortShares = 0;
+  for (const sh of book.shares || []) {
+    if (sh.qty > 0) {
+      stock += params.stockMaintenance * S * sh.qty;
+      longShares += sh.qty;
+    } else {
+      stock += params.shortStockMaintenance * S * -sh.qty;
+      shortShares -= sh.qty;
+    }
+  }
+
+  // Credit spreads (debit < 0) hold width - credit; debit spreads are paid in full.
+  // Bull puts and bear calls on the same expiration offset each other (iron condor).
+  const sidesByExpiration = new Map();
+  for (const sp of book.spreads || []) {
+    if (!(sp.debit < 0)) continue;
+    const key = String(sp.expiration ?? "");
+    if (!sidesByExpiration.has(key)) sidesByExpiration.set(key, { puts: [], calls: [] });
+    const sides = sidesByExpiration.get(key);
+    const width = sp.kShort - sp.kLong;
+    const entry = { req: Math.max(0, width + sp.debit) * 100, qty: sp.qty };
+    if (sp.flavor === "BEAR_CALL") sides.calls.push(entry);
+    else sides.puts.push(entry);
+  }
+  let spreads = 0;
+  for (const sides of sidesByExpiration.values()) {
+    spreads += condorRequirement_(sides.puts, sides.calls);
+  }
+
+  // Short legs: shares first (100 per contract), then long legs of the same type that
+  // expire no earlier, cheapest pairing first; the rest is naked
+  const coverShares = { Call: longShares, Put: shortShares };
+  const longs = (book.longOptions || []).map(l => ({ ...l, free: l.qty }));
+  let covered = 0;
+  let naked = 0;
+  for (const leg of book.shortOptions || []) {
+    const isCall = leg.type === "Call";
+    const nakedPerContract = nakedOptionRequirement_(leg.type, leg.strike, S, leg.value, params) * 100;
+    let qty = leg.qty;
+
+    const byShares = Math.min(qty, Math.floor(coverShares[leg.type] / 100));
+    coverShares[leg.type] -= byShares * 100;
+    qty -= byShares;
+
+    const pairReq = l => Math.min(nakedPerContract, Math.max(0, isCall ? l.strike - leg.strike : leg.strike - l.strike) * 100);
+    const candidates = longs
+      .filter(l => l.type === leg.type && l.free > 0 && (l.dte || 0) >= (leg.dte || 0))
+      .sort((a, b) => pairReq(a) - pairReq(b));
+    for (const l of candidates) {
+      if (qty <= 0) break;
+      const n = Math.min(qty, l.free);
+      covered += pairReq(l) * n;
+      l.free -= n;
+      qty -= n;
+    }
+
+    naked += nakedPerContract * qty;
+  }
+
+  return { stock, spreads, covered, naked, total: stock + spreads + covered + naked };
+}
+
+/**
+ * Finds the highest price at which excess liquidity turns negative, interpolating
+ * between grid points.
+ * @param {number[]} prices - Ascending price grid
+ * @param {number[]} excess - Excess liquidity at each price
+ * @returns {number|null} Margin-call price, or null if excess is never negative
+ */
+function findMarginCallPrice_(prices, excess) {
+  for (let i = excess.length - 1; i >= 0; i--) {
+    if (excess[i] >= 0) continue;
+    if (i === excess.length - 1) return prices[i];
+    const t = excess[i] / (excess[i] - excess[i + 1]);
+    return roundTo_(prices[i] + t * (prices[i + 1] - prices[i]), 0);
+  }
+  return null;
+}
+
+/**
+ * Test margin rules against hand-computed Reg-T requirements.
+ */
+function test_marginRequirement() {
+  const params = { ...MARGIN_DEFAULTS };
+
+  // Naked put, K=400, S=420, value 10: 10 + max(84 - 20, 40) = 74
+  assertEqual(nakedOptionRequirement_("Put", 400, 420, 10, params), 74, "naked put");
+  // Far OTM put hits the 10%-of-strike minimum: 1 + max(84 - 120, 30) = 31
+  assertEqual(nakedOptionRequirement_("Put", 300, 420, 1, params), 31, "naked put minimum");
+  // Naked call, K=500, S=420, value 5: 5 + max(84 - 80, 42) = 47
+  assertEqual(nakedOptionRequirement_("Call", 500, 420, 5, params), 47, "naked call minimum");
+
+  const book = {
+    shares: [{ qty: 100 }],
+    spreads: [
+      { flavor: "PUT", kLong: 380, kShort: 400, debit: -6, qty: 2 },   // credit: (20 - 6) x 200
+      { flavor: "CALL", kLong: 400, kShort: 450, debit: 20, qty: 1 }  // debit: paid in full
+    ],
+    shortOptions: [{ type: "Put", strike: 400, qty: 1, value: 10 }]
+  };
+  const req = computeMarginRequirement_(book, 420, { ...params, stockMaintenance: 0.40 });
+  assertEqual(req.stock, 16800, "stock maintenance");
+  assertEqual(req.spreads, 2800, "credit spread width - credit");
+  assertEqual(req.naked, 7400, "naked put x100");
+  assertEqual(req.total, 27000, "total requirement");
+
+  // Short stock uses its own rate: 0.30 x 420 x 50
+  assertEqual(computeMarginRequirement_({ shares: [{ qty: -50 }] }, 420, params).stock, 6300, "short stock maintenance");
+
+  // Iron condor: 2 put spreads at (20 - 3) x 100 and 1 call spread at (20 - 2) x 100, same expiration.
+  // One put pairs with the call (charged 1800), the other put is unpaired (1700).
+  const condor = {
+    spreads: [
+      { flavor: "PUT", kLong: 380, kShort: 400, debit: -3, qty: 2, expiration: "12/19/2025" },
+      { flavor: "BEAR_CALL", kLong: 450, kShort: 470, debit: -2, qty: 1, expiration: "12/19/2025" }
+    ]
+  };
+  assertEqual(computeMarginRequirement_(condor, 420, params).spreads, 3500, "iron condor charges the larger side");
+  condor.spreads[1].expiration = "1/16/2026";
+  assertEqual(computeMarginRequirement_(condor, 420, params).spreads, 5200, "no offset across expirations");
+
+  // Covered call: 100 shares cover one contract; the second is naked: 5 + max(84 - 30, 42) = 59
+  const coveredCall = {
+    shares: [{ qty: 100 }],
+    shortOptions: [{ type: "Call", strike: 450, qty: 2, value: 5, dte: 30 }]
+  };
+  const cc = computeMarginRequirement_(coveredCall, 420, params);
+  assertEqual(cc.covered, 0, "covered call adds nothing to the stock requirement");
+  assertEqual(cc.naked, 5900, "uncovered contract is naked");
+  assertEqual(cc.stock, 10500, "stock maintenance still applies");
+
+  // PMCC: long 300 call (longer-dated) covers the short 450 call at no extra requirement
+  const pmcc = {
+    shortOptions: [{ type: "Call", strike: 450, qty: 1, value: 5, dte: 30 }],
+    longOptions: [{ type: "Call", strike: 300, qty: 1, dte: 400 }]
+  };
+  assertEqual(computeMarginRequirement_(pmcc, 420, params).total, 0, "PMCC short call covered by long call");
+  // Diagonal with the long strike above the short: strike difference (470 - 450) x 100
+  pmcc.longOptions = [{ type: "Call", strike: 470, qty: 1, dte: 60 }];
+  assertEqual(computeMarginRequirement_(pmcc, 420, params).covered, 2000, "diagonal charges the strike difference");
+  // A long leg expiring before the short leg does not cover it
+  pmcc.longOptions = [{ type: "Call", strike: 300, qty: 1, dte: 10 }];
+  assertEqual(computeMarginRequirement_(pmcc, 420, params).naked, 5900, "earlier-expiring long leg leaves the short naked");
+
+  // Excess crosses zero between 300 and 310: -100 -> +300 => 302.5 rounds to 303
+  assertEqual(findMarginCallPrice_([300, 310, 320], [-100, 300, 800]), 303, "margin call interpolated");
+  assertEqual(findMarginCallPrice_([300, 310], [50, 100]), null, "no margin call");
+}
@@ -8,7 +8,7 @@
  *
  * Supported position types:
  *   - Stock/shares
- *   - Bull call spreads, bull put spreads, bear call spreads
+ *   - Bull call spreads, bull put spreads, bear call spreads, bear put spreads
  *   - Iron condors (split into put + call spreads)
  *   - Single-leg options: long calls, short calls, long puts, short puts
  *
@@ -20,8 +20,9 @@
  *
  * Features:
  *   - Toggle between "At Expiration" and "Current" value modes
+ *   - Valuation date slider: "Current" values on a future date, expired legs at intrinsic
  *   - Double-click spreads/options to open in OptionStrat
- *   - Current price line overlay from GOOGLEFINANCE
+ *   - Current price line overlay (getUnderlyingPrice_: Prices sheet, upload, parity, GOOGLEFINANCE)
  */
 
 /* =========================================================
@@ -36,6 +37,12 @@ function PlotPortfolioValueByPrice() {
 
   const ss = SpreadsheetApp.getActive();
 
+  // Ensure PricingConfig sheet exists (rate and dividend yield for "Current" values)
+  ensurePricingConfigSheet_(ss);
+
+  // Ensure MarginConfig sheet exists (Reg-T percentages for the margin-call line)
+  ensureMarginConfigSheet_(ss);
+
   // Get unique symbols from position tables
   const symbols = getUniqueSymbolsFromPositions_(ss);
 
@@ -91,8 +98,10 @@ function plotSelectedSymbols(symbols) {
 /**
  * Returns portfolio graph data for the selected symbol.
  * Called by PortfolioGraphs.html via google.script.run.
+ *
+ * @param {number} [daysForward=0] - Value "Current" curves this many days from today
  */
-function getPortfolioGraphData() {
+function getPortfolioGraphData(daysForward) {
   try {
     log.debug("getPortfolioGraphData", "Starting...");
     const ss = SpreadsheetApp.getActive();
@@ -105,7 +114,8 @@ function getPortfolioGraphData() {
       throw new Error("No symbol selected for portfolio graphs");
     }
 
-    const result = computePortfolioGraphData_(ss, symbol);
+    const days = Math.max(0, Math.round(Number(daysForward) || 0));
+    const result = computePortfolioGraphData_(ss, symbol, days);
     log.debug("getPortfolioGraphData", "Computed data, prices count = " + (result.prices ? result.prices.length : 0));
     return result;
   } catch (e) {
@@ -116,19 +126,29 @@ function getPortfolioGraphData() {
 
 /**
  * Computes portfolio graph data for a symbol.
+ *
+ * "Current" values are Black-Scholes estimates calibrated to today's quotes and
+ * re-priced daysForward days from today (each leg's DTE reduced by that amount).
+ * Legs that expire on or before that date are valued at intrinsic.
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @param {number} [daysForward=0] - Valuation date offset in days (0 = today)
  */
-function computePortfolioGraphData_(ss, symbol) {
+function computePortfolioGraphData_(ss, symbol, daysForward = 0) {
   // Parse positions
   let shares = [];
   let bullCallSpreads = [];
   let bullPutSpreads = [];
   let bearCallSpreads = [];
+  let bearPutSpreads = [];
   let longCalls = [];
   let shortCalls = [];
   let longPuts = [];
   let shortPuts = [];
 
   let cash = 0;
+  let accountCash = 0;
   let customPositions = [];
 
   const legsRange = getNamedRangeWithTableFallback_(ss, "Portfolio");
@@ -139,15 +159,20 @@ function computePortfolioGraphData_(ss, symbol) {
     bullCallSpreads = parsed.bullCallSpreads;
     bullPutSpreads = parsed.bullPutSpreads;
     bearCallSpreads = parsed.bearCallSpreads;
+    bearPutSpreads = parsed.bearPutSpreads || [];
     longCalls = parsed.longCalls || [];
     shortCalls = parsed.shortCalls || [];
     longPuts = parsed.longPuts || [];
     shortPuts = parsed.shortPuts || [];
     customPositions = parsed.customPositions || [];
     cash = parsed.cash || 0;
+    accountCash = parseAccountCash_(legsRows);
   }
 
-  const allSpreads = [...bullCallSpreads, ...bullPutSpreads, ...bearCallSpreads];
+  const allSpreads = [...bullCallSpreads, ...bullPutSpreads, ...bearCallSpreads, ...bearPutSpreads];
+  // Bear spreads hold the lower (short) strike in kLong and the higher (long) strike in kShort
+  const isCallSpread = sp => sp.flavor === "CALL" || sp.flavor === "BEAR_CALL";
+  const isBearSpread = sp => sp.flavor === "BEAR_CALL" || sp.flavor === "BEAR_PUT";
   const allSingleLegs = [...longCalls, ...shortCalls, ...longPuts, ...shortPuts];
 
   // Flatten custom position legs for quote fetching and DTE calculation
@@ -186,11 +211,26 @@ function computePortfolioGraphData_(ss, symbol) {
     }
     if (!leg.dte) leg.dte = 365;
   }
+  // Custom positions with legs on several expirations (calendars, diagonals, PMCC) are
+  // valued "at expiration" on their earliest expiration; later legs keep their time value
+  for (const cp of customPositions) {
+    const earliest = earliestLegExpiration_(cp.legs);
+    cp.evalDte = earliest.dte;
+    cp.evalDate = earliest.isMultiExpiration ? formatDateMDYYYY_(parseDateAtMidnight_(earliest.expiration)) : null;
+    if (cp.evalDate) log.debug("positions", `Custom ${cp.label}: expiration view at ${cp.evalDate} (dte=${cp.evalDte})`);
+  }
+
+  // Valuation date slider range: today through the last expiration
+  const maxDaysForward = Math.max(0, ...[...allSpreads, ...allSingleLegs, ...allCustomLegs].map(p => p.dte));
+  daysForward = Math.min(daysForward, maxDaysForward);
+  const valuationDate = new Date(today.getTime() + daysForward * 1000 * 60 * 60 * 24);
+  log.debug("positions", `Valuation date ${formatDateMDYYYY_(valuationDate)} (+${daysForward} days, max ${maxDaysForward})`);
 
   // Pre-fetch actual option prices for all spreads (for "current" mode)
   // Each spread gets { longBid, longMid, longAsk, shortBid, shortMid, shortAsk }
+  // ("long" = kLong strike, which is the short leg of a bear spread)
   const spreadQuotes = allSpreads.map(sp => {
-    const quotes = fetchSpreadQuotes_(symbol, sp.expiration, sp.kLong, sp.kShort, sp.flavor === "CALL" ? "Call" : "Put");
+    const quotes = fetchSpreadQuotes_(symbol, sp.expiration, sp.kLong, sp.kShort, isCallSpread(sp) ? "Call" : "Put");
     // Log for debugging
     const spreadValue = quotes.longMid != null && quotes.shortMid != null ? quotes.longMid - quotes.shortMid : null;
     log.debug("quotes", `Spread ${sp.label}: longMid=${quotes.longMid}, shortMid=${quotes.shortMid}, spreadValue=${spreadValue}, debit=${sp.debit}`);
@@ -227,14 +267,16 @@ function computePortfolioGraphData_(ss, symbol) {
   log.info("summary", `Bull Call Spreads: ${bullCallSpreads.length} positions`);
   log.info("summary", `Bull Put Spreads: ${bullPutSpreads.length} positions`);
   log.info("summary", `Bear Call Spreads: ${bearCallSpreads.length} positions`);
+  log.info("summary", `Bear Put Spreads: ${bearPutSpreads.length} positions`);
   log.info("summary", `Long Calls: ${longCalls.length} positions`);
   log.info("summary", `Short Calls: ${shortCalls.length} positions`);
   log.info("summary", `Long Puts: ${longPuts.length} positions`);
   log.info("summary", `Short Puts: ${shortPuts.length} positions`);
   log.info("summary", `Cash: $${cash.toFixed(2)}`);
 
+  // Debit spreads (bull call, bear put) risk the debit; credit spreads (bull put, bear call) risk width - credit
   const spreadInvestments = allSpreads.map((sp) => {
-    if (sp.flavor === "CALL") {
+    if (sp.flavor === "CALL" || sp.flavor === "BEAR_PUT") {
       return sp.debit * 100 * sp.qty;
     } else {
       const width = sp.kShort - sp.kLong;
@@ -262,6 +304,7 @@ function computePortfolioGraphData_(ss, symbol) {
     { name: "Bull Call Spreads", spreads: bullCallSpreads, flavor: "CALL", isSingleLeg: false },
     { name: "Bull Put Spreads", spreads: bullPutSpreads, flavor: "PUT", isSingleLeg: false },
     { name: "Bear Call Spreads", spreads: bearCallSpreads, flavor: "BEAR_CALL", isSingleLeg: false },
+    { name: "Bear Put Spreads", spreads: bearPutSpreads, flavor: "BEAR_PUT", isSingleLeg: false },
     { name: "Long Calls", spreads: longCalls, flavor: "LONG_CALL", isSingleLeg: true },
     { name: "Short Calls", spreads: shortCalls, flavor: "SHORT_CALL", isSingleLeg: true },
     { name: "Long Puts", spreads: longPuts, flavor: "LONG_PUT", isSingleLeg: true },
@@ -298,32 +341,71 @@ function computePortfolioGraphData_(ss, symbol) {
     return sum;
   });
 
-  // Get current price via GOOGLEFINANCE
-  let currentPrice = null;
-  try {
-    const tempSheet = ss.insertSheet("__temp_price__");
-    tempSheet.getRange("A1").setFormula(`=GOOGLEFINANCE("${symbol}")`);
-    SpreadsheetApp.flush();
-
-    // Try up to 3 times with increasing wait, as GOOGLEFINANCE can be slow
-    for (let attempt = 0; attempt < 3; attempt++) {
-      Utilities.sleep(500 + attempt * 500); // 500ms, 1000ms, 1500ms
-      const val = tempSheet.getRange("A1").getValue();
-      if (typeof val === "number" && isFinite(val) && val > 0) {
-        currentPrice = val;
-        break;
-      }
+  // Current price: Prices sheet override, upload capture, parity or GOOGLEFINANCE
+  const underlying = getUnderlyingPrice_(ss, symbol);
+  const currentPrice = underlying.price;
+
+  // Rate and dividend yield for Black-Scholes estimates, per expiration
+  // (PricingConfig sheet, or the rate implied by put-call parity on the upload)
+  const pricingByExpiration = {};
+  const pricingFor = (expiration) => {
+    const key = String(expiration);
+    if (!pricingByExpiration[key]) pricingByExpiration[key] = getPricingParams_(ss, symbol, expiration);
+    return pricingByExpiration[key];
+  };
+
+  // "Current" value of each position at stock price S, valued `days` days from today.
+  // Shared by the value curves and the price × date P&L heatmap.
+  const spreadCurrentValue = (spIdx, S, days) => {
+    const sp = allSpreads[spIdx];
+    const quotes = spreadQuotes[spIdx];
+    const hasQuotes = quotes && quotes.longMid != null && quotes.shortMid != null;
+
+    if (sp.flavor === "CALL") {
+      // Estimate value at stock price S, anchored at actual current value (or debit paid)
+      const currentSpreadValue = hasQuotes ? quotes.longMid - quotes.shortMid : sp.debit;
+      return estimateSpreadValueAtPrice_(S, sp.kLong, sp.kShort, currentSpreadValue, sp.dte || 365, currentPrice, pricingFor(sp.expiration), days) * 100 * sp.qty;
+    }
+    if (sp.flavor === "PUT") {
+      // VALUE = long lower put - short higher put (-width to 0); debit is negative for credit spreads
+      return estimatePutSpreadValueAtPrice_(S, sp.kLong, sp.kShort, quotes, sp.debit, sp.dte || 365, currentPrice, pricingFor(sp.expiration), days) * 100 * sp.qty;
+    }
+    if (sp.flavor === "BEAR_CALL") {
+      // Bear call = short the bull call spread on the same strikes: VALUE = -(call spread value)
+      const callSpreadValue = hasQuotes ? quotes.longMid - quotes.shortMid : -sp.debit;
+      return -estimateSpreadValueAtPrice_(S, sp.kLong, sp.kShort, callSpreadValue, sp.dte || 365, currentPrice, pricingFor(sp.expiration), days) * 100 * sp.qty;
     }
+    // Bear put = short the bull put spread on the same strikes: VALUE = -(lower put - higher put)
+    return -estimatePutSpreadValueAtPrice_(S, sp.kLong, sp.kShort, quotes, -sp.debit, sp.dte || 365, currentPrice, pricingFor(sp.expiration), days) * 100 * sp.qty;
+  };
 
-    ss.deleteSheet(tempSheet);
-    log.debug("price", "GOOGLEFINANCE returned currentPrice: " + currentPrice + " for " + symbol);
-  } catch (e) {
-    log.warn("price", "Could not get current price: " + e);
-    // Clean up temp sheet if it exists
-    try {
-      const tempSheet = ss.getSheetByName("__temp_price__");
-      if (tempSheet) ss.deleteSheet(tempSheet);
-    } catch (e2) {}
+  // Single option leg at expiration.
+  // Long: value = intrinsic. Short: value = credit - liability = premium - intrinsic
+  // (premium kept when OTM, could be negative when deep ITM).
+  const optionExpValue = (leg, S) => {
+    const intrinsic = leg.type === "Call" ? Math.max(0, S - leg.strike) : Math.max(0, leg.strike - S);
+    return (leg.isLong ? intrinsic : leg.price - intrinsic) * 100 * leg.qty;
+  };
+
+  // Single option leg before expiration: Black-Scholes estimate calibrated to the quote mid
+  const optionMarkValue = (leg, quote, S, days) => {
+    const currentMid = quote?.mid ?? leg.price;
+    return estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, leg.type, pricingFor(leg.expiration), days);
+  };
+  const optionCurrentValue = (leg, quote, S, days) => {
+    const optionValue = optionMarkValue(leg, quote, S, days);
+    return (leg.isLong ? optionValue : leg.price - optionValue) * 100 * leg.qty;
+  };
+
+  // Outlook TargetDate (if any) offered as a slider preset
+  let outlookDaysForward = null;
+  if (currentPrice && maxDaysForward > 0) {
+    const lastExpiration = new Date(today.getTime() + maxDaysForward * 1000 * 60 * 60 * 24);
+    const outlook = getOutlookForExpiration_(ss, symbol, lastExpiration, currentPrice);
+    if (outlook) {
+      const days = Math.round((outlook.targetDate - today) / (1000 * 60 * 60 * 24));
+      if (days > 0) outlookDaysForward = Math.min(days, maxDaysForward);
+    }
   }
 
   // Build data arrays
@@ -346,6 +428,13 @@ function computePortfolioGraphData_(ss, symbol) {
     ...allSingleLegs.map(leg => `${leg.qty} - ${leg.label} ${leg.isLong ? 'Long' : 'Short'} ${leg.type}`),
     ...customPositions.map(cp => `${cp.qty} - ${cp.label}`)
   ];
+  // Date the "at expiration" curve represents, when it is not each leg's own expiration
+  const spreadExpDates = [
+    ...allSpreads.map(() => null),
+    ...allSingleLegs.map(() => null),
+    ...customPositions.map(cp => cp.evalDate)
+  ];
+  const strategyExpDates = strategyGroups.map(g => g.isCustom ? customPositions[g.customIndex].evalDate : null);
   const allPositions = allSpreads.length + allSingleLegs.length + customPositions.length;
   const spreadValuesExp = Array.from({ length: allPositions }, () => []);
   const spreadValuesCurrent = Array.from({ length: allPositions }, () => []);
@@ -357,10 +446,11 @@ function computePortfolioGraphData_(ss, symbol) {
   const spreadUrls = [
     ...allSpreads.map(sp => {
       try {
-        const optionType = sp.flavor === "PUT" ? "Put" : "Call";
+        const optionType = isCallSpread(sp) ? "Call" : "Put";
+        const lowerQty = isBearSpread(sp) ? -sp.qty : sp.qty;
         const legs = [
-          { strike: sp.kLong, type: optionType, qty: sp.qty, expiration: sp.expiration, price: sp.priceLong },
-          { strike: sp.kShort, type: optionType, qty: -sp.qty, expiration: sp.expiration, price: sp.priceShort }
+          { strike: sp.kLong, type: optionType, qty: lowerQty, expiration: sp.expiration, price: sp.priceLong },
+          { strike: sp.kShort, type: optionType, qty: -lowerQty, expiration: sp.expiration, price: sp.priceShort }
         ];
         return buildCustomOptionStratUrl(symbol, legs);
       } catch (e) {
@@ -416,21 +506,12 @@ function computePortfolioGraphData_(ss, symbol) {
       const sp = allSpreads[spIdx];
       const width = sp.kShort - sp.kLong;
       let valueExp = 0;
-      let valueCurrent = 0;
-
-      // Get actual current value at current stock price (from quotes fetched earlier)
-      const quotes = spreadQuotes[spIdx];
-      const currentSpreadValue = quotes && quotes.longMid != null && quotes.shortMid != null
-        ? quotes.longMid - quotes.shortMid
-        : sp.debit; // Fall back to debit paid
 
       if (sp.flavor === "CALL") {
         // Bull call spread (debit spread)
         // VALUE = long call intrinsic - short call intrinsic = clamped spread
         const intrinsic = Math.max(0, Math.min(width, S - sp.kLong));
         valueExp = intrinsic * 100 * sp.qty;
-        // Current: estimate value at stock price S, anchored at actual current value
-        valueCurrent = estimateSpreadValueAtPrice_(S, sp.kLong, sp.kShort, currentSpreadValue, sp.dte || 365, currentPrice) * 100 * sp.qty;
       } else if (sp.flavor === "PUT") {
         // Bull put spread (credit spread)
         // VALUE = long put intrinsic - short put intrinsic = -loss (negative when losing)
@@ -438,23 +519,20 @@ function computePortfolioGraphData_(ss, symbol) {
         // At max loss (S < kLong): value = -width
         const loss = Math.max(0, Math.min(width, sp.kShort - S));
         valueExp = -loss * 100 * sp.qty;
-        // For current value, estimate uses recovery semantics, then convert to VALUE
-        const putRecovery = quotes && quotes.longMid != null && quotes.shortMid != null
-          ? width - (quotes.shortMid - quotes.longMid)
-          : width + sp.debit; // debit is negative for credit spreads
-        const recoveryEstimate = estimatePutSpreadValueAtPrice_(S, sp.kLong, sp.kShort, putRecovery, sp.dte || 365, currentPrice);
-        // Convert from recovery (0 to width) to VALUE (-width to 0)
-        valueCurrent = (recoveryEstimate - width) * 100 * sp.qty;
-      } else {
+      } else if (sp.flavor === "BEAR_CALL") {
         // Bear call spread (credit spread)
         // VALUE = long call intrinsic - short call intrinsic = -loss (negative when losing)
         const loss = Math.max(0, Math.min(width, S - sp.kLong));
         valueExp = -loss * 100 * sp.qty;
-        valueCurrent = valueExp; // Simplified for bear call
+      } else {
+        // Bear put spread (debit spread)
+        // VALUE = long (higher) put intrinsic - short (lower) put intrinsic = clamped spread
+        const intrinsic = Math.max(0, Math.min(width, sp.kShort - S));
+        valueExp = intrinsic * 100 * sp.qty;
       }
 
       individualExp.push(roundTo_(valueExp, 2));
-      individualCurrent.push(roundTo_(valueCurrent, 2));
+      individualCurrent.push(roundTo_(spreadCurrentValue(spIdx, S, daysForward), 2));
     }
 
     // Compute individual single-leg option values
@@ -463,45 +541,8 @@ function computePortfolioGraphData_(ss, symbol) {
 
     for (let legIdx = 0; legIdx < allSingleLegs.length; legIdx++) {
       const leg = allSingleLegs[legIdx];
-      const quote = singleLegQuotes[legIdx];
-      const currentMid = quote?.mid ?? leg.price;
-      let valueExp = 0;
-      let valueCurrent = 0;
-
-      if (leg.type === "Call") {
-        // Call option: intrinsic = max(0, S - strike) at expiration
-        const intrinsic = Math.max(0, S - leg.strike);
-        if (leg.isLong) {
-          // Long call: value = intrinsic at expiration
-          valueExp = intrinsic * 100 * leg.qty;
-          valueCurrent = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Call") * 100 * leg.qty;
-        } else {
-          // Short call: value = credit - liability = premium - intrinsic
-          // At max profit (OTM): value = premium (credit kept)
-          // At max loss (ITM): value = premium - intrinsic (could be negative)
-          valueExp = (leg.price - intrinsic) * 100 * leg.qty;
-          const optionValue = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Call");
-          valueCurrent = (leg.price - optionValue) * 100 * leg.qty;
-        }
-      } else {
-        // Put option: intrinsic = max(0, strike - S) at expiration
-        const intrinsic = Math.max(0, leg.strike - S);
-        if (leg.isLong) {
-          // Long put: value = intrinsic at expiration
-          valueExp = intrinsic * 100 * leg.qty;
-          valueCurrent = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Put") * 100 * leg.qty;
-        } else {
-          // Short put: value = credit - liability = premium - intrinsic
-          // At max profit (OTM): value = premium (credit kept)
-          // At max loss (ITM): value = premium - intrinsic (could be negative)
-          valueExp = (leg.price - intrinsic) * 100 * leg.qty;
-          const optionValue = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Put");
-          valueCurrent = (leg.price - optionValue) * 100 * leg.qty;
-        }
-      }
-
-      singleLegExp.push(roundTo_(valueExp, 2));
-      singleLegCurrent.push(roundTo_(valueCurrent, 2));
+      singleLegExp.push(roundTo_(optionExpValue(leg, S), 2));
+      singleLegCurrent.push(roundTo_(optionCurrentValue(leg, singleLegQuotes[legIdx], S, daysForward), 2));
     }
 
     // Compute custom position values (sum of all legs' P&L)
@@ -513,34 +554,9 @@ function computePortfolioGraphData_(ss, symbol) {
       let sumExp = 0, sumCurrent = 0;
       for (const leg of cp.legs) {
         const quote = customLegQuotes[customLegIdx++];
-        const currentMid = quote?.mid ?? leg.price;
-        let legValueExp = 0, legValueCurrent = 0;
-
-        if (leg.type === "Call") {
-          const intrinsic = Math.max(0, S - leg.strike);
-          if (leg.isLong) {
-            legValueExp = intrinsic * 100 * leg.qty;
-            legValueCurrent = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Call") * 100 * leg.qty;
-          } else {
-            // Short: value = credit - liability = premium - intrinsic
-            legValueExp = (leg.price - intrinsic) * 100 * leg.qty;
-            const optionValue = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Call");
-            legValueCurrent = (leg.price - optionValue) * 100 * leg.qty;
-          }
-        } else {
-          const intrinsic = Math.max(0, leg.strike - S);
-          if (leg.isLong) {
-            legValueExp = intrinsic * 100 * leg.qty;
-            legValueCurrent = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Put") * 100 * leg.qty;
-          } else {
-            // Short: value = credit - liability = premium - intrinsic
-            legValueExp = (leg.price - intrinsic) * 100 * leg.qty;
-            const optionValue = estimateSingleOptionValueAtPrice_(S, leg.strike, currentMid, leg.dte || 365, currentPrice, "Put");
-            legValueCurrent = (leg.price - optionValue) * 100 * leg.qty;
-          }
-        }
-        sumExp += legValueExp;
-        sumCurrent += legValueCurrent;
+        // Multi-expiration: legs expiring first are at intrinsic (no time left), later legs re-priced
+        sumExp += cp.evalDate ? optionCurrentValue(leg, quote, S, cp.evalDte) : optionExpValue(leg, S);
+        sumCurrent += optionCurrentValue(leg, quote, S, daysForward);
       }
       customPosExp.push(roundTo_(sumExp, 2));
       customPosCurrent.push(roundTo_(sumCurrent, 2));
@@ -687,38 +703,65 @@ function computePortfolioGraphData_(ss, symbol) {
     totalValuesCurrent.push(roundTo_(sharesValue + optionsCurrent, 2));
   }
 
-  // Calculate margin call price from short puts
-  // Margin required = SUM(strike × qty × 100) × marginRequirement
-  const MARGIN_REQUIREMENT = 0.40; // 40% for TSLA
-  let marginRequired = 0;
-  for (const sp of shortPuts) {
-    marginRequired += sp.strike * sp.qty * 100 * MARGIN_REQUIREMENT;
+  // P&L heatmap: total portfolio P&L at each price (rows) on each evaluation date (columns)
+  // P&L = current value - cost: shares basis, spread debit, premium paid for long legs
+  // (short legs already net their credit in their value).
+  const longLegCost = leg => leg.isLong ? leg.price * 100 * leg.qty : 0;
+  const optionsCost = allSpreads.reduce((sum, sp) => sum + sp.debit * 100 * sp.qty, 0)
+    + allSingleLegs.reduce((sum, leg) => sum + longLegCost(leg), 0)
+    + allCustomLegs.reduce((sum, leg) => sum + longLegCost(leg), 0);
+  const heatmapDays = computeHeatmapDays_(maxDaysForward);
+  const heatmapPnl = prices.map(S => heatmapDays.map(days => {
+    let pnl = S * totalShares - sharesCost - optionsCost;
+    for (let i = 0; i < allSpreads.length; i++) pnl += spreadCurrentValue(i, S, days);
+    for (let i = 0; i < allSingleLegs.length; i++) pnl += optionCurrentValue(allSingleLegs[i], singleLegQuotes[i], S, days);
+    for (let i = 0; i < allCustomLegs.length; i++) pnl += optionCurrentValue(allCustomLegs[i], customLegQuotes[i], S, days);
+    return roundTo_(pnl, 2);
+  }));
+  const heatmapDates = heatmapDays.map(days => formatDateMDYYYY_(new Date(today.getTime() + days * 1000 * 60 * 60 * 24)));
+  log.debug("heatmap", `P&L heatmap: ${prices.length} prices x ${heatmapDays.length} dates`);
+
+  // Margin: Reg-T requirement and excess liquidity at each price (MarginConfig sheet).
+  // Equity is the account's net liquidation value: account cash (every CASH row) + shares +
+  // option marks, where short legs count as a liability (their value curves include the
+  // premium received).
+  const marginParams = getMarginParams_(ss, symbol);
+  const shortSingleLegs = allSingleLegs.map((leg, i) => ({ leg, quote: singleLegQuotes[i] })).filter(x => !x.leg.isLong);
+  const shortCustomLegs = allCustomLegs.map((leg, i) => ({ leg, quote: customLegQuotes[i] })).filter(x => !x.leg.isLong);
+  const longOptions = [...allSingleLegs, ...allCustomLegs].filter(leg => leg.isLong)
+    .map(leg => ({ type: leg.type, strike: leg.strike, qty: leg.qty, dte: leg.dte }));
+  const shortPremiums = [...shortSingleLegs, ...shortCustomLegs].reduce((sum, x) => sum + x.leg.price * 100 * x.leg.qty, 0);
+  const marginRequiredByPrice = [];
+  const excessLiquidity = [];
+  for (let i = 0; i < prices.length; i++) {
+    const S = prices[i];
+    const shortOptions = [...shortSingleLegs, ...shortCustomLegs].map(x => ({
+      type: x.leg.type,
+      strike: x.leg.strike,
+      qty: x.leg.qty,
+      dte: x.leg.dte,
+      value: optionMarkValue(x.leg, x.quote, S, daysForward)
+    }));
+    const req = computeMarginRequirement_({ shares, spreads: allSpreads, shortOptions, longOptions }, S, marginParams);
+    const equity = accountCash + totalValuesCurrent[i] - shortPremiums;
+    marginRequiredByPrice.push(roundTo_(req.total, 2));
+    excessLiquidity.push(roundTo_(equity - req.total, 2));
   }
 
-  // Find price where portfolio value drops to margin required
-  let marginCallPrice = null;
-  if (marginRequired > 0 && totalValues.length > 0) {
-    // Scan from high to low price to find where value crosses below margin required
-    for (let i = totalValues.length - 1; i >= 0; i--) {
-      if (totalValues[i] <= marginRequired) {
-        // Linear interpolation between this point and the next higher one
-        if (i < totalValues.length - 1) {
-          const v0 = totalValues[i];
-          const v1 = totalValues[i + 1];
-          const p0 = prices[i];
-          const p1 = prices[i + 1];
-          // Interpolate: at what price does value = marginRequired?
-          const t = (marginRequired - v0) / (v1 - v0);
-          marginCallPrice = roundTo_(p0 + t * (p1 - p0), 0);
-        } else {
-          marginCallPrice = prices[i];
-        }
-        break;
-      }
-    }
-  }
+  // Margin call where excess liquidity turns negative, scanning down from the top of the range
+  const marginCallPrice = findMarginCallPrice_(prices, excessLiquidity);
+  const currentIdx = currentPrice ? prices.findIndex(p => p >= currentPrice) : -1;
+  const marginRequired = currentIdx >= 0 ? marginRequiredByPrice[currentIdx] : 0;
 
-  log.info("margin", `Short puts: ${shortPuts.length}, margin required: $${marginRequired}, margin call price: $${marginCallPrice}`);
+  log.info("margin", `Margin required: $${marginRequired}, margin call price: $${marginCallPrice}`);
+
+  // Account value and per-group P&L over past upload dates (ValueHistory sheet)
+  let valueHistory = null;
+  try {
+    valueHistory = getValueHistoryGraphData_(ss, symbol);
+  } catch (e) {
+    log.warn("plotPerformance", "Could not read value history: " + e);
+  }
 
   return {
     symbol: symbol,
@@ -729,11 +772,13 @@ function computePortfolioGraphData_(ss, symbol) {
     totalValuesCurrent: totalValuesCurrent,
     cash: cash,
     strategyLabels: strategyLabels,
+    strategyExpDates: strategyExpDates,
     strategyValuesExp: strategyValuesExp,
     strategyValuesCurrent: strategyValuesCurrent,
     strategyRoisExp: strategyRoisExp,
     strategyRoisCurrent: strategyRoisCurrent,
     spreadLabels: spreadLabels,
+    spreadExpDates: spreadExpDates,
     spreadUrls: spreadUrls,
     spreadValuesExp: spreadValuesExp,
     spreadValuesCurrent: spreadValuesCurrent,
@@ -744,19 +789,94 @@ function computePortfolioGraphData_(ss, symbol) {
     spreadCount: allSpreads.length,
     spreadInvestment: totalSpreadInvestment,
     currentPrice: currentPrice,
+    currentPriceSource: underlying.source,
+    daysForward: daysForward,
+    valuationDate: formatDateMDYYYY_(valuationDate),
+    maxDaysForward: maxDaysForward,
+    outlookDaysForward: outlookDaysForward,
+    heatmapDays: heatmapDays,
+    heatmapDates: heatmapDates,
+    heatmapPnl: heatmapPnl,
     marginCallPrice: marginCallPrice,
     marginRequired: marginRequired,
+    marginRequiredByPrice: marginRequiredByPrice,
+    excessLiquidity: excessLiquidity,
+    valueHistory: valueHistory,
+  };
+}
+
+/**
+ * Finds the earliest-expiring leg of a custom position.
+ * @param {Array<{expiration, dte}>} legs - Legs with dte already set
+ * @returns {{dte: number, expiration: *, isMultiExpiration: boolean}}
+ */
+function earliestLegExpiration_(legs) {
+  let earliest = null;
+  const dtes = new Set();
+  for (const leg of legs) {
+    dtes.add(leg.dte);
+    if (!earliest || leg.dte < earliest.dte) earliest = leg;
+  }
+  return {
+    dte: earliest ? earliest.dte : 0,
+    expiration: earliest ? earliest.expiration : null,
+    isMultiExpiration: dtes.size > 1
   };
 }
 
+/**
+ * Test earliest-expiration detection for custom positions.
+ */
+function test_earliestLegExpiration() {
+  const pmcc = earliestLegExpiration_([
+    { expiration: "6/16/2028", dte: 600 },
+    { expiration: "1/15/2027", dte: 88 }
+  ]);
+  assertEqual(pmcc.dte, 88, "earliest dte");
+  assertEqual(pmcc.expiration, "1/15/2027", "earliest expiration");
+  assertEqual(pmcc.isMultiExpiration, true, "two expirations");
+  const single = earliestLegExpiration_([{ expiration: "1/15/2027", dte: 88 }, { expiration: "1/15/2027", dte: 88 }]);
+  assertEqual(single.isMultiExpiration, false, "one expiration");
+}
+
+/** Maximum number of evaluation dates (columns) in the P&L heatmap */
+const PORTFOLIO_HEATMAP_MAX_DATES = 30;
+
+/**
+ * Returns evenly spaced day offsets from today (0) through the last expiration.
+ * @param {number} maxDays - Days until the last expiration
+ * @param {number} [maxDates=PORTFOLIO_HEATMAP_MAX_DATES] - Maximum number of dates
+ * @returns {number[]} Ascending day offsets, always starting at 0 and ending at maxDays
+ */
+function computeHeatmapDays_(maxDays, maxDates = PORTFOLIO_HEATMAP_MAX_DATES) {
+  if (!(maxDays > 0)) return [0];
+  const step = Math.max(1, Math.ceil(maxDays / (maxDates - 1)));
+  const days = [];
+  for (let d = 0; d < maxDays; d += step) days.push(d);
+  days.push(maxDays);
+  return days;
+}
+
+/**
+ * Test heatmap date spacing.
+ */
+function test_computeHeatmapDays() {
+  assertEqual(computeHeatmapDays_(0).join(","), "0", "no expirations = today only");
+  assertEqual(computeHeatmapDays_(5).join(","), "0,1,2,3,4,5", "short horizon = every day");
+  const days = computeHeatmapDays_(1000);
+  assertEqual(days.length <= PORTFOLIO_HEATMAP_MAX_DATES, true, "capped at max dates");
+  assertEqual(days[0], 0, "starts today");
+  assertEqual(days[days.length - 1], 1000, "ends at last expiration");
+}
+
 /**
  * Fetches actual option quotes for a spread from OptionPricesUploaded.
- * Returns { longBid, longMid, longAsk, shortBid, shortMid, shortAsk } or null values if not found.
+ * Returns { longBid, longMid, longAsk, longIV, shortBid, shortMid, shortAsk, shortIV } or null values if not found.
  */
 function fetchSpreadQuotes_(symbol, expiration, kLong, kShort, optionType) {
   const result = {
-    longBid: null, longMid: null, longAsk: null,
-    shortBid: null, shortMid: null, shortAsk: null
+    longBid: null, longMid: null, longAsk: null, longIV: null,
+    shortBid: null, shortMid: null, shortAsk: null, shortIV: null
   };
 
   try {
@@ -767,26 +887,28 @@ function fetchSpreadQuotes_(symbol, expiration, kLong, kShort, optionType) {
     const longRes = XLookupByKeys(
       [symbol, expStr, kLong, optionType],
       ["symbol", "expiration", "strike", "type"],
-      ["bid", "mid", "ask"],
+      ["bid", "mid", "ask", "iv"],
       "OptionPricesUploaded"
     );
     if (longRes && longRes[0]) {
       result.longBid = parseFloat(longRes[0][0]) || null;
       result.longMid = parseFloat(longRes[0][1]) || null;
       result.longAsk = parseFloat(longRes[0][2]) || null;
+      result.longIV = parseFloat(longRes[0][3]) || null;
     }
 
     // Look up short leg
     const shortRes = XLookupByKeys(
       [symbol, expStr, kShort, optionType],
       ["symbol", "expiration", "strike", "type"],
-      ["bid", "mid", "ask"],
+      ["bid", "mid", "ask", "iv"],
       "OptionPricesUploaded"
     );
     if (shortRes && shortRes[0]) {
       result.shortBid = parseFloat(shortRes[0][0]) || null;
       result.shortMid = parseFloat(shortRes[0][1]) || null;
       result.shortAsk = parseFloat(shortRes[0][2]) || null;
+      result.shortIV = parseFloat(shortRes[0][3]) || null;
     }
   } catch (e) {
     log.warn("quotes", "fetchSpreadQuotes_ error: " + e.message);
@@ -817,54 +939,40 @@ function formatExpirationForLookup_(exp) {
 
 
 /**
- * Estimates bull call spread value at a given stock price S using a
- * calibrated Black-Scholes model.
+ * Estimates vertical spread value (long kLong option - short kShort option) at a
+ * given stock price S using a calibrated Black-Scholes model. Used for bull call
+ * spreads, bear put spreads, and (negated) bear call spreads.
  *
  * @param {number} S - Stock price to evaluate
- * @param {number} kLong - Long call strike
- * @param {number} kShort - Short call strike
+ * @param {number} kLong - Long option strike
+ * @param {number} kShort - Short option strike
  * @param {number} currentValue - Current spread value (per share) at current stock price
  * @param {number} dte - Days to expiration
  * @param {number} currentStockPrice - Actual current stock price
+ * @param {Object} [pricing] - {riskFreeRate, dividendYield} (default OPTION_PRICING_DEFAULTS)
+ * @param {number} [daysForward=0] - Value this many days from today; intrinsic once expired
+ * @param {string} [optionType="Call"] - "Call" or "Put"
  * @returns {number} Estimated spread value per share at price S
  */
-function estimateSpreadValueAtPrice_(S, kLong, kShort, currentValue, dte, currentStockPrice) {
-    const r = 0.04; // Assumed risk-free rate
+function estimateSpreadValueAtPrice_(S, kLong, kShort, currentValue, dte, currentStockPrice, pricing, daysForward = 0, optionType = "Call") {
+    const { riskFreeRate: r, dividendYield: q } = pricing || OPTION_PRICING_DEFAULTS;
     const t = Math.max(dte, 1) / 365;
+    const remaining = Math.max(dte, 1) - daysForward;
 
-    // Standard Abramowitz & Stegun 5-term CND approximation
-    function cnd(x) {
-        const neg = (x < 0);
-        const z = Math.abs(x);
-        const k = 1.0 / (1.0 + 0.2316419 * z);
-        const pdf = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
-        let v = 1.0 - pdf * (0.319381530 * k - 0.356563782 * Math.pow(k, 2) + 1.781477937 * Math.pow(k, 3) - 1.821255978 * Math.pow(k, 4) + 1.330274429 * Math.pow(k, 5));
-        return neg ? 1.0 - v : v;
-    }
-
-    function bsCall(stock, strike, time, rate, sigma) {
-        if (time <= 0) return Math.max(0, stock - strike);
-        if (sigma <= 0.0001) return Math.max(0, stock - strike * Math.exp(-rate * time));
-        const d1 = (Math.log(stock / strike) + (rate + (sigma * sigma) / 2) * time) / (sigma * Math.sqrt(time));
-        const d2 = d1 - sigma * Math.sqrt(time);
-        return stock * cnd(d1) - strike * Math.exp(-rate * time) * cnd(d2);
-    }
-
-    const getSpreadPrice = (price, sigma) => bsCall(price, kLong, t, r, sigma) - bsCall(price, kShort, t, r, sigma);
+    const getSpreadPrice = (price, sigma, years) =>
+        bsPrice_(price, kLong, years, r, sigma, optionType, q) - bsPrice_(price, kShort, years, r, sigma, optionType, q);
 
-    // Solve for Implied Volatility (sigma) using reference price/value
-    let sigma = 0.5;
-    for (let i = 0; i < 40; i++) {
-        let p = getSpreadPrice(currentStockPrice, sigma);
-        let diff = p - currentValue;
-        if (Math.abs(diff) < 0.00001) break;
+    // Expired by the valuation date: intrinsic (bsPrice_ returns intrinsic at t = 0)
+    if (remaining <= 0) return getSpreadPrice(S, 0, 0);
 
-        let vega = (getSpreadPrice(currentStockPrice, sigma + 0.01) - p) / 0.01;
-        sigma -= diff / (vega || 0.01);
-        if (sigma <= 0) sigma = 0.001;
-    }
+    // Solve for Implied Volatility (sigma) using reference price/value at today's DTE.
+    // It does not depend on S or daysForward, so solve once per execution.
+    const cache = estimateSpreadValueAtPrice_.ivCache = estimateSpreadValueAtPrice_.ivCache || {};
+    const key = [kLong, kShort, currentValue, dte, currentStockPrice, optionType, r, q].join("|");
+    if (!(key in cache)) cache[key] = solveImpliedVol_(s => getSpreadPrice(currentStockPrice, s, t), currentValue);
+    const sigma = cache[key];
 
-    return getSpreadPrice(S, sigma);
+    return getSpreadPrice(S, sigma, remaining / 365);
 }
 
 /**
@@ -909,54 +1017,81 @@ function testEstimateSpreadValueAtPrice() {
 /**
  * Estimates bull put spread value at a given stock price S.
  * Bull put spread (credit spread): Sell higher strike put, buy lower strike put.
- * Profits when stock stays above short strike.
+ * VALUE = long put - short put, from -width (max loss) up to 0 (max profit).
+ *
+ * Each leg is priced with Black-Scholes at its own volatility, so put skew is kept.
+ * A leg's IV is solved from its uploaded mid, or taken from the uploaded IV column.
+ * If either leg has neither, one volatility is fit to the net spread value instead.
  *
  * @param {number} S - Stock price to evaluate
  * @param {number} kLong - Long put strike (lower)
  * @param {number} kShort - Short put strike (higher)
- * @param {number} currentValue - Current spread value at current stock price
+ * @param {Object} quotes - {longMid, shortMid, longIV, shortIV} from fetchSpreadQuotes_ (nulls allowed)
+ * @param {number} fallbackValue - Net value (long - short) per share when quotes are missing, e.g. the debit
  * @param {number} dte - Days to expiration
  * @param {number} currentStockPrice - Actual current stock price
+ * @param {Object} [pricing] - {riskFreeRate, dividendYield} (default OPTION_PRICING_DEFAULTS)
+ * @param {number} [daysForward=0] - Value this many days from today; intrinsic once expired
  * @returns {number} Estimated spread value per share at price S
  */
-function estimatePutSpreadValueAtPrice_(S, kLong, kShort, currentValue, dte, currentStockPrice) {
-  const width = kShort - kLong;
-
-  // At stock price 0, loss is max (value = 0)
-  if (S <= 0) return 0;
-
-  // Intrinsic value: what we keep of the width
-  const loss = Math.max(0, Math.min(width, kShort - S));
-  const intrinsic = width - loss;
+function estimatePutSpreadValueAtPrice_(S, kLong, kShort, quotes, fallbackValue, dte, currentStockPrice, pricing, daysForward = 0) {
+  const { riskFreeRate: r, dividendYield: q } = pricing || OPTION_PRICING_DEFAULTS;
+  const t = Math.max(dte, 1) / 365;
+  const remaining = Math.max(dte, 1) - daysForward;
+  const intrinsic = Math.max(0, kLong - S) - Math.max(0, kShort - S);
+  if (remaining <= 0 || !currentStockPrice || currentStockPrice <= 0) return intrinsic;
+
+  // Per-leg IV, solved once per execution for each quote
+  const cache = estimatePutSpreadValueAtPrice_.ivCache = estimatePutSpreadValueAtPrice_.ivCache || {};
+  const legIV = (strike, mid, uploadedIV) => {
+    const key = [strike, mid, uploadedIV, dte, currentStockPrice, r, q].join("|");
+    if (!(key in cache)) {
+      const solved = mid > 0 ? bsImpliedVol_(mid, currentStockPrice, strike, t, r, "Put", q) : NaN;
+      cache[key] = solved > 0 ? solved : (uploadedIV > 0 ? uploadedIV : null);
+    }
+    return cache[key];
+  };
+  const sigmaLong = legIV(kLong, quotes && quotes.longMid, quotes && quotes.longIV);
+  const sigmaShort = legIV(kShort, quotes && quotes.shortMid, quotes && quotes.shortIV);
 
-  // If no valid current data, just return intrinsic
-  if (!currentValue || currentValue <= 0 || !currentStockPrice || currentStockPrice <= 0) {
-    return intrinsic;
+  if (sigmaLong && sigmaShort) {
+    const years = remaining / 365;
+    return bsPrice_(S, kLong, years, r, sigmaLong, "Put", q) - bsPrice_(S, kShort, years, r, sigmaShort, "Put", q);
   }
 
-  // Above short strike: full profit (value = width)
-  if (S >= kShort) return width;
-
-  // At current stock price: return actual current value (anchor point)
-  if (Math.abs(S - currentStockPrice) < 1) {
-    return currentValue;
-  }
+  // Shared volatility fit to the net value, as for call spreads
+  const hasMids = quotes && quotes.longMid != null && quotes.shortMid != null;
+  const netValue = hasMids ? quotes.longMid - quotes.shortMid : fallbackValue;
+  if (!Number.isFinite(netValue)) return intrinsic;
+  return estimateSpreadValueAtPrice_(S, kLong, kShort, netValue, dte, currentStockPrice, pricing, daysForward, "Put");
+}
 
-  // Compute time value from actual market prices
-  const currentLoss = Math.max(0, Math.min(width, kShort - currentStockPrice));
-  const currentIntrinsic = width - currentLoss;
-  const timeValue = Math.max(0, currentValue - currentIntrinsic);
-
-  if (S <= kLong) {
-    // Below long strike: max loss on intrinsic, but some time value remains
-    const otmFactor = S / kLong;
-    return timeValue * otmFactor;
-  } else {
-    // Between strikes: intrinsic + decaying time value
-    const progress = (S - kLong) / width;
-    const adjustedTimeValue = timeValue * (1 - progress);
-    return intrinsic + adjustedTimeValue;
-  }
+/**
+ * Test calibrated put spread pricing: reproduces quotes, keeps skew, stays smooth.
+ */
+function test_estimatePutSpreadValueAtPrice() {
+  const S0 = 100, dte = 180, t = dte / 365, r = OPTION_PRICING_DEFAULTS.riskFreeRate;
+  // Skewed quotes: the lower strike trades at a higher IV
+  const quotes = {
+    longMid: bsPrice_(S0, 90, t, r, 0.45, "Put"),
+    shortMid: bsPrice_(S0, 100, t, r, 0.35, "Put"),
+    longIV: null, shortIV: null
+  };
+  const atCurrent = estimatePutSpreadValueAtPrice_(S0, 90, 100, quotes, null, dte, S0);
+  assertEqual(atCurrent, quotes.longMid - quotes.shortMid, "reproduces the quoted spread value", 1e-4);
+  assertEqual(estimatePutSpreadValueAtPrice_(80, 90, 100, quotes, null, dte, S0),
+    bsPrice_(80, 90, t, r, 0.45, "Put") - bsPrice_(80, 100, t, r, 0.35, "Put"), "each leg keeps its own IV", 1e-4);
+
+  // No jump near the current price (the old estimator snapped within $1)
+  const near = estimatePutSpreadValueAtPrice_(S0 + 0.9, 90, 100, quotes, null, dte, S0);
+  const farther = estimatePutSpreadValueAtPrice_(S0 + 1.1, 90, 100, quotes, null, dte, S0);
+  assertEqual(atCurrent < near && near < farther && farther - near < 0.1, true, "smooth across current price");
+  assertEqual(near < 0 && near > -10, true, "between -width and 0");
+
+  // Uploaded IV column when mids are missing; net-value fit when IVs are missing too
+  const fromIV = estimatePutSpreadValueAtPrice_(95, 90, 100, { longIV: 0.45, shortIV: 0.35 }, null, dte, S0);
+  assertEqual(fromIV, bsPrice_(95, 90, t, r, 0.45, "Put") - bsPrice_(95, 100, t, r, 0.35, "Put"), "uploaded IVs", 1e-9);
+  assertEqual(estimatePutSpreadValueAtPrice_(S0, 90, 100, {}, -4, dte, S0), -4, "fits the fallback net value", 1e-4);
 }
 
 /**
@@ -969,61 +1104,64 @@ function estimatePutSpreadValueAtPrice_(S, kLong, kShort, currentValue, dte, cur
  * @param {number} dte - Days to expiration
  * @param {number} currentStockPrice - Actual current stock price
  * @param {string} optionType - "Call" or "Put"
+ * @param {Object} [pricing] - {riskFreeRate, dividendYield} (default OPTION_PRICING_DEFAULTS)
+ * @param {number} [daysForward=0] - Value this many days from today; intrinsic once expired
  * @returns {number} Estimated option value per share at price S
  */
-function estimateSingleOptionValueAtPrice_(S, strike, currentValue, dte, currentStockPrice, optionType) {
-  const r = 0.04; // Assumed risk-free rate
+function estimateSingleOptionValueAtPrice_(S, strike, currentValue, dte, currentStockPrice, optionType, pricing, daysForward = 0) {
+  const { riskFreeRate: r, dividendYield: q } = pricing || OPTION_PRICING_DEFAULTS;
   const t = Math.max(dte, 1) / 365;
+  const remaining = Math.max(dte, 1) - daysForward;
 
-  // Standard CND approximation
-  function cnd(x) {
-    const neg = (x < 0);
-    const z = Math.abs(x);
-    const k = 1.0 / (1.0 + 0.2316419 * z);
-    const pdf = Math.exp(-0.5 * z * z) / Math.sqrt(2 * Math.PI);
-    let v = 1.0 - pdf * (0.319381530 * k - 0.356563782 * Math.pow(k, 2) + 1.781477937 * Math.pow(k, 3) - 1.821255978 * Math.pow(k, 4) + 1.330274429 * Math.pow(k, 5));
-    return neg ? 1.0 - v : v;
-  }
-
-  function bsCall(stock, k, time, rate, sigma) {
-    if (time <= 0) return Math.max(0, stock - k);
-    if (sigma <= 0.0001) return Math.max(0, stock - k * Math.exp(-rate * time));
-    const d1 = (Math.log(stock / k) + (rate + (sigma * sigma) / 2) * time) / (sigma * Math.sqrt(time));
-    const d2 = d1 - sigma * Math.sqrt(time);
-    return stock * cnd(d1) - k * Math.exp(-rate * time) * cnd(d2);
-  }
-
-  function bsPut(stock, k, time, rate, sigma) {
-    if (time <= 0) return Math.max(0, k - stock);
-    if (sigma <= 0.0001) return Math.max(0, k * Math.exp(-rate * time) - stock);
-    const d1 = (Math.log(stock / k) + (rate + (sigma * sigma) / 2) * time) / (sigma * Math.sqrt(time));
-    const d2 = d1 - sigma * Math.sqrt(time);
-    return k * Math.exp(-rate * time) * cnd(-d2) - stock * cnd(-d1);
+  // If no valid current data, or expired by the valuation date, use intrinsic value
+  if (!currentValue || currentValue <= 0 || !currentStockPrice || currentStockPrice <= 0 || remaining <= 0) {
+    return optionType === "Call" ? Math.max(0, S - strike) : Math.max(0, strike - S);
   }
 
-  const getOptionPrice = optionType === "Call"
-    ? (price, sigma) => bsCall(price, strike, t, r, sigma)
-    : (price, sigma) => bsPut(price, strike, t, r, sigma);
+  // Solve for Implied Volatility (sigma) at today's DTE using reference price/value, capped at 500%.
+  // It does not depend on S or daysForward, so solve once per execution.
+  const cache = estimateSingleOptionValueAtPrice_.ivCache = estimateSingleOptionValueAtPrice_.ivCache || {};
+  const key = [strike, currentValue, dte, currentStockPrice, optionType, r, q].join("|");
+  if (!(key in cache)) cache[key] = solveImpliedVol_(s => bsPrice_(currentStockPrice, strike, t, r, s, optionType, q), currentValue, 5);
+  const sigma = cache[key];
 
-  // If no valid current data, use intrinsic value
-  if (!currentValue || currentValue <= 0 || !currentStockPrice || currentStockPrice <= 0) {
-    return optionType === "Call" ? Math.max(0, S - strike) : Math.max(0, strike - S);
-  }
+  return bsPrice_(S, strike, remaining / 365, r, sigma, optionType, q);
+}
 
-  // Solve for Implied Volatility (sigma) using reference price/value
-  let sigma = 0.5;
-  for (let i = 0; i < 40; i++) {
-    let p = getOptionPrice(currentStockPrice, sigma);
-    let diff = p - currentValue;
-    if (Math.abs(diff) < 0.00001) break;
-
-    let vega = (getOptionPrice(currentStockPrice, sigma + 0.01) - p) / 0.01;
-    sigma -= diff / (vega || 0.01);
-    if (sigma <= 0) sigma = 0.001;
-    if (sigma > 5) sigma = 5; // Cap volatility
-  }
+/**
+ * Test the calibrated vertical estimator for bear put spreads (long higher put, short lower put).
+ */
+function test_estimateSpreadValueAtPrice_bearPut() {
+  // Calibrates to the quoted value at the current price
+  const atCurrent = estimateSpreadValueAtPrice_(330, 350, 300, 24, 180, 330, null, 0, "Put");
+  assertEqual(atCurrent, 24, "calibrated to current value", 1e-3);
+  // Gains as the stock falls, loses as it rises, bounded by 0 and the width
+  const lower = estimateSpreadValueAtPrice_(280, 350, 300, 24, 180, 330, null, 0, "Put");
+  const higher = estimateSpreadValueAtPrice_(400, 350, 300, 24, 180, 330, null, 0, "Put");
+  assertEqual(lower > atCurrent && lower < 50, true, "bear put gains when the stock falls");
+  assertEqual(higher < atCurrent && higher > 0, true, "bear put loses when the stock rises");
+}
 
-  return getOptionPrice(S, sigma);
+/**
+ * Test valuation on a future date: same as today at 0 days, decays toward
+ * intrinsic, and equals intrinsic once the leg has expired.
+ */
+function test_estimateValueAtFutureDate() {
+  const today = estimateSingleOptionValueAtPrice_(110, 100, 12, 90, 105, "Call");
+  assertEqual(estimateSingleOptionValueAtPrice_(110, 100, 12, 90, 105, "Call", null, 0), today, "0 days forward = today");
+  const later = estimateSingleOptionValueAtPrice_(110, 100, 12, 90, 105, "Call", null, 60);
+  assertEqual(later < today && later > 10, true, "time value decays but stays above intrinsic");
+  assertEqual(estimateSingleOptionValueAtPrice_(110, 100, 12, 90, 105, "Call", null, 90), 10, "expired call = intrinsic");
+  assertEqual(estimateSingleOptionValueAtPrice_(110, 100, 1, 90, 105, "Put", null, 120), 0, "expired OTM put = 0");
+
+  assertEqual(estimateSpreadValueAtPrice_(520, 500, 600, 23.6, 30, 424, null, 30), 20, "expired call spread = intrinsic");
+  assertEqual(estimateSpreadValueAtPrice_(650, 500, 600, 23.6, 30, 424, null, 45), 100, "expired call spread capped at width");
+  assertEqual(estimateSpreadValueAtPrice_(280, 350, 300, 20, 30, 330, null, 30, "Put"), 50, "expired bear put spread = width");
+  const putQuotes = { longMid: 2, shortMid: 6 };
+  assertEqual(estimatePutSpreadValueAtPrice_(95, 90, 100, putQuotes, -4, 30, 98, null, 30), -5, "expired put spread = intrinsic");
+  const putLater = estimatePutSpreadValueAtPrice_(95, 90, 100, putQuotes, -4, 30, 98, null, 15);
+  const putToday = estimatePutSpreadValueAtPrice_(95, 90, 100, putQuotes, -4, 30, 98);
+  assertEqual(putLater < putToday && putLater > -5, true, "put spread time value decays");
 }
 
 
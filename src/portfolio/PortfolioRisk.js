@@ -0,0 +1,403 @@
+/**
+ * PortfolioRisk.js
+ * Builds the PortfolioRisk sheet: Greeks exposure for every open position.
+ *
+ * Positions come from parsePositionsForSymbol_, the same parser the portfolio
+ * charts use, so both see the same open positions. Each option leg is priced with
+ * bsGreeks_ using its IV from OptionPricesUploaded (or IV backed out of the mid).
+ *
+ * Rows, per symbol:
+ *   Leg       - one option or stock leg
+ *   Group     - sum of the legs in a Portfolio group
+ *   Strategy  - sum of every group with the same strategy
+ *   Symbol    - sum for the symbol
+ * A final Portfolio row sums the dollar columns across symbols.
+ *
+ * Exposure columns are for the whole position (x100 per contract, x qty):
+ *   ShareDelta  - share-equivalent delta (stock = shares held)
+ *   DollarDelta - ShareDelta x stock price
+ *   Gamma       - change in ShareDelta per $1 move
+ *   ThetaPerDay - dollars gained (+) or lost (-) per calendar day
+ *   Vega        - dollars per 1 point of IV
+ */
+
+const PORTFOLIO_RISK_SHEET = "PortfolioRisk";
+
+/* =========================================================
+   Entry point (called from menu)
+   ========================================================= */
+
+/**
+ * Rebuilds the PortfolioRisk sheet for every symbol in the Portfolio table.
+ */
+function updatePortfolioRisk() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const legsRange = getNamedRangeWithTableFallback_(ss, "Portfolio");
+  if (!legsRange) throw new Error("No Portfolio table found. Upload your portfolio first.");
+  const legsRows = legsRange.getValues();
+
+  const symbols = getSymbolsFromLegsTable_(legsRows);
+  if (symbols.length === 0) throw new Error("No positions found in the Portfolio table");
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const legs = [];
+  const underlyingBySymbol = {};
+  for (const symbol of symbols) {
+    const parsed = parsePositionsForSymbol_(legsRows, symbol);
+    const symbolLegs = positionsToRiskLegs_(parsed, symbol);
+    if (symbolLegs.length === 0) continue;
+
+    const chain = getUploadedOptionChain_(ss, symbol);
+    const underlying = getUnderlyingPrice_(ss, symbol, { chain });
+    const S = underlying.price;
+    underlyingBySymbol[symbol] = underlying;
+    for (const leg of symbolLegs) {
+      legs.push(computeLegGreeks_(leg, S, chain, getPricingParams_(ss, symbol, leg.expiration), today));
+    }
+  }
+  log.info("portfolioRisk", "Computed Greeks for " + legs.length + " legs across " + Object.keys(underlyingBySymbol).length + " symbols");
+
+  const rows = aggregatePortfolioRisk_(legs);
+  const sheet = ensureSpreadsSheet_(ss, PORTFOLIO_RISK_SHEET);
+  outputPortfolioRisk_(sheet, rows);
+  sheet.activate();
+
+  const missing = legs.filter(l => l.note).length;
+  const prices = Object.keys(underlyingBySymbol).map(sym => `${sym} ${describeUnderlyingPrice_(underlyingBySymbol[sym])}`);
+  SpreadsheetApp.getActiveSpreadsheet().toast(
+    `${legs.length} legs` + (missing ? `, ${missing} without prices (see Note column)` : "") + `. ${prices.join(", ")}`,
+    "Portfolio Risk Updated"
+  );
+}
+
+/* =========================================================
+   Calculation
+   ========================================================= */
+
+/**
+ * Flattens parsed positions into signed legs (qty > 0 long, < 0 short).
+ * @param {Object} parsed - Result of parsePositionsForSymbol_
+ * @param {string} symbol - Stock symbol
+ * @returns {Array<Object>} Legs {symbol, group, strategy, label, type, strike, expiration, qty}
+ */
+function positionsToRiskLegs_(parsed, symbol) {
+  const legs = [];
+  const add = (pos, type, strike, qty, expiration) => legs.push({
+    symbol,
+    group: pos.groupName || pos.label || "",
+    strategy: pos.strategy || "",
+    label: pos.label || "",
+    type,
+    strike,
+    expiration: expiration ?? pos.expiration,
+    qty
+  });
+
+  for (const s of parsed.shares) {
+    add({ ...s, label: "Shares" }, "Stock", "", s.qty, "");
+  }
+  for (const sp of [...parsed.bullCallSpreads, ...parsed.bullPutSpreads]) {
+    const type = sp.flavor === "CALL" ? "Call" : "Put";
+    add(sp, type, sp.kLong, sp.qty);
+    add(sp, type, sp.kShort, -sp.qty);
+  }
+  // Bear spreads: kLong is the lower (short) leg, kShort the higher (long) leg
+  for (const sp of [...parsed.bearCallSpreads, ...parsed.bearPutSpreads]) {
+    const type = sp.flavor === "BEAR_CALL" ? "Call" : "Put";
+    add(sp, type, sp.kLong, -sp.qty);
+    add(sp, type, sp.kShort, sp.qty);
+  }
+  for (const leg of [...parsed.longCalls, ...parsed.shortCalls, ...parsed.longPuts, ...parsed.shortPuts]) {
+    add(leg, leg.type, leg.strike, leg.isLong ? leg.qty : -leg.qty);
+  }
+  for (const cp of parsed.customPositions) {
+    for (const leg of cp.legs) {
+      add(cp, leg.type, leg.strike, leg.isLong ? leg.qty : -leg.qty, leg.expiration);
+    }
+  }
+  return legs;
+}
+
+/**
+ * Prices one leg and returns it with per-share and position Greeks.
+ * Legs without a quote or underlying price get zero exposure and a note.
+ *
+ * @param {Object} leg - From positionsToRiskLegs_
+ * @param {number} S - Underlying price
+ * @param {Array} chain - Uploaded options for the symbol (loadOptionData_)
+ * @param {Object} pricing - {riskFreeRate, dividendYield}
+ * @param {Date} today - Valuation date at midnight
+ * @returns {Object} Leg with underlying, iv, delta, shareDelta, dollarDelta, gamma, theta, vega, note
+ */
+function computeLegGreeks_(leg, S, chain, pricing, today) {
+  const out = {
+    ...leg,
+    underlying: S || "",
+    iv: "",
+    delta: "",
+    shareDelta: 0,
+    dollarDelta: 0,
+    gamma: 0,
+    theta: 0,
+    vega: 0,
+    note: ""
+  };
+
+  if (leg.type === "Stock") {
+    out.delta = 1;
+    out.shareDelta = leg.qty;
+    out.dollarDelta = S > 0 ? leg.qty * S : 0;
+    if (!(S > 0)) out.note = "No underlying price";
+    return out;
+  }
+
+  const expDate = parseDateAtMidnight_(leg.expiration);
+  if (!expDate) {
+    out.note = "No expiration";
+    return out;
+  }
+  out.expiration = formatDateMDYYYY_(expDate);
+  if (!(S > 0)) {
+    out.note = "No underlying price";
+    return out;
+  }
+
+  const t = Math.max(0, (expDate - today) / (1000 * 60 * 60 * 24 * 365));
+  const { riskFreeRate: r, dividendYield: q } = pricing;
+
+  let iv = NaN;
+  const quote = chain.find(o => o.expiration === out.expiration && o.strike === leg.strike && o.type === leg.type);
+  if (quote) iv = quote.iv > 0 ? quote.iv : bsImpliedVol_(quote.mid, S, leg.strike, t, r, leg.type, q);
+  if (t > 0 && !Number.isFinite(iv)) {
+    out.note = quote ? "Could not solve IV" : "Not in OptionPricesUploaded";
+    return out;
+  }
+
+  const g = bsGreeks_(S, leg.strike, t, r, iv || 0, leg.type, q);
+  const multiplier = 100 * leg.qty;
+  out.iv = Number.isFinite(iv) ? iv : "";
+  out.delta = g.delta;
+  out.shareDelta = g.delta * multiplier;
+  out.dollarDelta = out.shareDelta * S;
+  out.gamma = g.gamma * multiplier;
+  out.theta = g.theta * multiplier;
+  out.vega = g.vega * multiplier;
+  return out;
+}
+
+/**
+ * Orders legs and inserts Group, Strategy, Symbol and Portfolio subtotal rows.
+ * @param {Array<Object>} legs - From computeLegGreeks_
+ * @returns {Array<Object>} Rows with a level of "Leg", "Group", "Strategy", "Symbol" or "Portfolio"
+ */
+function aggregatePortfolioRisk_(legs) {
+  const SUM_FIELDS = ["shareDelta", "dollarDelta", "gamma", "theta", "vega"];
+  const total = (level, items, fields) => {
+    const row = { level, qty: "", note: "" };
+    for (const f of fields) row[f] = items.reduce((s, l) => s + (l[f] || 0), 0);
+    return row;
+  };
+
+  const rows = [];
+  const symbols = [...new Set(legs.map(l => l.symbol))];
+  for (const symbol of symbols) {
+    const symLegs = legs.filter(l => l.symbol === symbol);
+
+    const groups = [...new Set(symLegs.map(l => l.group))];
+    for (const group of groups) {
+      const groupLegs = symLegs.filter(l => l.group === group);
+      rows.push(...groupLegs.map(l => ({ ...l, level: "Leg" })));
+      rows.push({
+        ...total("Group", groupLegs, SUM_FIELDS),
+        symbol, group, strategy: groupLegs[0].strategy, label: groupLegs[0].label
+      });
+    }
+
+    const strategies = [...new Set(symLegs.map(l => l.strategy))];
+    for (const strategy of strategies) {
+      rows.push({ ...total("Strategy", symLegs.filter(l => l.strategy === strategy), SUM_FIELDS), symbol, strategy });
+    }
+
+    rows.push({ ...total("Symbol", symLegs, SUM_FIELDS), symbol, underlying: symLegs[0].underlying });
+  }
+
+  // Share delta and gamma are per-symbol units; only dollars add up across symbols
+  rows.push({ ...total("Portfolio", legs, ["dollarDelta", "theta", "vega"]), symbol: "TOTAL" });
+  return rows;
+}
+
+/* =========================================================
+   Output
+   ========================================================= */
+
+/**
+ * Writes risk rows to the PortfolioRisk sheet.
+ * Row 1 = timestamp, Row 2 = headers, Row 3+ = data.
+ * @param {Sheet} sheet - Target sheet
+ * @param {Array<Object>} rows - From aggregatePortfolioRisk_
+ */
+function outputPortfolioRisk_(sheet, rows) {
+  const RESULTS_START_ROW = 2;
+
+  const lastRow = Math.max(sheet.getLastRow(), RESULTS_START_ROW);
+  const clearRange = sheet.getRange(1, 1, lastRow, Math.max(sheet.getLastColumn(), 1));
+  clearRange.getBandings().forEach(b => b.remove());
+  clearRange.clear();
+
+  const existingFilter = sheet.getFilter();
+  if (existingFilter) existingFilter.remove();
+
+  sheet.getRange(1, 1).setValue("Portfolio Risk - " + new Date().toLocaleString());
+
+  const headers = [
+    "Level", "Symbol", "Strategy", "Group", "Label", "Expiration", "Strike", "Type", "Qty",
+    "Underlying", "IV", "Delta", "ShareDelta", "DollarDelta", "Gamma", "ThetaPerDay", "Vega", "Note"
+  ];
+  const headerNotes = [
+    "Leg, or subtotal for a Group, Strategy, Symbol or the whole Portfolio",
+    "Stock ticker symbol",
+    "Position type from the Portfolio legs (same detection as the charts)",
+    "Portfolio group",
+    "Position label as shown on the portfolio charts",
+    "Option expiration",
+    "Option strike",
+    "Call, Put or Stock",
+    "Contracts (or shares). Negative = short",
+    "Underlying price: Prices sheet override, last option upload, put-call parity or GOOGLEFINANCE (in that order)",
+    "Implied volatility from OptionPricesUploaded (backed out of mid when missing)",
+    "Per-share delta of one option",
+    "Share-equivalent delta: Delta x 100 x Qty (stock = shares)",
+    "ShareDelta x Underlying: dollars gained per 1% move is DollarDelta / 100",
+    "Change in ShareDelta for a $1 move in the stock",
+    "Dollars gained (+) or lost (-) per calendar day from time decay",
+    "Dollars gained per 1 point rise in IV",
+    "Why a leg has no Greeks"
+  ];
+  const hdrRange = sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length);
+  hdrRange.setValues([headers]).setFontWeight("bold");
+  hdrRange.setNotes([headerNotes]);
+
+  if (rows.length === 0) return;
+
+  const colIdx = {};
+  headers.forEach((h, i) => colIdx[h] = i);
+
+  const formatMap = {
+    Level: "@", Symbol: "@", Strategy: "@", Group: "@", Label: "@", Expiration: "@",
+    Strike: "#,##0.##", Type: "@", Qty: "#,##0", Underlying: "$#,##0.00", IV: "0.0%",
+    Delta: "0.000", ShareDelta: "#,##0.0", DollarDelta: "$#,##0", Gamma: "#,##0.00",
+    ThetaPerDay: "$#,##0.00", Vega: "$#,##0.00", Note: "@"
+  };
+  const widthMap = {
+    Level: 70, Symbol: 60, Strategy: 120, Group: 60, Label: 170, Expiration: 85,
+    Strike: 60, Type: 50, Qty: 50, Underlying: 80, IV: 55, Delta: 55, ShareDelta: 80,
+    DollarDelta: 90, Gamma: 65, ThetaPerDay: 85, Vega: 75, Note: 180
+  };
+  const levelColors = {
+    Group: "#f3f3f3", Strategy: "#e8f0fe", Symbol: "#d2e3fc", Portfolio: "#c6dafc"
+  };
+
+  const dataStartRow = RESULTS_START_ROW + 1;
+  const allRows = rows.map(r => {
+    const rowData = new Array(headers.length).fill("");
+    rowData[colIdx.Level] = r.level;
+    rowData[colIdx.Symbol] = r.symbol || "";
+    rowData[colIdx.Strategy] = r.strategy || "";
+    rowData[colIdx.Group] = r.group || "";
+    rowData[colIdx.Label] = r.label || "";
+    rowData[colIdx.Expiration] = r.level === "Leg" ? (r.expiration || "") : "";
+    rowData[colIdx.Strike] = r.level === "Leg" ? r.strike : "";
+    rowData[colIdx.Type] = r.level === "Leg" ? r.type : "";
+    rowData[colIdx.Qty] = r.qty;
+    rowData[colIdx.Underlying] = r.underlying ?? "";
+    rowData[colIdx.IV] = r.iv ?? "";
+    rowData[colIdx.Delta] = r.delta ?? "";
+    rowData[colIdx.ShareDelta] = r.shareDelta ?? "";
+    rowData[colIdx.DollarDelta] = r.dollarDelta;
+    rowData[colIdx.Gamma] = r.gamma ?? "";
+    rowData[colIdx.ThetaPerDay] = r.theta;
+    rowData[colIdx.Vega] = r.vega;
+    rowData[colIdx.Note] = r.note || "";
+    return rowData;
+  });
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setValues(allRows);
+
+  const formats = allRows.map(() => headers.map(h => formatMap[h] || "@"));
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setNumberFormats(formats);
+
+  // Shade and bold subtotal rows by level
+  const backgrounds = rows.map(r => headers.map(() => levelColors[r.level] || null));
+  const weights = rows.map(r => headers.map(() => r.level === "Leg" ? "normal" : "bold"));
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length)
+    .setBackgrounds(backgrounds)
+    .setFontWeights(weights);
+
+  const tableRange = sheet.getRange(RESULTS_START_ROW, 1, allRows.length + 1, headers.length);
+  tableRange.createFilter();
+  tableRange.setBorder(true, true, true, true, true, true, "#cccccc", SpreadsheetApp.BorderStyle.SOLID);
+
+  sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length)
+    .setBackground("#4285f4").setFontColor("white").setFontWeight("bold");
+
+  headers.forEach((h, i) => sheet.setColumnWidth(i + 1, widthMap[h] || 55));
+  sheet.setFrozenRows(RESULTS_START_ROW);
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test leg flattening, Greeks and subtotals on a small portfolio.
+ */
+function test_portfolioRisk() {
+  const rows = [
+    ["Symbol", "Group", "Strategy", "Strike", "Type", "Expiration", "Qty", "Price"],
+    ["TSLA",   "1",     "",         "",       "Stock", "",          "100", "300"],
+    ["TSLA",   "2",     "",         "300",    "Call", "12/15/2028",  "2",   "120"],
+    ["",       "",      "",         "400",    "Call", "12/15/2028",  "-2",  "80"],
+    ["TSLA",   "3",     "",         "200",    "Put",  "12/15/2028",  "1",   "10"],
+    ["",       "",      "",         "250",    "Put",  "12/15/2028",  "-1",  "15"],
+    ["",       "",      "",         "450",    "Call", "12/15/2028",  "-1",  "70"],
+    ["",       "",      "",         "500",    "Call", "12/15/2028",  "1",   "60"],
+  ];
+  const legs = positionsToRiskLegs_(parsePositionsForSymbol_(rows, "TSLA"), "TSLA");
+  assertEqual(legs.length, 7, "stock + 2 BCS legs + 4 IC legs");
+  assertEqual(legs.filter(l => l.group === "3").length, 4, "iron condor halves share group 3");
+  assertEqual(legs.find(l => l.strike === 450).qty, -1, "IC short call is negative");
+
+  const chain = [300, 400, 200, 250, 450, 500].map(k => ({
+    expiration: "12/15/2028", strike: k, type: k < 300 ? "Put" : "Call", iv: 0.5, mid: 0
+  }));
+  const today = createDate_(2026, 12, 15);
+  const pricing = { riskFreeRate: 0.04, dividendYield: 0 };
+  const priced = legs.map(l => computeLegGreeks_(l, 350, chain, pricing, today));
+
+  const stock = priced[0];
+  assertEqual(stock.shareDelta, 100, "stock share delta = shares");
+  assertEqual(stock.dollarDelta, 35000, "stock dollar delta");
+
+  const longCall = priced.find(l => l.strike === 300);
+  const g = bsGreeks_(350, 300, 731 / 365, 0.04, 0.5, "Call");
+  assertEqual(longCall.shareDelta, g.delta * 200, "share delta = delta x 100 x qty", 1e-6);
+  assertEqual(longCall.theta, g.theta * 200, "dollar theta per day", 1e-6);
+
+  const risk = aggregatePortfolioRisk_(priced);
+  const bcsGroup = risk.find(r => r.level === "Group" && r.group === "2");
+  const bcsLegs = priced.filter(l => l.group === "2");
+  assertEqual(bcsGroup.shareDelta, bcsLegs[0].shareDelta + bcsLegs[1].shareDelta, "group sums legs", 1e-9);
+  assertEqual(bcsGroup.theta, bcsLegs[0].theta + bcsLegs[1].theta, "group sums theta", 1e-9);
+
+  const symbolRow = risk.find(r => r.level === "Symbol");
+  const sumDelta = priced.reduce((s, l) => s + l.shareDelta, 0);
+  assertEqual(symbolRow.shareDelta, sumDelta, "symbol sums all legs", 1e-9);
+  assertEqual(risk[risk.length - 1].level, "Portfolio", "portfolio total last");
+  assertEqual(risk.filter(r => r.level === "Strategy").length, 3, "stock, bull-call-spread, iron-condor");
+
+  const missing = computeLegGreeks_({ ...legs[1], strike: 999 }, 350, chain, pricing, today);
+  assertEqual(missing.note, "Not in OptionPricesUploaded", "missing quote noted");
+  assertEqual(missing.shareDelta, 0, "missing quote adds no exposure");
+}
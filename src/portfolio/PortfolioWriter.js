@@ -875,7 +875,8 @@ function writePortfolioTable_(ss, headers, updatedLegs, newLegs, closingPrices,
             if (isCash) {
               sheet.getRange(legRow, startCol + idxRecClose).setFormula(`=$${priceCol}${legRow}`);
             } else if (isStock) {
-              const formula = `=GOOGLEFINANCE("${spread.ticker}")`;
+              // Same price source as the charts and finders (Prices sheet override, upload, parity, GOOGLEFINANCE)
+              const formula = `=UNDERLYING_PRICE($${symCol}${legRow})`;
               sheet.getRange(legRow, startCol + idxRecClose).setFormula(formula);
             } else {
               const formula = `=recommendClose($${symCol}$1:$${symCol}${legRow}, $${expCol}${legRow}, $${strikeCol}${legRow}, $${typeCol}${legRow}, $${qtyCol}${legRow}, 60)`;
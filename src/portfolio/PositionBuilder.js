@@ -488,7 +488,8 @@ function combineRelatedSpreadsIntoIronCondorsAndButterflies_(spreads) {
  *
  * Handles:
  * 1. Sold To Close / Bought To Cover → use transaction price
- * 2. Option Exercised / Option Assigned → compute intrinsic from stock transactions
+ * 2. Option Exercised / Option Assigned → compute intrinsic from txn.underlyingPrice,
+ *    or else from stock transactions on the same date
  * 3. Expired worthless (expiration < today, no close) → set to 0
  *
  * For multiple closes of same leg, uses weighted average.
@@ -534,11 +535,13 @@ function buildClosingPricesMap_(transactions, stockTxns) {
     const key = `${txn.ticker}|${exp}|${txn.strike}|${txn.optionType}`;
     if (result.has(key)) continue; // Already have a closing price
 
+    // Parsers that link the delivered stock trade (IBKR) supply the market price directly
     const stkKey = `${txn.date}|${txn.ticker}`;
     const stockPrices = stockByDateTicker.get(stkKey) || [];
+    const marketPrice = txn.underlyingPrice > 0 ? txn.underlyingPrice
+      : stockPrices.length > 0 ? Math.max(...stockPrices) : null;
 
-    if (stockPrices.length > 0) {
-      const marketPrice = Math.max(...stockPrices);
+    if (marketPrice != null) {
       let intrinsic;
       if (txn.optionType === "Call") {
         intrinsic = Math.max(0, marketPrice - txn.strike);
@@ -0,0 +1,328 @@
+/**
+ * SchwabCsvParser.js
+ * Charles Schwab-specific CSV parsing functions.
+ *
+ * Parses Schwab transaction history and positions CSVs into the same normalized
+ * transaction and position objects as EtradeCsvParser.js, so PositionBuilder can
+ * process either brokerage.
+ *
+ * Schwab quirks handled here:
+ *   - Every field is quoted; amounts look like "$1,234.56" or "-$1,234.56"
+ *   - Dates may read "02/12/2026 as of 02/11/2026" (the first date is used)
+ *   - Quantities in the transaction history are unsigned; the Action gives the side
+ *   - Option symbols look like "TSLA 06/17/2027 500.00 C"
+ *   - Positions report Cost Basis as a total, not a per-share price
+ */
+
+/** Importer registry entry, see getBrokerageImporters_ in ImportPortfolio.js */
+const SCHWAB_IMPORTER = {
+  broker: "Schwab",
+  detect: (content) => scoreCsvHeaderFormats_(content, [
+    { kinds: ["transactions"], label: "Schwab transaction history",
+      columns: ["Date", "Action", "Symbol", "Description", "Quantity", "Price", "Fees & Comm", "Amount"] },
+    { kinds: ["portfolio"], label: "Schwab positions",
+      columns: ["Symbol", "Description", "Qty (Quantity)", "Price", "Mkt Val (Market Value)", "Cost Basis", "Security Type"] },
+  ]),
+  parseTransactions: parseSchwabTransactionsFromCsv_,
+  parsePositions: (content, stockTxns) => ({
+    ...parseSchwabPortfolioStocksAndCash_(content, stockTxns),
+    options: parseSchwabPortfolioOptionsWithPrices_(content),
+  }),
+};
+
+/**
+ * Parses Schwab transaction history CSV content.
+ *
+ * @param {string} csvContent - Raw CSV content
+ * @returns {{ transactions: Object[], stockTxns: Object[] }}
+ */
+function parseSchwabTransactionsFromCsv_(csvContent) {
+  const lines = csvContent.split(/\r?\n/);
+  const transactions = [];
+  const stockTxns = [];
+
+  // Find header row (fields are quoted, so compare the parsed fields)
+  let headerIdx = -1;
+  for (let i = 0; i < lines.length; i++) {
+    const fields = parseCsvLineIntoFields_(lines[i]);
+    if (fields[0] === "Date" && fields[1] === "Action") {
+      headerIdx = i;
+      break;
+    }
+  }
+  if (headerIdx < 0) {
+    throw new Error(
+      "Schwab Transaction CSV: Could not find header row.\n" +
+      "Expected row starting with \"Date\",\"Action\"\n" +
+      "Tip: Make sure you're uploading the Transaction History CSV from Schwab."
+    );
+  }
+
+  const headers = parseCsvLineIntoFields_(lines[headerIdx]);
+  const required = validateRequiredColumns_(headers, [
+    { name: "Date", aliases: ["date"] },
+    { name: "Action", aliases: ["action"] },
+    { name: "Symbol", aliases: ["symbol"] },
+    { name: "Quantity", aliases: ["quantity", "qty"] },
+    { name: "Price", aliases: ["price"] },
+  ], "Schwab Transaction CSV");
+  const optional = findOptionalColumns_(headers, [
+    { name: "Amount", aliases: ["amount"] },
+  ]);
+
+  // Option actions → open/close/exercise/assigned flags and the sign of the quantity
+  const optionActions = {
+    "Buy to Open":          { isOpen: true,  sign: 1 },
+    "Sell to Open":         { isOpen: true,  sign: -1 },
+    "Buy to Close":         { isClosed: true, sign: 1 },
+    "Sell to Close":        { isClosed: true, sign: -1 },
+    "Assigned":             { isAssigned: true, sign: 1 },
+    "Exchange or Exercise": { isExercised: true, sign: -1 },
+  };
+  const stockActions = { "Buy": "Bought", "Sell": "Sold" };
+
+  for (let i = headerIdx + 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const cols = parseCsvLineIntoFields_(line);
+    // "02/12/2026 as of 02/11/2026" → "02/12/2026"; skips the "Transactions Total" row
+    const dateStr = (cols[required.Date] || "").split(" as of ")[0].trim();
+    if (!parseDateAtMidnight_(dateStr)) continue;
+
+    const action = cols[required.Action] || "";
+    const symbol = (cols[required.Symbol] || "").trim();
+    const qty = Math.abs(parseNumber_(cols[required.Quantity])) || 0;
+    const price = parseNumber_(cols[required.Price]) || 0;
+    const amount = optional.Amount >= 0 ? (parseNumber_(cols[optional.Amount]) || 0) : 0;
+
+    const parsed = parseSchwabOptionSymbol_(symbol);
+
+    // Stock transactions (for exercise/assignment matching and portfolio aggregation)
+    if (!parsed) {
+      if (stockActions[action] && symbol) {
+        stockTxns.push({
+          date: dateStr,
+          txnType: stockActions[action],
+          ticker: symbol.toUpperCase(),
+          qty,
+          price,
+        });
+      }
+      continue;
+    }
+
+    // "Expired" needs no row: past expirations without a close are priced at 0
+    const flags = optionActions[action];
+    if (!flags) continue;
+
+    transactions.push({
+      date: dateStr,
+      txnType: action,
+      ticker: parsed.ticker,
+      expiration: parsed.expiration,
+      strike: parsed.strike,
+      optionType: parsed.type,
+      qty: flags.sign * qty,
+      price,
+      amount,
+      isOpen: !!flags.isOpen,
+      isClosed: !!flags.isClosed,
+      isExercised: !!flags.isExercised,
+      isAssigned: !!flags.isAssigned,
+    });
+  }
+
+  return { transactions, stockTxns };
+}
+
+/**
+ * Parses a Schwab option symbol like "TSLA 06/17/2027 500.00 C".
+ * @param {string} symbol
+ * @returns {{ ticker, expiration, strike, type }|null} Expiration as "M/D/YYYY"; null for non-options
+ */
+function parseSchwabOptionSymbol_(symbol) {
+  const match = String(symbol || "").trim().match(/^([A-Z.]+)\s+(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d+(?:\.\d+)?)\s+([CP])$/i);
+  if (!match) return null;
+
+  const [, ticker, mm, dd, yyyy, strike, typeChar] = match;
+  return {
+    ticker: ticker.toUpperCase(),
+    expiration: `${parseInt(mm, 10)}/${parseInt(dd, 10)}/${yyyy}`,
+    strike: parseFloat(strike),
+    type: typeChar.toUpperCase() === "C" ? "Call" : "Put",
+  };
+}
+
+/**
+ * Reads the position rows of a Schwab positions CSV.
+ * Handles exports with several accounts, each with its own title and header row.
+ *
+ * @param {string} csvContent - Raw CSV content
+ * @returns {Array<{symbol: string, qty: number, costBasis: number, marketValue: number}>}
+ */
+function readSchwabPositionRows_(csvContent) {
+  const lines = csvContent.split(/\r?\n/);
+  const rows = [];
+  let idx = null;
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const cols = parseCsvLineIntoFields_(line);
+    if (cols[0] === "Symbol" && cols.length > 2) {
+      const required = validateRequiredColumns_(cols, [
+        { name: "Symbol", aliases: ["symbol"] },
+        { name: "Quantity", aliases: ["qty (quantity)", "quantity", "qty"] },
+      ], "Schwab Positions CSV");
+      const optional = findOptionalColumns_(cols, [
+        { name: "CostBasis", aliases: ["cost basis"] },
+        { name: "MarketValue", aliases: ["mkt val (market value)", "market value", "mkt val"] },
+      ]);
+      idx = { ...required, ...optional };
+      continue;
+    }
+    if (!idx) continue;
+
+    const symbol = (cols[idx.Symbol] || "").trim();
+    if (!symbol || symbol === "Account Total") continue;
+
+    rows.push({
+      symbol,
+      qty: parseNumber_(cols[idx.Quantity]) || 0,
+      costBasis: idx.CostBasis >= 0 ? (parseNumber_(cols[idx.CostBasis]) || 0) : 0,
+      marketValue: idx.MarketValue >= 0 ? (parseNumber_(cols[idx.MarketValue]) || 0) : 0,
+    });
+  }
+
+  if (!idx) {
+    throw new Error(
+      "Schwab Positions CSV: Could not find header row.\n" +
+      "Expected row starting with \"Symbol\",\"Description\",\"Qty (Quantity)\"\n" +
+      "Tip: Make sure you're uploading the Positions CSV from Schwab."
+    );
+  }
+  return rows;
+}
+
+/**
+ * Parses stock positions and cash from Schwab positions CSV content.
+ * @param {string} csvContent - The CSV content as a string
+ * @param {Object[]} stockTxns - Stock transactions for date lookup
+ * @returns {{ stocks: Object[], cash: number }}
+ */
+function parseSchwabPortfolioStocksAndCash_(csvContent, stockTxns) {
+  const latestDateByTicker = buildLatestStockDates_(stockTxns);
+  const stocks = [];
+  let cash = 0;
+
+  for (const row of readSchwabPositionRows_(csvContent)) {
+    if (/^cash/i.test(row.symbol)) {
+      cash += row.marketValue;
+      log.debug("import", `Found cash in Schwab positions: $${row.marketValue}`);
+      continue;
+    }
+    if (row.symbol.includes(" ")) continue; // Skip options
+    if (row.qty === 0) continue;
+
+    const ticker = row.symbol.toUpperCase();
+    stocks.push({
+      type: "stock",
+      ticker,
+      qty: row.qty,
+      price: roundTo_(Math.abs(row.costBasis / row.qty), 2),
+      date: latestDateByTicker.get(ticker) || new Date(),
+      expiration: null,
+      lowerStrike: null,
+      upperStrike: null,
+      optionType: "Stock",
+    });
+  }
+
+  return { stocks, cash };
+}
+
+/**
+ * Parses option positions from Schwab positions CSV content.
+ * @param {string} csvContent - The CSV content as a string
+ * @returns {{ quantities: Map<string, number>, prices: Map<string, {pricePaid: number}> }}
+ */
+function parseSchwabPortfolioOptionsWithPrices_(csvContent) {
+  const quantities = new Map();
+  const costs = new Map(); // key -> {cost, contracts}, summed across accounts
+
+  for (const row of readSchwabPositionRows_(csvContent)) {
+    const parsed = parseSchwabOptionSymbol_(row.symbol);
+    if (!parsed || row.qty === 0) continue;
+
+    const key = `${parsed.ticker}|${parsed.expiration}|${parsed.strike}|${parsed.type}`;
+    quantities.set(key, (quantities.get(key) || 0) + row.qty);
+    const c = costs.get(key) || { cost: 0, contracts: 0 };
+    c.cost += Math.abs(row.costBasis);
+    c.contracts += Math.abs(row.qty);
+    costs.set(key, c);
+  }
+
+  // Cost basis is the total for the position; 100 shares per contract
+  const prices = new Map();
+  for (const [key, c] of costs) {
+    prices.set(key, { pricePaid: roundTo_(c.cost / (c.contracts * 100), 2) });
+  }
+
+  return { quantities, prices };
+}
+
+/**
+ * Test Schwab transaction and position parsing.
+ */
+function test_parseSchwabCsv() {
+  const txnCsv = [
+    '"Date","Action","Symbol","Description","Quantity","Price","Fees & Comm","Amount"',
+    '"02/12/2026","Buy to Open","TSLA 06/17/2027 500.00 C","CALL TESLA INC $500 EXP 06/17/27","2","$77.99","$1.32","-$15,599.32"',
+    '"02/12/2026 as of 02/11/2026","Sell to Open","TSLA 06/17/2027 600.00 C","CALL TESLA INC $600 EXP 06/17/27","2","$55.11","$1.32","$11,020.68"',
+    '"03/02/2026","Buy to Close","TSLA 06/17/2027 600.00 C","CALL TESLA INC $600 EXP 06/17/27","1","$60.00","$0.66","-$6,000.66"',
+    '"01/20/2026","Expired","TSLA 01/16/2026 300.00 P","PUT TESLA INC $300 EXP 01/16/26","1","","",""',
+    '"02/01/2026","Buy","TSLA","TESLA INC","100","$300.00","","-$30,000.00"',
+    '"02/03/2026","Qualified Dividend","AAPL","APPLE INC","","","","$24.00"',
+    '"Transactions Total","","","","","","","-$40,579.30"'
+  ].join("\n");
+
+  const { transactions, stockTxns } = parseSchwabTransactionsFromCsv_(txnCsv);
+  assertEqual(transactions.length, 3, "option transactions (expired skipped)");
+  assertEqual(transactions[0].qty, 2, "buy to open is long");
+  assertEqual(transactions[0].expiration, "6/17/2027", "expiration");
+  assertEqual(transactions[0].amount, -15599.32, "amount");
+  assertEqual(transactions[1].qty, -2, "sell to open is short");
+  assertEqual(transactions[1].date, "02/12/2026", "'as of' date dropped");
+  assertEqual(transactions[2].isClosed, true, "buy to close");
+  assertEqual(stockTxns.length, 1, "stock buy only");
+  assertEqual(stockTxns[0].txnType, "Bought", "stock txnType");
+
+  const posCsv = [
+    '"Positions for account Individual ...123 as of 04:10 PM ET, 2026/02/15","","","","",""',
+    '""',
+    '"Symbol","Description","Qty (Quantity)","Price","Mkt Val (Market Value)","Cost Basis","Security Type"',
+    '"TSLA","TESLA INC","100","$398.64","$39,864.00","$30,000.00","Equity"',
+    '"TSLA 06/17/2027 600.00 C","CALL TESLA INC $600 EXP 06/17/27","-2","$55.11","-$11,022.00","-$11,022.00","Option"',
+    '"Cash & Cash Investments","--","--","--","$5,000.00","--","Cash and Money Market"',
+    '"Account Total","--","--","--","$33,842.00","$18,978.00","--"'
+  ].join("\n");
+
+  const { stocks, cash } = parseSchwabPortfolioStocksAndCash_(posCsv, stockTxns);
+  assertEqual(stocks.length, 1, "one stock position");
+  assertEqual(stocks[0].price, 300, "price from cost basis");
+  assertEqual(cash, 5000, "cash");
+
+  const { quantities, prices } = parseSchwabPortfolioOptionsWithPrices_(posCsv);
+  assertEqual(quantities.get("TSLA|6/17/2027|600|Call"), -2, "short option quantity");
+  assertEqual(prices.get("TSLA|6/17/2027|600|Call").pricePaid, 55.11, "per-share price from cost basis");
+
+  // Same option in two accounts: cost-weighted average, not the last account
+  const twoAccounts = posCsv.replace(
+    '"Cash & Cash Investments"',
+    '"TSLA 06/17/2027 600.00 C","CALL TESLA INC $600 EXP 06/17/27","-1","$55.11","-$5,511.00","-$6,000.00","Option"\n"Cash & Cash Investments"');
+  const merged = parseSchwabPortfolioOptionsWithPrices_(twoAccounts);
+  assertEqual(merged.quantities.get("TSLA|6/17/2027|600|Call"), -3, "quantities summed across accounts");
+  assertEqual(merged.prices.get("TSLA|6/17/2027|600|Call").pricePaid, 56.74, "(11022 + 6000) / 300");
+}
@@ -0,0 +1,600 @@
+/**
+ * ValueHistory.js
+ * Values every Portfolio group on each archived option snapshot date.
+ *
+ * For each dataDate in OptionPriceHistory, each leg is marked the way the Portfolio
+ * sheet's Rec Close formula does (recommendClose, 60 minutes patience): long legs
+ * at the liquidity-aware sell price, short legs at the buy price. Quotes come from
+ * the newest snapshot of the leg's expiration on or before that date, which is what
+ * OptionPricesUploaded held at the time, up to VALUE_HISTORY_MAX_STALE_DAYS old.
+ * Stock is marked at the price implied by the snapshot's Moneyness column; cash at
+ * its amount.
+ *
+ * Value, Investment and P&L follow the Portfolio formulas:
+ *   Investment = SUM(qty x price) x 100 (x 1 for stock)
+ *   P&L        = SUM(qty x (close - price)) x 100
+ *   Value      = Investment + P&L, or 0 once every leg is closed
+ *
+ * The Portfolio only records the current positions, so LastTxnDate stands in for
+ * their history: an open group is skipped before its LastTxnDate. A closed group's
+ * open date is not recorded, so it is only valued from LastTxnDate on, at its Closed
+ * prices.
+ *
+ * Output is one row per group and date on the ValueHistory sheet, plus a TOTAL row
+ * per date. A group with a leg that has no quote carries forward its last known
+ * Value and P&L; without one it is left blank and counted in the TOTAL row's
+ * Missing column.
+ *
+ * Uploads only revalue the dates from their oldest new snapshot on; the menu item
+ * rebuilds every date (needed after the Portfolio changes).
+ */
+
+const VALUE_HISTORY_SHEET = "ValueHistory";
+
+const VALUE_HISTORY_HEADERS = ["Date", "Symbol", "Group", "Description", "Value", "Investment", "P&L", "Missing"];
+
+/** Patience used by the Portfolio sheet's Rec Close formulas */
+const VALUE_HISTORY_PATIENCE_MINUTES = 60;
+
+/** Quotes older than this count as missing, so the group carries its last value forward */
+const VALUE_HISTORY_MAX_STALE_DAYS = 45;
+
+/* =========================================================
+   Entry point (called from menu)
+   ========================================================= */
+
+/**
+ * Rebuilds the ValueHistory sheet from the Portfolio table and OptionPriceHistory.
+ */
+function updateValueHistory() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rows = rebuildValueHistory_(ss);
+  const dates = rows.filter(r => r[1] === "TOTAL").length;
+  ss.toast(`${dates} snapshot date(s), ${rows.length - dates} group rows`, "Value History Updated");
+}
+
+/**
+ * Computes and writes the ValueHistory sheet for every archived date.
+ * @param {Spreadsheet} ss
+ * @returns {Array<Array>} Rows written (without header)
+ */
+function rebuildValueHistory_(ss) {
+  const { groups, symbols } = readValueHistoryGroups_(ss);
+  const book = buildSnapshotBook_(loadOptionPriceHistory_(ss, symbols));
+  if (book.dates.length === 0) {
+    throw new Error("No archived option prices found. Upload option prices first.");
+  }
+
+  const rows = valueHistoryRowsForDates_(groups, book, book.dates, new Map());
+  writeValueHistory_(ss, rows);
+  return rows;
+}
+
+/**
+ * Updates the ValueHistory sheet after an upload: revalues the dates from the oldest
+ * new dataDate on, reading only the archive rows those dates can use. Earlier rows
+ * are kept, and seed the values carried forward.
+ * @param {Spreadsheet} ss
+ * @param {Date} since - Oldest new dataDate
+ * @returns {Array<Array>} Rows written (without header)
+ */
+function updateValueHistory_(ss, since) {
+  const sheet = ss.getSheetByName(VALUE_HISTORY_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return rebuildValueHistory_(ss);
+
+  const { groups, symbols } = readValueHistoryGroups_(ss);
+  const staleMs = VALUE_HISTORY_MAX_STALE_DAYS * 86400000;
+  const book = buildSnapshotBook_(loadOptionPriceHistorySince_(ss, symbols, new Date(since.getTime() - staleMs)));
+
+  const kept = sheet.getRange(2, 1, sheet.getLastRow() - 1, VALUE_HISTORY_HEADERS.length).getValues()
+    .filter(r => {
+      const d = parseDateAtMidnight_(r[0]);
+      return d && d < since;
+    });
+  const lastKnown = new Map();
+  for (const r of kept) {
+    if (r[1] === "TOTAL" || r[4] === "") continue;
+    lastKnown.set(valueHistoryGroupKey_(r[1], r[2], r[3]), { value: +r[4], pnl: +r[6] });
+  }
+
+  const rows = kept.concat(valueHistoryRowsForDates_(groups, book, book.dates.filter(d => d >= since), lastKnown));
+  writeValueHistory_(ss, rows);
+  return rows;
+}
+
+/**
+ * Reads the Portfolio groups and the symbols to load quotes for.
+ * @param {Spreadsheet} ss
+ * @returns {{groups: Array, symbols: string[]}}
+ */
+function readValueHistoryGroups_(ss) {
+  const legsRange = getNamedRangeWithTableFallback_(ss, "Portfolio");
+  if (!legsRange) throw new Error("No Portfolio table found. Upload your portfolio first.");
+
+  const groups = readPortfolioGroups_(legsRange.getValues());
+  const symbols = Array.from(new Set(groups.map(g => g.symbol).filter(s => s !== "CASH")));
+  return { groups, symbols };
+}
+
+/**
+ * Values every group on each date, oldest first.
+ * @param {Array} groups - From readPortfolioGroups_
+ * @param {Object} book - From buildSnapshotBook_
+ * @param {Date[]} dates - Ascending
+ * @param {Map} lastKnown - See valueHistoryRowsForDate_
+ * @returns {Array<Array>} ValueHistory rows
+ */
+function valueHistoryRowsForDates_(groups, book, dates, lastKnown) {
+  const alpha = 1 - Math.exp(-VALUE_HISTORY_PATIENCE_MINUTES / 60);
+  const rows = [];
+  for (const date of dates) {
+    const lookup = {
+      quote: (sym, exp, strike, type) => book.quote(sym, exp, strike, type, date),
+      stockPrice: (sym) => book.stockPrice(sym, date)
+    };
+    rows.push(...valueHistoryRowsForDate_(groups, date, lookup, alpha, lastKnown));
+  }
+  return rows;
+}
+
+/**
+ * Values every group on one date and adds the TOTAL row.
+ * A group with a leg that has no quote carries forward its last complete valuation;
+ * a group without one is left out of the total.
+ *
+ * @param {Array} groups - From readPortfolioGroups_
+ * @param {Date} date - Snapshot date
+ * @param {{quote: Function, stockPrice: Function}} lookup - As of date (see valueGroupAt_)
+ * @param {number} alpha - Patience factor 0-1
+ * @param {Map<string, {value: number, pnl: number}>} lastKnown - By valueHistoryGroupKey_, updated in place
+ * @returns {Array<Array>} ValueHistory rows for the date
+ */
+function valueHistoryRowsForDate_(groups, date, lookup, alpha, lastKnown) {
+  const rows = [];
+  let total = 0;
+  let missing = 0;
+  for (const g of groups) {
+    const v = valueGroupAt_(g, date, lookup, alpha);
+    if (!v) continue;
+
+    const key = valueHistoryGroupKey_(g.symbol, g.group, g.description);
+    if (v.missing === 0) lastKnown.set(key, { value: v.value, pnl: v.pnl });
+    const known = lastKnown.get(key);
+    if (known) total += known.value;
+    else missing++;
+
+    rows.push([date, g.symbol, g.group, g.description,
+      known ? roundTo_(known.value, 2) : "", roundTo_(v.investment, 2),
+      known ? roundTo_(known.pnl, 2) : "", v.missing || ""]);
+  }
+  rows.push([date, "TOTAL", "", "Account value", roundTo_(total, 2), "", "", missing || ""]);
+  return rows;
+}
+
+/**
+ * Identifies a group across dates: "SYMBOL|group|description".
+ * @returns {string}
+ */
+function valueHistoryGroupKey_(symbol, group, description) {
+  return `${symbol}|${group}|${description}`;
+}
+
+/**
+ * Writes rows to the ValueHistory sheet, replacing its contents.
+ * @param {Spreadsheet} ss
+ * @param {Array<Array>} rows
+ */
+function writeValueHistory_(ss, rows) {
+  let sheet = ss.getSheetByName(VALUE_HISTORY_SHEET);
+  if (!sheet) sheet = ss.insertSheet(VALUE_HISTORY_SHEET);
+
+  sheet.clearContents();
+  const headerRange = sheet.getRange(1, 1, 1, VALUE_HISTORY_HEADERS.length);
+  headerRange.setValues([VALUE_HISTORY_HEADERS]);
+  headerRange.setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+  headerRange.setNotes([[
+    "Option snapshot dataDate (OptionPriceHistory)",
+    "Stock symbol, or TOTAL for the whole account",
+    "Portfolio group",
+    "Portfolio description",
+    "Investment + P&L on this date (0 once every leg is closed). Carried forward if a leg had no quote; blank if never valued",
+    "SUM(qty x price) x 100, as on the Portfolio sheet",
+    "SUM(qty x (close - price)) x 100, marking open legs like Rec Close. Carried forward like Value",
+    "Legs without a quote (group rows) or groups left out of the total (TOTAL rows)"
+  ]]);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, VALUE_HISTORY_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 1, rows.length, 1).setNumberFormat("m/d/yyyy");
+    sheet.getRange(2, 5, rows.length, 3).setNumberFormat("$#,##0.00;[Red]-$#,##0.00");
+  }
+  sheet.setFrozenRows(1);
+}
+
+/* =========================================================
+   Portfolio groups
+   ========================================================= */
+
+/**
+ * Reads every group (open and closed) from the Portfolio table.
+ * Symbol and Group carry forward over merged cells, as in parsePositionsForSymbol_.
+ *
+ * @param {Array[]} rows - Portfolio table with header row first
+ * @returns {Array<{symbol, group, description, lastTxnDate, legs: Array<{type, strike, expiration, qty, price, closed}>}>}
+ */
+function readPortfolioGroups_(rows) {
+  if (!rows || rows.length < 2) return [];
+
+  const headers = rows[0];
+  const idxSym = findColumn_(headers, ["symbol", "ticker"]);
+  const idxGroup = findColumn_(headers, ["group", "grp"]);
+  const idxDesc = findColumn_(headers, ["description", "desc", "label"]);
+  const idxStrike = findColumn_(headers, ["strike", "strikeprice"]);
+  const idxType = findColumn_(headers, ["type", "optiontype", "callput", "cp", "putcall", "legtype"]);
+  const idxStrat = findColumn_(headers, ["strategy", "strat"]);
+  const idxExp = findColumn_(headers, ["expiration", "exp", "expiry", "expirationdate", "expdate"]);
+  const idxQty = findColumn_(headers, ["qty", "quantity", "contracts", "contract", "count", "shares"]);
+  const idxPrice = findColumn_(headers, ["price", "cost", "entry", "premium", "basis", "costbasis", "avgprice", "pricepaid"]);
+  const idxClosed = findColumn_(headers, ["closed", "actualclose", "closedat"]);
+  const idxLastTxn = findColumn_(headers, ["lasttxndate", "lasttransactiondate", "txndate"]);
+  if (idxSym < 0 || idxQty < 0 || idxPrice < 0) return [];
+
+  const skipSymbols = new Set(["TOTAL", "REALIZED", "UNREALIZED", "SUMMARY"]);
+  const groups = new Map();
+  let lastSym = "";
+  let lastGroup = "";
+
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    const rawSym = String(row[idxSym] ?? "").trim().toUpperCase();
+    if (skipSymbols.has(rawSym)) { lastSym = ""; continue; }
+    if (rawSym) { lastSym = rawSym; lastGroup = ""; }
+    if (!lastSym) continue;
+
+    const rawGroup = idxGroup >= 0 ? String(row[idxGroup] ?? "").trim() : "";
+    if (rawGroup) lastGroup = rawGroup;
+
+    const key = `${lastSym}|${lastGroup || r}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        symbol: lastSym,
+        group: lastGroup,
+        description: idxDesc >= 0 ? String(row[idxDesc] ?? "").trim() : "",
+        lastTxnDate: idxLastTxn >= 0 ? parseDateAtMidnight_(row[idxLastTxn]) : null,
+        legs: []
+      });
+    }
+
+    const qty = parseNumber_(row[idxQty]);
+    const price = parseNumber_(row[idxPrice]);
+    if (!Number.isFinite(qty) || qty === 0 || !Number.isFinite(price)) continue;
+
+    const strike = idxStrike >= 0 ? parseNumber_(row[idxStrike]) : NaN;
+    let type = idxType >= 0 ? parseOptionType_(row[idxType]) : null;
+    const typeStr = idxType >= 0 ? String(row[idxType] ?? "").trim().toLowerCase() : "";
+    const strat = idxStrat >= 0 ? parseSpreadStrategy_(row[idxStrat]) : null;
+    if (!type && (strat === "cash" || typeStr === "cash" || typeStr === "$" || typeStr === "usd" || lastSym === "CASH")) type = "Cash";
+    if (!type && (strat === "stock" || !Number.isFinite(strike))) type = "Stock";
+    if (!type) continue;
+
+    const closedRaw = idxClosed >= 0 ? row[idxClosed] : "";
+    const closed = closedRaw === "" || closedRaw == null ? null : parseNumber_(closedRaw);
+
+    groups.get(key).legs.push({
+      type,
+      strike,
+      expiration: idxExp >= 0 ? parseDateAtMidnight_(row[idxExp]) : null,
+      qty,
+      price,
+      closed: Number.isFinite(closed) ? closed : null
+    });
+  }
+
+  return Array.from(groups.values()).filter(g => g.legs.length > 0);
+}
+
+/* =========================================================
+   Valuation
+   ========================================================= */
+
+/**
+ * Values one group on a snapshot date.
+ *
+ * @param {Object} group - From readPortfolioGroups_
+ * @param {Date} date - Snapshot date
+ * @param {{quote: Function, stockPrice: Function}} lookup - quote(sym, exp, strike, type) -> {bid, mid, ask, volume, openint}|null,
+ *   stockPrice(sym) -> number|null, both as of date
+ * @param {number} alpha - Patience factor 0-1 (see getRealisticSellPrice_)
+ * @returns {{value: number, investment: number, pnl: number, missing: number}|null} Null outside the group's
+ *   known window: before an open group's LastTxnDate, or before a closed group closed (its open date is unknown)
+ */
+function valueGroupAt_(group, date, lookup, alpha) {
+  // Open groups start on LastTxnDate; closed groups have no recorded open date, so they start when they closed
+  if (group.lastTxnDate && group.lastTxnDate > date) return null;
+
+  let investment = 0;
+  let pnl = 0;
+  let missing = 0;
+  let closedLegs = 0;
+
+  for (const leg of group.legs) {
+    if (leg.type === "Cash") {
+      investment += leg.price; // Portfolio writes cash as qty 1, Investment = Price
+      continue;
+    }
+
+    const mult = leg.type === "Stock" ? 1 : 100;
+    investment += leg.qty * leg.price * mult;
+
+    let close = null;
+    if (leg.closed !== null) {
+      close = leg.closed;
+      closedLegs++;
+    } else if (leg.type === "Stock") {
+      close = lookup.stockPrice(group.symbol);
+    } else if (leg.expiration && leg.expiration <= date) {
+      // Expired by this date: intrinsic value
+      const S = lookup.stockPrice(group.symbol);
+      if (S) close = leg.type === "Call" ? Math.max(0, S - leg.strike) : Math.max(0, leg.strike - S);
+    } else {
+      const q = lookup.quote(group.symbol, leg.expiration, leg.strike, leg.type);
+      if (q && q.bid > 0 && q.ask > 0) {
+        close = leg.qty > 0 ? getRealisticSellPrice_(q, alpha) : getRealisticBuyPrice_(q, alpha);
+      }
+    }
+
+    if (close === null || !Number.isFinite(close)) {
+      missing++;
+      continue;
+    }
+    pnl += leg.qty * (close - leg.price) * mult;
+  }
+
+  const optionLegs = group.legs.filter(l => l.type !== "Cash").length;
+  const value = optionLegs > 0 && closedLegs === optionLegs ? 0 : investment + pnl;
+  return { value, investment, pnl, missing };
+}
+
+/**
+ * Indexes archived options by symbol, expiration and dataDate.
+ * quote() and stockPrice() answer "as of" a date: the newest snapshot on or before it,
+ * at most VALUE_HISTORY_MAX_STALE_DAYS old.
+ *
+ * @param {Array} history - From loadOptionPriceHistory_ (options with dataDate)
+ * @returns {{dates: Date[], quote: Function, stockPrice: Function}}
+ */
+function buildSnapshotBook_(history) {
+  const byExp = new Map();    // "SYM|M/D/YYYY" -> [{time, quotes: Map}] ascending
+  const bySymbol = new Map(); // "SYM" -> [{time, price}] ascending
+  const rowsBySymbolDate = new Map();
+  const dateTimes = new Set();
+
+  for (const o of history) {
+    if (!o.dataDate) continue;
+    const time = o.dataDate.getTime();
+    dateTimes.add(time);
+
+    const expKey = `${o.symbol}|${o.expiration}`;
+    if (!byExp.has(expKey)) byExp.set(expKey, new Map());
+    const snaps = byExp.get(expKey);
+    if (!snaps.has(time)) snaps.set(time, new Map());
+    snaps.get(time).set(`${o.strike}|${o.type}`, o);
+
+    const symKey = `${o.symbol}|${time}`;
+    if (!rowsBySymbolDate.has(symKey)) rowsBySymbolDate.set(symKey, []);
+    rowsBySymbolDate.get(symKey).push([o.symbol, o.expiration, o.strike, o.type, o.bid, o.mid, o.ask, o.iv,
+      o.delta, o.volume, o.openint, o.moneyness === "" ? NaN : +o.moneyness]);
+  }
+
+  const sorted = (m) => Array.from(m.entries()).sort((a, b) => a[0] - b[0]);
+  const expSnaps = new Map();
+  for (const [key, snaps] of byExp) expSnaps.set(key, sorted(snaps));
+
+  for (const [key, rows] of rowsBySymbolDate) {
+    const [sym, time] = key.split("|");
+    const price = stockPriceFromMoneyness_(rows);
+    if (!price) continue;
+    if (!bySymbol.has(sym)) bySymbol.set(sym, new Map());
+    bySymbol.get(sym).set(+time, price);
+  }
+  const symPrices = new Map();
+  for (const [sym, prices] of bySymbol) symPrices.set(sym, sorted(prices));
+
+  // Newest entry at or before time, if not stale
+  const staleMs = VALUE_HISTORY_MAX_STALE_DAYS * 86400000;
+  const asOf = (list, time) => {
+    let hit = null;
+    for (const entry of list || []) {
+      if (entry[0] > time) break;
+      hit = entry;
+    }
+    return hit && hit[0] > time - staleMs ? hit[1] : null;
+  };
+
+  return {
+    dates: Array.from(dateTimes).sort((a, b) => a - b).map(t => new Date(t)),
+    quote: (sym, exp, strike, type, date) => {
+      const expDate = parseDateAtMidnight_(exp);
+      if (!expDate) return null;
+      const quotes = asOf(expSnaps.get(`${sym}|${formatDateMDYYYY_(expDate)}`), date.getTime());
+      return (quotes && quotes.get(`${strike}|${type}`)) || null;
+    },
+    stockPrice: (sym, date) => asOf(symPrices.get(sym), date.getTime())
+  };
+}
+
+/* =========================================================
+   Graph data
+   ========================================================= */
+
+/**
+ * Reads the ValueHistory sheet for the portfolio graphs: account value for every
+ * date, and P&L per group of one symbol.
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} symbol - Groups to include
+ * @returns {{dates: string[], totalValues: number[], groups: Array<{label: string, pnl: Array<number|null>}>}|null}
+ *   Dates as YYYY-MM-DD; null if the sheet is missing or empty
+ */
+function getValueHistoryGraphData_(ss, symbol) {
+  const sheet = ss.getSheetByName(VALUE_HISTORY_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return null;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, VALUE_HISTORY_HEADERS.length).getValues();
+  const iso = (d) => d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+
+  const dateIndex = new Map();
+  const totalValues = [];
+  for (const r of data) {
+    const d = parseDateAtMidnight_(r[0]);
+    if (!d || r[1] !== "TOTAL") continue;
+    dateIndex.set(iso(d), totalValues.length);
+    totalValues.push(r[4] === "" ? null : +r[4]);
+  }
+
+  const groups = new Map();
+  for (const r of data) {
+    const d = parseDateAtMidnight_(r[0]);
+    if (!d || String(r[1]).toUpperCase() !== String(symbol).toUpperCase()) continue;
+    const label = r[3] ? `#${r[2]} ${r[3]}` : `#${r[2]}`;
+    if (!groups.has(label)) groups.set(label, new Array(totalValues.length).fill(null));
+    const i = dateIndex.get(iso(d));
+    if (i !== undefined && r[6] !== "") groups.get(label)[i] = +r[6];
+  }
+
+  return {
+    dates: Array.from(dateIndex.keys()),
+    totalValues,
+    groups: Array.from(groups.entries()).map(([label, pnl]) => ({ label, pnl }))
+  };
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test group valuation against hand-computed Rec Close marks.
+ */
+function test_valueGroupAt() {
+  const d = (s) => parseDateAtMidnight_(s);
+  const quotes = {
+    "400|Call": { bid: 50, mid: 51, ask: 52, volume: 0, openint: 0 },
+    "450|Call": { bid: 30, mid: 31, ask: 32, volume: 0, openint: 0 }
+  };
+  const lookup = {
+    quote: (sym, exp, strike, type) => quotes[`${strike}|${type}`] || null,
+    stockPrice: () => 420
+  };
+  const spread = {
+    symbol: "TSLA", group: "1", lastTxnDate: d("2026-09-01"),
+    legs: [
+      { type: "Call", strike: 400, expiration: d("2028-06-16"), qty: 2, price: 40, closed: null },
+      { type: "Call", strike: 450, expiration: d("2028-06-16"), qty: -2, price: 25, closed: null }
+    ]
+  };
+
+  // alpha = 0: sell long at bid 50, buy short at ask 32 => P&L 2 x ((50-40) - (32-25)) x 100 = 600
+  let v = valueGroupAt_(spread, d("2026-10-16"), lookup, 0);
+  assertEqual(v.investment, 3000, "spread investment");
+  assertEqual(v.pnl, 600, "spread P&L at aggressive marks");
+  assertEqual(v.value, 3600, "spread value");
+
+  // Before LastTxnDate an open group did not exist yet
+  assertEqual(valueGroupAt_(spread, d("2026-08-01"), lookup, 0), null, "skip before LastTxnDate");
+
+  // Closed legs count once LastTxnDate has passed; value drops to 0
+  const closed = { ...spread, legs: spread.legs.map(l => ({ ...l, closed: l.strike === 400 ? 55 : 28 })) };
+  v = valueGroupAt_(closed, d("2026-10-16"), lookup, 0);
+  assertEqual(v.pnl, 2 * ((55 - 40) - (28 - 25)) * 100, "closed P&L");
+  assertEqual(v.value, 0, "closed value");
+  // Its open date is unknown, so a closed group is not marked from quotes before it closed
+  assertEqual(valueGroupAt_(closed, d("2026-08-01"), lookup, 0), null, "closed group skipped before close");
+
+  // Stock marked at the snapshot price; a leg without a quote is missing
+  const stock = { symbol: "TSLA", group: "2", lastTxnDate: null, legs: [{ type: "Stock", strike: NaN, expiration: null, qty: 10, price: 400, closed: null }] };
+  assertEqual(valueGroupAt_(stock, d("2026-10-16"), lookup, 0).value, 4200, "stock value");
+  const noQuote = { ...spread, legs: [{ ...spread.legs[0], strike: 500 }] };
+  assertEqual(valueGroupAt_(noQuote, d("2026-10-16"), lookup, 0).missing, 1, "missing quote");
+
+  // Dated rows: the closed group joins on its close date, and a missing quote carries the last value forward
+  const closedLater = { ...closed, group: "3", lastTxnDate: d("2026-10-20") };
+  const lastKnown = new Map();
+  let rows = valueHistoryRowsForDate_([spread, closedLater], d("2026-10-16"), lookup, 0, lastKnown);
+  assertEqual(rows.length, 2, "closed group not yet in the window");
+  assertEqual(rows[1][4], 3600, "total");
+
+  const gap = { quote: () => null, stockPrice: () => 420 };
+  rows = valueHistoryRowsForDate_([spread, closedLater], d("2026-10-17"), gap, 0, lastKnown);
+  assertEqual(rows[0][4], 3600, "value carried forward");
+  assertEqual(rows[0][6], 600, "P&L carried forward");
+  assertEqual(rows[0][7], 2, "legs without a quote still reported");
+  assertEqual(rows[1][4], 3600, "total keeps the carried group");
+  assertEqual(rows[1][7], "", "nothing left out of the total");
+
+  rows = valueHistoryRowsForDate_([spread, noQuote], d("2026-10-17"), gap, 0, new Map());
+  assertEqual(rows[0][4], "", "never valued: blank");
+  assertEqual(rows[2][7], 2, "groups never valued are left out of the total");
+
+  rows = valueHistoryRowsForDate_([spread, closedLater], d("2026-10-20"), gap, 0, lastKnown);
+  assertEqual(rows[1][4], 0, "closed group valued from its close date");
+  assertEqual(rows[2][4], 3600, "total on the close date");
+}
+
+/**
+ * Test that updating ValueHistory for a new date matches a full rebuild.
+ */
+function test_updateValueHistory() {
+  const sheets = {};
+  const makeSheet = () => {
+    const grid = [];
+    const sheet = {
+      getLastRow: () => grid.length,
+      getDataRange: () => sheet.getRange(1, 1, grid.length, grid[0].length),
+      clearContents: () => { grid.length = 0; },
+      setFrozenRows: () => {},
+      getRange: (row, col, numRows = 1, numCols = 1) => {
+        const range = {
+          getValues: () => grid.slice(row - 1, row - 1 + numRows).map(r => r.slice(col - 1, col - 1 + numCols)),
+          setValues: (values) => {
+            values.forEach((v, i) => {
+              grid[row - 1 + i] = grid[row - 1 + i] || [];
+              v.forEach((x, j) => grid[row - 1 + i][col - 1 + j] = x);
+            });
+            return range;
+          },
+          setNotes: () => range, setNumberFormat: () => range, setFontWeight: () => range,
+          setBackground: () => range, setFontColor: () => range
+        };
+        return range;
+      }
+    };
+    return sheet;
+  };
+  const portfolio = [
+    ["Symbol", "Group", "Description", "Strike", "Type", "Expiration", "Qty", "Price", "Closed", "LastTxnDate"],
+    ["TSLA", "1", "400/450 bcs", 400, "Call", "6/16/2028", 2, 40, "", "8/1/2026"],
+    ["", "", "", 450, "Call", "6/16/2028", -2, 25, "", ""]
+  ];
+  const ss = {
+    getSheetByName: (name) => sheets[name] || null,
+    insertSheet: (name) => (sheets[name] = makeSheet()),
+    getRangeByName: (name) => name === "Portfolio" ? { getValues: () => portfolio } : null
+  };
+
+  const quote = (dataDate, k, bid) => ["TSLA", parseDateAtMidnight_("6/16/2028"), k, "Call",
+    bid, bid + 1, bid + 2, 0.5, 0.5, 10, 100, (420 - k) / 420, parseDateAtMidnight_(dataDate)];
+  const history = ensureOptionPriceHistorySheet_(ss);
+  appendOptionPriceHistoryRows_(history, [quote("8/15/2026", 400, 50), quote("8/15/2026", 450, 30),
+    quote("9/15/2026", 400, 55), quote("9/15/2026", 450, 33)]);
+  rebuildValueHistory_(ss);
+  // The new snapshot has no 450 quote, and 9/15's is past VALUE_HISTORY_MAX_STALE_DAYS on 11/16
+  appendOptionPriceHistoryRows_(history, [quote("11/16/2026", 400, 60)]);
+
+  const updated = updateValueHistory_(ss, parseDateAtMidnight_("11/16/2026"));
+  assertEqual(updated.length, 6, "group + TOTAL row per date");
+  assertEqual(updated[4][4], updated[2][4], "missing quote carries the 9/15 value forward");
+  assertEqual(updated[4][7], 1, "leg without a quote reported");
+  assertEqual(updated[5][4], updated[3][4], "TOTAL keeps the carried group");
+  assertEqual(JSON.stringify(updated), JSON.stringify(rebuildValueHistory_(ss)), "same as a full rebuild");
+}
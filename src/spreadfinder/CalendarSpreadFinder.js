@@ -0,0 +1,527 @@
+/**
+ * CalendarSpreadFinder.js
+ * Scans OptionPricesUploaded for calendar and diagonal spreads across two expirations.
+ *
+ * Each candidate sells a front-month option and buys a back-month option of the same type.
+ * Same strike = calendar. Long leg deeper ITM = diagonal (e.g. a "poor man's covered call").
+ *
+ * The position is valued at the front expiration: the short leg is worth intrinsic and the
+ * back leg is re-priced with Black-Scholes (OptionPricing.js) using its IV and the time it has left.
+ * Expected value integrates that over a lognormal price distribution.
+ *
+ * Config is stored in hidden per-symbol sheets: _<Symbol>CalendarFinderConfig
+ * Results are written to <Symbol>Calendars sheets.
+ *
+ * Related files:
+ * - SpreadFinder.js: Shared symbol/expiration choices for the dialogs
+ * - SpreadFinderInit.js: Option loading and held positions
+ * - SpreadFinderCalc.js: Liquidity score and current price estimate
+ */
+
+/** Maximum number of candidates written to the results sheet */
+const CALENDAR_MAX_RESULTS = 1000;
+
+/**
+ * Default config values for the calendar/diagonal finder.
+ * maxStrikeDiff = 0 finds calendars only.
+ * minExpectedReturn is expected P&L at the front expiration per dollar of debit.
+ */
+const CALENDAR_CONFIG_DEFAULTS = {
+  frontExpiration: "",  // YYYY-MM-DD
+  backExpiration: "",   // YYYY-MM-DD
+  optionType: "Call",
+  minStrike: 200,
+  maxStrike: 800,
+  maxStrikeDiff: 200,
+  minLiquidityScore: 0.30,
+  minExpectedReturn: 0,
+  excludeFlagged: 0           // 1 = skip options listed on the PriceIssues sheet
+};
+
+/* =========================================================
+   Entry points (called from menu/UI)
+   ========================================================= */
+
+/**
+ * Shows the Calendar/Diagonal Finder modal dialog.
+ */
+function showCalendarSpreadFinderDialog() {
+  const html = HtmlService.createHtmlOutputFromFile('ui/CalendarSpreadFinderDialog')
+    .setWidth(450)
+    .setHeight(520);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Calendar / Diagonal Finder');
+}
+
+/**
+ * Gets data for the Calendar/Diagonal Finder dialog.
+ * Returns symbols, expirations per symbol, and saved config per symbol.
+ */
+function getCalendarSpreadFinderDialogData() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const choices = getSymbolExpirationChoices_(ss);
+
+  const configBySymbol = {};
+  for (const sym of choices.symbols) {
+    configBySymbol[sym] = loadCalendarConfig_(ss, sym);
+  }
+
+  return {
+    symbols: choices.symbols,
+    expirationsBySymbol: choices.expirationsBySymbol,
+    configBySymbol: configBySymbol
+  };
+}
+
+/**
+ * Runs Calendar/Diagonal Finder for a single symbol with the given config.
+ * Called from the dialog.
+ * @param {string} symbol - Stock symbol
+ * @param {Object} config - Config from dialog
+ */
+function runCalendarSpreadFinder(symbol, config) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  // Save config to hidden sheet
+  saveCalendarConfig_(ss, symbol, config);
+
+  if (!config.frontExpiration || !config.backExpiration) {
+    throw new Error("Select a front and a back expiration");
+  }
+  if (config.frontExpiration >= config.backExpiration) {
+    throw new Error("Back expiration must be after the front expiration");
+  }
+
+  // Load option data for both expirations
+  const options = loadOptionData_(ss, [symbol], new Set([config.frontExpiration, config.backExpiration]));
+  log.info("calendarFinder", "Loaded " + options.length + " options for " + symbol);
+
+  const optionType = config.optionType === "Put" ? "Put" : "Call";
+  const frontKey = formatDateMDYYYY_(parseDateAtMidnight_(config.frontExpiration));
+  const backKey = formatDateMDYYYY_(parseDateAtMidnight_(config.backExpiration));
+
+  // Drop quotes flagged on the PriceIssues sheet if asked
+  let chain = options;
+  let flaggedExcluded = 0;
+  if (config.excludeFlagged) {
+    ({ options: chain, excluded: flaggedExcluded } = excludeFlaggedOptions_(ss, options));
+  }
+
+  const byStrike = (a, b) => a.strike - b.strike;
+  const front = chain.filter(o => o.type === optionType && o.expiration === frontKey).sort(byStrike);
+  const back = chain.filter(o => o.type === optionType && o.expiration === backKey).sort(byStrike);
+
+  if (front.length === 0 || back.length === 0) {
+    throw new Error(`No ${optionType.toLowerCase()} options found for ${symbol} in both expirations`);
+  }
+
+  const underlying = getUnderlyingPrice_(ss, symbol, { chain: options });
+  const currentPrice = underlying.price || 0;
+  log.debug("calendarFinder", "Current price: " + describeUnderlyingPrice_(underlying));
+
+  const candidates = generateCalendarSpreads_(front, back, {
+    ...config,
+    optionType: optionType,
+    currentPrice: currentPrice,
+    pricing: getPricingParams_(ss, symbol)
+  });
+  log.info("calendarFinder", "Generated " + candidates.length + " candidates");
+
+  // Load held positions
+  const conflicts = loadHeldPositions_(ss);
+
+  // Filter by config constraints
+  const filtered = candidates.filter(c => {
+    // Long back leg conflicts with an existing short at the same strike
+    c.held = conflicts.has(`${c.symbol}|${c.longStrike}|${c.backExpiration}`);
+    return c.debit > 0 &&
+      c.expectedReturn >= config.minExpectedReturn &&
+      c.liquidityScore >= config.minLiquidityScore;
+  });
+  log.info("calendarFinder", "Filtered to " + filtered.length + " candidates meeting criteria");
+
+  // Sort by fitness (descending) and keep the best
+  filtered.sort((a, b) => b.fitness - a.fitness);
+  const top = filtered.slice(0, CALENDAR_MAX_RESULTS);
+
+  // Output to <Symbol>Calendars sheet
+  const outputSheet = ensureSpreadsSheet_(ss, symbol + "Calendars");
+  outputCalendarResults_(outputSheet, top, config);
+
+  SpreadsheetApp.getUi().alert(
+    "Calendar / Diagonal Finder Complete",
+    `Symbol: ${symbol}\n` +
+    `Current price: ${describeUnderlyingPrice_(underlying)}\n` +
+    `Front ${optionType}s: ${front.length}\n` +
+    `Back ${optionType}s: ${back.length}\n` +
+    (config.excludeFlagged ? `Flagged options excluded: ${flaggedExcluded}\n` : "") +
+    `Candidates generated: ${candidates.length}\n` +
+    `After filtering: ${filtered.length}` +
+    (filtered.length > top.length ? `\nShowing top ${top.length}` : ""),
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/* =========================================================
+   Per-Symbol Config Functions
+   ========================================================= */
+
+/**
+ * Gets the hidden config sheet name for a symbol's calendar/diagonal finder.
+ * @param {string} symbol - The stock symbol
+ * @returns {string} Sheet name like "_TSLACalendarFinderConfig"
+ */
+function getCalendarConfigSheetName_(symbol) {
+  return `_${symbol.toUpperCase()}CalendarFinderConfig`;
+}
+
+/**
+ * Loads config for a symbol's calendar/diagonal finder.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Config object with all settings
+ */
+function loadCalendarConfig_(ss, symbol) {
+  const config = { ...CALENDAR_CONFIG_DEFAULTS };
+  const sheet = ss.getSheetByName(getCalendarConfigSheetName_(symbol));
+
+  if (!sheet || sheet.getLastRow() < 2) return config;
+
+  const stringKeys = new Set(["frontExpiration", "backExpiration", "optionType"]);
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  for (const row of data) {
+    const setting = (row[0] || "").toString().trim();
+    const value = row[1];
+
+    if (stringKeys.has(setting)) {
+      config[setting] = (value || "").toString().trim() || CALENDAR_CONFIG_DEFAULTS[setting];
+    } else if (setting in CALENDAR_CONFIG_DEFAULTS && value !== "" && value != null) {
+      config[setting] = parseFloat(value);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Saves config for a symbol's calendar/diagonal finder, creating the hidden sheet if needed.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @param {Object} config - Config object to save
+ */
+function saveCalendarConfig_(ss, symbol, config) {
+  const sheetName = getCalendarConfigSheetName_(symbol);
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.hideSheet();
+  }
+
+  const configData = [["Setting", "Value"]];
+  for (const key of Object.keys(CALENDAR_CONFIG_DEFAULTS)) {
+    configData.push([key, config[key] ?? CALENDAR_CONFIG_DEFAULTS[key]]);
+  }
+
+  // Keep expiration keys as text so Sheets doesn't turn them into dates
+  sheet.getRange(1, 2, configData.length, 1).setNumberFormat("@");
+  sheet.getRange(1, 1, configData.length, 2).setValues(configData);
+  sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+}
+
+/* =========================================================
+   Calculation
+   ========================================================= */
+
+/**
+ * Returns the option's IV, or backs it out from the mid price when the upload had none.
+ * @param {Object} opt - Option {strike, mid, iv}
+ * @param {number} S - Current stock price
+ * @param {number} t - Time to expiration in years
+ * @param {number} r - Risk-free rate
+ * @param {string} type - "Call" or "Put"
+ * @param {number} q - Dividend yield
+ * @returns {number} Volatility as a decimal
+ */
+function calendarLegIV_(opt, S, t, r, type, q) {
+  if (opt.iv > 0) return opt.iv;
+  return solveImpliedVol_(sigma => bsPrice_(S, opt.strike, t, r, sigma, type, q), opt.mid, 5);
+}
+
+/**
+ * Generates calendar and diagonal spreads between a front and a back chain.
+ *
+ * Calls pair a short front call with a long back call at the same or a lower strike.
+ * Puts pair a short front put with a long back put at the same or a higher strike.
+ *
+ * Value at the front expiration for stock price S:
+ *   value(S) = BS(back leg, remaining time, back IV) - intrinsic(front leg)
+ * Expected value weights value(S) by a lognormal distribution using the front leg's IV.
+ *
+ * fitness = expectedReturn * liquidity^0.2
+ *
+ * @param {Array} front - Front-expiration options of one type, sorted by strike
+ * @param {Array} back - Back-expiration options of the same type, sorted by strike
+ * @param {Object} config - Config including optionType, currentPrice and pricing
+ * @returns {Array} Array of calendar/diagonal objects with metrics
+ */
+function generateCalendarSpreads_(front, back, config) {
+  const spreads = [];
+  const type = config.optionType;
+  const S0 = config.currentPrice;
+  if (!(S0 > 0) || front.length === 0 || back.length === 0) return spreads;
+
+  const { riskFreeRate: r, dividendYield: q } = config.pricing || OPTION_PRICING_DEFAULTS;
+  const now = new Date();
+  const frontDate = parseDateAtMidnight_(front[0].expiration);
+  const backDate = parseDateAtMidnight_(back[0].expiration);
+  const msPerDay = 24 * 60 * 60 * 1000;
+  const tFront = Math.max(1, (frontDate - now) / msPerDay) / 365;
+  const tBack = Math.max(1, (backDate - now) / msPerDay) / 365;
+  const tRemain = Math.max(0, tBack - tFront);
+
+  // Standard normal grid for the price distribution at the front expiration
+  const zs = [];
+  for (let z = -3; z <= 3.0001; z += 0.1) zs.push(z);
+  const rawWeights = zs.map(z => Math.exp(-0.5 * z * z));
+  const weightSum = rawWeights.reduce((a, b) => a + b, 0);
+  const weights = rawWeights.map(w => w / weightSum);
+
+  for (const short of front) {
+    if (short.strike < config.minStrike || short.strike > config.maxStrike) continue;
+    if (short.bid <= 0) continue;
+
+    const frontIV = calendarLegIV_(short, S0, tFront, r, type, q);
+    const prices = zs.map(z => S0 * Math.exp((r - q - frontIV * frontIV / 2) * tFront + frontIV * Math.sqrt(tFront) * z));
+
+    for (const long of back) {
+      const diff = type === "Call" ? short.strike - long.strike : long.strike - short.strike;
+      if (diff < 0 || diff > config.maxStrikeDiff) continue;
+      if (long.strike < config.minStrike || long.strike > config.maxStrike) continue;
+      if (long.ask <= 0) continue;
+
+      const debit = roundTo_(long.mid - short.mid, 2);
+      if (debit <= 0) continue;
+
+      const backIV = calendarLegIV_(long, S0, tBack, r, type, q);
+      const valueAt = S => {
+        const shortIntrinsic = type === "Call" ? Math.max(0, S - short.strike) : Math.max(0, short.strike - S);
+        return bsPrice_(S, long.strike, tRemain, r, backIV, type, q) - shortIntrinsic;
+      };
+
+      let expectedValue = 0;
+      let probProfit = 0;
+      for (let i = 0; i < prices.length; i++) {
+        const v = valueAt(prices[i]);
+        expectedValue += weights[i] * v;
+        if (v > debit) probProfit += weights[i];
+      }
+
+      const expectedGain = expectedValue - debit;
+      const expectedReturn = expectedGain / debit;
+
+      const liquidityScore = Math.min(
+        calcLiquidityScore(short.bid, short.ask, short.volume, short.openint),
+        calcLiquidityScore(long.bid, long.ask, long.volume, long.openint)
+      );
+
+      const fitness = expectedReturn * Math.pow(liquidityScore, 0.2);
+
+      spreads.push({
+        symbol: short.symbol,
+        kind: diff === 0 ? "Calendar" : "Diagonal",
+        optionType: type,
+        frontExpiration: short.expiration,
+        backExpiration: long.expiration,
+        shortStrike: short.strike,
+        longStrike: long.strike,
+        debit,
+        frontIV: roundTo_(frontIV, 4),
+        backIV: roundTo_(backIV, 4),
+        valueFlat: roundTo_(valueAt(S0), 2),
+        expectedValue: roundTo_(expectedValue, 2),
+        expectedGain: roundTo_(expectedGain, 2),
+        expectedReturn: roundTo_(expectedReturn, 2),
+        probProfit: roundTo_(probProfit, 2),
+        shortDelta: roundTo_(short.delta, 2),
+        liquidityScore: roundTo_(liquidityScore, 2),
+        fitness: roundTo_(fitness, 3)
+      });
+    }
+  }
+
+  return spreads;
+}
+
+/* =========================================================
+   Output
+   ========================================================= */
+
+/**
+ * Outputs calendar/diagonal results to a <Symbol>Calendars sheet.
+ * Same layout as the spread results: Row 1 = timestamp, Row 2 = headers, Row 3+ = data.
+ * @param {Sheet} sheet - Output sheet
+ * @param {Array} spreads - Objects from generateCalendarSpreads_
+ * @param {Object} config - Calendar config (stored for change detection)
+ */
+function outputCalendarResults_(sheet, spreads, config) {
+  const RESULTS_START_ROW = 2; // Row 1 = timestamp, Row 2 = headers
+
+  // Clear entire sheet
+  const lastRow = Math.max(sheet.getLastRow(), RESULTS_START_ROW);
+  const clearRange = sheet.getRange(1, 1, lastRow, Math.max(sheet.getLastColumn(), 1));
+  clearRange.getBandings().forEach(b => b.remove());
+  clearRange.clear();
+
+  const existingFilter = sheet.getFilter();
+  if (existingFilter) existingFilter.remove();
+
+  sheet.getRange(1, 1).setValue("Results - " + new Date().toLocaleString());
+  sheet.getRange(1, 2).setValue(computeConfigHash_(config));
+
+  const headers = [
+    "Symbol", "Kind", "Type", "FrontExp", "BackExp", "Short", "Long",
+    "Debit", "FrontIV", "BackIV", "ValueFlat", "ExpValue", "ExpGain", "ExpReturn",
+    "ProbProfit", "ShortDelta", "Liquidity", "Fitness", "OptionStrat", "Label", "Held"
+  ];
+  const headerNotes = [
+    "Stock ticker symbol",
+    "Calendar = same strike, Diagonal = long leg deeper in the money",
+    "Call or Put",
+    "Front expiration - you SELL this option",
+    "Back expiration - you BUY this option",
+    "Strike of the short front-month option",
+    "Strike of the long back-month option",
+    "Net debit paid to open = Long mid - Short mid",
+    "Implied volatility of the short front leg (drives the price distribution)",
+    "Implied volatility of the long back leg (used to re-price it)",
+    "Estimated spread value at the front expiration if the stock doesn't move",
+    "Probability-weighted spread value at the front expiration",
+    "Expected gain = ExpValue - Debit",
+    "Expected return per dollar of debit = ExpGain / Debit",
+    "Probability the spread is worth more than the debit at the front expiration",
+    "Delta of the short front leg",
+    "0-1 composite of weakest leg: 60% bid-ask spread, 25% volume, 15% OI",
+    "ExpReturn x Liquidity^0.2",
+    "Link to OptionStrat visualization",
+    "Label for chart identification",
+    "HELD = you already have a conflicting short position"
+  ];
+  const hdrRange = sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length);
+  hdrRange.setValues([headers]).setFontWeight("bold");
+  hdrRange.setNotes([headerNotes]);
+
+  if (spreads.length === 0) return;
+
+  const colIdx = {};
+  headers.forEach((h, i) => colIdx[h] = i);
+
+  const formatMap = {
+    Symbol: "@", Kind: "@", Type: "@", FrontExp: "@", BackExp: "@",
+    Short: "#,##0", Long: "#,##0", Debit: "$#,##0.00",
+    FrontIV: "0.00%", BackIV: "0.00%", ValueFlat: "$#,##0.00", ExpValue: "$#,##0.00",
+    ExpGain: "$#,##0.00", ExpReturn: "0.00", ProbProfit: "0%", ShortDelta: "0.00",
+    Liquidity: "0.00", Fitness: "0.000", OptionStrat: "@", Label: "@", Held: "@"
+  };
+  const widthMap = {
+    Symbol: 60, Kind: 70, Type: 45, FrontExp: 85, BackExp: 85, Short: 55, Long: 55,
+    Debit: 70, FrontIV: 60, BackIV: 60, ValueFlat: 70, ExpValue: 70, ExpGain: 70,
+    ExpReturn: 65, ProbProfit: 65, ShortDelta: 65, Liquidity: 55, Fitness: 55,
+    OptionStrat: 100, Label: 180, Held: 50
+  };
+
+  const dataStartRow = RESULTS_START_ROW + 1;
+  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+  const shortDate = exp => {
+    const d = parseDateAtMidnight_(exp);
+    return d ? months[d.getMonth()] + " " + String(d.getFullYear()).slice(2) : "";
+  };
+
+  const allRows = spreads.map(c => {
+    const rowData = new Array(headers.length).fill("");
+    rowData[colIdx.Symbol] = c.symbol;
+    rowData[colIdx.Kind] = c.kind;
+    rowData[colIdx.Type] = c.optionType;
+    rowData[colIdx.FrontExp] = c.frontExpiration;
+    rowData[colIdx.BackExp] = c.backExpiration;
+    rowData[colIdx.Short] = c.shortStrike;
+    rowData[colIdx.Long] = c.longStrike;
+    rowData[colIdx.Debit] = c.debit;
+    rowData[colIdx.FrontIV] = c.frontIV;
+    rowData[colIdx.BackIV] = c.backIV;
+    rowData[colIdx.ValueFlat] = c.valueFlat;
+    rowData[colIdx.ExpValue] = c.expectedValue;
+    rowData[colIdx.ExpGain] = c.expectedGain;
+    rowData[colIdx.ExpReturn] = c.expectedReturn;
+    rowData[colIdx.ProbProfit] = c.probProfit;
+    rowData[colIdx.ShortDelta] = c.shortDelta;
+    rowData[colIdx.Liquidity] = c.liquidityScore;
+    rowData[colIdx.Fitness] = c.fitness;
+    rowData[colIdx.OptionStrat] = buildCustomOptionStratUrl(c.symbol, [
+      { strike: c.longStrike, type: c.optionType, qty: 1, expiration: c.backExpiration },
+      { strike: c.shortStrike, type: c.optionType, qty: -1, expiration: c.frontExpiration }
+    ]);
+    const strikes = c.kind === "Calendar" ? `${c.shortStrike}` : `${c.longStrike}/${c.shortStrike}`;
+    rowData[colIdx.Label] = `${c.symbol} ${strikes}${c.optionType === "Call" ? "C" : "P"} ` +
+      `${c.kind === "Calendar" ? "CAL" : "DIAG"} ${shortDate(c.frontExpiration)}/${shortDate(c.backExpiration)}`;
+    rowData[colIdx.Held] = c.held ? "HELD" : "";
+    return rowData;
+  });
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setValues(allRows);
+
+  const formats = allRows.map(() => headers.map(h => formatMap[h] || "@"));
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setNumberFormats(formats);
+
+  const tableRange = sheet.getRange(RESULTS_START_ROW, 1, allRows.length + 1, headers.length);
+  tableRange.createFilter();
+  tableRange.setBorder(true, true, true, true, true, true, "#cccccc", SpreadsheetApp.BorderStyle.SOLID);
+
+  sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length)
+    .setBackground("#4285f4").setFontColor("white").setFontWeight("bold");
+
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length)
+    .applyRowBanding(SpreadsheetApp.BandingTheme.LIGHT_GREY, false, false);
+
+  headers.forEach((h, i) => sheet.setColumnWidth(i + 1, widthMap[h] || 55));
+
+  sheet.getRange(RESULTS_START_ROW, colIdx.OptionStrat + 1, allRows.length + 1, 1)
+    .setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
+}
+
+/**
+ * Test calendar/diagonal valuation on a hand-checked chain.
+ * With a near-zero back-month IV the back leg is worth its intrinsic value, so:
+ *   80/100 diagonal: value(S) = max(0, S - 80) - max(0, S - 100) = min(S, 100) - 80
+ *   E[min(S, 100)] = 100 - ATM call ≈ 100 - 0.4 x 100 x frontIV x √t
+ */
+function test_generateCalendarSpreads() {
+  const day = 24 * 60 * 60 * 1000;
+  const frontExp = formatDateMDYYYY_(new Date(Date.now() + 30 * day));
+  const backExp = formatDateMDYYYY_(new Date(Date.now() + 395 * day));
+  const opt = (expiration, strike, mid, iv) =>
+    ({ symbol: "TSLA", expiration, strike, mid, bid: mid - 0.05, ask: mid + 0.05, iv, delta: 0.5, volume: 1000, openint: 10000 });
+  const front = [opt(frontExp, 100, 3, 0.2)];
+  const back = [opt(backExp, 80, 18, 0.0001), opt(backExp, 100, 4, 0.0001)];
+  const config = {
+    optionType: "Call", currentPrice: 100, pricing: { riskFreeRate: 0, dividendYield: 0 },
+    minStrike: 0, maxStrike: 1000, maxStrikeDiff: 50
+  };
+
+  const spreads = generateCalendarSpreads_(front, back, config);
+  assertEqual(spreads.length, 2, "one diagonal, one calendar");
+
+  const diagonal = spreads.find(s => s.longStrike === 80);
+  assertEqual(diagonal.kind, "Diagonal", "lower long strike is a diagonal");
+  assertEqual(diagonal.debit, 15, "debit = 18 - 3", 1e-9);
+  assertEqual(diagonal.valueFlat, 20, "back leg intrinsic 20 beats front intrinsic 0 at a flat price", 1e-6);
+  const tFront = (parseDateAtMidnight_(frontExp) - Date.now()) / day / 365;
+  const expected = 100 - 0.3989 * 100 * 0.2 * Math.sqrt(tFront) - 80;
+  assertEqual(diagonal.expectedValue, roundTo_(expected, 2), "lognormal expected value", 0.05);
+  assertEqual(diagonal.expectedReturn > 0, true, "back value above front intrinsic pays for the debit");
+
+  const calendar = spreads.find(s => s.longStrike === 100);
+  assertEqual(calendar.kind, "Calendar", "same strike is a calendar");
+  assertEqual(calendar.expectedValue, 0, "no back-month time value: back intrinsic offsets front intrinsic", 1e-6);
+  assertEqual(calendar.expectedReturn, -1, "debit lost", 1e-9);
+
+  config.maxStrikeDiff = 0;
+  assertEqual(generateCalendarSpreads_(front, back, config).length, 1, "max strike diff 0 = calendars only");
+}
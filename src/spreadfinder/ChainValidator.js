@@ -0,0 +1,242 @@
+/**
+ * ChainValidator.js
+ * Data-quality checks for uploaded option chains.
+ *
+ * Each uploaded file (one symbol/expiration) is checked for:
+ *   Crossed      - bid > ask
+ *   Locked       - bid = ask
+ *   NoBid        - ask but no bid (can't be sold, mid is not a real price)
+ *   Monotonicity - calls must get cheaper as strike rises, puts dearer, and no
+ *                  vertical spread can be worth more than its width
+ *   Butterfly    - price must be convex in strike (a butterfly can't be a credit)
+ *   IVOutlier    - IV far from the IV of neighboring strikes
+ *
+ * Arbitrage checks use bid/ask, not mid, so a row is flagged only when the
+ * violation is tradeable. Flagged rows go to the PriceIssues sheet, and the
+ * spread finders can skip them (excludeFlagged setting).
+ */
+
+const PRICE_ISSUES_SHEET = "PriceIssues";
+
+/** Column order on the PriceIssues sheet */
+const PRICE_ISSUE_HEADERS = ["symbol", "expiration", "strike", "type", "issue", "detail", "dataDate"];
+
+/** Validation thresholds */
+const CHAIN_VALIDATION_DEFAULTS = {
+  ivNeighbors: 2,      // Strikes on each side used for the IV comparison
+  ivOutlierAbs: 0.15,  // Flag when IV is more than 15 points...
+  ivOutlierRel: 0.35   // ...and more than 35% away from the neighbors' median
+};
+
+/* =========================================================
+   Checks
+   ========================================================= */
+
+/**
+ * Validates one expiration's uploaded rows.
+ * @param {Array<Array>} rows - Upload rows [symbol, expiration, strike, type, bid, mid, ask, iv, ...]
+ * @returns {Array<{strike: number, type: string, issue: string, detail: string}>}
+ */
+function validateOptionRows_(rows) {
+  const issues = [];
+  const flag = (q, issue, detail) => issues.push({ strike: q.strike, type: q.type, issue, detail });
+  const fmt = (v) => (+v).toFixed(2);
+
+  for (const type of ["Call", "Put"]) {
+    const quotes = rows
+      .filter(r => r[3] === type)
+      .map(r => ({ strike: r[2], type, bid: r[4], ask: r[6], iv: r[7] }))
+      .sort((a, b) => a.strike - b.strike);
+
+    // Market checks
+    const valid = [];
+    for (const q of quotes) {
+      if (q.bid > 0 && q.ask > 0 && q.bid > q.ask) {
+        flag(q, "Crossed", `bid ${fmt(q.bid)} > ask ${fmt(q.ask)}`);
+      } else if (q.bid > 0 && q.bid === q.ask) {
+        flag(q, "Locked", `bid = ask = ${fmt(q.bid)}`);
+      } else if (!(q.bid > 0) && q.ask > 0) {
+        flag(q, "NoBid", `bid ${fmt(q.bid || 0)}, ask ${fmt(q.ask)}`);
+      } else if (q.bid > 0 && q.ask > 0) {
+        valid.push(q);
+      }
+    }
+
+    // Monotonicity and vertical width bound on adjacent two-sided markets
+    for (let i = 1; i < valid.length; i++) {
+      const lo = valid[i - 1];
+      const hi = valid[i];
+      const width = hi.strike - lo.strike;
+      if (type === "Call") {
+        if (hi.bid > lo.ask) {
+          flag(hi, "Monotonicity", `bid ${fmt(hi.bid)} > ask ${fmt(lo.ask)} at lower strike ${lo.strike}`);
+        } else if (lo.bid - hi.ask > width) {
+          flag(lo, "Monotonicity", `${lo.strike}/${hi.strike} call spread bid ${fmt(lo.bid - hi.ask)} > width ${width}`);
+        }
+      } else {
+        if (lo.bid > hi.ask) {
+          flag(lo, "Monotonicity", `bid ${fmt(lo.bid)} > ask ${fmt(hi.ask)} at higher strike ${hi.strike}`);
+        } else if (hi.bid - lo.ask > width) {
+          flag(hi, "Monotonicity", `${lo.strike}/${hi.strike} put spread bid ${fmt(hi.bid - lo.ask)} > width ${width}`);
+        }
+      }
+    }
+
+    // Convexity: buying the wings at the ask must cost at least the body's bid
+    for (let i = 1; i < valid.length - 1; i++) {
+      const [a, b, c] = [valid[i - 1], valid[i], valid[i + 1]];
+      const lambda = (c.strike - b.strike) / (c.strike - a.strike);
+      const wings = lambda * a.ask + (1 - lambda) * c.ask;
+      if (wings < b.bid) {
+        flag(b, "Butterfly", `${a.strike}/${b.strike}/${c.strike} wings ask ${fmt(wings)} < body bid ${fmt(b.bid)}`);
+      }
+    }
+
+    // IV compared with the median of neighboring strikes
+    const withIv = quotes.filter(q => q.iv > 0);
+    const n = CHAIN_VALIDATION_DEFAULTS.ivNeighbors;
+    for (let i = 0; i < withIv.length; i++) {
+      const neighbors = withIv.slice(Math.max(0, i - n), i).concat(withIv.slice(i + 1, i + 1 + n)).map(q => q.iv);
+      if (neighbors.length < 3) continue;
+      neighbors.sort((x, y) => x - y);
+      const mid = Math.floor(neighbors.length / 2);
+      const median = neighbors.length % 2 ? neighbors[mid] : (neighbors[mid - 1] + neighbors[mid]) / 2;
+      const gap = Math.abs(withIv[i].iv - median);
+      if (gap > CHAIN_VALIDATION_DEFAULTS.ivOutlierAbs && gap > CHAIN_VALIDATION_DEFAULTS.ivOutlierRel * median) {
+        flag(withIv[i], "IVOutlier", `IV ${(withIv[i].iv * 100).toFixed(1)}% vs ${(median * 100).toFixed(1)}% nearby`);
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Counts issues by kind, e.g. "2 Crossed, 1 Butterfly".
+ * @param {Array<{issue: string}>} issues
+ * @returns {string} Summary, or "no issues"
+ */
+function summarizePriceIssues_(issues) {
+  if (issues.length === 0) return "no issues";
+  const counts = {};
+  for (const i of issues) counts[i.issue] = (counts[i.issue] || 0) + 1;
+  return Object.keys(counts).map(k => `${counts[k]} ${k}`).join(", ");
+}
+
+/* =========================================================
+   Sheet
+   ========================================================= */
+
+/**
+ * Validates every uploaded file and writes flagged rows to the PriceIssues sheet.
+ * Rows for the uploaded symbol/expirations are replaced; replaceAll clears the sheet first.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Array<{symbol, expStr, expDate, dataDate, rows}>} parsedFiles - From parseOptionPriceFile_
+ * @param {boolean} replaceAll
+ * @returns {Array<{symbol, expStr, issues}>} Issues per file
+ */
+function recordPriceIssues_(ss, parsedFiles, replaceAll) {
+  const results = parsedFiles.map(pf => ({ symbol: pf.symbol, expStr: pf.expStr, issues: validateOptionRows_(pf.rows) }));
+  const newRows = [];
+  results.forEach((res, i) => {
+    const pf = parsedFiles[i];
+    for (const issue of res.issues) {
+      newRows.push([pf.symbol, pf.expDate, issue.strike, issue.type, issue.issue, issue.detail, pf.dataDate]);
+    }
+  });
+
+  let sheet = ss.getSheetByName(PRICE_ISSUES_SHEET);
+  if (!sheet) {
+    if (newRows.length === 0) return results;
+    sheet = ss.insertSheet(PRICE_ISSUES_SHEET);
+  }
+
+  // Keep rows for other symbol/expirations, then add the new ones
+  const dayKey = (sym, d) => `${sym}|${formatDateMDYYYY_(parseDateAtMidnight_(d))}`;
+  const replaced = new Set(parsedFiles.map(pf => dayKey(pf.symbol, pf.expDate)));
+  let kept = [];
+  if (!replaceAll && sheet.getLastRow() >= 2) {
+    kept = sheet.getRange(2, 1, sheet.getLastRow() - 1, PRICE_ISSUE_HEADERS.length).getValues()
+      .filter(r => r[0] && !replaced.has(dayKey(String(r[0]).toUpperCase(), r[1])));
+  }
+  const out = kept.concat(newRows);
+  out.sort((a, b) => String(a[0]).localeCompare(String(b[0])) ||
+    parseDateAtMidnight_(a[1]) - parseDateAtMidnight_(b[1]) ||
+    String(a[3]).localeCompare(String(b[3])) || a[2] - b[2]);
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, PRICE_ISSUE_HEADERS.length).setValues([PRICE_ISSUE_HEADERS])
+    .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+  if (out.length > 0) {
+    sheet.getRange(2, 1, out.length, PRICE_ISSUE_HEADERS.length).setValues(out);
+    sheet.getRange(2, 2, out.length, 1).setNumberFormat("m/d/yyyy");
+    sheet.getRange(2, 7, out.length, 1).setNumberFormat("m/d/yyyy");
+  }
+  sheet.setFrozenRows(1);
+  sheet.setColumnWidth(6, 320); // detail
+
+  return results;
+}
+
+/**
+ * Removes options listed on the PriceIssues sheet.
+ * @param {Spreadsheet} ss
+ * @param {Array} options - From loadOptionData_
+ * @returns {{options: Array, excluded: number}}
+ */
+function excludeFlaggedOptions_(ss, options) {
+  const sheet = ss.getSheetByName(PRICE_ISSUES_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return { options, excluded: 0 };
+
+  const flagged = new Set();
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+  for (const r of data) {
+    const expDate = parseDateAtMidnight_(r[1]);
+    if (!r[0] || !expDate) continue;
+    flagged.add(`${String(r[0]).toUpperCase()}|${formatDateMDYYYY_(expDate)}|${+r[2]}|${r[3]}`);
+  }
+
+  const kept = options.filter(o => !flagged.has(`${o.symbol}|${o.expiration}|${o.strike}|${o.type}`));
+  return { options: kept, excluded: options.length - kept.length };
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test each check on a small hand-built chain.
+ */
+function test_validateOptionRows() {
+  const row = (strike, type, bid, ask, iv) => ["TSLA", null, strike, type, bid, (bid + ask) / 2, ask, iv];
+  const clean = [
+    row(380, "Call", 60, 61, 0.50), row(390, "Call", 53, 54, 0.50), row(400, "Call", 47, 48, 0.50),
+    row(410, "Call", 41.5, 42.5, 0.50), row(420, "Call", 36.5, 37.5, 0.50),
+    row(380, "Put", 20, 21, 0.52), row(390, "Put", 24, 25, 0.52), row(400, "Put", 28.5, 29.5, 0.52)
+  ];
+  assertEqual(validateOptionRows_(clean).length, 0, "clean chain");
+
+  const issuesFor = (rows) => validateOptionRows_(rows).map(i => `${i.type} ${i.strike} ${i.issue}`).sort().join("; ");
+
+  // Crossed, locked, no bid
+  assertEqual(issuesFor([row(400, "Call", 5.2, 5.1), row(410, "Call", 4, 4), row(420, "Call", 0, 0.5)]),
+    "Call 400 Crossed; Call 410 Locked; Call 420 NoBid", "market checks");
+
+  // Call priced higher than the lower strike
+  assertEqual(issuesFor([row(390, "Call", 53, 54), row(400, "Call", 55, 56)]), "Call 400 Monotonicity", "call monotonicity");
+  // Put spread worth more than its width
+  assertEqual(issuesFor([row(390, "Put", 20, 21), row(400, "Put", 32, 33)]), "Put 400 Monotonicity", "put spread > width");
+
+  // Body too rich: 390/400/410 wings ask (54 + 42.5) / 2 = 48.25 < body bid 49
+  assertEqual(issuesFor([row(390, "Call", 53, 54), row(400, "Call", 49, 50), row(410, "Call", 41.5, 42.5)]),
+    "Call 400 Butterfly", "butterfly");
+
+  // One IV far from its neighbors
+  const ivRows = clean.slice(0, 5).map(r => r.slice());
+  ivRows[2][7] = 0.95;
+  assertEqual(issuesFor(ivRows), "Call 400 IVOutlier", "IV outlier");
+
+  assertEqual(summarizePriceIssues_([{ issue: "Crossed" }, { issue: "Butterfly" }, { issue: "Crossed" }]),
+    "2 Crossed, 1 Butterfly", "summary counts");
+}
@@ -0,0 +1,574 @@
+/**
+ * IronCondorFinder.js
+ * Scans OptionPricesUploaded for iron condor and iron butterfly opportunities.
+ *
+ * Each candidate pairs a put wing (bull put spread) with a call wing (bear call spread)
+ * on the same expiration. When both short strikes are the same it is an iron butterfly.
+ *
+ * Config is stored in hidden per-symbol sheets: _<Symbol>IronCondorFinderConfig
+ * Results are written to <Symbol>IronCondors sheets.
+ *
+ * Related files:
+ * - SpreadFinder.js: Shared symbol/expiration choices for the dialogs
+ * - SpreadFinderInit.js: Option loading, grouping, and held positions
+ * - SpreadFinderCalc.js: Liquidity score and current price estimate
+ */
+
+/** Maximum number of candidates written to the results sheet */
+const IRON_CONDOR_MAX_RESULTS = 1000;
+
+/** Maximum number of put wings and of call wings paired per expiration */
+const IRON_CONDOR_MAX_WINGS = 300;
+
+/**
+ * Default config values for the iron condor finder.
+ * minCreditRatio is credit / widest wing (0.25 = collect $1 for every $4 of width).
+ * minProbInside is the probability of finishing between the short strikes.
+ */
+const IRON_CONDOR_CONFIG_DEFAULTS = {
+  selectedExpirations: "",  // Comma-separated YYYY-MM-DD
+  minStrike: 200,
+  maxStrike: 800,
+  minWingWidth: 10,
+  maxWingWidth: 50,
+  minCreditRatio: 0.25,
+  minProbInside: 0.30,
+  minLiquidityScore: 0.50,
+  includeButterflies: 1,
+  excludeFlagged: 0           // 1 = skip options listed on the PriceIssues sheet
+};
+
+/* =========================================================
+   Entry points (called from menu/UI)
+   ========================================================= */
+
+/**
+ * Shows the Iron Condor Finder modal dialog.
+ */
+function showIronCondorFinderDialog() {
+  const html = HtmlService.createHtmlOutputFromFile('ui/IronCondorFinderDialog')
+    .setWidth(450)
+    .setHeight(580);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Iron Condor Finder');
+}
+
+/**
+ * Gets data for the Iron Condor Finder dialog.
+ * Returns symbols, expirations per symbol, and saved config per symbol.
+ */
+function getIronCondorFinderDialogData() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const choices = getSymbolExpirationChoices_(ss);
+
+  const configBySymbol = {};
+  for (const sym of choices.symbols) {
+    configBySymbol[sym] = loadIronCondorConfig_(ss, sym);
+  }
+
+  return {
+    symbols: choices.symbols,
+    expirationsBySymbol: choices.expirationsBySymbol,
+    configBySymbol: configBySymbol
+  };
+}
+
+/**
+ * Runs Iron Condor Finder for a single symbol with the given config.
+ * Called from the dialog.
+ * @param {string} symbol - Stock symbol
+ * @param {Object} config - Config from dialog
+ */
+function runIronCondorFinder(symbol, config) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  // Save config to hidden sheet
+  saveIronCondorConfig_(ss, symbol, config);
+
+  const selectedExpirations = new Set(
+    (config.selectedExpirations || "").split(",").filter(Boolean)
+  );
+
+  if (selectedExpirations.size === 0) {
+    throw new Error("No expirations selected");
+  }
+
+  // Load option data for this symbol and selected expirations
+  const options = loadOptionData_(ss, [symbol], selectedExpirations);
+  log.info("ironCondorFinder", "Loaded " + options.length + " options for " + symbol);
+
+  // Drop quotes flagged on the PriceIssues sheet if asked
+  let chain = options;
+  let flaggedExcluded = 0;
+  if (config.excludeFlagged) {
+    ({ options: chain, excluded: flaggedExcluded } = excludeFlaggedOptions_(ss, options));
+  }
+
+  if (chain.length === 0) {
+    throw new Error("No options found for " + symbol + " with selected expirations");
+  }
+
+  const putsByExp = groupBySymbolExpiration_(chain.filter(o => o.type === "Put"));
+  const callsByExp = groupBySymbolExpiration_(chain.filter(o => o.type === "Call"));
+
+  const underlying = getUnderlyingPrice_(ss, symbol, { chain: options });
+  const currentPrice = underlying.price || 0;
+  log.debug("ironCondorFinder", "Current price: " + describeUnderlyingPrice_(underlying));
+
+  // Probabilities come from delta; derive it from IV when the upload has none
+  fillMissingDeltas_(chain, currentPrice, getPricingParams_(ss, symbol));
+
+  // Generate candidates per expiration (both wings must share an expiration)
+  const condors = [];
+  for (const key of Object.keys(putsByExp)) {
+    if (!callsByExp[key]) continue;
+    const chainConfig = { ...config, currentPrice: currentPrice };
+    condors.push(...generateIronCondors_(putsByExp[key], callsByExp[key], chainConfig));
+  }
+  log.info("ironCondorFinder", "Generated " + condors.length + " candidates");
+
+  // Load held positions
+  const conflicts = loadHeldPositions_(ss);
+
+  // Filter by config constraints
+  const filtered = condors.filter(c => {
+    // Long wings conflict with an existing short at the same strike
+    c.held = conflicts.has(`${c.symbol}|${c.longPut}|${c.expiration}`) ||
+      conflicts.has(`${c.symbol}|${c.longCall}|${c.expiration}`);
+    return c.credit > 0 &&
+      c.creditRatio >= config.minCreditRatio &&
+      c.probInside >= config.minProbInside &&
+      c.liquidityScore >= config.minLiquidityScore &&
+      c.longPut >= config.minStrike &&
+      c.longCall <= config.maxStrike;
+  });
+  log.info("ironCondorFinder", "Filtered to " + filtered.length + " candidates meeting criteria");
+
+  // Sort by fitness (descending) and keep the best
+  filtered.sort((a, b) => b.fitness - a.fitness);
+  const top = filtered.slice(0, IRON_CONDOR_MAX_RESULTS);
+
+  // Output to <Symbol>IronCondors sheet
+  const outputSheet = ensureSpreadsSheet_(ss, symbol + "IronCondors");
+  outputIronCondorResults_(outputSheet, top, config);
+
+  SpreadsheetApp.getUi().alert(
+    "Iron Condor Finder Complete",
+    `Symbol: ${symbol}\n` +
+    `Current price: ${describeUnderlyingPrice_(underlying)}\n` +
+    `Options loaded: ${options.length}\n` +
+    (config.excludeFlagged ? `Flagged options excluded: ${flaggedExcluded}\n` : "") +
+    `Candidates generated: ${condors.length}\n` +
+    `After filtering: ${filtered.length}` +
+    (filtered.length > top.length ? `\nShowing top ${top.length}` : ""),
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/* =========================================================
+   Per-Symbol Config Functions
+   ========================================================= */
+
+/**
+ * Gets the hidden config sheet name for a symbol's iron condor finder.
+ * @param {string} symbol - The stock symbol
+ * @returns {string} Sheet name like "_TSLAIronCondorFinderConfig"
+ */
+function getIronCondorConfigSheetName_(symbol) {
+  return `_${symbol.toUpperCase()}IronCondorFinderConfig`;
+}
+
+/**
+ * Loads config for a symbol's iron condor finder.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Config object with all settings
+ */
+function loadIronCondorConfig_(ss, symbol) {
+  const config = { ...IRON_CONDOR_CONFIG_DEFAULTS };
+  const sheet = ss.getSheetByName(getIronCondorConfigSheetName_(symbol));
+
+  if (!sheet || sheet.getLastRow() < 2) return config;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  for (const row of data) {
+    const setting = (row[0] || "").toString().trim();
+    const value = row[1];
+
+    if (setting === "selectedExpirations") {
+      config.selectedExpirations = (value || "").toString().trim();
+    } else if (setting in IRON_CONDOR_CONFIG_DEFAULTS && value !== "" && value != null) {
+      config[setting] = parseFloat(value);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Saves config for a symbol's iron condor finder, creating the hidden sheet if needed.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @param {Object} config - Config object to save
+ */
+function saveIronCondorConfig_(ss, symbol, config) {
+  const sheetName = getIronCondorConfigSheetName_(symbol);
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = ss.insertSheet(sheetName);
+    sheet.hideSheet();
+  }
+
+  const configData = [["Setting", "Value"]];
+  for (const key of Object.keys(IRON_CONDOR_CONFIG_DEFAULTS)) {
+    const value = key === "selectedExpirations" ? (config.selectedExpirations || "") : config[key];
+    configData.push([key, value]);
+  }
+
+  sheet.getRange(1, 1, configData.length, 2).setValues(configData);
+  sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+}
+
+/* =========================================================
+   Calculation
+   ========================================================= */
+
+/**
+ * Builds credit wings from a strike-sorted chain.
+ * Put wings sell the upper strike and buy the lower; call wings sell the lower and buy the upper.
+ * @param {Array} chain - Options of one type for one expiration, sorted by strike
+ * @param {string} type - "Put" or "Call"
+ * @param {Object} config - Needs minWingWidth, maxWingWidth
+ * @returns {Array} Wings {short, long, width, credit, liquidity}
+ */
+function buildCreditWings_(chain, type, config) {
+  const wings = [];
+  for (let i = 0; i < chain.length; i++) {
+    for (let j = i + 1; j < chain.length; j++) {
+      const width = chain[j].strike - chain[i].strike;
+      if (width < config.minWingWidth || width > config.maxWingWidth) continue;
+
+      const short = type === "Put" ? chain[j] : chain[i];
+      const long = type === "Put" ? chain[i] : chain[j];
+
+      // Skip if no valid bid/ask
+      if (short.bid <= 0 || long.ask <= 0) continue;
+
+      // Skip if the short leg has no delta (no Delta column and no IV to derive one):
+      // probInside would treat it as never finishing in the money
+      if (!short.delta) continue;
+
+      const credit = (short.bid + short.ask) / 2 - (long.bid + long.ask) / 2;
+      if (credit <= 0) continue;
+
+      const liquidity = Math.min(
+        calcLiquidityScore(short.bid, short.ask, short.volume, short.openint),
+        calcLiquidityScore(long.bid, long.ask, long.volume, long.openint)
+      );
+
+      wings.push({ short, long, width, credit, liquidity });
+    }
+  }
+  return wings;
+}
+
+/**
+ * Drops wings that cannot appear in a result, then keeps the best IRON_CONDOR_MAX_WINGS
+ * by credit / width x liquidity^0.2, so pairing put and call wings stays bounded.
+ * A condor's liquidity is its weaker wing's, and its long strikes must be in range,
+ * so those checks are exact; only the cap can drop a candidate the full scan would keep.
+ * @param {Array} wings - From buildCreditWings_
+ * @param {string} type - "Put" or "Call"
+ * @param {Object} config - Optional minLiquidityScore, minStrike, maxStrike
+ * @returns {Array} Wings, best first
+ */
+function pruneCreditWings_(wings, type, config) {
+  const quality = (w) => (w.credit / w.width) * Math.pow(w.liquidity, 0.2);
+  return wings
+    .filter(w => !(w.liquidity < config.minLiquidityScore))
+    .filter(w => type === "Put" ? !(w.long.strike < config.minStrike) : !(w.long.strike > config.maxStrike))
+    .sort((a, b) => quality(b) - quality(a))
+    .slice(0, IRON_CONDOR_MAX_WINGS);
+}
+
+/**
+ * Linearly interpolates |delta| at a price from a strike-sorted chain.
+ * Prices outside the chain take the nearest strike's delta.
+ * @param {Array} chain - Options sorted by strike
+ * @param {number} price - Price to evaluate
+ * @returns {number} Absolute delta at price
+ */
+function interpolateAbsDelta_(chain, price) {
+  if (chain.length === 0) return 0;
+  if (price <= chain[0].strike) return Math.abs(chain[0].delta);
+
+  for (let i = 1; i < chain.length; i++) {
+    const lo = chain[i - 1];
+    const hi = chain[i];
+    if (price <= hi.strike) {
+      const t = (price - lo.strike) / (hi.strike - lo.strike);
+      return Math.abs(lo.delta) + t * (Math.abs(hi.delta) - Math.abs(lo.delta));
+    }
+  }
+  return Math.abs(chain[chain.length - 1].delta);
+}
+
+/**
+ * Generates iron condors and iron butterflies for one expiration.
+ *
+ * Condors keep the current price between the short strikes. Butterflies share one short strike.
+ * Probability inside uses delta as a proxy for finishing ITM:
+ *   P(inside) = 1 - |shortPut delta| - shortCall delta
+ * Butterflies have no room between the shorts, so their breakevens are used instead.
+ *
+ * fitness = creditRatio * probInside * symmetry * liquidity^0.2
+ *
+ * @param {Array} puts - Puts for one expiration, sorted by strike
+ * @param {Array} calls - Calls for the same expiration, sorted by strike
+ * @param {Object} config - Config including currentPrice
+ * @returns {Array} Array of iron condor objects with metrics
+ */
+function generateIronCondors_(puts, calls, config) {
+  const condors = [];
+  const price = config.currentPrice || 0;
+
+  const putWings = pruneCreditWings_(buildCreditWings_(puts, "Put", config), "Put", config);
+  const callWings = pruneCreditWings_(buildCreditWings_(calls, "Call", config), "Call", config);
+
+  for (const pw of putWings) {
+    for (const cw of callWings) {
+      const shortPut = pw.short.strike;
+      const shortCall = cw.short.strike;
+      if (shortPut > shortCall) continue;
+
+      const isButterfly = shortPut === shortCall;
+      if (isButterfly && !config.includeButterflies) continue;
+      if (!isButterfly && price > 0 && (shortPut > price || shortCall < price)) continue;
+
+      const credit = roundTo_(pw.credit + cw.credit, 2);
+      const maxWidth = Math.max(pw.width, cw.width);
+      const maxLoss = maxWidth - credit;
+      if (maxLoss <= 0) continue;
+
+      const lowerBE = shortPut - credit;
+      const upperBE = shortCall + credit;
+
+      const probInside = isButterfly
+        ? 1 - interpolateAbsDelta_(puts, lowerBE) - interpolateAbsDelta_(calls, upperBE)
+        : 1 - Math.abs(pw.short.delta) - Math.abs(cw.short.delta);
+
+      const creditRatio = credit / maxWidth;
+      const symmetry = Math.min(pw.width, cw.width) / maxWidth;
+      const liquidityScore = Math.min(pw.liquidity, cw.liquidity);
+      const prob = Math.max(0, Math.min(1, probInside));
+
+      const fitness = creditRatio * prob * symmetry * Math.pow(liquidityScore, 0.2);
+
+      condors.push({
+        symbol: pw.short.symbol,
+        expiration: pw.short.expiration,
+        type: isButterfly ? "Iron Butterfly" : "Iron Condor",
+        longPut: pw.long.strike,
+        shortPut,
+        shortCall,
+        longCall: cw.long.strike,
+        putWidth: pw.width,
+        callWidth: cw.width,
+        credit,
+        maxLoss: roundTo_(maxLoss, 2),
+        creditRatio: roundTo_(creditRatio, 2),
+        probInside: roundTo_(prob, 2),
+        lowerBE: roundTo_(lowerBE, 2),
+        upperBE: roundTo_(upperBE, 2),
+        symmetry: roundTo_(symmetry, 2),
+        liquidityScore: roundTo_(liquidityScore, 2),
+        fitness: roundTo_(fitness, 3)
+      });
+    }
+  }
+
+  return condors;
+}
+
+/* =========================================================
+   Output
+   ========================================================= */
+
+/**
+ * Outputs iron condor results to a <Symbol>IronCondors sheet.
+ * Same layout as the spread results: Row 1 = timestamp, Row 2 = headers, Row 3+ = data.
+ * @param {Sheet} sheet - Output sheet
+ * @param {Array} condors - Condor objects from generateIronCondors_
+ * @param {Object} config - Iron condor config (stored for change detection)
+ */
+function outputIronCondorResults_(sheet, condors, config) {
+  const RESULTS_START_ROW = 2; // Row 1 = timestamp, Row 2 = headers
+
+  // Clear entire sheet
+  const lastRow = Math.max(sheet.getLastRow(), RESULTS_START_ROW);
+  const clearRange = sheet.getRange(1, 1, lastRow, Math.max(sheet.getLastColumn(), 1));
+  clearRange.getBandings().forEach(b => b.remove());
+  clearRange.clear();
+
+  const existingFilter = sheet.getFilter();
+  if (existingFilter) existingFilter.remove();
+
+  sheet.getRange(1, 1).setValue("Results - " + new Date().toLocaleString());
+  sheet.getRange(1, 2).setValue(computeConfigHash_(config));
+
+  const headers = [
+    "Symbol", "Expiration", "Type", "LongPut", "ShortPut", "ShortCall", "LongCall",
+    "PutWidth", "CallWidth", "Credit", "MaxLoss", "CreditRatio", "ProbInside",
+    "LowerBE", "UpperBE", "Symmetry", "Liquidity", "Fitness", "OptionStrat", "Label", "Held"
+  ];
+  const headerNotes = [
+    "Stock ticker symbol",
+    "Option expiration date",
+    "Iron Condor, or Iron Butterfly when both short strikes are the same",
+    "Lower put strike - you BUY this put for protection",
+    "Upper put strike - you SELL this put",
+    "Lower call strike - you SELL this call",
+    "Upper call strike - you BUY this call for protection",
+    "Put wing width = ShortPut - LongPut",
+    "Call wing width = LongCall - ShortCall",
+    "Net credit received to open both wings",
+    "Max loss = widest wing - Credit",
+    "Credit / widest wing. Higher = more premium for the risk",
+    "Probability of finishing between the short strikes (breakevens for butterflies), from delta",
+    "Lower breakeven = ShortPut - Credit",
+    "Upper breakeven = ShortCall + Credit",
+    "Narrower wing / wider wing. 1 = balanced wings",
+    "0-1 composite of weakest leg: 60% bid-ask spread, 25% volume, 15% OI",
+    "CreditRatio x ProbInside x Symmetry x Liquidity^0.2",
+    "Link to OptionStrat visualization",
+    "Label for chart identification",
+    "HELD = you already have a conflicting short position"
+  ];
+  const hdrRange = sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length);
+  hdrRange.setValues([headers]).setFontWeight("bold");
+  hdrRange.setNotes([headerNotes]);
+
+  if (condors.length === 0) return;
+
+  const colIdx = {};
+  headers.forEach((h, i) => colIdx[h] = i);
+
+  const formatMap = {
+    Symbol: "@", Expiration: "@", Type: "@",
+    LongPut: "#,##0", ShortPut: "#,##0", ShortCall: "#,##0", LongCall: "#,##0",
+    PutWidth: "#,##0", CallWidth: "#,##0", Credit: "$#,##0.00", MaxLoss: "$#,##0.00",
+    CreditRatio: "0.00", ProbInside: "0%", LowerBE: "$#,##0.00", UpperBE: "$#,##0.00",
+    Symmetry: "0.00", Liquidity: "0.00", Fitness: "0.000",
+    OptionStrat: "@", Label: "@", Held: "@"
+  };
+  const widthMap = {
+    Symbol: 60, Expiration: 90, Type: 95,
+    LongPut: 60, ShortPut: 60, ShortCall: 60, LongCall: 60,
+    PutWidth: 60, CallWidth: 60, Credit: 70, MaxLoss: 70,
+    CreditRatio: 70, ProbInside: 70, LowerBE: 75, UpperBE: 75,
+    Symmetry: 65, Liquidity: 55, Fitness: 55, OptionStrat: 100, Label: 180, Held: 50
+  };
+
+  const dataStartRow = RESULTS_START_ROW + 1;
+  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+  const allRows = [];
+  for (const c of condors) {
+    const expDate = parseDateAtMidnight_(c.expiration);
+    if (!expDate) continue;
+    const dateStr = months[expDate.getMonth()] + " " + String(expDate.getFullYear()).slice(2);
+    const strikes = c.type === "Iron Butterfly"
+      ? `${c.longPut}/${c.shortPut}/${c.longCall}`
+      : `${c.longPut}/${c.shortPut}/${c.shortCall}/${c.longCall}`;
+
+    const rowData = new Array(headers.length).fill("");
+    rowData[colIdx.Symbol] = c.symbol;
+    rowData[colIdx.Expiration] = c.expiration;
+    rowData[colIdx.Type] = c.type;
+    rowData[colIdx.LongPut] = c.longPut;
+    rowData[colIdx.ShortPut] = c.shortPut;
+    rowData[colIdx.ShortCall] = c.shortCall;
+    rowData[colIdx.LongCall] = c.longCall;
+    rowData[colIdx.PutWidth] = c.putWidth;
+    rowData[colIdx.CallWidth] = c.callWidth;
+    rowData[colIdx.Credit] = c.credit;
+    rowData[colIdx.MaxLoss] = c.maxLoss;
+    rowData[colIdx.CreditRatio] = c.creditRatio;
+    rowData[colIdx.ProbInside] = c.probInside;
+    rowData[colIdx.LowerBE] = c.lowerBE;
+    rowData[colIdx.UpperBE] = c.upperBE;
+    rowData[colIdx.Symmetry] = c.symmetry;
+    rowData[colIdx.Liquidity] = c.liquidityScore;
+    rowData[colIdx.Fitness] = c.fitness;
+    rowData[colIdx.OptionStrat] = buildCustomOptionStratUrl(c.symbol, [
+      { strike: c.longPut, type: "Put", qty: 1, expiration: c.expiration },
+      { strike: c.shortPut, type: "Put", qty: -1, expiration: c.expiration },
+      { strike: c.shortCall, type: "Call", qty: -1, expiration: c.expiration },
+      { strike: c.longCall, type: "Call", qty: 1, expiration: c.expiration }
+    ]);
+    rowData[colIdx.Label] = `${c.symbol} ${strikes} ${c.type === "Iron Butterfly" ? "IB" : "IC"} ${dateStr}`;
+    rowData[colIdx.Held] = c.held ? "HELD" : "";
+    allRows.push(rowData);
+  }
+  if (allRows.length === 0) return;
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setValues(allRows);
+
+  const formats = allRows.map(() => headers.map(h => formatMap[h] || "@"));
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setNumberFormats(formats);
+
+  const tableRange = sheet.getRange(RESULTS_START_ROW, 1, allRows.length + 1, headers.length);
+  tableRange.createFilter();
+  tableRange.setBorder(true, true, true, true, true, true, "#cccccc", SpreadsheetApp.BorderStyle.SOLID);
+
+  sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length)
+    .setBackground("#4285f4").setFontColor("white").setFontWeight("bold");
+
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length)
+    .applyRowBanding(SpreadsheetApp.BandingTheme.LIGHT_GREY, false, false);
+
+  headers.forEach((h, i) => sheet.setColumnWidth(i + 1, widthMap[h] || 55));
+
+  sheet.getRange(RESULTS_START_ROW, colIdx.OptionStrat + 1, allRows.length + 1, 1)
+    .setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
+}
+
+/**
+ * Test condor/butterfly metrics, the butterfly switch and the current-price bracket.
+ */
+function test_generateIronCondors() {
+  const opt = (type, strike, mid, delta) =>
+    ({ symbol: "TSLA", expiration: "12/18/2026", type, strike, bid: mid - 0.1, ask: mid + 0.1, delta, volume: 1000, openint: 10000 });
+  const puts = [opt("Put", 80, 1, -0.10), opt("Put", 90, 2, -0.20), opt("Put", 100, 5, -0.50)];
+  const calls = [opt("Call", 100, 5, 0.50), opt("Call", 110, 2, 0.20), opt("Call", 120, 1, 0.10)];
+  const config = { minWingWidth: 10, maxWingWidth: 10, includeButterflies: 1, currentPrice: 100 };
+  const find = (list, strikes) => list.find(c => [c.longPut, c.shortPut, c.shortCall, c.longCall].join("/") === strikes);
+
+  const all = generateIronCondors_(puts, calls, config);
+  assertEqual(all.length, 4, "three condors and one butterfly");
+
+  const condor = find(all, "80/90/110/120");
+  assertEqual(condor.type, "Iron Condor", "condor type");
+  assertEqual(condor.credit, 2, "credit = 1.00 + 1.00", 1e-9);
+  assertEqual(condor.maxLoss, 8, "max loss = widest wing - credit", 1e-9);
+  assertEqual(condor.lowerBE, 88, "lower breakeven", 1e-9);
+  assertEqual(condor.upperBE, 112, "upper breakeven", 1e-9);
+  assertEqual(condor.probInside, 0.6, "1 - 0.20 - 0.20", 1e-9);
+
+  const fly = find(all, "90/100/100/110");
+  assertEqual(fly.type, "Iron Butterfly", "butterfly type");
+  assertEqual(fly.credit, 6, "butterfly credit", 1e-9);
+  // |delta| at the breakevens 94 and 106, interpolated: 0.32 each
+  assertEqual(fly.probInside, 0.36, "butterfly probability from breakevens", 1e-9);
+
+  assertEqual(generateIronCondors_(puts, calls, { ...config, includeButterflies: 0 }).length, 3, "butterflies switched off");
+
+  const at105 = generateIronCondors_(puts, calls, { ...config, currentPrice: 105 });
+  assertEqual(find(at105, "80/90/100/110"), undefined, "condor must bracket the current price");
+  assertEqual(at105.length, 3, "butterfly does not need to bracket the price");
+
+  assertEqual(generateIronCondors_(puts, calls, { ...config, minStrike: 85 }).every(c => c.longPut >= 85), true,
+    "put wings below minStrike pruned before pairing");
+
+  const noDelta = [opt("Put", 80, 1, -0.10), opt("Put", 90, 2, 0), opt("Put", 100, 5, -0.50)];
+  assertEqual(generateIronCondors_(noDelta, calls, config).some(c => c.shortPut === 90), false,
+    "short put without delta skipped");
+}
@@ -0,0 +1,462 @@
+/**
+ * IvHistory.js
+ * ATM and constant-maturity implied volatility per symbol and upload date, with
+ * IV rank and IV percentile.
+ *
+ * For each dataDate in OptionPriceHistory, every expiration uploaded within the
+ * last week (newest snapshot on or before the date) gives one ATM IV: call and put
+ * IV averaged per strike, then interpolated linearly in strike to the spot price.
+ * Constant-maturity IVs (30, 90, 365 days) interpolate those points linearly in
+ * total variance (IV^2 x T), flat beyond the first and last expiration.
+ *
+ * IV rank and IV percentile compare IV30 with the prior year of upload dates:
+ *   IV rank       = (IV30 - min) / (max - min)
+ *   IV percentile = share of earlier dates with a lower IV30
+ *
+ * Results go to the IVHistory sheet. Each upload recomputes only the symbols and
+ * dates its new snapshots affect.
+ */
+
+const IV_HISTORY_SHEET = "IVHistory";
+
+/** Column order on the IVHistory sheet */
+const IV_HISTORY_HEADERS = ["symbol", "dataDate", "spot", "atmIV", "atmExpiration", "iv30", "iv90", "iv365", "ivRank", "ivPercentile", "observations"];
+
+const IV_HISTORY_DEFAULTS = {
+  minDays: 7,          // Skip expirations closer than this (ATM IV too noisy)
+  maxStaleDays: 7,     // Use an expiration's snapshot for up to a week
+  lookbackDays: 365    // Window for IV rank and percentile
+};
+
+/* =========================================================
+   Calculation
+   ========================================================= */
+
+/**
+ * ATM IV of one expiration: call and put IV averaged per strike, interpolated to spot.
+ * @param {Array<{strike, type, iv}>} options - One expiration's options
+ * @param {number} spot - Stock price
+ * @returns {number|null} IV as a decimal, or null if spot is outside the strikes with IV
+ */
+function atmIvForExpiration_(options, spot) {
+  const byStrike = new Map();
+  for (const o of options) {
+    if (!(o.iv > 0) || !(o.strike > 0)) continue;
+    if (!byStrike.has(o.strike)) byStrike.set(o.strike, []);
+    byStrike.get(o.strike).push(o.iv);
+  }
+  const points = Array.from(byStrike.entries())
+    .map(([strike, ivs]) => ({ strike, iv: ivs.reduce((a, b) => a + b, 0) / ivs.length }))
+    .sort((a, b) => a.strike - b.strike);
+
+  for (let i = 1; i < points.length; i++) {
+    const lo = points[i - 1];
+    const hi = points[i];
+    if (spot < lo.strike || spot > hi.strike) continue;
+    const t = (spot - lo.strike) / (hi.strike - lo.strike);
+    return lo.iv + t * (hi.iv - lo.iv);
+  }
+  const exact = points.find(p => p.strike === spot);
+  return exact ? exact.iv : null;
+}
+
+/**
+ * Constant-maturity IV, linear in total variance between expirations.
+ * @param {Array<{days: number, iv: number}>} points - ATM IV per expiration, ascending days
+ * @param {number} days - Target maturity
+ * @returns {number|null}
+ */
+function constantMaturityIv_(points, days) {
+  if (points.length === 0) return null;
+  if (days <= points[0].days) return points[0].iv;
+  const last = points[points.length - 1];
+  if (days >= last.days) return last.iv;
+
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (days > b.days) continue;
+    const wa = a.iv * a.iv * a.days;
+    const wb = b.iv * b.iv * b.days;
+    const w = wa + (wb - wa) * (days - a.days) / (b.days - a.days);
+    return Math.sqrt(Math.max(0, w) / days);
+  }
+  return null;
+}
+
+/**
+ * IV levels for one symbol on one date.
+ * @param {Array} options - Options of every expiration in use on that date (loadOptionData_ objects)
+ * @param {Date} dataDate
+ * @param {number} spot
+ * @returns {{atmIV, atmExpiration, iv30, iv90, iv365}|null} Null if no expiration has an ATM IV
+ */
+function computeIvLevels_(options, dataDate, spot) {
+  const byExp = new Map();
+  for (const o of options) {
+    if (!byExp.has(o.expiration)) byExp.set(o.expiration, []);
+    byExp.get(o.expiration).push(o);
+  }
+
+  const points = [];
+  for (const [exp, chain] of byExp) {
+    const expDate = parseDateAtMidnight_(exp);
+    if (!expDate) continue;
+    const days = Math.round((expDate - dataDate) / 86400000);
+    if (days < IV_HISTORY_DEFAULTS.minDays) continue;
+    const iv = atmIvForExpiration_(chain, spot);
+    if (iv) points.push({ days, iv, expDate });
+  }
+  if (points.length === 0) return null;
+  points.sort((a, b) => a.days - b.days);
+
+  return {
+    atmIV: points[0].iv,
+    atmExpiration: points[0].expDate,
+    iv30: constantMaturityIv_(points, 30),
+    iv90: constantMaturityIv_(points, 90),
+    iv365: constantMaturityIv_(points, 365)
+  };
+}
+
+/**
+ * IV rank and percentile of the last value against the earlier ones.
+ * @param {number[]} values - IV30 history, oldest first, ending with the current value
+ * @returns {{ivRank: number|null, ivPercentile: number|null}} Null with fewer than 2 values
+ */
+function ivRankAndPercentile_(values) {
+  if (values.length < 2) return { ivRank: null, ivPercentile: null };
+  const current = values[values.length - 1];
+  const prior = values.slice(0, -1);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return {
+    ivRank: max > min ? (current - min) / (max - min) : null,
+    ivPercentile: prior.filter(v => v < current).length / prior.length
+  };
+}
+
+/* =========================================================
+   Sheet
+   ========================================================= */
+
+/**
+ * Groups archived options by symbol, expiration and snapshot date.
+ * @param {Array} history - From loadOptionPriceHistory_
+ * @returns {Map<string, Map<string, Map<number, Array>>>} symbol -> "M/D/YYYY" expiration -> dataDate time -> options
+ */
+function groupOptionSnapshots_(history) {
+  const bySymbol = new Map();
+  for (const o of history) {
+    if (!o.dataDate) continue;
+    if (!bySymbol.has(o.symbol)) bySymbol.set(o.symbol, new Map());
+    const exps = bySymbol.get(o.symbol);
+    if (!exps.has(o.expiration)) exps.set(o.expiration, new Map());
+    const snaps = exps.get(o.expiration);
+    const time = o.dataDate.getTime();
+    if (!snaps.has(time)) snaps.set(time, []);
+    snaps.get(time).push(o);
+  }
+  return bySymbol;
+}
+
+/**
+ * Newest snapshot of each expiration on or before a date, at most maxStaleDays old.
+ * @param {Map<string, Map<number, Array>>} exps - One symbol's entry from groupOptionSnapshots_
+ * @param {number} time - dataDate time
+ * @returns {Array} Options of every expiration in use on that date
+ */
+function optionsAsOf_(exps, time) {
+  const staleMs = IV_HISTORY_DEFAULTS.maxStaleDays * 86400000;
+  const options = [];
+  for (const snaps of exps.values()) {
+    let best = null;
+    for (const t of snaps.keys()) {
+      if (t <= time && t > time - staleMs && (best === null || t > best)) best = t;
+    }
+    if (best !== null) options.push(...snaps.get(best));
+  }
+  return options;
+}
+
+/**
+ * Stock price on a date from the Moneyness column of the snapshots taken that day.
+ * @param {Array} options - From optionsAsOf_
+ * @param {number} time - dataDate time
+ * @returns {number|null}
+ */
+function spotFromSnapshots_(options, time) {
+  return stockPriceFromMoneyness_(options.filter(o => o.dataDate.getTime() === time).map(o =>
+    [o.symbol, o.expiration, o.strike, o.type, o.bid, o.mid, o.ask, o.iv, o.delta, o.volume, o.openint,
+      o.moneyness === "" ? NaN : +o.moneyness]));
+}
+
+/**
+ * Rebuilds the IVHistory sheet from the whole OptionPriceHistory archive.
+ * @param {Spreadsheet} ss
+ * @returns {Array<Array>} Rows written (without header)
+ */
+function rebuildIvHistory_(ss) {
+  const bySymbol = groupOptionSnapshots_(loadOptionPriceHistory_(ss));
+  const rows = [];
+  for (const symbol of Array.from(bySymbol.keys()).sort()) {
+    rows.push(...ivHistoryRowsForSymbol_(symbol, bySymbol.get(symbol), 0, []));
+  }
+  return writeIvHistory_(ss, rows);
+}
+
+/**
+ * Updates the IVHistory sheet after an upload: recomputes the given symbols from
+ * a dataDate on, reading only the archive rows that can affect those dates.
+ * Earlier rows are kept, and their IV30 seeds IV rank and percentile.
+ * @param {Spreadsheet} ss
+ * @param {string[]} symbols - Symbols with new snapshots
+ * @param {Date} since - Oldest new dataDate
+ * @returns {Array<Array>} Rows written (without header)
+ */
+function updateIvHistory_(ss, symbols, since) {
+  const sheet = ss.getSheetByName(IV_HISTORY_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return rebuildIvHistory_(ss);
+
+  // Snapshots up to maxStaleDays old still count on a date
+  const staleMs = IV_HISTORY_DEFAULTS.maxStaleDays * 86400000;
+  const bySymbol = groupOptionSnapshots_(loadOptionPriceHistorySince_(ss, symbols, new Date(since.getTime() - staleMs)));
+
+  const symbolSet = new Set(symbols.map(s => String(s).toUpperCase()));
+  const existing = sheet.getRange(2, 1, sheet.getLastRow() - 1, IV_HISTORY_HEADERS.length).getValues();
+  const kept = existing.filter(r => {
+    const d = parseDateAtMidnight_(r[1]);
+    return d && !(symbolSet.has(String(r[0]).toUpperCase()) && d >= since);
+  });
+
+  const rows = [...kept];
+  for (const symbol of symbolSet) {
+    const exps = bySymbol.get(symbol);
+    if (!exps) continue;
+    const series = kept
+      .filter(r => String(r[0]).toUpperCase() === symbol && r[5] !== "")
+      .map(r => ({ time: parseDateAtMidnight_(r[1]).getTime(), iv30: +r[5] }))
+      .sort((a, b) => a.time - b.time);
+    rows.push(...ivHistoryRowsForSymbol_(symbol, exps, since.getTime(), series));
+  }
+
+  rows.sort((a, b) => String(a[0]).localeCompare(String(b[0])) || parseDateAtMidnight_(a[1]) - parseDateAtMidnight_(b[1]));
+  return writeIvHistory_(ss, rows);
+}
+
+/**
+ * IVHistory rows for one symbol, one per snapshot date on or after fromTime.
+ * @param {string} symbol
+ * @param {Map<string, Map<number, Array>>} exps - The symbol's entry from groupOptionSnapshots_
+ * @param {number} fromTime - Skip earlier dates (0 = all)
+ * @param {Array<{time, iv30}>} series - IV30 of earlier dates, oldest first; extended in place
+ * @returns {Array<Array>}
+ */
+function ivHistoryRowsForSymbol_(symbol, exps, fromTime, series) {
+  const lookbackMs = IV_HISTORY_DEFAULTS.lookbackDays * 86400000;
+  const times = new Set();
+  for (const snaps of exps.values()) for (const t of snaps.keys()) times.add(t);
+
+  const rows = [];
+  for (const time of Array.from(times).filter(t => t >= fromTime).sort((a, b) => a - b)) {
+    const options = optionsAsOf_(exps, time);
+    const spot = spotFromSnapshots_(options, time);
+    if (!spot) continue;
+
+    const dataDate = new Date(time);
+    const levels = computeIvLevels_(options, dataDate, spot);
+    if (!levels) continue;
+
+    series.push({ time, iv30: levels.iv30 });
+    const window = series.filter(p => p.time > time - lookbackMs).map(p => p.iv30);
+    const { ivRank, ivPercentile } = ivRankAndPercentile_(window);
+
+    const r4 = (v) => v == null ? "" : roundTo_(v, 4);
+    rows.push([symbol, dataDate, spot, r4(levels.atmIV), levels.atmExpiration,
+      r4(levels.iv30), r4(levels.iv90), r4(levels.iv365), r4(ivRank), r4(ivPercentile), window.length]);
+  }
+  return rows;
+}
+
+/**
+ * Writes rows to the IVHistory sheet, replacing its contents.
+ * @param {Spreadsheet} ss
+ * @param {Array<Array>} rows
+ * @returns {Array<Array>} rows
+ */
+function writeIvHistory_(ss, rows) {
+  let sheet = ss.getSheetByName(IV_HISTORY_SHEET);
+  if (!sheet) {
+    if (rows.length === 0) return rows;
+    sheet = ss.insertSheet(IV_HISTORY_SHEET);
+  }
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, IV_HISTORY_HEADERS.length).setValues([IV_HISTORY_HEADERS])
+    .setFontWeight("bold").setBackground("#4285f4").setFontColor("white");
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, IV_HISTORY_HEADERS.length).setValues(rows);
+    sheet.getRange(2, 2, rows.length, 1).setNumberFormat("m/d/yyyy");
+    sheet.getRange(2, 3, rows.length, 1).setNumberFormat("$#,##0.00");
+    sheet.getRange(2, 4, rows.length, 1).setNumberFormat("0.00%");
+    sheet.getRange(2, 5, rows.length, 1).setNumberFormat("m/d/yyyy");
+    sheet.getRange(2, 6, rows.length, 5).setNumberFormat("0.00%");
+  }
+  sheet.setFrozenRows(1);
+  return rows;
+}
+
+/**
+ * Reads a symbol's IV history from the IVHistory sheet, oldest first.
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @returns {Array<{dataDate: Date, spot, atmIV, iv30, iv90, iv365, ivRank, ivPercentile, observations}>}
+ */
+function getIvHistory_(ss, symbol) {
+  const sheet = ss.getSheetByName(IV_HISTORY_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const sym = String(symbol || "").toUpperCase();
+  const num = (v) => v === "" || v == null ? null : +v;
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, IV_HISTORY_HEADERS.length).getValues()
+    .filter(r => String(r[0]).toUpperCase() === sym && parseDateAtMidnight_(r[1]))
+    .map(r => ({
+      dataDate: parseDateAtMidnight_(r[1]),
+      spot: num(r[2]),
+      atmIV: num(r[3]),
+      iv30: num(r[5]),
+      iv90: num(r[6]),
+      iv365: num(r[7]),
+      ivRank: num(r[8]),
+      ivPercentile: num(r[9]),
+      observations: num(r[10])
+    }))
+    .sort((a, b) => a.dataDate - b.dataDate);
+}
+
+/**
+ * Latest IV levels for a symbol, or null if it has no IV history.
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @returns {Object|null} See getIvHistory_
+ */
+function getIvStats_(ss, symbol) {
+  const history = getIvHistory_(ss, symbol);
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * One-line IV summary, e.g. "IV30 52.3%, IV rank 45%, IV percentile 60% (12 dates, 10/16/2026)".
+ * @param {Object|null} stats - From getIvStats_
+ * @returns {string}
+ */
+function describeIvStats_(stats) {
+  if (!stats) return "no IV history";
+  const pct = (v, digits) => v == null ? "n/a" : (v * 100).toFixed(digits) + "%";
+  return `IV30 ${pct(stats.iv30, 1)}, IV rank ${pct(stats.ivRank, 0)}, IV percentile ${pct(stats.ivPercentile, 0)}` +
+    ` (${stats.observations} dates, ${formatDateMDYYYY_(stats.dataDate)})`;
+}
+
+/* =========================================================
+   Graph data
+   ========================================================= */
+
+/**
+ * IV history for the symbol of the CallSpreads sheet shown in SpreadFinder Graphs.
+ * Called by SpreadFinderGraphs.html via google.script.run.
+ * @returns {{symbol, dates: string[], atmIV, iv30, iv90, iv365, ivRank}|null} Dates as YYYY-MM-DD; IVs as decimals
+ */
+function getIvHistoryGraphData() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = findCallSpreadsSheet_(ss);
+  if (!sheet) return null;
+
+  const symbol = sheet.getName().replace(/CallSpreads$/, "");
+  const history = getIvHistory_(ss, symbol);
+  if (history.length === 0) return null;
+
+  const iso = (d) => d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+  return {
+    symbol,
+    dates: history.map(h => iso(h.dataDate)),
+    atmIV: history.map(h => h.atmIV),
+    iv30: history.map(h => h.iv30),
+    iv90: history.map(h => h.iv90),
+    iv365: history.map(h => h.iv365),
+    ivRank: history.map(h => h.ivRank),
+    latest: describeIvStats_(history[history.length - 1])
+  };
+}
+
+/* =========================================================
+   Tests
+   ========================================================= */
+
+/**
+ * Test ATM interpolation, variance interpolation, and rank/percentile.
+ */
+function test_ivHistory() {
+  const chain = [
+    { strike: 400, type: "Call", iv: 0.50 }, { strike: 400, type: "Put", iv: 0.54 },
+    { strike: 450, type: "Call", iv: 0.46 }, { strike: 450, type: "Put", iv: 0.48 }
+  ];
+  // Strike averages 0.52 at 400 and 0.47 at 450; spot 420 is 40% of the way
+  assertEqual(atmIvForExpiration_(chain, 420), 0.50, "ATM IV interpolated in strike", 1e-9);
+  assertEqual(atmIvForExpiration_(chain, 500), null, "spot outside strikes");
+
+  // Total variance: 0.4^2 x 30 = 4.8 and 0.5^2 x 90 = 22.5; at 60 days w = 13.65
+  const points = [{ days: 30, iv: 0.40 }, { days: 90, iv: 0.50 }];
+  assertEqual(constantMaturityIv_(points, 60), Math.sqrt(13.65 / 60), "variance interpolation", 1e-9);
+  assertEqual(constantMaturityIv_(points, 10), 0.40, "flat before first expiration");
+  assertEqual(constantMaturityIv_(points, 365), 0.50, "flat after last expiration");
+
+  const stats = ivRankAndPercentile_([0.40, 0.60, 0.50, 0.45, 0.55]);
+  assertEqual(stats.ivRank, 0.75, "IV rank", 1e-9);
+  assertEqual(stats.ivPercentile, 0.75, "IV percentile (3 of 4 earlier dates lower)", 1e-9);
+  assertEqual(ivRankAndPercentile_([0.5]).ivRank, null, "one observation");
+}
+
+/**
+ * Test that updating IVHistory for a new date matches a full rebuild.
+ */
+function test_updateIvHistory() {
+  const sheets = {};
+  const makeSheet = () => {
+    const grid = [];
+    const sheet = {
+      getLastRow: () => grid.length,
+      getDataRange: () => sheet.getRange(1, 1, grid.length, grid[0].length),
+      clearContents: () => { grid.length = 0; },
+      setFrozenRows: () => {},
+      getRange: (row, col, numRows = 1, numCols = 1) => {
+        const range = {
+          getValues: () => grid.slice(row - 1, row - 1 + numRows).map(r => r.slice(col - 1, col - 1 + numCols)),
+          setValues: (values) => {
+            values.forEach((v, i) => {
+              grid[row - 1 + i] = grid[row - 1 + i] || [];
+              v.forEach((x, j) => grid[row - 1 + i][col - 1 + j] = x);
+            });
+            return range;
+          },
+          setNumberFormat: () => range, setFontWeight: () => range, setBackground: () => range, setFontColor: () => range
+        };
+        return range;
+      }
+    };
+    return sheet;
+  };
+  const ss = { getSheetByName: (name) => sheets[name] || null, insertSheet: (name) => (sheets[name] = makeSheet()) };
+
+  // Spot 420 from the Moneyness of the 400 and 440 calls
+  const snapshot = (dataDate, iv) => [400, 440].map(k => ["TSLA", parseDateAtMidnight_("6/17/2027"), k, "Call",
+    1, 1, 1, iv, 0.5, 10, 100, (420 - k) / 420, parseDateAtMidnight_(dataDate)]);
+  const history = ensureOptionPriceHistorySheet_(ss);
+  appendOptionPriceHistoryRows_(history, [...snapshot("8/14/2026", 0.50), ...snapshot("9/15/2026", 0.40)]);
+  rebuildIvHistory_(ss);
+  appendOptionPriceHistoryRows_(history, snapshot("10/16/2026", 0.45));
+
+  const updated = updateIvHistory_(ss, ["TSLA"], parseDateAtMidnight_("10/16/2026"));
+  assertEqual(updated.length, 3, "earlier dates kept, new date added");
+  assertEqual(updated[2][5], 0.45, "IV30 on the new date", 1e-9);
+  assertEqual(updated[2][8], 0.5, "IV rank seeded from the kept rows", 1e-9);
+  assertEqual(JSON.stringify(updated), JSON.stringify(rebuildIvHistory_(ss)), "same as a full rebuild");
+}
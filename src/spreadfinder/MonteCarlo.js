@@ -0,0 +1,261 @@
+/**
+ * MonteCarlo.js
+ * Seeded Monte Carlo expected-value engine for bull call spreads.
+ *
+ * Price paths follow geometric Brownian motion. By default they are risk-neutral with the
+ * chain's ATM implied volatility. When the Outlook sheet row for the expiration has a
+ * Volatility, paths use that volatility and drift toward TargetPrice by TargetDate,
+ * weighted by Confidence (0 = risk-neutral, 1 = median path hits the target).
+ *
+ * Each path applies the early-exit rule: close the spread as soon as its Black-Scholes
+ * value reaches Debit + 80% of max profit. Otherwise it is held to expiration.
+ *
+ * The same seed always produces the same paths, so results are reproducible.
+ */
+
+/** Default Monte Carlo settings */
+const MONTE_CARLO_DEFAULTS = {
+  paths: 500,
+  seed: 42,
+  maxSteps: 52,            // Time steps per path (about weekly for a 1-year expiration)
+  exitProfitFraction: 0.80 // Close when profit reaches 80% of max profit
+};
+
+/**
+ * Creates a seeded uniform random generator (mulberry32).
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} Function returning uniform numbers in [0, 1)
+ */
+function createSeededRandom_(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Returns a standard normal sampler driven by a uniform generator (Box-Muller).
+ * @param {function(): number} rand - Uniform generator
+ * @returns {function(): number} Function returning N(0, 1) samples
+ */
+function createGaussian_(rand) {
+  let spare = null;
+  return function() {
+    if (spare !== null) {
+      const v = spare;
+      spare = null;
+      return v;
+    }
+    let u = 0;
+    while (u === 0) u = rand();
+    const v = rand();
+    const mag = Math.sqrt(-2 * Math.log(u));
+    spare = mag * Math.sin(2 * Math.PI * v);
+    return mag * Math.cos(2 * Math.PI * v);
+  };
+}
+
+/**
+ * Hashes a string to a 32-bit integer, used to give each expiration its own seed.
+ * @param {string} s
+ * @returns {number}
+ */
+function monteCarloSeedHash_(s) {
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Simulates geometric Brownian motion price paths.
+ * @param {Object} params
+ * @param {number} params.S0 - Starting price
+ * @param {number} params.years - Horizon in years
+ * @param {number} params.steps - Number of time steps
+ * @param {number} params.paths - Number of paths
+ * @param {number} params.sigma - Annual volatility
+ * @param {number} params.logDrift - Annual drift of log price (e.g. r - sigma^2/2 for risk-neutral)
+ * @param {number} params.seed - Random seed
+ * @returns {Float64Array[]} paths[p][k] = price after step k+1
+ */
+function simulatePricePaths_(params) {
+  const { S0, years, steps, paths, sigma, logDrift, seed } = params;
+  const gauss = createGaussian_(createSeededRandom_(seed));
+  const dt = years / steps;
+  const driftStep = logDrift * dt;
+  const volStep = sigma * Math.sqrt(dt);
+
+  const result = [];
+  for (let p = 0; p < paths; p++) {
+    const path = new Float64Array(steps);
+    let logS = Math.log(S0);
+    for (let k = 0; k < steps; k++) {
+      logS += driftStep + volStep * gauss();
+      path[k] = Math.exp(logS);
+    }
+    result.push(path);
+  }
+  return result;
+}
+
+/**
+ * Builds the simulation for one expiration chain.
+ * Paths are shared by every spread in the chain; call values per strike are cached lazily.
+ *
+ * @param {Array} chain - Call options for one expiration, sorted by strike
+ * @param {Object} config - Needs currentPrice; optional outlook, pricing, monteCarloPaths, monteCarloSeed
+ * @returns {Object|null} Simulation, or null if inputs are missing
+ */
+function buildMonteCarloModel_(chain, config) {
+  const S0 = config.currentPrice;
+  if (!(S0 > 0) || chain.length === 0) return null;
+
+  // Measure time from midnight so repeated runs on the same day match exactly
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const expDate = parseDateAtMidnight_(chain[0].expiration);
+  const years = (expDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24 * 365);
+  if (!(years > 0)) return null;
+
+  const { riskFreeRate: r, dividendYield: q } = config.pricing || OPTION_PRICING_DEFAULTS;
+
+  // ATM IV: the leg with IV nearest the current price
+  let atmIV = 0;
+  let bestDist = Infinity;
+  for (const o of chain) {
+    if (!(o.iv > 0)) continue;
+    const dist = Math.abs(o.strike - S0);
+    if (dist < bestDist) {
+      bestDist = dist;
+      atmIV = o.iv;
+    }
+  }
+
+  const outlook = config.outlook;
+  const useOutlook = outlook && outlook.volatility > 0 && outlook.targetPrice > 0 && outlook.targetDate;
+  const sigma = useOutlook ? outlook.volatility : atmIV;
+  if (!(sigma > 0)) return null;
+
+  // Drift: risk-neutral, blended toward the outlook target by confidence
+  let logDrift = r - q - sigma * sigma / 2;
+  let source = "Risk-neutral, ATM IV";
+  if (useOutlook) {
+    const yearsToTarget = (outlook.targetDate.getTime() - today.getTime()) / (1000 * 60 * 60 * 24 * 365);
+    if (yearsToTarget > 0) {
+      const conf = Math.max(0, Math.min(1, outlook.confidence || 0));
+      const targetDrift = Math.log(outlook.targetPrice / S0) / yearsToTarget;
+      logDrift = conf * targetDrift + (1 - conf) * logDrift;
+    }
+    source = "Outlook volatility";
+  }
+
+  const steps = Math.max(4, Math.min(MONTE_CARLO_DEFAULTS.maxSteps, Math.ceil(years * 52)));
+  const numPaths = Math.max(1, Math.round(config.monteCarloPaths || MONTE_CARLO_DEFAULTS.paths));
+  const seed = ((config.monteCarloSeed ?? MONTE_CARLO_DEFAULTS.seed) ^ monteCarloSeedHash_(chain[0].expiration)) >>> 0;
+
+  const paths = simulatePricePaths_({ S0, years, steps, paths: numPaths, sigma, logDrift, seed });
+  const dt = years / steps;
+
+  // Lazily computed call values per strike: values[p * steps + k]
+  const valueCache = new Map();
+  const callValues = (strike, iv) => {
+    const key = strike;
+    if (valueCache.has(key)) return valueCache.get(key);
+    const legSigma = iv > 0 ? iv : sigma;
+    const values = new Float64Array(numPaths * steps);
+    for (let p = 0; p < numPaths; p++) {
+      const path = paths[p];
+      for (let k = 0; k < steps; k++) {
+        const tRemain = years - (k + 1) * dt;
+        values[p * steps + k] = bsPrice_(path[k], strike, tRemain, r, legSigma, "Call", q);
+      }
+    }
+    valueCache.set(key, values);
+    return values;
+  };
+
+  return { S0, years, steps, numPaths, sigma, logDrift, source, paths, callValues };
+}
+
+/**
+ * Simulates a bull call spread against a Monte Carlo model.
+ * Each path closes early once spread value >= debit + 80% of max profit;
+ * otherwise it settles at intrinsic value at expiration.
+ *
+ * @param {Object} model - From buildMonteCarloModel_
+ * @param {Object} lower - Long call {strike, iv}
+ * @param {Object} upper - Short call {strike, iv}
+ * @param {number} debit - Net debit paid per share
+ * @returns {{mean: number, median: number, pLoss: number, p5: number}} P&L stats per share
+ */
+function simulateCallSpread_(model, lower, upper, debit) {
+  const width = upper.strike - lower.strike;
+  const exitValue = debit + (width - debit) * MONTE_CARLO_DEFAULTS.exitProfitFraction;
+  const longValues = model.callValues(lower.strike, lower.iv);
+  const shortValues = model.callValues(upper.strike, upper.iv);
+  const steps = model.steps;
+
+  const pnl = new Float64Array(model.numPaths);
+  let sum = 0;
+  let losses = 0;
+  for (let p = 0; p < model.numPaths; p++) {
+    let value = 0;
+    for (let k = 0; k < steps; k++) {
+      value = longValues[p * steps + k] - shortValues[p * steps + k];
+      if (value >= exitValue) break;
+    }
+    pnl[p] = value - debit;
+    sum += pnl[p];
+    if (pnl[p] < 0) losses++;
+  }
+
+  pnl.sort();
+  const n = pnl.length;
+  const median = n % 2 ? pnl[(n - 1) / 2] : (pnl[n / 2 - 1] + pnl[n / 2]) / 2;
+
+  return {
+    mean: sum / n,
+    median,
+    pLoss: losses / n,
+    p5: pnl[Math.floor(0.05 * (n - 1))]
+  };
+}
+
+/**
+ * Test Monte Carlo engine determinism and basic sanity.
+ */
+function test_monteCarlo() {
+  const params = { S0: 100, years: 1, steps: 12, paths: 2000, sigma: 0.4, logDrift: 0.04 - 0.08, seed: 7 };
+  const a = simulatePricePaths_(params);
+  const b = simulatePricePaths_(params);
+  assertEqual(a[123][11], b[123][11], "same seed, same paths");
+  assertEqual(a[0][0] !== simulatePricePaths_({ ...params, seed: 8 })[0][0], true, "different seed, different paths");
+
+  // Risk-neutral mean terminal price ≈ S0 * e^(rt)
+  const meanTerminal = a.reduce((s, p) => s + p[11], 0) / a.length;
+  assertEqual(Math.abs(meanTerminal - 100 * Math.exp(0.04)) < 2.5, true, "risk-neutral mean terminal price");
+
+  // Spread stats are ordered and bounded by debit / max profit
+  const future = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const exp = formatDateMDYYYY_(future);
+  const chain = [
+    { expiration: exp, strike: 100, iv: 0.4 },
+    { expiration: exp, strike: 120, iv: 0.4 }
+  ];
+  const model = buildMonteCarloModel_(chain, { currentPrice: 100, monteCarloPaths: 1000 });
+  const stats = simulateCallSpread_(model, chain[0], chain[1], 7);
+  assertEqual(stats.p5 <= stats.median, true, "p5 <= median");
+  assertEqual(stats.p5 >= -7 - 1e-9, true, "loss capped at debit");
+  assertEqual(stats.median <= 13 + 1e-9, true, "gain capped at max profit");
+  assertEqual(stats.pLoss > 0 && stats.pLoss < 1, true, "P(loss) in (0, 1)");
+
+  const again = simulateCallSpread_(buildMonteCarloModel_(chain, { currentPrice: 100, monteCarloPaths: 1000 }), chain[0], chain[1], 7);
+  assertEqual(again.mean, stats.mean, "deterministic spread stats");
+}
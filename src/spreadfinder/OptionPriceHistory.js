@@ -0,0 +1,358 @@
+/**
+ * OptionPriceHistory.js
+ * Append-only archive of every uploaded option chain snapshot.
+ *
+ * OptionPricesUploaded only holds the latest file per symbol/expiration. Every
+ * uploaded file is also appended here, keyed by symbol, expiration and dataDate,
+ * so spreads, IV and open interest can be followed over time and older downloads
+ * can be backfilled. A snapshot that is already archived is not added twice.
+ * Replace All does not touch the archive. On upload, snapshots older than the
+ * retention window are pruned, and the oldest dates are dropped when the archive
+ * would exceed its row cap (Sheets allows 10M cells per spreadsheet).
+ */
+
+const OPTION_PRICE_HISTORY_SHEET = "OptionPriceHistory";
+
+/** Snapshots with a dataDate older than this many days are pruned on upload (0 = keep all) */
+const OPTION_PRICE_HISTORY_RETENTION_DAYS = 730;
+
+/** Most rows kept; the oldest dataDates are pruned beyond it (0 = no cap). 500k rows x 13 columns = 6.5M cells */
+const OPTION_PRICE_HISTORY_MAX_ROWS = 500000;
+
+/** Same columns as OptionPricesUploaded */
+const OPTION_PRICE_HISTORY_HEADERS = ["symbol", "expiration", "strike", "type", "bid", "mid", "ask", "iv", "delta", "volume", "openint", "moneyness", "dataDate"];
+
+/**
+ * Creates the OptionPriceHistory sheet if it does not exist, seeded with the rows
+ * currently on OptionPricesUploaded so the latest snapshots are not lost.
+ * @param {Spreadsheet} ss
+ * @returns {Sheet}
+ */
+function ensureOptionPriceHistorySheet_(ss) {
+  let sheet = ss.getSheetByName(OPTION_PRICE_HISTORY_SHEET);
+  if (sheet) return sheet;
+
+  sheet = ss.insertSheet(OPTION_PRICE_HISTORY_SHEET);
+  sheet.getRange(1, 1, 1, OPTION_PRICE_HISTORY_HEADERS.length).setValues([OPTION_PRICE_HISTORY_HEADERS])
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+
+  const latest = ss.getSheetByName(OPTION_PRICES_SHEET);
+  if (latest && latest.getLastRow() >= 2 && latest.getLastColumn() >= OPTION_PRICE_HISTORY_HEADERS.length) {
+    const rows = latest.getRange(2, 1, latest.getLastRow() - 1, OPTION_PRICE_HISTORY_HEADERS.length).getValues()
+      .filter(r => r[0] && parseDateAtMidnight_(r[12]));
+    appendOptionPriceHistoryRows_(sheet, rows);
+  }
+
+  return sheet;
+}
+
+/**
+ * Snapshot key: "SYMBOL|M/D/YYYY|M/D/YYYY" (expiration, dataDate).
+ * @param {string} symbol
+ * @param {Date|string} expiration
+ * @param {Date|string} dataDate
+ * @returns {string}
+ */
+function optionSnapshotKey_(symbol, expiration, dataDate) {
+  return `${String(symbol || "").toUpperCase()}|${formatDateMDYYYY_(parseDateAtMidnight_(expiration))}|${formatDateMDYYYY_(parseDateAtMidnight_(dataDate))}`;
+}
+
+/**
+ * Reads the snapshot keys already in the archive.
+ * @param {Sheet} sheet
+ * @returns {Set<string>} optionSnapshotKey_ values
+ */
+function getArchivedSnapshots_(sheet) {
+  const keys = new Set();
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return keys;
+
+  const symExp = sheet.getRange(2, 1, lastRow - 1, 2).getValues();
+  const dataDates = sheet.getRange(2, 13, lastRow - 1, 1).getValues();
+  for (let i = 0; i < symExp.length; i++) {
+    if (!symExp[i][0]) continue;
+    keys.add(optionSnapshotKey_(symExp[i][0], symExp[i][1], dataDates[i][0]));
+  }
+  return keys;
+}
+
+/**
+ * Appends rows to the bottom of the archive and formats them.
+ * @param {Sheet} sheet
+ * @param {Array<Array>} rows - Upload rows (OPTION_PRICE_HISTORY_HEADERS order)
+ */
+function appendOptionPriceHistoryRows_(sheet, rows) {
+  if (rows.length === 0) return;
+  const startRow = sheet.getLastRow() + 1;
+  sheet.getRange(startRow, 1, rows.length, OPTION_PRICE_HISTORY_HEADERS.length).setValues(rows);
+  sheet.getRange(startRow, 2, rows.length, 1).setNumberFormat("m/d/yyyy");   // expiration
+  sheet.getRange(startRow, 8, rows.length, 1).setNumberFormat("0.00%");      // iv
+  sheet.getRange(startRow, 12, rows.length, 1).setNumberFormat("0.00%");     // moneyness
+  sheet.getRange(startRow, 13, rows.length, 1).setNumberFormat("m/d/yyyy");  // dataDate
+}
+
+/**
+ * Removes snapshots with a dataDate before the cutoff, keeping the remaining rows in order.
+ * @param {Sheet} sheet
+ * @param {Date} cutoff - Oldest dataDate to keep
+ * @returns {number} Rows removed
+ */
+function pruneOptionPriceHistory_(sheet, cutoff) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return 0;
+
+  const range = sheet.getRange(2, 1, lastRow - 1, OPTION_PRICE_HISTORY_HEADERS.length);
+  const data = range.getValues();
+  const keep = data.filter(r => {
+    const d = parseDateAtMidnight_(r[12]);
+    return !d || d >= cutoff;
+  });
+  if (keep.length === data.length) return 0;
+
+  range.clearContent();
+  if (keep.length > 0) sheet.getRange(2, 1, keep.length, OPTION_PRICE_HISTORY_HEADERS.length).setValues(keep);
+  return data.length - keep.length;
+}
+
+/**
+ * Oldest dataDate to keep so the archive stays within maxRows, dropping whole dates oldest first.
+ * @param {Map<number, number>} rowsByTime - Row count per dataDate time
+ * @param {number} maxRows
+ * @returns {Date|null} Null if everything fits
+ */
+function rowCapCutoff_(rowsByTime, maxRows) {
+  let total = 0;
+  for (const n of rowsByTime.values()) total += n;
+  if (total <= maxRows) return null;
+
+  const times = Array.from(rowsByTime.keys()).sort((a, b) => a - b);
+  let i = 0;
+  while (i < times.length - 1 && total > maxRows) total -= rowsByTime.get(times[i++]);
+  return new Date(times[i]);
+}
+
+/**
+ * Archives every uploaded file, including ones too old for OptionPricesUploaded,
+ * and prunes snapshots that fell out of the retention window or over the row cap.
+ * @param {Spreadsheet} ss
+ * @param {Array<{symbol, expStr, dataDate, dataDateStr, rows}>} parsedFiles - From parseOptionPriceFile_
+ * @param {number} [retentionDays] - Keep this many days of snapshots (0 = keep all)
+ * @param {number} [maxRows] - Keep at most this many rows (0 = no cap)
+ * @returns {{archived: Array<Object>, duplicates: Array<Object>, expired: Array<Object>, pruned: number}}
+ *   Files added, files already archived, files older than the retention window or row cap, and rows pruned
+ */
+function archiveOptionPrices_(ss, parsedFiles, retentionDays = OPTION_PRICE_HISTORY_RETENTION_DAYS,
+  maxRows = OPTION_PRICE_HISTORY_MAX_ROWS) {
+  const sheet = ensureOptionPriceHistorySheet_(ss);
+  const existing = getArchivedSnapshots_(sheet);
+
+  let cutoff = null;
+  if (retentionDays > 0) {
+    cutoff = new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+  }
+
+  const duplicates = [];
+  const candidates = [];
+  for (const pf of parsedFiles) {
+    const key = optionSnapshotKey_(pf.symbol, pf.expStr, pf.dataDate);
+    if (existing.has(key)) {
+      duplicates.push(pf);
+      continue;
+    }
+    existing.add(key);
+    candidates.push(pf);
+  }
+
+  // Row cap: count rows per dataDate only when the archive would overflow
+  const incoming = candidates.reduce((n, pf) => n + pf.rows.length, 0);
+  if (maxRows > 0 && sheet.getLastRow() - 1 + incoming > maxRows) {
+    const rowsByTime = new Map();
+    const add = (d, n) => {
+      if (d && !(cutoff && d < cutoff)) rowsByTime.set(d.getTime(), (rowsByTime.get(d.getTime()) || 0) + n);
+    };
+    for (const [v] of sheet.getRange(2, 13, sheet.getLastRow() - 1, 1).getValues()) add(parseDateAtMidnight_(v), 1);
+    for (const pf of candidates) add(pf.dataDate, pf.rows.length);
+    const capCutoff = rowCapCutoff_(rowsByTime, maxRows);
+    if (capCutoff && (!cutoff || capCutoff > cutoff)) cutoff = capCutoff;
+  }
+
+  let pruned = 0;
+  if (cutoff && Array.from(existing).some(key => parseDateAtMidnight_(key.split("|")[2]) < cutoff)) {
+    pruned = pruneOptionPriceHistory_(sheet, cutoff);
+  }
+
+  const archived = [];
+  const expired = [];
+  const rows = [];
+  for (const pf of candidates) {
+    if (cutoff && pf.dataDate < cutoff) {
+      expired.push(pf);
+      continue;
+    }
+    archived.push(pf);
+    rows.push(...pf.rows);
+  }
+
+  appendOptionPriceHistoryRows_(sheet, rows);
+  return { archived, duplicates, expired, pruned };
+}
+
+/**
+ * Loads archived options for the given symbols, every snapshot.
+ * Each option has the loadOptionData_ fields plus dataDate (Date).
+ * @param {Spreadsheet} ss
+ * @param {string[]} [filterSymbols] - Optional array of symbols to include
+ * @param {Set<string>} [filterExpirations] - Optional set of expiration dates (YYYY-MM-DD) to include
+ * @returns {Array} Array of option objects, empty if nothing is archived
+ */
+function loadOptionPriceHistory_(ss, filterSymbols, filterExpirations) {
+  if (!ss.getSheetByName(OPTION_PRICE_HISTORY_SHEET)) return [];
+  return loadOptionData_(ss, filterSymbols, filterExpirations, OPTION_PRICE_HISTORY_SHEET);
+}
+
+/**
+ * Loads archived options for the given symbols with a dataDate on or after a date.
+ * Only the symbol and dataDate columns are read in full; the option columns are
+ * read for the block of rows that holds matches, which is the bottom of the sheet
+ * when recent snapshots are wanted (rows are appended in upload order).
+ * @param {Spreadsheet} ss
+ * @param {string[]} symbols
+ * @param {Date} since - Oldest dataDate to include
+ * @returns {Array} Array of option objects (see loadOptionPriceHistory_)
+ */
+function loadOptionPriceHistorySince_(ss, symbols, since) {
+  const sheet = ss.getSheetByName(OPTION_PRICE_HISTORY_SHEET);
+  if (!sheet || sheet.getLastRow() < 2) return [];
+
+  const symbolSet = new Set(symbols.map(s => String(s).toUpperCase()));
+  const lastRow = sheet.getLastRow();
+  const syms = sheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  const dataDates = sheet.getRange(2, 13, lastRow - 1, 1).getValues();
+  let first = -1;
+  let last = -1;
+  for (let i = 0; i < syms.length; i++) {
+    if (!symbolSet.has(String(syms[i][0]).toUpperCase())) continue;
+    const d = parseDateAtMidnight_(dataDates[i][0]);
+    if (!d || d < since) continue;
+    if (first < 0) first = i;
+    last = i;
+  }
+  if (first < 0) return [];
+
+  const block = sheet.getRange(2 + first, 1, last - first + 1, OPTION_PRICE_HISTORY_HEADERS.length).getValues();
+  return parseOptionRows_([OPTION_PRICE_HISTORY_HEADERS, ...block], symbols)
+    .filter(o => o.dataDate && o.dataDate >= since);
+}
+
+/**
+ * Lists the dataDates archived for a symbol, oldest first.
+ * @param {Spreadsheet} ss
+ * @param {string} symbol
+ * @returns {Date[]}
+ */
+function listOptionPriceSnapshotDates_(ss, symbol) {
+  const sheet = ss.getSheetByName(OPTION_PRICE_HISTORY_SHEET);
+  if (!sheet) return [];
+
+  const sym = String(symbol || "").toUpperCase();
+  const byTime = new Map();
+  for (const key of getArchivedSnapshots_(sheet)) {
+    const [keySym, , dataDateStr] = key.split("|");
+    if (keySym !== sym) continue;
+    const d = parseDateAtMidnight_(dataDateStr);
+    if (d) byTime.set(d.getTime(), d);
+  }
+  return Array.from(byTime.values()).sort((a, b) => a - b);
+}
+
+/**
+ * Test snapshot keys, duplicate detection, snapshot dates, retention, the row cap and
+ * windowed loading on an in-memory sheet.
+ */
+function test_optionPriceHistory() {
+  assertEqual(optionSnapshotKey_("tsla", new Date(2026, 5, 18), "3/2/2026"), "TSLA|6/18/2026|3/2/2026", "snapshot key");
+
+  const grid = [];
+  let created = false;
+  const sheet = {
+    getLastRow: () => grid.length,
+    setFrozenRows: () => {},
+    getRange: (row, col, numRows = 1, numCols = 1) => {
+      const range = {
+        getValues: () => grid.slice(row - 1, row - 1 + numRows).map(r => r.slice(col - 1, col - 1 + numCols)),
+        setValues: (values) => {
+          values.forEach((v, i) => {
+            grid[row - 1 + i] = grid[row - 1 + i] || [];
+            v.forEach((x, j) => grid[row - 1 + i][col - 1 + j] = x);
+          });
+          return range;
+        },
+        clearContent: () => { grid.splice(row - 1, numRows); return range; },
+        setNumberFormat: () => range,
+        setFontWeight: () => range
+      };
+      return range;
+    }
+  };
+  const ss = {
+    getSheetByName: (name) => name === OPTION_PRICE_HISTORY_SHEET && created ? sheet : null,
+    insertSheet: () => { created = true; return sheet; }
+  };
+
+  const daysAgo = (n) => {
+    const d = new Date();
+    d.setHours(0, 0, 0, 0);
+    d.setDate(d.getDate() - n);
+    return d;
+  };
+  const file = (symbol, expStr, dataDate) => ({
+    symbol, expStr, dataDate, dataDateStr: formatDateMDYYYY_(dataDate),
+    rows: [[symbol, parseDateAtMidnight_(expStr), 100, "Call", 1, 1.1, 1.2, 0.5, 0.5, 10, 100, 0, dataDate]]
+  });
+
+  let result = archiveOptionPrices_(ss, [file("TSLA", "6/18/2027", daysAgo(1)), file("TSLA", "6/18/2027", daysAgo(2)),
+    file("AMZN", "6/18/2027", daysAgo(1))]);
+  assertEqual(result.archived.length, 3, "new snapshots archived");
+  assertEqual(grid.length, 4, "header + 3 rows");
+
+  result = archiveOptionPrices_(ss, [file("TSLA", "6/18/2027", daysAgo(1)), file("TSLA", "12/17/2027", daysAgo(1)),
+    file("TSLA", "12/17/2027", daysAgo(1))]);
+  assertEqual(result.archived.length, 1, "only the new expiration is archived");
+  assertEqual(result.duplicates.length, 2, "archived earlier or earlier in the same upload");
+  assertEqual(grid.length, 5, "duplicates add no rows");
+
+  const dates = listOptionPriceSnapshotDates_(ss, "tsla");
+  assertEqual(dates.length, 2, "distinct dataDates for the symbol");
+  assertEqual(dates[0].getTime(), daysAgo(2).getTime(), "oldest first");
+  assertEqual(listOptionPriceSnapshotDates_(ss, "NVDA").length, 0, "unknown symbol");
+
+  result = archiveOptionPrices_(ss, [file("TSLA", "6/18/2027", daysAgo(800))]);
+  assertEqual(result.expired.length, 1, "file older than retention is not archived");
+  archiveOptionPrices_(ss, [file("TSLA", "6/18/2027", daysAgo(800))], 0);
+  assertEqual(listOptionPriceSnapshotDates_(ss, "TSLA").length, 3, "retention 0 keeps everything");
+
+  result = archiveOptionPrices_(ss, []);
+  assertEqual(result.pruned, 1, "old snapshot pruned on the next upload");
+  assertEqual(grid.length, 5, "remaining rows kept");
+  assertEqual(listOptionPriceSnapshotDates_(ss, "TSLA").length, 2, "pruned date no longer listed");
+
+  // Row cap drops whole dates, oldest first, and always keeps the newest
+  const counts = new Map([[1, 3], [2, 4], [3, 5]]);
+  assertEqual(rowCapCutoff_(counts, 12), null, "within the cap");
+  assertEqual(rowCapCutoff_(counts, 9).getTime(), 2, "oldest date dropped");
+  assertEqual(rowCapCutoff_(counts, 2).getTime(), 3, "newest date kept");
+
+  // 4 rows archived (2 days ago: 1, yesterday: 3); a new row would make 5
+  result = archiveOptionPrices_(ss, [file("TSLA", "6/18/2027", daysAgo(0))], 0, 4);
+  assertEqual(result.archived.length, 1, "new snapshot archived under the cap");
+  assertEqual(result.pruned, 1, "oldest date pruned to make room");
+  assertEqual(grid.length, 5, "header + 4 rows");
+
+  // Windowed load: only matching symbols on or after the date
+  assertEqual(loadOptionPriceHistorySince_(ss, ["TSLA"], daysAgo(1)).length, 3, "TSLA since yesterday");
+  assertEqual(loadOptionPriceHistorySince_(ss, ["tsla"], daysAgo(0)).length, 1, "TSLA today");
+  assertEqual(loadOptionPriceHistorySince_(ss, ["AMZN"], daysAgo(0)).length, 0, "nothing that recent");
+}
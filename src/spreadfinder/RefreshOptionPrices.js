@@ -16,6 +16,8 @@
  * - expiration is stored as a REAL Date (midnight) for proper sorting/date math
  * - dataDate is extracted from filename (MM-DD-YYYY.csv pattern) or defaults to upload date
  * - getOptionQuote_/XLookupByKeys normalizes Dates to day-strings for cache keys
+ * - The stock price implied by each symbol's Moneyness column is saved to the Prices sheet
+ * - Forward, spot and rate implied by put-call parity are saved to the ImpliedParity sheet
  */
 
 /**
@@ -215,6 +217,14 @@ function uploadOptionPrices(files, replaceAll, confirmed) {
     }
   }
 
+  // Every file goes to the append-only archive, even ones too old for the latest-prices sheet
+  let archive = null;
+  try {
+    archive = archiveOptionPrices_(ss, parsedFiles);
+  } catch (e) {
+    log.warn("upload", "Could not archive option prices: " + e);
+  }
+
   // Get or create sheet
   let sheet = ss.getSheetByName(SHEET_NAME);
   if (!sheet) {
@@ -322,9 +332,81 @@ function uploadOptionPrices(files, replaceAll, confirmed) {
     XLookupByKeys_WarmCache(SHEET_NAME, ["symbol", "expiration", "strike", "type"], ["bid", "mid", "ask", "iv", "delta", "volume", "openint", "moneyness"]);
   } catch (e) {}
 
+  // Capture each symbol's stock price from its newest file (Prices sheet UploadPrice)
+  const capturedBySymbol = {};
+  for (const pf of parsedFiles) {
+    const price = stockPriceFromMoneyness_(pf.rows);
+    if (!price) continue;
+    const prev = capturedBySymbol[pf.symbol];
+    if (!prev || pf.dataDate > prev.dataDate) {
+      capturedBySymbol[pf.symbol] = { symbol: pf.symbol, price, dataDate: pf.dataDate, dataDateStr: pf.dataDateStr };
+    }
+  }
+  const captured = Object.values(capturedBySymbol);
+  try {
+    recordUploadPrices_(ss, captured);
+  } catch (e) {
+    log.warn("upload", "Could not record stock prices: " + e);
+  }
+
+  // Forward, spot and rate implied by put-call parity per expiration (ImpliedParity sheet)
+  let parityFits = [];
+  try {
+    parityFits = recordImpliedParity_(ss, parsedFiles, replaceAll);
+  } catch (e) {
+    log.warn("upload", "Could not infer put-call parity: " + e);
+  }
+
+  // Crossed/locked markets, arbitrage violations and IV outliers (PriceIssues sheet)
+  let priceIssues = [];
+  try {
+    priceIssues = recordPriceIssues_(ss, parsedFiles, replaceAll);
+  } catch (e) {
+    log.warn("upload", "Could not validate option chains: " + e);
+  }
+
+  // Both history sheets are updated from the oldest newly archived date on
+  const archivedSymbols = archive ? Array.from(new Set(archive.archived.map(pf => pf.symbol))) : [];
+  const since = archivedSymbols.length > 0
+    ? new Date(Math.min(...archive.archived.map(pf => pf.dataDate.getTime())))
+    : null;
+
+  // Revalue Portfolio groups on the new archived dates (ValueHistory sheet)
+  let valueHistoryRows = 0;
+  if (since && getNamedRangeWithTableFallback_(ss, "Portfolio")) {
+    try {
+      valueHistoryRows = updateValueHistory_(ss, since).length;
+    } catch (e) {
+      log.warn("upload", "Could not update value history: " + e);
+    }
+  }
+
+  // ATM and constant-maturity IV, IV rank and percentile (IVHistory sheet)
+  const ivStats = [];
+  if (since) {
+    try {
+      updateIvHistory_(ss, archivedSymbols, since);
+      for (const symbol of archivedSymbols) {
+        const stats = getIvStats_(ss, symbol);
+        if (stats) ivStats.push({ symbol, stats });
+      }
+    } catch (e) {
+      log.warn("upload", "Could not update IV history: " + e);
+    }
+  }
+
   // Build summary
   let summary = "";
 
+  if (archive && (archive.archived.length > 0 || archive.duplicates.length > 0)) {
+    summary += `Archived ${archive.archived.length} snapshot(s) to OptionPriceHistory`;
+    summary += archive.duplicates.length > 0 ? ` (${archive.duplicates.length} already archived).\n\n` : ".\n\n";
+  }
+  if (archive && (archive.expired.length > 0 || archive.pruned > 0)) {
+    summary += `Past the archive's ${OPTION_PRICE_HISTORY_RETENTION_DAYS}-day or ${OPTION_PRICE_HISTORY_MAX_ROWS}-row limit: ` +
+      `${archive.expired.length} file(s) not archived, ${archive.pruned} archived row(s) pruned.\n\n`;
+  }
+
   if (parsedFiles.length > 0) {
     const mode = replaceAll ? "Replaced all" : "Merged";
     summary += `${mode}: ${allRows.length} option prices from ${parsedFiles.length} file(s).\n\n`;
@@ -334,9 +416,42 @@ function uploadOptionPrices(files, replaceAll, confirmed) {
     }
   }
 
+  if (captured.length > 0) {
+    summary += "\nStock prices captured (Prices sheet):\n";
+    for (const c of captured) {
+      summary += `  • ${c.symbol} $${c.price.toFixed(2)} (data from ${c.dataDateStr})\n`;
+    }
+  }
+
+  if (parityFits.length > 0) {
+    summary += "\nPut-call parity (ImpliedParity sheet):\n";
+    for (const f of parityFits) {
+      const rate = f.rate === null ? "rate n/a" : `rate ${(f.rate * 100).toFixed(2)}%`;
+      summary += `  • ${f.symbol} exp ${formatDateMDYYYY_(f.expiration)}: spot $${f.spot.toFixed(2)}, forward $${f.forward.toFixed(2)}, ${rate}\n`;
+    }
+  }
+
+  if (priceIssues.length > 0) {
+    summary += "\nData quality (PriceIssues sheet):\n";
+    for (const res of priceIssues) {
+      summary += `  • ${res.symbol} exp ${res.expStr}: ${summarizePriceIssues_(res.issues)}\n`;
+    }
+  }
+
+  if (ivStats.length > 0) {
+    summary += "\nImplied volatility (IVHistory sheet):\n";
+    for (const iv of ivStats) {
+      summary += `  • ${iv.symbol}: ${describeIvStats_(iv.stats)}\n`;
+    }
+  }
+
+  if (valueHistoryRows > 0) {
+    summary += "\nValueHistory sheet updated with the new snapshot date(s).\n";
+  }
+
   if (skippedFiles.length > 0) {
     if (summary) summary += "\n";
-    summary += `Skipped ${skippedFiles.length} file(s) with older data:\n`;
+    summary += `Kept ${skippedFiles.length} file(s) with older data in the archive only:\n`;
     for (const sf of skippedFiles) {
       summary += `  • ${sf.symbol} exp ${sf.expStr} (uploaded ${sf.uploadedDate}, existing ${sf.existingDate})\n`;
     }
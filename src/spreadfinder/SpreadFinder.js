@@ -1,9 +1,9 @@
 /**
  * SpreadFinder.js
- * Analyzes OptionPricesUploaded to find and rank bull call spread opportunities.
+ * Analyzes OptionPricesUploaded to find and rank bull call and bull put spread opportunities.
  *
- * Config is stored in hidden per-symbol sheets: _<Symbol>CallSpreadFinderConfig
- * Results are written to <Symbol>CallSpreads sheets.
+ * Config is stored in hidden per-symbol sheets: _<Symbol>CallSpreadFinderConfig, _<Symbol>PutSpreadFinderConfig
+ * Results are written to <Symbol>CallSpreads and <Symbol>PutSpreads sheets.
  * Outlook data lives in the Outlook sheet.
  *
  * Related files:
@@ -23,7 +23,7 @@
 function showCallSpreadFinderDialog() {
   const html = HtmlService.createHtmlOutputFromFile('ui/CallSpreadFinderDialog')
     .setWidth(450)
-    .setHeight(520);
+    .setHeight(640);
   SpreadsheetApp.getUi().showModalDialog(html, 'Call Spread Finder');
 }
 
@@ -33,6 +33,28 @@ function showCallSpreadFinderDialog() {
  */
 function getCallSpreadFinderDialogData() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const choices = getSymbolExpirationChoices_(ss);
+
+  // Load saved config for each symbol
+  const configBySymbol = {};
+  for (const sym of choices.symbols) {
+    configBySymbol[sym] = loadCallSpreadConfig_(ss, sym);
+  }
+
+  return {
+    symbols: choices.symbols,
+    expirationsBySymbol: choices.expirationsBySymbol,
+    configBySymbol: configBySymbol
+  };
+}
+
+/**
+ * Reads the symbols and expirations available in OptionPricesUploaded.
+ * Shared by the spread finder dialogs.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @returns {{symbols: string[], expirationsBySymbol: Object<string, Array<{value: string, label: string}>>}}
+ */
+function getSymbolExpirationChoices_(ss) {
   const sheet = ss.getSheetByName(OPTION_PRICES_SHEET);
 
   if (!sheet) {
@@ -98,16 +120,9 @@ function getCallSpreadFinderDialogData() {
       }));
   }
 
-  // Load saved config for each symbol
-  const configBySymbol = {};
-  for (const sym of sortedSymbols) {
-    configBySymbol[sym] = loadCallSpreadConfig_(ss, sym);
-  }
-
   return {
     symbols: sortedSymbols,
-    expirationsBySymbol: formattedExpirationsBySymbol,
-    configBySymbol: configBySymbol
+    expirationsBySymbol: formattedExpirationsBySymbol
   };
 }
 
@@ -123,8 +138,9 @@ function runCallSpreadFinder(symbol, config) {
   // Save config to hidden sheet
   saveCallSpreadConfig_(ss, symbol, config);
 
-  // Ensure Outlook sheet exists
+  // Ensure Outlook and PricingConfig sheets exist
   ensureOutlookSheet_(ss);
+  ensurePricingConfigSheet_(ss);
 
   // Parse selected expirations
   const selectedExpirations = new Set(
@@ -139,9 +155,13 @@ function runCallSpreadFinder(symbol, config) {
   const options = loadOptionData_(ss, [symbol], selectedExpirations);
   log.info("spreadFinder", "Loaded " + options.length + " options for " + symbol);
 
-  // Filter to calls only
-  const calls = options.filter(o => o.type === "Call");
-  log.debug("spreadFinder", "Filtered to " + calls.length + " calls");
+  // Filter to calls only, dropping quotes flagged on the PriceIssues sheet if asked
+  let calls = options.filter(o => o.type === "Call");
+  let flaggedExcluded = 0;
+  if (config.excludeFlagged) {
+    ({ options: calls, excluded: flaggedExcluded } = excludeFlaggedOptions_(ss, calls));
+  }
+  log.debug("spreadFinder", "Filtered to " + calls.length + " calls" + (flaggedExcluded ? ` (${flaggedExcluded} flagged excluded)` : ""));
 
   if (calls.length === 0) {
     throw new Error("No call options found for " + symbol + " with selected expirations");
@@ -150,9 +170,13 @@ function runCallSpreadFinder(symbol, config) {
   // Group by expiration
   const grouped = groupBySymbolExpiration_(calls);
 
-  // Derive current price from ATM calls
-  const currentPrice = estimateCurrentPrice_(calls);
-  log.debug("spreadFinder", "Estimated current price: " + currentPrice);
+  // Current price: Prices sheet override, upload capture, parity or GOOGLEFINANCE
+  const underlying = getUnderlyingPrice_(ss, symbol, { chain: options });
+  const currentPrice = underlying.price || 0;
+  log.debug("spreadFinder", "Current price: " + describeUnderlyingPrice_(underlying));
+
+  // Rate/dividend assumptions (per expiration in the loop below); derive missing deltas from IV
+  fillMissingDeltas_(options, currentPrice, getPricingParams_(ss, symbol));
 
   // Generate and score all spreads
   const spreads = [];
@@ -166,7 +190,8 @@ function runCallSpreadFinder(symbol, config) {
     const chainConfig = {
       ...config,
       currentPrice: currentPrice,
-      outlook: outlook
+      outlook: outlook,
+      pricing: getPricingParams_(ss, symbol, expDate)
     };
 
     const chainSpreads = generateCallSpreads_(chain, chainConfig);
@@ -180,11 +205,7 @@ function runCallSpreadFinder(symbol, config) {
   // Filter by config constraints
   const filtered = spreads.filter(s => {
     s.held = conflicts.has(`${s.symbol}|${s.lowerStrike}|${s.expiration}`);
-    return s.debit > 0 &&
-      s.roi >= config.minROI &&
-      s.liquidityScore >= config.minLiquidityScore &&
-      s.lowerStrike >= config.minStrike &&
-      s.upperStrike <= config.maxStrike;
+    return meetsCallSpreadCriteria_(s, config);
   });
   log.info("spreadFinder", "Filtered to " + filtered.length + " spreads meeting criteria");
 
@@ -196,12 +217,158 @@ function runCallSpreadFinder(symbol, config) {
   const outputSheet = ensureSpreadsSheet_(ss, sheetName);
   outputSpreadResults_(outputSheet, filtered, config);
 
+  // Volatility context next to the timestamp
+  const ivStats = getIvStats_(ss, symbol);
+  outputSheet.getRange(1, 3).setValue("IV: " + describeIvStats_(ivStats));
+
   // Show summary
   SpreadsheetApp.getUi().alert(
     "Call Spread Finder Complete",
     `Symbol: ${symbol}\n` +
+    `Current price: ${describeUnderlyingPrice_(underlying)}\n` +
+    `IV: ${describeIvStats_(ivStats)}\n` +
     `Options loaded: ${options.length}\n` +
     `Calls found: ${calls.length}\n` +
+    (config.excludeFlagged ? `Flagged options excluded: ${flaggedExcluded}\n` : "") +
+    `Spreads generated: ${spreads.length}\n` +
+    `After filtering: ${filtered.length}`,
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
+
+/**
+ * Shows the Put Spread Finder modal dialog.
+ */
+function showPutSpreadFinderDialog() {
+  const html = HtmlService.createHtmlOutputFromFile('ui/PutSpreadFinderDialog')
+    .setWidth(450)
+    .setHeight(560);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Put Spread Finder');
+}
+
+/**
+ * Gets data for the Put Spread Finder dialog.
+ * Returns symbols, expirations per symbol, and saved put spread config per symbol.
+ */
+function getPutSpreadFinderDialogData() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const choices = getSymbolExpirationChoices_(ss);
+
+  const configBySymbol = {};
+  for (const sym of choices.symbols) {
+    configBySymbol[sym] = loadPutSpreadConfig_(ss, sym);
+  }
+
+  return {
+    symbols: choices.symbols,
+    expirationsBySymbol: choices.expirationsBySymbol,
+    configBySymbol: configBySymbol
+  };
+}
+
+/**
+ * Runs Put Spread Finder for a single symbol with the given config.
+ * Called from the dialog.
+ * @param {string} symbol - Stock symbol
+ * @param {Object} config - Config from dialog
+ */
+function runPutSpreadFinder(symbol, config) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  // Save config to hidden sheet
+  savePutSpreadConfig_(ss, symbol, config);
+
+  // Ensure Outlook and PricingConfig sheets exist
+  ensureOutlookSheet_(ss);
+  ensurePricingConfigSheet_(ss);
+
+  const selectedExpirations = new Set(
+    (config.selectedExpirations || "").split(",").filter(Boolean)
+  );
+
+  if (selectedExpirations.size === 0) {
+    throw new Error("No expirations selected");
+  }
+
+  // Load option data for this symbol and selected expirations
+  const options = loadOptionData_(ss, [symbol], selectedExpirations);
+  log.info("spreadFinder", "Loaded " + options.length + " options for " + symbol);
+
+  // Filter to puts only, dropping quotes flagged on the PriceIssues sheet if asked
+  let puts = options.filter(o => o.type === "Put");
+  let flaggedExcluded = 0;
+  if (config.excludeFlagged) {
+    ({ options: puts, excluded: flaggedExcluded } = excludeFlaggedOptions_(ss, puts));
+  }
+  log.debug("spreadFinder", "Filtered to " + puts.length + " puts" + (flaggedExcluded ? ` (${flaggedExcluded} flagged excluded)` : ""));
+
+  if (puts.length === 0) {
+    throw new Error("No put options found for " + symbol + " with selected expirations");
+  }
+
+  const grouped = groupBySymbolExpiration_(puts);
+
+  // Current price: Prices sheet override, upload capture, parity or GOOGLEFINANCE
+  const underlying = getUnderlyingPrice_(ss, symbol, { chain: options });
+  const currentPrice = underlying.price || 0;
+  log.debug("spreadFinder", "Current price: " + describeUnderlyingPrice_(underlying));
+
+  // Rate/dividend assumptions (per expiration in the loop below); derive missing deltas from IV
+  fillMissingDeltas_(options, currentPrice, getPricingParams_(ss, symbol));
+
+  // Generate and score all spreads
+  const spreads = [];
+  for (const key of Object.keys(grouped)) {
+    const chain = grouped[key];
+    const expDate = parseDateAtMidnight_(chain[0].expiration);
+
+    const outlook = getOutlookForExpiration_(ss, symbol, expDate, currentPrice);
+
+    const chainConfig = {
+      ...config,
+      currentPrice: currentPrice,
+      outlook: outlook,
+      pricing: getPricingParams_(ss, symbol, expDate)
+    };
+
+    spreads.push(...generatePutSpreads_(chain, chainConfig));
+  }
+  log.info("spreadFinder", "Generated " + spreads.length + " put spreads");
+
+  // Load held positions
+  const conflicts = loadHeldPositions_(ss);
+
+  // Filter by config constraints
+  const filtered = spreads.filter(s => {
+    // Long (protective) put conflicts with an existing short at the same strike
+    s.held = conflicts.has(`${s.symbol}|${s.lowerStrike}|${s.expiration}`);
+    return s.credit > 0 &&
+      s.roi >= config.minROI &&
+      s.probOTM >= config.minProbOTM &&
+      s.liquidityScore >= config.minLiquidityScore &&
+      s.lowerStrike >= config.minStrike &&
+      s.upperStrike <= config.maxStrike;
+  });
+  log.info("spreadFinder", "Filtered to " + filtered.length + " put spreads meeting criteria");
+
+  // Sort by fitness (descending)
+  filtered.sort((a, b) => b.fitness - a.fitness);
+
+  // Output to <Symbol>PutSpreads sheet
+  const outputSheet = ensureSpreadsSheet_(ss, symbol + "PutSpreads");
+  outputPutSpreadResults_(outputSheet, filtered, config);
+
+  const ivStats = getIvStats_(ss, symbol);
+  outputSheet.getRange(1, 3).setValue("IV: " + describeIvStats_(ivStats));
+
+  SpreadsheetApp.getUi().alert(
+    "Put Spread Finder Complete",
+    `Symbol: ${symbol}\n` +
+    `Current price: ${describeUnderlyingPrice_(underlying)}\n` +
+    `IV: ${describeIvStats_(ivStats)}\n` +
+    `Options loaded: ${options.length}\n` +
+    `Puts found: ${puts.length}\n` +
+    (config.excludeFlagged ? `Flagged options excluded: ${flaggedExcluded}\n` : "") +
     `Spreads generated: ${spreads.length}\n` +
     `After filtering: ${filtered.length}`,
     SpreadsheetApp.getUi().ButtonSet.OK
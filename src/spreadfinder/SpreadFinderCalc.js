@@ -35,22 +35,24 @@ function calcLiquidityScore(bid, ask, volume, openInterest) {
 
 /**
  * Calculates the Expected Gain for a Bull Call Spread based on an 80%-of-max-profit early exit.
- * Uses the "Rule of Touch" (probTouch ≈ 1.6x delta) to estimate probability of reaching target.
+ * The probability of reaching the target comes from the selected probability model
+ * (see calcTargetProbability_). Without one, uses the "Rule of Touch" (probTouch ≈ 1.6x delta).
  * @param {number} longMid The mid price of the lower (long) leg.
  * @param {number} shortMid The mid price of the upper (short) leg.
  * @param {number} longStrike The strike price of the lower leg.
  * @param {number} shortStrike The strike price of the upper leg.
  * @param {number} shortDelta The delta of the upper (short) leg.
+ * @param {number} [probTarget] Probability of reaching the short strike, overrides the delta rule.
  * @return {number} The expected dollar gain per spread.
  */
-function calculateExpectedGain(longMid, shortMid, longStrike, shortStrike, shortDelta) {
+function calculateExpectedGain(longMid, shortMid, longStrike, shortStrike, shortDelta, probTarget) {
   const netDebit = longMid - shortMid;
   const spreadWidth = shortStrike - longStrike;
   const maxProfit = spreadWidth - netDebit;
   const targetProfit = maxProfit * 0.80;
 
-  // Prob(Touch) ≈ 1.6x short delta, capped at 95%
-  const probTouch = Math.min(shortDelta * 1.6, 0.95);
+  // Prob(Touch) from the model, or ≈ 1.6x short delta capped at 95%
+  const probTouch = Number.isFinite(probTarget) ? probTarget : Math.min(shortDelta * 1.6, 0.95);
   const probLoss = 1 - probTouch;
 
   // EV = (Prob of Win * Win Amount) + (Prob of Loss * Loss Amount)
@@ -58,21 +60,121 @@ function calculateExpectedGain(longMid, shortMid, longStrike, shortStrike, short
 }
 
 /**
- * Estimates current stock price from call options by finding the strike with delta closest to 0.5.
- * @param {Array} calls Array of call option objects with delta and strike.
- * @return {number} Estimated current stock price.
+ * Calculates the Expected Gain for a Bull Put Spread held to expiration.
+ * Probability of expiring OTM is estimated from the short (upper) put's delta.
+ * @param {number} longMid The mid price of the lower (long) put.
+ * @param {number} shortMid The mid price of the upper (short) put.
+ * @param {number} longStrike The strike price of the lower put.
+ * @param {number} shortStrike The strike price of the upper put.
+ * @param {number} shortDelta The delta of the upper (short) put (sign ignored).
+ * @return {number} The expected dollar gain per spread.
  */
-function estimateCurrentPrice_(calls) {
-  let bestDelta = Infinity;
-  let bestStrike = 0;
-  for (const c of calls) {
-    const dist = Math.abs(Math.abs(c.delta) - 0.5);
-    if (dist < bestDelta) {
-      bestDelta = dist;
-      bestStrike = c.strike;
-    }
+function calculatePutSpreadExpectedGain(longMid, shortMid, longStrike, shortStrike, shortDelta) {
+  const credit = shortMid - longMid;
+  const maxLoss = (shortStrike - longStrike) - credit;
+
+  // Prob(OTM) ≈ 1 - |short delta|
+  const probOTM = Math.max(0, Math.min(1, 1 - Math.abs(shortDelta)));
+
+  // EV = (Prob of keeping credit * credit) + (Prob of loss * -maxLoss)
+  return (probOTM * credit) + ((1 - probOTM) * -maxLoss);
+}
+
+/**
+ * Outlook price boost for a vertical spread, based on the pro-rated target.
+ * Spreads that finish fully in-the-money (calls) or fully out-of-the-money (puts)
+ * when the stock reaches the target get boosted; spreads above the target are penalized.
+ * @param {number} lowerStrike - Lower strike of the spread
+ * @param {number} upperStrike - Upper strike of the spread
+ * @param {Object|null} outlook - { proRatedTarget, confidence } from getOutlookForExpiration_
+ * @returns {number} Multiplier for fitness (1 = neutral)
+ */
+function calcOutlookPriceBoost_(lowerStrike, upperStrike, outlook) {
+  if (!outlook || !(outlook.proRatedTarget > 0) || !(outlook.confidence > 0)) return 1;
+
+  const target = outlook.proRatedTarget;
+  const conf = outlook.confidence;
+  const width = upperStrike - lowerStrike;
+
+  if (lowerStrike >= target) {
+    // Both strikes above target — graduated penalty
+    const overshoot = (lowerStrike - target) / target;
+    return 1 - conf * 0.5 * overshoot;
+  }
+  if (upperStrike <= target) {
+    // Both strikes below target — full boost by proximity
+    return 1 + conf * (upperStrike / target);
+  }
+  // Straddles target — partial boost
+  const captured = (target - lowerStrike) / width;
+  return 1 + conf * captured * 0.5;
+}
+
+/**
+ * Outlook date boost: rewards expirations that leave time for the outlook to play out.
+ * Expirations on or after the target date get a slight boost that fades for much later dates
+ * (+20% x confidence at the target date, half that one year later).
+ * Expirations before the target date are penalized by the fraction of the wait they miss
+ * (up to -50% x confidence).
+ * @param {Date} expirationDate - Spread expiration
+ * @param {Object|null} outlook - { targetDate, confidence } from getOutlookForExpiration_
+ * @returns {number} Multiplier for fitness (1 = neutral)
+ */
+function calcOutlookDateBoost_(expirationDate, outlook) {
+  if (!outlook || !outlook.targetDate || !(outlook.confidence > 0) || !expirationDate) return 1;
+
+  const msPerDay = 1000 * 60 * 60 * 24;
+  const conf = outlook.confidence;
+  const daysAfter = (expirationDate.getTime() - outlook.targetDate.getTime()) / msPerDay;
+
+  if (daysAfter >= 0) {
+    // After target date — slight boost with falloff
+    return 1 + conf * 0.2 / (1 + daysAfter / 365);
   }
-  return bestStrike || 0;
+
+  // Before target date — may expire before the move happens
+  const now = new Date();
+  now.setHours(0, 0, 0, 0);
+  const daysToTarget = Math.max(1, (outlook.targetDate.getTime() - now.getTime()) / msPerDay);
+  const missed = Math.min(1, -daysAfter / daysToTarget);
+  return 1 - conf * 0.5 * missed;
+}
+
+/**
+ * Fills in Black-Scholes delta for options uploaded without a Delta column.
+ * Uses each option's IV; options with neither delta nor IV are left unchanged.
+ * @param {Array} options Array of option objects (modified in place).
+ * @param {number} currentPrice Current stock price.
+ * @param {Object} pricing {riskFreeRate, dividendYield} from getPricingParams_.
+ * @return {number} Number of deltas filled.
+ */
+function fillMissingDeltas_(options, currentPrice, pricing) {
+  if (!(currentPrice > 0)) return 0;
+  const now = Date.now();
+  let filled = 0;
+  for (const o of options) {
+    if (o.delta || !(o.iv > 0)) continue;
+    const expDate = parseDateAtMidnight_(o.expiration);
+    if (!expDate) continue;
+    const t = Math.max(0, (expDate.getTime() - now) / (1000 * 60 * 60 * 24 * 365));
+    o.delta = bsGreeks_(currentPrice, o.strike, t, pricing.riskFreeRate, o.iv, o.type, pricing.dividendYield).delta;
+    filled++;
+  }
+  return filled;
+}
+
+/**
+ * True if a call spread meets the finder's debit, ROI, liquidity and strike-range settings.
+ * @param {{debit, roi, liquidityScore, lowerStrike, upperStrike}} spread
+ * @param {Object} config - Call spread config (minROI, minLiquidityScore, minStrike, maxStrike)
+ * @returns {boolean}
+ */
+function meetsCallSpreadCriteria_(spread, config) {
+  return spread.debit > 0 &&
+    spread.roi >= config.minROI &&
+    spread.liquidityScore >= config.minLiquidityScore &&
+    spread.lowerStrike >= config.minStrike &&
+    spread.upperStrike <= config.maxStrike;
 }
 
 /**
@@ -94,6 +196,19 @@ function generateSpreads_(chain, config) {
 function generateCallSpreads_(chain, config) {
   const spreads = [];
   const n = chain.length;
+  if (n === 0) return spreads;
+
+  // Date boost is the same for every spread in the chain
+  const expDate = parseDateAtMidnight_(chain[0].expiration);
+  const dateBoost = calcOutlookDateBoost_(expDate, config.outlook);
+
+  // Probability model inputs: years to expiration and current price
+  const probabilityModel = config.probabilityModel || "touch";
+  const yearsToExp = Math.max(0, (expDate.getTime() - Date.now()) / (1000 * 60 * 60 * 24 * 365));
+
+  // Monte Carlo paths are shared by every spread in the chain (0 paths = off)
+  const mcModel = config.monteCarloPaths > 0 ? buildMonteCarloModel_(chain, config) : null;
+  const useMonteCarloFitness = config.fitnessSource === "monteCarlo" && mcModel;
 
   for (let i = 0; i < n; i++) {
     const lower = chain[i];
@@ -125,36 +240,22 @@ function generateCallSpreads_(chain, config) {
       const upperLiquidity = calcLiquidityScore(upper.bid, upper.ask, upper.volume, upper.openint);
       const liquidityScore = Math.min(lowerLiquidity, upperLiquidity);
 
-      // Expected gain using probability-of-touch model (80% of max profit target)
-      const expectedGain = calculateExpectedGain(lowerMid, upperMid, lower.strike, upper.strike, Math.abs(upper.delta));
+      // Expected gain using the selected probability model (80% of max profit target)
+      const probTarget = calcTargetProbability_(probabilityModel, upper, config.currentPrice, yearsToExp, config.pricing && config.pricing.riskFreeRate);
+      const expectedGain = calculateExpectedGain(lowerMid, upperMid, lower.strike, upper.strike, Math.abs(upper.delta), probTarget);
       const expectedROI = debit > 0 ? expectedGain / debit : 0;
 
-      // Outlook boost using pro-rated target from Outlook sheet
-      let outlookBoost = 1;
-      const outlook = config.outlook;
-      if (outlook && outlook.proRatedTarget > 0 && outlook.confidence > 0) {
-        const target = outlook.proRatedTarget;
-        const conf = outlook.confidence;
-
-        // Price proximity boost based on pro-rated target
-        let priceBoost;
-        if (lower.strike >= target) {
-          // Both strikes above target — graduated penalty
-          const overshoot = (lower.strike - target) / target;
-          priceBoost = 1 - conf * 0.5 * overshoot;
-        } else if (upper.strike <= target) {
-          // Both strikes below target — full boost by proximity
-          priceBoost = 1 + conf * (upper.strike / target);
-        } else {
-          // Straddles target — partial boost
-          const captured = (target - lower.strike) / width;
-          priceBoost = 1 + conf * captured * 0.5;
-        }
-
-        outlookBoost = priceBoost;
-      }
+      // Monte Carlo P&L distribution with 80% early exit, only for spreads the finder keeps
+      const keep = meetsCallSpreadCriteria_({ debit, roi, liquidityScore, lowerStrike: lower.strike, upperStrike: upper.strike }, config);
+      const mc = mcModel && keep ? simulateCallSpread_(mcModel, lower, upper, debit) : null;
+      const mcROI = mc ? mc.mean / debit : 0;
 
-      const fitness = roundTo_(expectedROI * Math.pow(liquidityScore, 0.2) * outlookBoost, 2);
+      // Outlook boost: price (pro-rated target) x date (expiration vs target date)
+      const priceBoost = calcOutlookPriceBoost_(lower.strike, upper.strike, config.outlook);
+      const outlookBoost = priceBoost * dateBoost;
+
+      const baseROI = useMonteCarloFitness ? mcROI : expectedROI;
+      const fitness = roundTo_(baseROI * Math.pow(liquidityScore, 0.2) * outlookBoost, 2);
 
       spreads.push({
         symbol: lower.symbol,
@@ -163,9 +264,15 @@ function generateCallSpreads_(chain, config) {
         upperStrike: upper.strike,
         width,
         debit,
+        mcMean: mc ? roundTo_(mc.mean, 2) : "",
+        mcMedian: mc ? roundTo_(mc.median, 2) : "",
+        mcPLoss: mc ? roundTo_(mc.pLoss, 2) : "",
+        mcP5: mc ? roundTo_(mc.p5, 2) : "",
+        mcROI: mc ? roundTo_(mcROI, 2) : "",
         maxProfit: roundTo_(maxProfit, 2),
         maxLoss: roundTo_(maxLoss, 2),
         roi: roundTo_(roi, 2),
+        probTarget: roundTo_(probTarget, 2),
         lowerIV: roundTo_(lower.iv || 0, 2),
         lowerDelta: roundTo_(lower.delta, 2),
         upperDelta: roundTo_(upper.delta, 2),
@@ -176,6 +283,11 @@ function generateCallSpreads_(chain, config) {
         expectedGain: roundTo_(expectedGain, 2),
         expectedROI: roundTo_(expectedROI, 2),
         liquidityScore: roundTo_(liquidityScore, 2),
+        proRatedTarget: config.outlook ? config.outlook.proRatedTarget : "",
+        targetDate: config.outlook ? formatDateMDYYYY_(config.outlook.targetDate) : "",
+        priceBoost: roundTo_(priceBoost, 2),
+        dateBoost: roundTo_(dateBoost, 2),
+        outlookBoost: roundTo_(outlookBoost, 2),
         fitness: roundTo_(fitness, 2)
       });
     }
@@ -183,3 +295,138 @@ function generateCallSpreads_(chain, config) {
 
   return spreads;
 }
+
+/**
+ * Generates all valid bull put spreads from a sorted chain of puts.
+ * Each spread sells the upper put and buys the lower put for a net credit.
+ * Scoring mirrors generateCallSpreads_: expected ROI on capital at risk,
+ * weakest-leg liquidity, and the Outlook price boost.
+ * @param {Array} chain - Array of put options sorted by strike
+ * @param {Object} config - Config including outlook data
+ * @returns {Array} Array of spread objects with metrics
+ */
+function generatePutSpreads_(chain, config) {
+  const spreads = [];
+  const n = chain.length;
+  if (n === 0) return spreads;
+
+  // Date boost is the same for every spread in the chain
+  const expDate = parseDateAtMidnight_(chain[0].expiration);
+  const dateBoost = calcOutlookDateBoost_(expDate, config.outlook);
+
+  for (let i = 0; i < n; i++) {
+    const lower = chain[i]; // long put (protection)
+    for (let j = i + 1; j < n; j++) {
+      const upper = chain[j]; // short put (premium)
+      const width = upper.strike - lower.strike;
+
+      // Skip if too wide
+      if (width < config.minSpreadWidth || width > config.maxSpreadWidth) continue;
+
+      // Skip if no valid bid/ask
+      if (upper.bid <= 0 || lower.ask <= 0) continue;
+
+      // Skip if the short put has no delta (no Delta column and no IV to derive one):
+      // 1 - |delta| would claim it can never finish in the money
+      if (!upper.delta) continue;
+
+      // Calculate credit using mid pricing
+      const lowerMid = (lower.bid + lower.ask) / 2;
+      const upperMid = (upper.bid + upper.ask) / 2;
+
+      let credit = upperMid - lowerMid;
+      if (credit < 0) credit = 0;
+      credit = roundTo_(credit, 2);
+
+      // Calculate metrics
+      const maxLoss = width - credit;
+      const roi = maxLoss > 0 ? credit / maxLoss : 0;
+      const probOTM = Math.max(0, Math.min(1, 1 - Math.abs(upper.delta)));
+
+      // Liquidity score: minimum of both legs (weakest link)
+      const lowerLiquidity = calcLiquidityScore(lower.bid, lower.ask, lower.volume, lower.openint);
+      const upperLiquidity = calcLiquidityScore(upper.bid, upper.ask, upper.volume, upper.openint);
+      const liquidityScore = Math.min(lowerLiquidity, upperLiquidity);
+
+      // Expected gain held to expiration, weighted by probability of short leg expiring OTM
+      const expectedGain = calculatePutSpreadExpectedGain(lowerMid, upperMid, lower.strike, upper.strike, upper.delta);
+      const expectedROI = maxLoss > 0 ? expectedGain / maxLoss : 0;
+
+      // Outlook boost: price (pro-rated target) x date (expiration vs target date)
+      const priceBoost = calcOutlookPriceBoost_(lower.strike, upper.strike, config.outlook);
+      const outlookBoost = priceBoost * dateBoost;
+
+      const fitness = roundTo_(expectedROI * Math.pow(liquidityScore, 0.2) * outlookBoost, 2);
+
+      spreads.push({
+        symbol: lower.symbol,
+        expiration: lower.expiration,
+        lowerStrike: lower.strike,
+        upperStrike: upper.strike,
+        width,
+        credit,
+        maxLoss: roundTo_(maxLoss, 2),
+        roi: roundTo_(roi, 2),
+        probOTM: roundTo_(probOTM, 2),
+        shortIV: roundTo_(upper.iv || 0, 2),
+        lowerDelta: roundTo_(lower.delta, 2),
+        upperDelta: roundTo_(upper.delta, 2),
+        lowerOI: lower.openint,
+        upperOI: upper.openint,
+        lowerVol: lower.volume,
+        upperVol: upper.volume,
+        expectedGain: roundTo_(expectedGain, 2),
+        expectedROI: roundTo_(expectedROI, 2),
+        liquidityScore: roundTo_(liquidityScore, 2),
+        proRatedTarget: config.outlook ? config.outlook.proRatedTarget : "",
+        targetDate: config.outlook ? formatDateMDYYYY_(config.outlook.targetDate) : "",
+        priceBoost: roundTo_(priceBoost, 2),
+        dateBoost: roundTo_(dateBoost, 2),
+        outlookBoost: roundTo_(outlookBoost, 2),
+        fitness: roundTo_(fitness, 2)
+      });
+    }
+  }
+
+  return spreads;
+}
+
+/**
+ * Test bull put spread metrics on a hand-built chain.
+ */
+function test_generatePutSpreads() {
+  const put = (strike, bid, ask, delta) =>
+    ({ symbol: "TSLA", expiration: "12/18/2026", strike, bid, ask, delta, iv: 0.5, volume: 1000, openint: 10000 });
+  const chain = [put(90, 1.0, 1.2, -0.15), put(100, 3.0, 3.4, -0.30), put(110, 6.0, 6.6, 0)];
+  const spreads = generatePutSpreads_(chain, { minSpreadWidth: 5, maxSpreadWidth: 50, outlook: null });
+
+  assertEqual(spreads.length, 1, "spreads selling the put without delta are skipped");
+  const s = spreads[0];
+  assertEqual(s.width, 10, "width");
+  assertEqual(s.credit, 2.1, "credit = short mid 3.20 - long mid 1.10", 1e-9);
+  assertEqual(s.maxLoss, 7.9, "max loss = width - credit", 1e-9);
+  assertEqual(s.roi, 0.27, "ROI = 2.10 / 7.90", 1e-9);
+  assertEqual(s.probOTM, 0.7, "probOTM = 1 - |short delta|", 1e-9);
+  // 0.7 x 2.10 - 0.3 x 7.90 = -0.90
+  assertEqual(s.expectedGain, -0.9, "expected gain", 1e-9);
+  assertEqual(s.expectedROI, -0.11, "expected ROI", 1e-9);
+}
+
+/**
+ * Test outlook date boost for expirations before, at and after the target date.
+ */
+function test_calcOutlookDateBoost() {
+  const day = 24 * 60 * 60 * 1000;
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const target = new Date(today.getTime() + 100 * day);
+  const outlook = { targetDate: target, confidence: 0.5 };
+  const exp = days => new Date(today.getTime() + days * day);
+
+  assertEqual(calcOutlookDateBoost_(exp(100), null), 1, "no outlook = neutral");
+  assertEqual(calcOutlookDateBoost_(exp(100), { targetDate: target, confidence: 0 }), 1, "zero confidence = neutral");
+  assertEqual(calcOutlookDateBoost_(exp(100), outlook), 1.1, "at target: 1 + 0.5 x 0.2", 1e-9);
+  assertEqual(calcOutlookDateBoost_(exp(465), outlook), 1.05, "a year after target: boost halves", 1e-9);
+  assertEqual(calcOutlookDateBoost_(exp(50), outlook), 0.875, "halfway to target: 1 - 0.5 x 0.5 x 0.5", 1e-9);
+  assertEqual(calcOutlookDateBoost_(exp(-10), outlook), 0.75, "already expired: full penalty", 1e-9);
+}
@@ -19,6 +19,15 @@ function getCallSpreadConfigSheetName_(symbol) {
   return `_${symbol.toUpperCase()}CallSpreadFinderConfig`;
 }
 
+/**
+ * Gets the hidden config sheet name for a symbol's put spread finder.
+ * @param {string} symbol - The stock symbol
+ * @returns {string} Sheet name like "_TSLAPutSpreadFinderConfig"
+ */
+function getPutSpreadConfigSheetName_(symbol) {
+  return `_${symbol.toUpperCase()}PutSpreadFinderConfig`;
+}
+
 /** Test function to verify file loads */
 function testSpreadFinderLoaded() {
   return "SpreadFinder.js loaded OK";
@@ -30,7 +39,7 @@ function testSpreadFinderLoaded() {
 
 /**
  * Ensures the Outlook sheet exists with proper structure.
- * Columns: Symbol, TargetPrice, TargetDate, Confidence
+ * Columns: Symbol, TargetPrice, TargetDate, Confidence, Volatility (optional)
  * @param {Spreadsheet} ss - The active spreadsheet
  * @returns {Sheet} The Outlook sheet
  */
@@ -40,12 +49,13 @@ function ensureOutlookSheet_(ss) {
 
   sheet = ss.insertSheet(OUTLOOK_SHEET);
 
-  const headers = ["Symbol", "TargetPrice", "TargetDate", "Confidence"];
+  const headers = ["Symbol", "TargetPrice", "TargetDate", "Confidence", "Volatility"];
   const headerNotes = [
     "Stock ticker symbol (e.g., TSLA)",
     "Target price you expect the stock to reach",
     "Date by which you expect the target price",
-    "Confidence level 0-1 (e.g., 0.7 = 70% confident)"
+    "Confidence level 0-1 (e.g., 0.7 = 70% confident)",
+    "Optional annual volatility (e.g., 0.55). When set, Monte Carlo paths use it and drift toward TargetPrice by Confidence"
   ];
 
   // Set headers
@@ -56,8 +66,8 @@ function ensureOutlookSheet_(ss) {
 
   // Add sample data
   const sampleData = [
-    ["TSLA", 500, "6/15/2027", 0.7],
-    ["TSLA", 650, "6/15/2028", 0.5]
+    ["TSLA", 500, "6/15/2027", 0.7, ""],
+    ["TSLA", 650, "6/15/2028", 0.5, ""]
   ];
   sheet.getRange(2, 1, sampleData.length, headers.length).setValues(sampleData);
 
@@ -66,11 +76,13 @@ function ensureOutlookSheet_(ss) {
   sheet.setColumnWidth(2, 100);  // TargetPrice
   sheet.setColumnWidth(3, 100);  // TargetDate
   sheet.setColumnWidth(4, 100);  // Confidence
+  sheet.setColumnWidth(5, 100);  // Volatility
 
   // Number formats
   sheet.getRange(2, 2, 100, 1).setNumberFormat("$#,##0");      // TargetPrice
   sheet.getRange(2, 3, 100, 1).setNumberFormat("M/d/yyyy");    // TargetDate
   sheet.getRange(2, 4, 100, 1).setNumberFormat("0.00");        // Confidence
+  sheet.getRange(2, 5, 100, 1).setNumberFormat("0.00");        // Volatility
 
   return sheet;
 }
@@ -88,7 +100,9 @@ function getOutlookForExpiration_(ss, symbol, expirationDate, currentPrice) {
   const sheet = ss.getSheetByName(OUTLOOK_SHEET);
   if (!sheet || sheet.getLastRow() < 2) return null;
 
-  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+  // Volatility (column 5) is optional; older Outlook sheets only have 4 columns
+  const numCols = Math.min(5, Math.max(4, sheet.getLastColumn()));
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, numCols).getValues();
   const now = new Date();
   now.setHours(0, 0, 0, 0);
 
@@ -101,10 +115,11 @@ function getOutlookForExpiration_(ss, symbol, expirationDate, currentPrice) {
     const targetPrice = parseFloat(row[1]);
     const targetDate = parseDateAtMidnight_(row[2]);
     const confidence = parseFloat(row[3]);
+    const volatility = parseFloat(row[4]);
 
     if (!Number.isFinite(targetPrice) || !targetDate || !Number.isFinite(confidence)) continue;
 
-    outlooks.push({ targetPrice, targetDate, confidence });
+    outlooks.push({ targetPrice, targetDate, confidence, volatility: Number.isFinite(volatility) ? volatility : null });
   }
 
   if (outlooks.length === 0) return null;
@@ -154,6 +169,7 @@ function getOutlookForExpiration_(ss, symbol, expirationDate, currentPrice) {
     targetPrice: bestOutlook.targetPrice,
     targetDate: bestOutlook.targetDate,
     confidence: bestOutlook.confidence,
+    volatility: bestOutlook.volatility,
     proRatedTarget: roundTo_(proRatedTarget, 2)
   };
 }
@@ -173,7 +189,11 @@ const CALL_SPREAD_CONFIG_DEFAULTS = {
   maxSpreadWidth: 150,
   minROI: 2.0,
   minLiquidityScore: 0.50,
-  patience: 60
+  patience: 60,
+  probabilityModel: "touch",  // touch | itm | delta (see calcTargetProbability_)
+  monteCarloPaths: 0,         // 0 = skip Monte Carlo columns (opt-in, e.g. 500)
+  fitnessSource: "expROI",    // expROI | monteCarlo
+  excludeFlagged: 0           // 1 = skip options listed on the PriceIssues sheet
 };
 
 /**
@@ -202,7 +222,11 @@ function ensureCallSpreadConfigSheet_(ss, symbol) {
     ["maxSpreadWidth", CALL_SPREAD_CONFIG_DEFAULTS.maxSpreadWidth],
     ["minROI", CALL_SPREAD_CONFIG_DEFAULTS.minROI],
     ["minLiquidityScore", CALL_SPREAD_CONFIG_DEFAULTS.minLiquidityScore],
-    ["patience", CALL_SPREAD_CONFIG_DEFAULTS.patience]
+    ["patience", CALL_SPREAD_CONFIG_DEFAULTS.patience],
+    ["probabilityModel", CALL_SPREAD_CONFIG_DEFAULTS.probabilityModel],
+    ["monteCarloPaths", CALL_SPREAD_CONFIG_DEFAULTS.monteCarloPaths],
+    ["fitnessSource", CALL_SPREAD_CONFIG_DEFAULTS.fitnessSource],
+    ["excludeFlagged", CALL_SPREAD_CONFIG_DEFAULTS.excludeFlagged]
   ];
 
   sheet.getRange(1, 1, configData.length, 2).setValues(configData);
@@ -231,6 +255,11 @@ function loadCallSpreadConfig_(ss, symbol) {
 
     if (setting === "selectedExpirations") {
       config.selectedExpirations = (value || "").toString().trim();
+    } else if (setting === "probabilityModel") {
+      const model = (value || "").toString().trim().toLowerCase();
+      if (PROBABILITY_MODELS.includes(model)) config.probabilityModel = model;
+    } else if (setting === "fitnessSource") {
+      config.fitnessSource = (value || "").toString().trim() === "monteCarlo" ? "monteCarlo" : "expROI";
     } else if (setting in CALL_SPREAD_CONFIG_DEFAULTS && value !== "" && value != null) {
       config[setting] = parseFloat(value);
     }
@@ -257,13 +286,111 @@ function saveCallSpreadConfig_(ss, symbol, config) {
     ["maxSpreadWidth", config.maxSpreadWidth],
     ["minROI", config.minROI],
     ["minLiquidityScore", config.minLiquidityScore],
-    ["patience", config.patience]
+    ["patience", config.patience],
+    ["probabilityModel", config.probabilityModel || CALL_SPREAD_CONFIG_DEFAULTS.probabilityModel],
+    ["monteCarloPaths", config.monteCarloPaths ?? CALL_SPREAD_CONFIG_DEFAULTS.monteCarloPaths],
+    ["fitnessSource", config.fitnessSource || CALL_SPREAD_CONFIG_DEFAULTS.fitnessSource],
+    ["excludeFlagged", config.excludeFlagged ? 1 : 0]
   ];
 
   sheet.getRange(1, 1, configData.length, 2).setValues(configData);
   sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
 }
 
+/* =========================================================
+   Per-Symbol Put Spread Config Functions
+   ========================================================= */
+
+/**
+ * Default config values for put spread finder.
+ * minROI is credit / max loss (0.25 = collect $1 for every $4 at risk).
+ */
+const PUT_SPREAD_CONFIG_DEFAULTS = {
+  selectedExpirations: "",  // Comma-separated YYYY-MM-DD
+  minStrike: 200,
+  maxStrike: 800,
+  minSpreadWidth: 10,
+  maxSpreadWidth: 100,
+  minROI: 0.25,
+  minProbOTM: 0.60,
+  minLiquidityScore: 0.50,
+  excludeFlagged: 0           // 1 = skip options listed on the PriceIssues sheet
+};
+
+/**
+ * Ensures the hidden put spread config sheet exists for a symbol.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @returns {Sheet} The config sheet (hidden)
+ */
+function ensurePutSpreadConfigSheet_(ss, symbol) {
+  const sheetName = getPutSpreadConfigSheetName_(symbol);
+  let sheet = ss.getSheetByName(sheetName);
+
+  if (sheet) return sheet;
+
+  // Create new hidden config sheet
+  sheet = ss.insertSheet(sheetName);
+  sheet.hideSheet();
+
+  // Initialize with defaults
+  const configData = [["Setting", "Value"]];
+  for (const key of Object.keys(PUT_SPREAD_CONFIG_DEFAULTS)) {
+    configData.push([key, PUT_SPREAD_CONFIG_DEFAULTS[key]]);
+  }
+
+  sheet.getRange(1, 1, configData.length, 2).setValues(configData);
+  sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+
+  return sheet;
+}
+
+/**
+ * Loads config for a symbol's put spread finder.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Config object with all settings
+ */
+function loadPutSpreadConfig_(ss, symbol) {
+  const config = { ...PUT_SPREAD_CONFIG_DEFAULTS };
+  const sheet = ss.getSheetByName(getPutSpreadConfigSheetName_(symbol));
+
+  if (!sheet || sheet.getLastRow() < 2) return config;
+
+  const data = sheet.getRange(2, 1, sheet.getLastRow() - 1, 2).getValues();
+  for (const row of data) {
+    const setting = (row[0] || "").toString().trim();
+    const value = row[1];
+
+    if (setting === "selectedExpirations") {
+      config.selectedExpirations = (value || "").toString().trim();
+    } else if (setting in PUT_SPREAD_CONFIG_DEFAULTS && value !== "" && value != null) {
+      config[setting] = parseFloat(value);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Saves config for a symbol's put spread finder.
+ * @param {Spreadsheet} ss - The active spreadsheet
+ * @param {string} symbol - Stock symbol
+ * @param {Object} config - Config object to save
+ */
+function savePutSpreadConfig_(ss, symbol, config) {
+  const sheet = ensurePutSpreadConfigSheet_(ss, symbol);
+
+  const configData = [["Setting", "Value"]];
+  for (const key of Object.keys(PUT_SPREAD_CONFIG_DEFAULTS)) {
+    const value = key === "selectedExpirations" ? (config.selectedExpirations || "") : config[key];
+    configData.push([key, value]);
+  }
+
+  sheet.getRange(1, 1, configData.length, 2).setValues(configData);
+  sheet.getRange(1, 1, 1, 2).setFontWeight("bold");
+}
+
 /**
  * Ensures SpreadFinderConfig sheet exists with config table.
  * Creates sheet and config if needed, returns sheet.
@@ -338,24 +465,12 @@ function ensureSpreadFinderConfigSheet_(ss) {
 
       defaultSymbols = Array.from(symbols).sort().join(",");
       if (Number.isFinite(minS) && Number.isFinite(maxS)) {
-        // Get current price from GOOGLEFINANCE for first symbol
+        // Current price of the first symbol (Prices sheet, upload, parity or GOOGLEFINANCE)
         const firstSymbol = Array.from(symbols).sort()[0];
         let currentPrice = (minS + maxS) / 2; // fallback
         if (firstSymbol) {
-          try {
-            // Need a temporary sheet since config sheet doesn't exist yet
-            const tempSheet = ss.getSheets()[0];
-            const tempCell = tempSheet.getRange("ZZ1");
-            tempCell.setFormula(`=GOOGLEFINANCE("${firstSymbol}")`);
-            SpreadsheetApp.flush();
-            const price = tempCell.getValue();
-            tempCell.clearContent();
-            if (typeof price === "number" && price > 0) {
-              currentPrice = price;
-            }
-          } catch (e) {
-            // GOOGLEFINANCE failed, use fallback
-          }
+          const underlying = getUnderlyingPrice_(ss, firstSymbol);
+          if (underlying.price > 0) currentPrice = underlying.price;
         }
 
         // Set strike range based on current price
@@ -510,13 +625,24 @@ function loadSpreadFinderConfig_(sheet) {
  * @param {Spreadsheet} ss - The active spreadsheet
  * @param {string[]} [filterSymbols] - Optional array of symbols to include
  * @param {Set<string>} [filterExpirations] - Optional set of expiration dates (YYYY-MM-DD) to include
+ * @param {string} [sheetName] - Sheet to read (default OptionPricesUploaded; OptionPriceHistory has the same columns)
  * @returns {Array} Array of option objects
  */
-function loadOptionData_(ss, filterSymbols, filterExpirations) {
-  const sheet = ss.getSheetByName(OPTION_PRICES_SHEET);
-  if (!sheet) throw new Error(`Sheet '${OPTION_PRICES_SHEET}' not found`);
+function loadOptionData_(ss, filterSymbols, filterExpirations, sheetName = OPTION_PRICES_SHEET) {
+  const sheet = ss.getSheetByName(sheetName);
+  if (!sheet) throw new Error(`Sheet '${sheetName}' not found`);
 
-  const data = sheet.getDataRange().getValues();
+  return parseOptionRows_(sheet.getDataRange().getValues(), filterSymbols, filterExpirations);
+}
+
+/**
+ * Converts OptionPricesUploaded-style rows to option objects.
+ * @param {Array[]} data - Header row first
+ * @param {string[]} [filterSymbols] - Optional array of symbols to include
+ * @param {Set<string>} [filterExpirations] - Optional set of expiration dates (YYYY-MM-DD) to include
+ * @returns {Array} Array of option objects
+ */
+function parseOptionRows_(data, filterSymbols, filterExpirations) {
   if (data.length < 2) return [];
 
   // Build header index
@@ -569,10 +695,11 @@ function loadOptionData_(ss, filterSymbols, filterExpirations) {
     const volume = idx.volume !== undefined ? (+row[idx.volume] || 0) : 0;
     const openint = idx.openint !== undefined ? (+row[idx.openint] || 0) : 0;
     const moneyness = idx.moneyness !== undefined ? (row[idx.moneyness] || "") : "";
+    const dataDate = idx.datadate !== undefined ? parseDateAtMidnight_(row[idx.datadate]) : null;
 
     options.push({
       symbol, expiration: exp, strike, type,
-      bid, mid, ask, iv, delta, volume, openint, moneyness
+      bid, mid, ask, iv, delta, volume, openint, moneyness, dataDate
     });
   }
 
@@ -710,15 +837,19 @@ function loadHeldPositions_(ss) {
 
 /**
  * Computes a simple hash of config values for change detection.
- * @param {Object} config - The SpreadFinder config object
+ * @param {Object} config - A SpreadFinder, IronCondorFinder or CalendarSpreadFinder config object
  * @returns {string} A hash string representing the config state
  */
 function computeConfigHash_(config) {
   const keys = [
     "symbols", "minSpreadWidth", "maxSpreadWidth", "minLiquidityScore",
-    "patience", "minROI", "minStrike", "maxStrike",
+    "patience", "minROI", "minProbOTM", "minStrike", "maxStrike", "probabilityModel",
+    "monteCarloPaths", "fitnessSource",
     "minExpirationMonths", "maxExpirationMonths",
-    "outlookFuturePrice", "outlookDate", "outlookConfidence"
+    "outlookFuturePrice", "outlookDate", "outlookConfidence",
+    "minWingWidth", "maxWingWidth", "minCreditRatio", "minProbInside", "includeButterflies",
+    "frontExpiration", "backExpiration", "optionType", "maxStrikeDiff", "minExpectedReturn",
+    "excludeFlagged"
   ];
   const values = keys.map(k => {
     const v = config[k];
@@ -770,9 +901,11 @@ function outputSpreadResults_(sheet, spreads, config) {
   // Headers
   const headers = [
     "Symbol", "Expiration", "Lower", "Upper", "Width",
-    "Debit", "MaxProfit", "ROI", "ExpGain", "ExpROI",
+    "Debit", "MaxProfit", "ROI", "ExpGain", "ExpROI", "ProbTarget",
     "LowerDelta", "UpperDelta",
-    "LowerOI", "UpperOI", "Liquidity", "Fitness", "OptionStrat", "Label", "Held", "IV"
+    "LowerOI", "UpperOI", "Liquidity", "Fitness", "OptionStrat", "Label", "Held", "IV",
+    "Target", "TargetDate", "PriceBoost", "DateBoost", "OutlookBoost",
+    "MCMean", "MCMedian", "MCPLoss", "MCP5", "MCROI"
   ];
   const headerNotes = [
     "Stock ticker symbol",
@@ -783,8 +916,9 @@ function outputSpreadResults_(sheet, spreads, config) {
     "Net debit to open (editable - formulas recalculate)",
     "Max profit = Width - Debit (if stock > Upper at expiry)",
     "Return on Investment = MaxProfit / Debit",
-    "Expected dollar gain using prob-of-touch model (80% target)",
+    "Expected dollar gain using the probability model (80% target)",
     "Expected ROI = ExpGain / Debit",
+    "Probability of reaching the Upper strike (probabilityModel: touch, itm, or delta)",
     "Delta of lower call (0-1). Higher = more ITM, higher prob of profit",
     "Delta of upper call. Lower than LowerDelta since further OTM",
     "Open Interest on lower strike. Higher = better liquidity",
@@ -794,7 +928,17 @@ function outputSpreadResults_(sheet, spreads, config) {
     "Link to OptionStrat visualization",
     "Label for chart identification",
     "HELD = you already have a conflicting short position",
-    "Implied volatility of the lower (long) leg"
+    "Implied volatility of the lower (long) leg",
+    "Outlook target pro-rated to this expiration (blank = no outlook)",
+    "Outlook TargetDate used for this expiration",
+    "Outlook price boost: strikes vs pro-rated target",
+    "Outlook date boost: >1 expires after TargetDate, <1 expires before it",
+    "PriceBoost x DateBoost (multiplies Fitness)",
+    "Monte Carlo mean P&L per share (80% early exit)",
+    "Monte Carlo median P&L per share",
+    "Monte Carlo probability of losing money",
+    "Monte Carlo 5th-percentile P&L per share (bad-case outcome)",
+    "Monte Carlo ROI = MCMean / Debit (used for Fitness when fitnessSource = monteCarlo)"
   ];
   const hdrRange = sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length);
   hdrRange.setValues([headers]).setFontWeight("bold");
@@ -812,16 +956,20 @@ function outputSpreadResults_(sheet, spreads, config) {
   const formatMap = {
     Symbol: "@", Expiration: "@", Lower: "#,##0", Upper: "#,##0", Width: "#,##0",
     Debit: "$#,##0.00", MaxProfit: "$#,##0.00", ROI: "0.00",
-    ExpGain: "$#,##0.00", ExpROI: "0.00",
+    ExpGain: "$#,##0.00", ExpROI: "0.00", ProbTarget: "0%",
     LowerDelta: "0.00", UpperDelta: "0.00", LowerOI: "#,##0", UpperOI: "#,##0",
     Liquidity: "0.00", Fitness: "0.00",
-    OptionStrat: "@", Label: "@", Held: "@", IV: "0.00%"
+    OptionStrat: "@", Label: "@", Held: "@", IV: "0.00%",
+    Target: "$#,##0.00", TargetDate: "@", PriceBoost: "0.00", DateBoost: "0.00", OutlookBoost: "0.00",
+    MCMean: "$#,##0.00", MCMedian: "$#,##0.00", MCPLoss: "0%", MCP5: "$#,##0.00", MCROI: "0.00"
   };
   const widthMap = {
     Symbol: 60, Expiration: 90, Lower: 60, Upper: 60, Width: 50,
-    Debit: 70, MaxProfit: 70, ROI: 50, ExpGain: 70, ExpROI: 55,
+    Debit: 70, MaxProfit: 70, ROI: 50, ExpGain: 70, ExpROI: 55, ProbTarget: 70,
     LowerDelta: 55, UpperDelta: 55, LowerOI: 55, UpperOI: 55,
-    Liquidity: 55, Fitness: 55, OptionStrat: 100, Label: 150, Held: 50, IV: 55
+    Liquidity: 55, Fitness: 55, OptionStrat: 100, Label: 150, Held: 50, IV: 55,
+    Target: 70, TargetDate: 85, PriceBoost: 70, DateBoost: 70, OutlookBoost: 80,
+    MCMean: 70, MCMedian: 70, MCPLoss: 60, MCP5: 70, MCROI: 55
   };
 
   const dataStartRow = RESULTS_START_ROW + 1;
@@ -848,6 +996,7 @@ function outputSpreadResults_(sheet, spreads, config) {
     rowData[colIdx.ROI] = s.roi;
     rowData[colIdx.ExpGain] = s.expectedGain;
     rowData[colIdx.ExpROI] = s.expectedROI;
+    rowData[colIdx.ProbTarget] = s.probTarget;
     rowData[colIdx.LowerDelta] = s.lowerDelta;
     rowData[colIdx.UpperDelta] = s.upperDelta;
     rowData[colIdx.LowerOI] = s.lowerOI;
@@ -865,6 +1014,16 @@ function outputSpreadResults_(sheet, spreads, config) {
     rowData[colIdx.Label] = label;
     rowData[colIdx.Held] = s.held ? "HELD" : "";
     rowData[colIdx.IV] = s.lowerIV;
+    rowData[colIdx.Target] = s.proRatedTarget;
+    rowData[colIdx.TargetDate] = s.targetDate;
+    rowData[colIdx.PriceBoost] = s.priceBoost;
+    rowData[colIdx.DateBoost] = s.dateBoost;
+    rowData[colIdx.OutlookBoost] = s.outlookBoost;
+    rowData[colIdx.MCMean] = s.mcMean;
+    rowData[colIdx.MCMedian] = s.mcMedian;
+    rowData[colIdx.MCPLoss] = s.mcPLoss;
+    rowData[colIdx.MCP5] = s.mcP5;
+    rowData[colIdx.MCROI] = s.mcROI;
     allRows.push(rowData);
   }
   sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setValues(allRows);
@@ -891,3 +1050,151 @@ function outputSpreadResults_(sheet, spreads, config) {
   sheet.getRange(RESULTS_START_ROW, col("OptionStrat"), spreads.length + 1, 1)
     .setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
 }
+
+/**
+ * Outputs bull put spread results to a <Symbol>PutSpreads sheet.
+ * Same layout as outputSpreadResults_: Row 1 = timestamp, Row 2 = headers, Row 3+ = data.
+ * @param {Sheet} sheet - Output sheet
+ * @param {Array} spreads - Spread objects from generatePutSpreads_
+ * @param {Object} config - Put spread config (stored as hash for change detection)
+ */
+function outputPutSpreadResults_(sheet, spreads, config) {
+  const RESULTS_START_ROW = 2; // Row 1 = timestamp, Row 2 = headers
+
+  // Clear entire sheet
+  const lastRow = Math.max(sheet.getLastRow(), RESULTS_START_ROW);
+  const clearRange = sheet.getRange(1, 1, lastRow, Math.max(sheet.getLastColumn(), 1));
+  clearRange.getBandings().forEach(b => b.remove());
+  clearRange.clear();
+
+  const existingFilter = sheet.getFilter();
+  if (existingFilter) existingFilter.remove();
+
+  sheet.getRange(1, 1).setValue("Results - " + new Date().toLocaleString());
+  sheet.getRange(1, 2).setValue(computeConfigHash_(config));
+
+  const headers = [
+    "Symbol", "Expiration", "Short", "Long", "Width",
+    "Credit", "MaxLoss", "ROI", "ProbOTM", "ExpGain", "ExpROI",
+    "ShortDelta", "LongDelta",
+    "ShortOI", "LongOI", "Liquidity", "Fitness", "OptionStrat", "Label", "Held", "IV",
+    "Target", "TargetDate", "PriceBoost", "DateBoost", "OutlookBoost"
+  ];
+  const headerNotes = [
+    "Stock ticker symbol",
+    "Option expiration date",
+    "Upper (short) strike - you SELL this put",
+    "Lower (long) strike - you BUY this put for protection",
+    "Spread width = Short - Long",
+    "Net credit received to open",
+    "Max loss = Width - Credit (if stock < Long at expiry)",
+    "Return on risk = Credit / MaxLoss",
+    "Probability the short put expires OTM (1 - |ShortDelta|)",
+    "Expected dollar gain held to expiration, weighted by ProbOTM",
+    "Expected ROI = ExpGain / MaxLoss",
+    "Delta of short put. Closer to 0 = safer, less credit",
+    "Delta of long put",
+    "Open Interest on short strike. Higher = better liquidity",
+    "Open Interest on long strike. Want both legs liquid",
+    "0-1 composite: 60% bid-ask spread, 25% volume, 15% OI",
+    "Rewards higher expected ROI, liquidity, and outlook alignment",
+    "Link to OptionStrat visualization",
+    "Label for chart identification",
+    "HELD = you already have a conflicting short position",
+    "Implied volatility of the upper (short) leg",
+    "Outlook target pro-rated to this expiration (blank = no outlook)",
+    "Outlook TargetDate used for this expiration",
+    "Outlook price boost: strikes vs pro-rated target",
+    "Outlook date boost: >1 expires after TargetDate, <1 expires before it",
+    "PriceBoost x DateBoost (multiplies Fitness)"
+  ];
+  const hdrRange = sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length);
+  hdrRange.setValues([headers]).setFontWeight("bold");
+  hdrRange.setNotes([headerNotes]);
+
+  if (spreads.length === 0) return;
+
+  const colIdx = {};
+  headers.forEach((h, i) => colIdx[h] = i);
+
+  const formatMap = {
+    Symbol: "@", Expiration: "@", Short: "#,##0", Long: "#,##0", Width: "#,##0",
+    Credit: "$#,##0.00", MaxLoss: "$#,##0.00", ROI: "0.00", ProbOTM: "0%",
+    ExpGain: "$#,##0.00", ExpROI: "0.00",
+    ShortDelta: "0.00", LongDelta: "0.00", ShortOI: "#,##0", LongOI: "#,##0",
+    Liquidity: "0.00", Fitness: "0.00",
+    OptionStrat: "@", Label: "@", Held: "@", IV: "0.00%",
+    Target: "$#,##0.00", TargetDate: "@", PriceBoost: "0.00", DateBoost: "0.00", OutlookBoost: "0.00"
+  };
+  const widthMap = {
+    Symbol: 60, Expiration: 90, Short: 60, Long: 60, Width: 50,
+    Credit: 70, MaxLoss: 70, ROI: 50, ProbOTM: 60, ExpGain: 70, ExpROI: 55,
+    ShortDelta: 60, LongDelta: 60, ShortOI: 55, LongOI: 55,
+    Liquidity: 55, Fitness: 55, OptionStrat: 100, Label: 150, Held: 50, IV: 55,
+    Target: 70, TargetDate: 85, PriceBoost: 70, DateBoost: 70, OutlookBoost: 80
+  };
+
+  const dataStartRow = RESULTS_START_ROW + 1;
+  const months = ["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];
+
+  const allRows = [];
+  for (const s of spreads) {
+    const expDate = parseDateAtMidnight_(s.expiration);
+    if (!expDate) continue;
+    const dateStr = months[expDate.getMonth()] + " " + String(expDate.getFullYear()).slice(2);
+
+    const rowData = new Array(headers.length).fill("");
+    rowData[colIdx.Symbol] = s.symbol;
+    rowData[colIdx.Expiration] = s.expiration;
+    rowData[colIdx.Short] = s.upperStrike;
+    rowData[colIdx.Long] = s.lowerStrike;
+    rowData[colIdx.Width] = s.width;
+    rowData[colIdx.Credit] = s.credit;
+    rowData[colIdx.MaxLoss] = s.maxLoss;
+    rowData[colIdx.ROI] = s.roi;
+    rowData[colIdx.ProbOTM] = s.probOTM;
+    rowData[colIdx.ExpGain] = s.expectedGain;
+    rowData[colIdx.ExpROI] = s.expectedROI;
+    rowData[colIdx.ShortDelta] = s.upperDelta;
+    rowData[colIdx.LongDelta] = s.lowerDelta;
+    rowData[colIdx.ShortOI] = s.upperOI;
+    rowData[colIdx.LongOI] = s.lowerOI;
+    rowData[colIdx.Liquidity] = s.liquidityScore;
+    rowData[colIdx.Fitness] = s.fitness;
+    rowData[colIdx.OptionStrat] = buildOptionStratUrl(
+      `${s.lowerStrike}/${s.upperStrike}`,
+      s.symbol,
+      "bull-put-spread",
+      s.expiration
+    );
+    rowData[colIdx.Label] = `${s.symbol} ${s.lowerStrike}/${s.upperStrike} BPS ${dateStr}`;
+    rowData[colIdx.Held] = s.held ? "HELD" : "";
+    rowData[colIdx.IV] = s.shortIV;
+    rowData[colIdx.Target] = s.proRatedTarget;
+    rowData[colIdx.TargetDate] = s.targetDate;
+    rowData[colIdx.PriceBoost] = s.priceBoost;
+    rowData[colIdx.DateBoost] = s.dateBoost;
+    rowData[colIdx.OutlookBoost] = s.outlookBoost;
+    allRows.push(rowData);
+  }
+  if (allRows.length === 0) return;
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setValues(allRows);
+
+  const formats = allRows.map(() => headers.map(h => formatMap[h] || "@"));
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length).setNumberFormats(formats);
+
+  const tableRange = sheet.getRange(RESULTS_START_ROW, 1, allRows.length + 1, headers.length);
+  tableRange.createFilter();
+  tableRange.setBorder(true, true, true, true, true, true, "#cccccc", SpreadsheetApp.BorderStyle.SOLID);
+
+  sheet.getRange(RESULTS_START_ROW, 1, 1, headers.length)
+    .setBackground("#4285f4").setFontColor("white").setFontWeight("bold");
+
+  sheet.getRange(dataStartRow, 1, allRows.length, headers.length)
+    .applyRowBanding(SpreadsheetApp.BandingTheme.LIGHT_GREY, false, false);
+
+  headers.forEach((h, i) => sheet.setColumnWidth(i + 1, widthMap[h] || 55));
+
+  sheet.getRange(RESULTS_START_ROW, colIdx.OptionStrat + 1, allRows.length + 1, 1)
+    .setWrapStrategy(SpreadsheetApp.WrapStrategy.CLIP);
+}
@@ -0,0 +1,165 @@
+/**
+ * VolatilityCharts.js
+ * Server side of the Volatility dialog: IV smile per expiration and ATM term structure.
+ *
+ * Chains come from OptionPriceHistory, using the same as-of rule as IVHistory: on a
+ * dataDate, each expiration shows its newest snapshot from that day or the week
+ * before. A second dataDate can be loaded to compare how the smile and the term
+ * structure moved.
+ */
+
+/**
+ * Opens the Volatility dialog.
+ * If nothing has been uploaded yet, prompts the user to upload option prices first.
+ */
+function showVolatilityDialog() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  // First use seeds the archive from OptionPricesUploaded
+  const latest = ss.getSheetByName(OPTION_PRICES_SHEET);
+  if (latest && latest.getLastRow() >= 2) ensureOptionPriceHistorySheet_(ss);
+
+  const history = ss.getSheetByName(OPTION_PRICE_HISTORY_SHEET);
+  if (!history || history.getLastRow() < 2) {
+    SpreadsheetApp.getUi().alert(
+      "No Option Prices",
+      "No option prices found. Please run 'Upload Option Prices' first.",
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+    return;
+  }
+
+  const html = HtmlService.createHtmlOutputFromFile('ui/VolatilityCharts')
+    .setWidth(1050)
+    .setHeight(850);
+
+  SpreadsheetApp.getUi().showModalDialog(html, 'Volatility');
+}
+
+/**
+ * Lists the symbols and dataDates available in OptionPriceHistory.
+ * Called by VolatilityCharts.html via google.script.run.
+ * @returns {{symbols: Array<{symbol: string, dates: string[]}>, defaultSymbol: string|null}}
+ *   Dates as YYYY-MM-DD, newest first. Defaults to the symbol of the CallSpreads sheet.
+ */
+function getVolatilityDialogData() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(OPTION_PRICE_HISTORY_SHEET);
+  if (!sheet) return { symbols: [], defaultSymbol: null };
+
+  const datesBySymbol = new Map();
+  for (const key of getArchivedSnapshots_(sheet)) {
+    const [symbol, , dataDateStr] = key.split("|");
+    const d = parseDateAtMidnight_(dataDateStr);
+    if (!d) continue;
+    if (!datesBySymbol.has(symbol)) datesBySymbol.set(symbol, new Set());
+    datesBySymbol.get(symbol).add(d.getTime());
+  }
+
+  const iso = (d) => d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+  const symbols = Array.from(datesBySymbol.keys()).sort().map(symbol => ({
+    symbol,
+    dates: Array.from(datesBySymbol.get(symbol)).sort((a, b) => b - a).map(t => iso(new Date(t)))
+  }));
+
+  const callSheet = findCallSpreadsSheet_(ss);
+  const callSymbol = callSheet ? callSheet.getName().replace(/CallSpreads$/, "") : null;
+  const defaultSymbol = symbols.some(s => s.symbol === callSymbol) ? callSymbol
+    : (symbols.length > 0 ? symbols[0].symbol : null);
+
+  return { symbols, defaultSymbol };
+}
+
+/**
+ * Builds smile and term-structure data for a symbol on one or two dataDates.
+ * Called by VolatilityCharts.html via google.script.run.
+ * @param {string} symbol
+ * @param {string} dataDate - YYYY-MM-DD
+ * @param {string} [compareDate] - YYYY-MM-DD, optional second date
+ * @returns {{symbol: string, snapshots: Array<{date, spot, expirations: Array<{expiration, days, atmIV, calls, puts}>}>}}
+ *   Dates as YYYY-MM-DD; calls and puts as [[strike, iv]] ascending by strike; IVs as decimals
+ */
+function getVolatilityChartData(symbol, dataDate, compareDate) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sym = String(symbol || "").toUpperCase();
+  const exps = groupOptionSnapshots_(loadOptionPriceHistory_(ss, [sym])).get(sym);
+
+  const snapshots = [];
+  for (const dateStr of [dataDate, compareDate]) {
+    const d = parseDateAtMidnight_(dateStr);
+    if (!d || !exps) continue;
+    const snapshot = buildVolatilitySnapshot_(exps, d);
+    if (snapshot.expirations.length > 0) snapshots.push(snapshot);
+  }
+
+  log.debug("volatility", `${sym}: ${snapshots.length} snapshot(s) for ${dataDate}` + (compareDate ? ` vs ${compareDate}` : ""));
+  return { symbol: sym, snapshots };
+}
+
+/**
+ * Smile and ATM IV of every expiration in use on a date.
+ * @param {Map<string, Map<number, Array>>} exps - One symbol's entry from groupOptionSnapshots_
+ * @param {Date} date - dataDate at midnight
+ * @returns {{date: string, spot: number|null, expirations: Array}} See getVolatilityChartData
+ */
+function buildVolatilitySnapshot_(exps, date) {
+  const time = date.getTime();
+  const options = optionsAsOf_(exps, time);
+  const spot = spotFromSnapshots_(options, time);
+
+  const byExp = new Map();
+  for (const o of options) {
+    if (!byExp.has(o.expiration)) byExp.set(o.expiration, []);
+    byExp.get(o.expiration).push(o);
+  }
+
+  const iso = (d) => d.getFullYear() + "-" + String(d.getMonth() + 1).padStart(2, "0") + "-" + String(d.getDate()).padStart(2, "0");
+  const smile = (chain, type) => chain
+    .filter(o => o.type === type && o.iv > 0 && o.strike > 0)
+    .sort((a, b) => a.strike - b.strike)
+    .map(o => [o.strike, roundTo_(o.iv, 4)]);
+
+  const expirations = [];
+  for (const [exp, chain] of byExp) {
+    const expDate = parseDateAtMidnight_(exp);
+    if (!expDate) continue;
+    const days = Math.round((expDate - date) / 86400000);
+    if (days < 0) continue;
+    const atmIV = spot ? atmIvForExpiration_(chain, spot) : null;
+    expirations.push({
+      expiration: iso(expDate),
+      days,
+      atmIV: atmIV == null ? null : roundTo_(atmIV, 4),
+      calls: smile(chain, "Call"),
+      puts: smile(chain, "Put")
+    });
+  }
+  expirations.sort((a, b) => a.days - b.days);
+
+  return { date: iso(date), spot, expirations };
+}
+
+/**
+ * Test as-of selection and smile ordering.
+ */
+function test_buildVolatilitySnapshot() {
+  const d = (s) => parseDateAtMidnight_(s);
+  const opt = (exp, strike, type, iv, moneyness, dataDate) =>
+    ({ symbol: "TSLA", expiration: exp, strike, type, iv, moneyness, dataDate: d(dataDate) });
+  const exps = groupOptionSnapshots_([
+    opt("12/18/2026", 440, "Call", 0.50, -0.0476, "2026-10-16"),
+    opt("12/18/2026", 400, "Call", 0.60, 0.0476, "2026-10-16"),
+    opt("12/18/2026", 400, "Put", 0.62, -0.0476, "2026-10-16"),
+    opt("6/17/2027", 400, "Call", 0.45, 0.0476, "2026-10-12"),
+    opt("6/17/2027", 440, "Call", 0.41, -0.0476, "2026-10-12"),
+    opt("9/18/2026", 400, "Call", 0.70, 0.0476, "2026-09-01")
+  ]).get("TSLA");
+
+  const snap = buildVolatilitySnapshot_(exps, d("2026-10-16"));
+  assertEqual(snap.date, "2026-10-16", "date");
+  assertEqual(snap.spot, 420, "spot from moneyness", 0.01);
+  assertEqual(snap.expirations.length, 2, "stale and expired chains dropped");
+  assertEqual(snap.expirations[0].expiration, "2026-12-18", "nearest expiration first");
+  assertEqual(snap.expirations[0].calls[0][0], 400, "calls ascending by strike");
+  assertEqual(snap.expirations[0].puts.length, 1, "puts separate from calls");
+  assertEqual(snap.expirations[1].atmIV, 0.43, "ATM IV from week-old snapshot", 1e-4);
+}